@@ -1,12 +1,14 @@
 import React, { useState, useEffect } from "react";
 import OnboardingWizard from "./components/OnboardingWizard";
 import SimulationPanel from "./components/SimulationPanel";
+import StaffInbox from "./components/StaffInbox";
 
 const API_BASE = "http://localhost:3001/api";
 
 function App() {
   const [clinicConfig, setClinicConfig] = useState(null);
   const [showSimulation, setShowSimulation] = useState(false);
+  const [view, setView] = useState("simulation");
   const [isEditing, setIsEditing] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
 
@@ -48,7 +50,7 @@ function App() {
         if (response.ok) {
           savedConfig = await response.json();
         } else {
-          // Clinic not found (server may have restarted) - create new one instead
+          // Clinic not found on the server (e.g. data reset) - create new one instead
           console.warn("Clinic not found on server, creating new one");
           const createResponse = await fetch(`${API_BASE}/clinics`, {
             method: "POST",
@@ -134,6 +136,8 @@ function App() {
         onEdit={handleEditConfig}
         onReset={handleRestart}
         onCancel={handleCancelEdit}
+        view={view}
+        onToggleView={() => setView(view === "inbox" ? "simulation" : "inbox")}
       />
       <main className="max-w-5xl mx-auto px-6 py-8">
         {!showSimulation ? (
@@ -142,6 +146,8 @@ function App() {
             initialConfig={isEditing ? clinicConfig : null}
             isEditing={isEditing}
           />
+        ) : view === "inbox" ? (
+          <StaffInbox config={clinicConfig} />
         ) : (
           <SimulationPanel config={clinicConfig} />
         )}
@@ -150,7 +156,15 @@ function App() {
   );
 }
 
-function Header({ showActions, isEditing, onEdit, onReset, onCancel }) {
+function Header({
+  showActions,
+  isEditing,
+  onEdit,
+  onReset,
+  onCancel,
+  view,
+  onToggleView,
+}) {
   return (
     <header className="bg-white border-b border-slate-100 px-6 py-4 sticky top-0 z-50">
       <div className="max-w-5xl mx-auto flex items-center justify-between">
@@ -165,6 +179,25 @@ function Header({ showActions, isEditing, onEdit, onReset, onCancel }) {
 
         {showActions && (
           <div className="flex items-center gap-2">
+            <button
+              onClick={onToggleView}
+              className="btn btn-secondary btn-small"
+            >
+              <svg
+                className="w-4 h-4 mr-1.5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M20 13V6a2 2 0 00-2-2H6a2 2 0 00-2 2v7m16 0v5a2 2 0 01-2 2H6a2 2 0 01-2-2v-5m16 0h-2.586a1 1 0 00-.707.293l-2.414 2.414a1 1 0 01-.707.293h-3.172a1 1 0 01-.707-.293l-2.414-2.414A1 1 0 006.586 13H4"
+                />
+              </svg>
+              {view === "inbox" ? "Simulator" : "Inbox"}
+            </button>
             <button onClick={onEdit} className="btn btn-secondary btn-small">
               <svg
                 className="w-4 h-4 mr-1.5"
@@ -0,0 +1,217 @@
+import React from "react";
+
+// Badge colours for flag severity and overall call priority
+const SEVERITY_STYLES = {
+  critical: "bg-red-100 text-red-800 border-red-200",
+  high: "bg-orange-100 text-orange-800 border-orange-200",
+  medium: "bg-amber-50 text-amber-800 border-amber-200",
+  low: "bg-blue-50 text-blue-800 border-blue-200",
+  info: "bg-slate-50 text-slate-600 border-slate-200",
+};
+
+const SEVERITY_ICONS = {
+  critical: "🚨",
+  high: "⚠️",
+  medium: "📌",
+  low: "📝",
+  info: "ℹ️",
+};
+
+const Section = ({ title, children }) => (
+  <div>
+    <div className="text-xs font-semibold text-slate-500 uppercase tracking-wider mb-2">
+      {title}
+    </div>
+    {children}
+  </div>
+);
+
+/**
+ * Structured handoff note returned by the server when a simulated call ends
+ */
+function CallSummaryCard({ summary }) {
+  const {
+    caller,
+    intent,
+    actions,
+    flags,
+    callbacks,
+    answers,
+    quotes,
+    emergency,
+    voicemail,
+  } = summary;
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-charcoal">
+          📋 Call Handoff Note
+        </h3>
+        <span
+          className={`px-2 py-0.5 text-xs rounded-full border ${
+            SEVERITY_STYLES[summary.priority] || SEVERITY_STYLES.info
+          }`}
+        >
+          {summary.requiresReview ? "Needs review" : "No action needed"}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 text-sm">
+        <div>
+          <div className="text-xs text-slate-500">Caller</div>
+          <div className="font-medium text-charcoal">
+            {caller.name || "Not identified"}
+          </div>
+          {caller.dob && (
+            <div className="text-xs text-slate-500">DOB: {caller.dob}</div>
+          )}
+          {caller.patientStatus && (
+            <div className="text-xs text-slate-500">
+              {caller.patientStatus === "existing"
+                ? "Matched to patient records"
+                : caller.patientStatus === "new"
+                  ? "New patient"
+                  : "Didn't match patient records"}
+            </div>
+          )}
+        </div>
+        <div>
+          <div className="text-xs text-slate-500">Reason</div>
+          <div className="font-medium text-charcoal">{intent.description}</div>
+        </div>
+        <div>
+          <div className="text-xs text-slate-500">Outcome</div>
+          <div className="font-medium text-charcoal">
+            {summary.outcome?.replace(/_/g, " ")}
+          </div>
+        </div>
+      </div>
+
+      {actions.length > 0 && (
+        <Section title="Actions Taken">
+          <ul className="space-y-1 text-sm text-slate-700">
+            {actions.map((action, i) => (
+              <li key={i}>✓ {action.description}</li>
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      {flags.length > 0 && (
+        <Section title="Flags">
+          <div className="space-y-2">
+            {flags.map((flag, i) => (
+              <div
+                key={i}
+                className={`flex items-start gap-2 p-2 rounded-lg border text-sm ${
+                  SEVERITY_STYLES[flag.severity] || SEVERITY_STYLES.medium
+                }`}
+              >
+                <span>{SEVERITY_ICONS[flag.severity] || "⚠️"}</span>
+                <span className="flex-1">
+                  <span className="font-medium">{flag.label}</span>
+                  {flag.detail && `: ${flag.detail.replace(/_/g, " ")}`}
+                </span>
+                <span className="text-xs uppercase tracking-wider opacity-70">
+                  {flag.severity}
+                </span>
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {(emergency?.transfer || emergency?.page || emergency?.fallback) && (
+        <Section title="Emergency Handling">
+          <div className="p-2 rounded-lg border text-sm bg-red-50 border-red-200 text-red-800 space-y-1">
+            {emergency.transfer && (
+              <div>
+                📞 Warm transfer to <strong>{emergency.transfer.line}</strong> (
+                {emergency.transfer.status}) — {emergency.transfer.handover}
+              </div>
+            )}
+            {emergency.page && (
+              <div>
+                📟 Paged <strong>{emergency.page.recipient.name}</strong>
+                {emergency.page.recipient.phone &&
+                  ` on ${emergency.page.recipient.phone}`}{" "}
+                ({emergency.page.status}) — {emergency.page.message}
+              </div>
+            )}
+            {emergency.fallback && (
+              <div>⚠️ {emergency.fallback} - told the caller to call 000</div>
+            )}
+          </div>
+        </Section>
+      )}
+
+      {voicemail && (
+        <Section title="Voicemail">
+          <div className="text-sm text-slate-700">
+            📼 Saved to the clinic's voicemail inbox
+            {voicemail.transcribed
+              ? ` as ${voicemail.urgency}`
+              : " (not transcribed)"}
+            <span className="ml-1 text-xs text-slate-400">
+              {voicemail.voicemailId}
+            </span>
+          </div>
+        </Section>
+      )}
+
+      {callbacks.length > 0 && (
+        <Section title="Callbacks Requested">
+          <ul className="space-y-1 text-sm text-slate-700">
+            {callbacks.map((callback, i) => (
+              <li key={i}>
+                {callback.priority === "urgent" && (
+                  <span className="px-1.5 py-0.5 mr-1 text-xs rounded bg-red-100 text-red-800">
+                    Urgent
+                  </span>
+                )}
+                <strong className="capitalize">{callback.team}</strong>:{" "}
+                {callback.reason} — {callback.due}
+              </li>
+            ))}
+          </ul>
+        </Section>
+      )}
+
+      {answers?.length > 0 && (
+        <Section title="Answers">
+          <div className="space-y-2 text-sm">
+            {answers.map((answer, i) => (
+              <div key={i}>
+                <div className="text-slate-500">{answer.question}</div>
+                <div className="text-charcoal">
+                  <strong className="capitalize">
+                    {answer.answer?.replace(/_/g, " ")}
+                  </strong>
+                  {answer.followupResponse && ` — ${answer.followupResponse}`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </Section>
+      )}
+
+      {quotes.length > 0 && (
+        <Section title="In the Patient's Words">
+          <div className="space-y-1">
+            {quotes.map((quote, i) => (
+              <blockquote
+                key={i}
+                className="pl-3 border-l-2 border-slate-300 text-sm italic text-slate-600"
+              >
+                "{quote.text}"
+              </blockquote>
+            ))}
+          </div>
+        </Section>
+      )}
+    </div>
+  );
+}
+
+export default CallSummaryCard;
@@ -4,6 +4,7 @@ import StepSchedule from "./wizard/StepSchedule";
 import StepStaff from "./wizard/StepStaff";
 import StepPersona from "./wizard/StepPersona";
 import StepWorkflows from "./wizard/StepWorkflows";
+import StepScripts from "./wizard/StepScripts";
 import StepReview from "./wizard/StepReview";
 import { defaultConfig } from "../data/defaultConfig";
 
@@ -13,7 +14,8 @@ const STEPS = [
   { id: 3, label: "Staff", component: StepStaff },
   { id: 4, label: "Persona", component: StepPersona },
   { id: 5, label: "Workflows", component: StepWorkflows },
-  { id: 6, label: "Review", component: StepReview },
+  { id: 6, label: "Scripts", component: StepScripts },
+  { id: 7, label: "Review", component: StepReview },
 ];
 
 function OnboardingWizard({ onComplete, initialConfig, isEditing }) {
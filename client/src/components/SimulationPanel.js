@@ -1,5 +1,6 @@
 import React, { useState, useRef, useEffect } from "react";
 import axios from "axios";
+import CallSummaryCard from "./CallSummaryCard";
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // STATE MACHINE DEFINITIONS (mirrored from backend)
@@ -7,13 +8,15 @@ import axios from "axios";
 
 const INBOUND_STATES = {
   GREETING: "greeting",
-  SAFETY_SCAN: "safety_scan",
   IDENTIFY: "identify",
   TRIAGE: "triage",
   APPOINTMENT_FLOW: "appointment_flow",
+  CANCEL_FLOW: "cancel_flow",
+  RESCHEDULE_FLOW: "reschedule_flow",
   CLINICAL_FLOW: "clinical_flow",
   MESSAGE_FLOW: "message_flow",
   TRANSFER_FLOW: "transfer_flow",
+  VOICEMAIL: "voicemail",
   EMERGENCY_EXIT: "emergency_exit",
   SUCCESS_EXIT: "success_exit",
   CONFUSION_EXIT: "confusion_exit",
@@ -21,7 +24,6 @@ const INBOUND_STATES = {
 
 const STATE_LABELS = {
   [INBOUND_STATES.GREETING]: { label: "Welcome", icon: "👋", phase: 1 },
-  [INBOUND_STATES.SAFETY_SCAN]: { label: "Safety Check", icon: "🔍", phase: 1 },
   [INBOUND_STATES.IDENTIFY]: { label: "Identity", icon: "🪪", phase: 1 },
   [INBOUND_STATES.TRIAGE]: { label: "Intent", icon: "🎯", phase: 1 },
   [INBOUND_STATES.APPOINTMENT_FLOW]: {
@@ -29,26 +31,53 @@ const STATE_LABELS = {
     icon: "📅",
     phase: 2,
   },
+  [INBOUND_STATES.CANCEL_FLOW]: { label: "Cancel", icon: "🗓️", phase: 2 },
+  [INBOUND_STATES.RESCHEDULE_FLOW]: {
+    label: "Reschedule",
+    icon: "🔁",
+    phase: 2,
+  },
   [INBOUND_STATES.CLINICAL_FLOW]: { label: "Clinical", icon: "🩺", phase: 2 },
   [INBOUND_STATES.MESSAGE_FLOW]: { label: "Message", icon: "📝", phase: 2 },
   [INBOUND_STATES.TRANSFER_FLOW]: { label: "Transfer", icon: "📞", phase: 2 },
+  [INBOUND_STATES.VOICEMAIL]: { label: "Voicemail", icon: "📼", phase: 2 },
   [INBOUND_STATES.EMERGENCY_EXIT]: { label: "Emergency", icon: "🚨", phase: 3 },
   [INBOUND_STATES.SUCCESS_EXIT]: { label: "Complete", icon: "✅", phase: 3 },
   [INBOUND_STATES.CONFUSION_EXIT]: { label: "Escalated", icon: "↗️", phase: 3 },
 };
 
-// Outbound state labels for UI
+// Outbound state labels for UI (step states mirror template step actions)
 const OUTBOUND_STATE_LABELS = {
   opening: { label: "Opening", icon: "📞", phase: 1 },
   verify_identity: { label: "Verify ID", icon: "🪪", phase: 1 },
-  check_side_effects: { label: "Side Effects", icon: "💊", phase: 2 },
-  check_adherence: { label: "Adherence", icon: "📋", phase: 2 },
+  ask_question: { label: "Question", icon: "💬", phase: 2 },
   probe_reason: { label: "Follow-up", icon: "❓", phase: 2 },
   closing: { label: "Closing", icon: "👋", phase: 3 },
   escalated: { label: "Escalated", icon: "🚨", phase: 3 },
   complete: { label: "Complete", icon: "✅", phase: 3 },
 };
 
+// Named sentiment_threshold levels (mirrored from backend sentimentTracker)
+const SENTIMENT_THRESHOLDS = {
+  mildly_negative: 0.3,
+  negative: 0.5,
+  very_negative: 0.7,
+};
+
+const SENTIMENT_BAR_STYLES = {
+  positive: "bg-emerald-400",
+  neutral: "bg-slate-300",
+  negative: "bg-red-400",
+};
+
+// Labels for template step actions in the follow-up flow diagram
+const STEP_ACTION_LABELS = {
+  verify_identity: { label: "Verify", icon: "🪪" },
+  ask_question: { label: "Question", icon: "💬" },
+  probe_reason: { label: "Probe", icon: "❓" },
+  close_and_flag: { label: "Close", icon: "✅" },
+};
+
 function SimulationPanel({ config }) {
   const [activeTab, setActiveTab] = useState("inbound");
 
@@ -58,12 +87,27 @@ function SimulationPanel({ config }) {
   const [isLoading, setIsLoading] = useState(false);
   const [callTime, setCallTime] = useState("10:00");
   const [callDay, setCallDay] = useState("monday");
+  const [callDate, setCallDate] = useState(""); // Optional - pins the day and checks holidays
   const chatEndRef = useRef(null);
 
   // Outbound follow-up state (interactive)
   const [outboundConversation, setOutboundConversation] = useState(null);
   const [outboundMessage, setOutboundMessage] = useState("");
   const outboundChatEndRef = useRef(null);
+  const thresholdSetting =
+    config.call_classification?.escalation_triggers?.sentiment_threshold;
+  const sentimentThreshold =
+    typeof thresholdSetting === "number"
+      ? thresholdSetting
+      : (SENTIMENT_THRESHOLDS[thresholdSetting] ?? null);
+  const outboundTemplates = (config.followup_templates || []).filter(
+    (t) => !t.trigger_type || t.trigger_type === "outbound",
+  );
+  const [templateId, setTemplateId] = useState(outboundTemplates[0]?.id || "");
+  const [templateVariables, setTemplateVariables] = useState(
+    outboundTemplates[0]?.variables || {},
+  );
+  const selectedTemplate = outboundTemplates.find((t) => t.id === templateId);
 
   // Auto-scroll chat for inbound
   useEffect(() => {
@@ -75,6 +119,25 @@ function SimulationPanel({ config }) {
     outboundChatEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [outboundConversation?.transcript]);
 
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // SESSION HELPERS (conversation state lives on the server)
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  // The server dropped the session (expired or restarted) - end the call locally
+  const expireConversation = (conv) => ({
+    ...conv,
+    isComplete: true,
+    finalOutcome: "session_expired",
+  });
+
+  // Free the server-side session when a call is closed early
+  const discardSession = (conv) => {
+    if (!conv || conv.isComplete) return;
+    axios
+      .delete(`/api/simulate/sessions/${conv.conversationId}`)
+      .catch(() => {});
+  };
+
   // ═══════════════════════════════════════════════════════════════════════════════
   // INBOUND CALL HANDLERS
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -82,13 +145,12 @@ function SimulationPanel({ config }) {
   const startInboundCall = async () => {
     setIsLoading(true);
     try {
-      // Send day and time explicitly
+      // Send day and time explicitly (a date overrides the day)
       const response = await axios.post("/api/simulate/inbound/start", {
         clinicConfig: config,
-        callContext: {
-          day: callDay,
-          time: callTime,
-        },
+        callContext: callDate
+          ? { date: callDate, time: callTime }
+          : { day: callDay, time: callTime },
       });
       setConversation(response.data);
     } catch (error) {
@@ -109,18 +171,21 @@ function SimulationPanel({ config }) {
 
     try {
       const response = await axios.post("/api/simulate/inbound/message", {
-        conversationState: conversation,
+        conversationId: conversation.conversationId,
         patientMessage: messageToSend,
-        clinicConfig: config,
       });
       setConversation(response.data);
     } catch (error) {
       console.error("Error sending message:", error);
+      if (error.response?.status === 404) {
+        setConversation(expireConversation(conversation));
+      }
     }
     setIsLoading(false);
   };
 
   const endCall = () => {
+    discardSession(conversation);
     setConversation(null);
   };
 
@@ -133,6 +198,10 @@ function SimulationPanel({ config }) {
     try {
       const response = await axios.post("/api/simulate/outbound/start", {
         clinicConfig: config,
+        callContext: {
+          templateId,
+          variables: templateVariables,
+        },
       });
       setOutboundConversation(response.data);
     } catch (error) {
@@ -155,21 +224,31 @@ function SimulationPanel({ config }) {
 
     try {
       const response = await axios.post("/api/simulate/outbound/message", {
-        conversationState: outboundConversation,
+        conversationId: outboundConversation.conversationId,
         patientMessage: messageToSend,
-        clinicConfig: config,
       });
       setOutboundConversation(response.data);
     } catch (error) {
       console.error("Error sending outbound message:", error);
+      if (error.response?.status === 404) {
+        setOutboundConversation(expireConversation(outboundConversation));
+      }
     }
     setIsLoading(false);
   };
 
   const endOutboundCall = () => {
+    discardSession(outboundConversation);
     setOutboundConversation(null);
   };
 
+  const selectTemplate = (id) => {
+    setTemplateId(id);
+    setTemplateVariables(
+      outboundTemplates.find((t) => t.id === id)?.variables || {},
+    );
+  };
+
   // ═══════════════════════════════════════════════════════════════════════════════
   // UI COMPONENTS
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -267,21 +346,28 @@ function SimulationPanel({ config }) {
                     <span className="text-xs text-slate-500">Phase 2:</span>
                     <StateIndicator state={INBOUND_STATES.APPOINTMENT_FLOW} />
                     <span className="text-slate-400">/</span>
+                    <StateIndicator state={INBOUND_STATES.CANCEL_FLOW} />
+                    <span className="text-slate-400">/</span>
+                    <StateIndicator state={INBOUND_STATES.RESCHEDULE_FLOW} />
+                    <span className="text-slate-400">/</span>
                     <StateIndicator state={INBOUND_STATES.CLINICAL_FLOW} />
                     <span className="text-slate-400">/</span>
                     <StateIndicator state={INBOUND_STATES.MESSAGE_FLOW} />
+                    <span className="text-slate-400">/</span>
+                    <StateIndicator state={INBOUND_STATES.VOICEMAIL} />
                   </div>
                 </div>
               </div>
 
               {/* Call context settings */}
-              <div className="grid grid-cols-2 gap-4">
+              <div className="grid grid-cols-3 gap-4">
                 <div>
                   <label className="label">Day of Week</label>
                   <select
                     value={callDay}
                     onChange={(e) => setCallDay(e.target.value)}
-                    className="input"
+                    disabled={!!callDate}
+                    className="input disabled:opacity-50"
                   >
                     <option value="monday">Monday</option>
                     <option value="tuesday">Tuesday</option>
@@ -292,6 +378,15 @@ function SimulationPanel({ config }) {
                     <option value="sunday">Sunday</option>
                   </select>
                 </div>
+                <div>
+                  <label className="label">Date (optional)</label>
+                  <input
+                    type="date"
+                    value={callDate}
+                    onChange={(e) => setCallDate(e.target.value)}
+                    className="input"
+                  />
+                </div>
                 <div>
                   <label className="label">Time</label>
                   <input
@@ -302,6 +397,11 @@ function SimulationPanel({ config }) {
                   />
                 </div>
               </div>
+              <p className="text-xs text-slate-500 -mt-2">
+                Pick a date to test public holidays and clinic closures - it
+                replaces the day of week. Times are clinic-local:{" "}
+                {config.timezone || "Australia/Sydney"}.
+              </p>
 
               <button
                 onClick={startInboundCall}
@@ -325,7 +425,9 @@ function SimulationPanel({ config }) {
                     <div className="text-sm text-white/70">
                       {conversation.isBusinessHours
                         ? "🟢 Business Hours"
-                        : "🔴 After Hours"}
+                        : conversation.holiday
+                          ? `🔴 Closed - ${conversation.holiday.name}`
+                          : "🔴 After Hours"}
                     </div>
                   </div>
                 </div>
@@ -440,6 +542,11 @@ function SimulationPanel({ config }) {
             </div>
           )}
 
+          {/* Handoff note once the call ends */}
+          {conversation?.summary && (
+            <CallSummaryCard summary={conversation.summary} />
+          )}
+
           {/* Patient info (if identified) */}
           {conversation?.patientIdentified && (
             <div className="card bg-emerald-50 border-emerald-200">
@@ -450,6 +557,51 @@ function SimulationPanel({ config }) {
                 <strong>{conversation.patientName}</strong>
                 {conversation.patientDob &&
                   ` • DOB: ${conversation.patientDob}`}
+                {conversation.patientRecord?.status === "existing" &&
+                  " • Existing patient"}
+                {conversation.patientRecord?.status === "new" &&
+                  " • New patient"}
+              </div>
+            </div>
+          )}
+
+          {/* Caller sentiment - rolling frustration per turn */}
+          {conversation?.sentiment?.trend?.length > 0 && (
+            <div className="card">
+              <div className="flex items-center justify-between mb-2">
+                <div className="text-xs font-semibold text-slate-500 uppercase tracking-wider">
+                  Caller Sentiment
+                </div>
+                <div className="text-xs text-slate-500">
+                  Frustration{" "}
+                  <strong className="text-charcoal">
+                    {Math.round(conversation.sentiment.frustration * 100)}%
+                  </strong>
+                  {sentimentThreshold !== null &&
+                    ` / escalates at ${Math.round(sentimentThreshold * 100)}%`}
+                  {conversation.sentiment.escalated && " • handed to staff"}
+                </div>
+              </div>
+              <div className="relative flex items-end gap-1 h-16 border-b border-slate-200">
+                {sentimentThreshold !== null && (
+                  <div
+                    className="absolute left-0 right-0 border-t border-dashed border-red-300"
+                    style={{ bottom: `${sentimentThreshold * 100}%` }}
+                  />
+                )}
+                {conversation.sentiment.trend.map((point) => (
+                  <div
+                    key={point.turn}
+                    className={`flex-1 max-w-[24px] rounded-t ${
+                      SENTIMENT_BAR_STYLES[point.sentiment] ||
+                      SENTIMENT_BAR_STYLES.neutral
+                    }`}
+                    style={{
+                      height: `${Math.max(point.frustration * 100, 4)}%`,
+                    }}
+                    title={`Turn ${point.turn}: ${point.sentiment} (${point.score}), frustration ${Math.round(point.frustration * 100)}%`}
+                  />
+                ))}
               </div>
             </div>
           )}
@@ -466,63 +618,93 @@ function SimulationPanel({ config }) {
             <div className="card space-y-4">
               <div>
                 <h3 className="text-lg font-semibold text-charcoal">
-                  Start Medication Follow-up Call
+                  Start Follow-up Call
                 </h3>
                 <p className="text-sm text-slate-500 mt-1">
-                  Simulate an outbound follow-up call for blood pressure
-                  medication (Zestril). Chat interactively as the patient.
+                  Simulate an outbound follow-up call driven by one of your
+                  follow-up templates. Chat interactively as the patient.
                 </p>
               </div>
 
-              {/* Context info */}
-              <div className="bg-blue-50 border border-blue-200 rounded-xl p-4">
-                <p className="text-sm text-blue-800">
-                  <strong>Context:</strong> Heidi is calling to check on a
-                  patient who was recently prescribed Zestril for blood
-                  pressure. She'll ask about side effects, medication adherence,
-                  and any concerns.
-                </p>
-              </div>
-
-              {/* State machine flow */}
-              <div className="bg-slate-50 rounded-xl p-4">
-                <div className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-3">
-                  Follow-up Call Flow
+              {outboundTemplates.length === 0 ? (
+                <div className="bg-amber-50 border border-amber-200 rounded-xl p-4">
+                  <p className="text-sm text-amber-800">
+                    No outbound follow-up templates are configured for this
+                    clinic.
+                  </p>
                 </div>
-                <div className="flex items-center gap-2 flex-wrap">
-                  <div className="flex items-center gap-1">
-                    <span className="text-xs text-slate-500">Opening:</span>
-                    <span className="px-2 py-1 bg-white rounded-lg text-xs border border-slate-200">
-                      📞 Intro
-                    </span>
-                    <span className="text-slate-300">→</span>
-                    <span className="px-2 py-1 bg-white rounded-lg text-xs border border-slate-200">
-                      🪪 Verify
-                    </span>
+              ) : (
+                <>
+                  {/* Template selection */}
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="label">Template</label>
+                      <select
+                        value={templateId}
+                        onChange={(e) => selectTemplate(e.target.value)}
+                        className="input"
+                      >
+                        {outboundTemplates.map((t) => (
+                          <option key={t.id} value={t.id}>
+                            {t.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    {Object.keys(templateVariables).map((key) => (
+                      <div key={key}>
+                        <label className="label capitalize">
+                          {key.replace(/_/g, " ")}
+                        </label>
+                        <input
+                          type="text"
+                          value={templateVariables[key]}
+                          onChange={(e) =>
+                            setTemplateVariables({
+                              ...templateVariables,
+                              [key]: e.target.value,
+                            })
+                          }
+                          className="input"
+                        />
+                      </div>
+                    ))}
                   </div>
-                  <span className="text-slate-300">→</span>
-                  <div className="flex items-center gap-1">
-                    <span className="text-xs text-slate-500">Assessment:</span>
-                    <span className="px-2 py-1 bg-white rounded-lg text-xs border border-slate-200">
-                      💊 Side Effects
-                    </span>
-                    <span className="text-slate-300">→</span>
-                    <span className="px-2 py-1 bg-white rounded-lg text-xs border border-slate-200">
-                      📋 Adherence
-                    </span>
+
+                  {/* Template flow */}
+                  <div className="bg-slate-50 rounded-xl p-4">
+                    <div className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-3">
+                      Follow-up Call Flow
+                    </div>
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className="px-2 py-1 bg-white rounded-lg text-xs border border-slate-200">
+                        📞 Intro
+                      </span>
+                      {(selectedTemplate?.steps || []).map((step) => (
+                        <React.Fragment key={step.step}>
+                          <span className="text-slate-300">→</span>
+                          <span
+                            title={step.question}
+                            className="px-2 py-1 bg-white rounded-lg text-xs border border-slate-200"
+                          >
+                            {STEP_ACTION_LABELS[step.action]?.icon || "•"}{" "}
+                            {step.topic
+                              ? step.topic.replace(/_/g, " ")
+                              : STEP_ACTION_LABELS[step.action]?.label ||
+                                step.action}
+                          </span>
+                        </React.Fragment>
+                      ))}
+                    </div>
                   </div>
-                  <span className="text-slate-300">→</span>
-                  <span className="px-2 py-1 bg-white rounded-lg text-xs border border-slate-200">
-                    ✅ Close
-                  </span>
-                </div>
-              </div>
+                </>
+              )}
 
               {/* Tips */}
               <div className="bg-amber-50 border border-amber-200 rounded-xl p-4">
                 <p className="text-sm text-amber-800">
-                  <strong>💡 Try these scenarios:</strong> Report severe side
-                  effects like "I've been very dizzy and almost fainted" to
+                  <strong>💡 Try these scenarios:</strong> Report something
+                  severe like "I've been very dizzy and almost fainted" to
                   trigger escalation, or say "I missed a few days" to explore
                   the adherence probe flow.
                 </p>
@@ -530,7 +712,7 @@ function SimulationPanel({ config }) {
 
               <button
                 onClick={startOutboundCall}
-                disabled={isLoading}
+                disabled={isLoading || !selectedTemplate}
                 className="btn btn-primary w-full"
               >
                 {isLoading ? "Starting call..." : "📞 Start Call"}
@@ -546,9 +728,17 @@ function SimulationPanel({ config }) {
                     📤
                   </div>
                   <div>
-                    <div className="font-semibold">Outbound Follow-up Call</div>
+                    <div className="font-semibold">
+                      {outboundConversation.templateName ||
+                        "Outbound Follow-up Call"}
+                    </div>
                     <div className="text-sm text-white/70">
-                      💊 Medication: Zestril (Blood Pressure)
+                      {Object.entries(outboundConversation.variables || {})
+                        .map(
+                          ([key, value]) =>
+                            `${key.replace(/_/g, " ")}: ${value}`,
+                        )
+                        .join(" • ")}
                     </div>
                   </div>
                 </div>
@@ -674,52 +864,6 @@ function SimulationPanel({ config }) {
                       </div>
                     </div>
 
-                    {/* Flags Summary - Prominent Display */}
-                    {outboundConversation.flags.length > 0 && (
-                      <div className="bg-slate-100 rounded-xl p-4 space-y-3">
-                        <div className="text-xs font-semibold text-slate-500 uppercase tracking-wider">
-                          📋 Call Summary - Flags Raised
-                        </div>
-                        <div className="space-y-2">
-                          {outboundConversation.flags.map((flag, i) => (
-                            <div
-                              key={i}
-                              className={`flex items-start gap-2 p-2 rounded-lg ${
-                                flag.includes("URGENT")
-                                  ? "bg-red-100 border border-red-200"
-                                  : flag.includes("reason:")
-                                    ? "bg-blue-50 border border-blue-200"
-                                    : "bg-amber-50 border border-amber-200"
-                              }`}
-                            >
-                              <span className="text-sm">
-                                {flag.includes("URGENT")
-                                  ? "🚨"
-                                  : flag.includes("reason:")
-                                    ? "📝"
-                                    : flag.includes("side_effects")
-                                      ? "💊"
-                                      : flag.includes("adherence")
-                                        ? "📋"
-                                        : "⚠️"}
-                              </span>
-                              <span
-                                className={`text-sm font-medium ${
-                                  flag.includes("URGENT")
-                                    ? "text-red-800"
-                                    : flag.includes("reason:")
-                                      ? "text-blue-800"
-                                      : "text-amber-800"
-                                }`}
-                              >
-                                {flag.replace(/_/g, " ")}
-                              </span>
-                            </div>
-                          ))}
-                        </div>
-                      </div>
-                    )}
-
                     <button
                       onClick={endOutboundCall}
                       className="btn btn-primary w-full"
@@ -732,6 +876,11 @@ function SimulationPanel({ config }) {
             </div>
           )}
 
+          {/* Handoff note once the call ends */}
+          {outboundConversation?.summary && (
+            <CallSummaryCard summary={outboundConversation.summary} />
+          )}
+
           {/* Patient info (if identified) */}
           {outboundConversation?.patientIdentified && (
             <div className="card bg-emerald-50 border-emerald-200">
@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+
+const TYPE_LABELS = {
+  message: "Message",
+  callback: "Callback",
+  appointment_request: "Appointment request",
+  appointment_approval: "Appointment approval",
+  clinical_concern: "Clinical concern",
+  admin_request: "Admin request",
+  reschedule_request: "Reschedule",
+  voicemail: "Voicemail",
+  emergency_followup: "Emergency follow-up",
+  clinical_review: "Clinical review",
+  answer_review: "Answer review",
+};
+
+const STATUS_STYLES = {
+  open: "bg-sunlight/40 text-charcoal border-sunlight",
+  assigned: "bg-blue-50 text-blue-800 border-blue-200",
+  completed: "bg-emerald-50 text-emerald-800 border-emerald-200",
+};
+
+const formatDueBy = (dueBy) =>
+  dueBy
+    ? new Date(`${dueBy}:00Z`).toLocaleString("en-AU", {
+        weekday: "short",
+        day: "numeric",
+        month: "short",
+        hour: "numeric",
+        minute: "2-digit",
+        timeZone: "UTC",
+      })
+    : null;
+
+/**
+ * Follow-up tasks left by finished calls, for the clinic team to work through
+ */
+function StaffInbox({ config }) {
+  const [tasks, setTasks] = useState([]);
+  const [filters, setFilters] = useState({
+    status: "",
+    type: "",
+    priority: "",
+  });
+  const [assignees, setAssignees] = useState({});
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const clinicId = config.clinic_id;
+
+  const loadTasks = useCallback(async () => {
+    if (!clinicId) return;
+    setIsLoading(true);
+    try {
+      const params = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value),
+      );
+      const response = await axios.get(`/api/clinics/${clinicId}/tasks`, {
+        params,
+      });
+      setTasks(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || "Couldn't load the inbox");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [clinicId, filters]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  const updateTask = async (taskId, action, body) => {
+    try {
+      await axios.post(
+        `/api/clinics/${clinicId}/tasks/${taskId}/${action}`,
+        body,
+      );
+      await loadTasks();
+    } catch (err) {
+      setError(err.response?.data?.error || `Couldn't ${action} the task`);
+    }
+  };
+
+  if (!clinicId) {
+    return (
+      <div className="card text-sm text-slate-600">
+        Save your clinic setup to start collecting tasks from calls.
+      </div>
+    );
+  }
+
+  const filterSelect = (key, options, placeholder) => (
+    <select
+      value={filters[key]}
+      onChange={(e) => setFilters({ ...filters, [key]: e.target.value })}
+      className="input"
+    >
+      <option value="">{placeholder}</option>
+      {options.map(([value, label]) => (
+        <option key={value} value={value}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold tracking-tighter text-charcoal">
+            Staff Inbox
+          </h2>
+          <p className="text-sm text-slate-600">
+            Messages, callbacks and follow-ups Heidi has left for the team.
+          </p>
+        </div>
+        <button
+          onClick={loadTasks}
+          disabled={isLoading}
+          className="btn btn-secondary btn-small"
+        >
+          {isLoading ? "Refreshing..." : "Refresh"}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {filterSelect(
+          "status",
+          [
+            ["open", "Open"],
+            ["assigned", "Assigned"],
+            ["completed", "Completed"],
+          ],
+          "Any status",
+        )}
+        {filterSelect("type", Object.entries(TYPE_LABELS), "Any type")}
+        {filterSelect(
+          "priority",
+          [
+            ["urgent", "Urgent"],
+            ["routine", "Routine"],
+          ],
+          "Any priority",
+        )}
+      </div>
+
+      {error && <p className="field-error">{error}</p>}
+
+      {tasks.length === 0 ? (
+        <div className="card text-sm text-slate-500">
+          {isLoading ? "Loading..." : "Nothing here - all caught up."}
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {tasks.map((task) => (
+            <li key={task.task_id} className="card space-y-2">
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="flex items-center gap-2">
+                    {task.priority === "urgent" && (
+                      <span className="px-1.5 py-0.5 text-xs rounded bg-red-100 text-red-800">
+                        Urgent
+                      </span>
+                    )}
+                    <span className="text-xs font-semibold text-slate-500 uppercase tracking-wider">
+                      {TYPE_LABELS[task.type] || task.type}
+                    </span>
+                  </div>
+                  <div className="font-medium text-charcoal">{task.reason}</div>
+                  <div className="text-xs text-slate-500">
+                    {task.patient
+                      ? `${task.patient.name}${task.patient.dob ? ` (DOB ${task.patient.dob})` : ""}`
+                      : "Caller not identified"}{" "}
+                    • {task.team} • due {formatDueBy(task.due_by) || task.due}
+                  </div>
+                </div>
+                <span
+                  className={`px-2 py-0.5 text-xs rounded-full border whitespace-nowrap ${
+                    STATUS_STYLES[task.status]
+                  }`}
+                >
+                  {task.status === "assigned"
+                    ? `Assigned to ${task.assigned_to}`
+                    : task.status}
+                </span>
+              </div>
+
+              {task.message && (
+                <blockquote className="text-sm text-slate-700 border-l-2 border-slate-200 pl-3 italic">
+                  "{task.message}"
+                </blockquote>
+              )}
+
+              {task.status === "completed" ? (
+                task.resolution_note && (
+                  <p className="text-xs text-slate-500">
+                    ✅ {task.resolution_note}
+                  </p>
+                )
+              ) : (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={assignees[task.task_id] || ""}
+                    onChange={(e) =>
+                      setAssignees({
+                        ...assignees,
+                        [task.task_id]: e.target.value,
+                      })
+                    }
+                    placeholder="Staff member"
+                    className="input flex-1"
+                  />
+                  <button
+                    onClick={() =>
+                      updateTask(task.task_id, "assign", {
+                        assignee: assignees[task.task_id],
+                      })
+                    }
+                    disabled={!assignees[task.task_id]?.trim()}
+                    className="btn btn-secondary btn-small"
+                  >
+                    Assign
+                  </button>
+                  <button
+                    onClick={() => updateTask(task.task_id, "complete", {})}
+                    className="btn btn-primary btn-small"
+                  >
+                    Complete
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default StaffInbox;
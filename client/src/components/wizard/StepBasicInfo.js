@@ -1,5 +1,17 @@
 import React, { forwardRef, useImperativeHandle } from "react";
 
+const TIMEZONES = [
+  { value: "Australia/Sydney", label: "Sydney, Canberra (AEST/AEDT)" },
+  { value: "Australia/Melbourne", label: "Melbourne (AEST/AEDT)" },
+  { value: "Australia/Hobart", label: "Hobart (AEST/AEDT)" },
+  { value: "Australia/Brisbane", label: "Brisbane (AEST, no daylight saving)" },
+  { value: "Australia/Adelaide", label: "Adelaide (ACST/ACDT)" },
+  { value: "Australia/Darwin", label: "Darwin (ACST, no daylight saving)" },
+  { value: "Australia/Perth", label: "Perth (AWST)" },
+  { value: "Australia/Lord_Howe", label: "Lord Howe Island" },
+  { value: "Pacific/Auckland", label: "Auckland (NZST/NZDT)" },
+];
+
 const StepBasicInfo = forwardRef(
   ({ config, updateConfig, showErrors }, ref) => {
     const errors = {
@@ -61,6 +73,25 @@ const StepBasicInfo = forwardRef(
             )}
           </div>
 
+          <div>
+            <label className="label">Timezone</label>
+            <select
+              value={config.timezone || "Australia/Sydney"}
+              onChange={(e) => updateConfig({ timezone: e.target.value })}
+              className="input"
+            >
+              {TIMEZONES.map((zone) => (
+                <option key={zone.value} value={zone.value}>
+                  {zone.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-sm text-slate-500 mt-1">
+              Business hours, follow-up dates and call times use your clinic's
+              local time, including daylight saving.
+            </p>
+          </div>
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
               <label className="label">Practice Type *</label>
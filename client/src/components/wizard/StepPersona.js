@@ -29,6 +29,16 @@ const TONE_OPTIONS = [
   },
 ];
 
+// The languages the server has locale packs for (server/src/locales)
+const LANGUAGE_OPTIONS = [
+  { id: "en-AU", code: "en", name: "English" },
+  { id: "es-ES", code: "es", name: "Spanish" },
+  { id: "vi-VN", code: "vi", name: "Vietnamese" },
+  { id: "zh-CN", code: "zh", name: "Mandarin Chinese" },
+];
+
+const languageCode = (language) => (language || "en").split(/[-_]/)[0];
+
 const StepPersona = forwardRef(({ config, updateConfig, showErrors }, ref) => {
   const [newKeyword, setNewKeyword] = useState("");
   const persona = config.agent_persona || {};
@@ -43,6 +53,24 @@ const StepPersona = forwardRef(({ config, updateConfig, showErrors }, ref) => {
     updateConfig({ agent_persona: { ...persona, ...updates } });
   };
 
+  const clinicLanguage = languageCode(persona.language);
+  // Unset means every language
+  const callerLanguages =
+    persona.supported_languages ?? LANGUAGE_OPTIONS.map((l) => l.code);
+
+  const toggleCallerLanguage = (code, on) => {
+    updatePersona({
+      supported_languages: on
+        ? [...callerLanguages, code]
+        : callerLanguages.filter((c) => c !== code),
+    });
+  };
+
+  // Whether either emergency action (business or after hours) is this one
+  const usesAction = (action) =>
+    (safety.emergency_action || "hard_redirect_000") === action ||
+    safety.after_hours_emergency_action === action;
+
   const updateSafety = (updates) => {
     updateConfig({
       agent_persona: {
@@ -115,6 +143,55 @@ const StepPersona = forwardRef(({ config, updateConfig, showErrors }, ref) => {
         </div>
       )}
 
+      <div>
+        <label className="label">Language</label>
+        <select
+          value={
+            LANGUAGE_OPTIONS.find((l) => l.code === clinicLanguage)?.id ||
+            "en-AU"
+          }
+          onChange={(e) => updatePersona({ language: e.target.value })}
+          className="input"
+        >
+          {LANGUAGE_OPTIONS.map((language) => (
+            <option key={language.id} value={language.id}>
+              {language.name}
+            </option>
+          ))}
+        </select>
+        <p className="text-sm text-slate-500 mt-1">
+          The language Heidi greets callers in.
+        </p>
+      </div>
+
+      <div>
+        <label className="label">Answer Callers In</label>
+        <div className="flex flex-wrap gap-4">
+          {LANGUAGE_OPTIONS.filter((l) => l.code !== clinicLanguage).map(
+            (language) => (
+              <label
+                key={language.code}
+                className="flex items-center gap-2 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={callerLanguages.includes(language.code)}
+                  onChange={(e) =>
+                    toggleCallerLanguage(language.code, e.target.checked)
+                  }
+                  className="w-5 h-5 rounded border-slate-300 text-charcoal focus:ring-charcoal"
+                />
+                <span className="text-slate-600">{language.name}</span>
+              </label>
+            ),
+          )}
+        </div>
+        <p className="text-sm text-slate-500 mt-1">
+          When a caller speaks one of these, Heidi switches to it for the rest
+          of the call and flags it for staff.
+        </p>
+      </div>
+
       <div>
         <label className="label">Handover Phrase</label>
         <input
@@ -171,8 +248,86 @@ const StepPersona = forwardRef(({ config, updateConfig, showErrors }, ref) => {
               </option>
               <option value="escalate_staff">Escalate to on-call staff</option>
             </select>
+            <p className="text-sm text-slate-500 mt-1">
+              Heidi always tells the caller to call 000 as well.
+            </p>
+          </div>
+
+          <div>
+            <label className="label">After-Hours Emergency Action</label>
+            <select
+              value={safety.after_hours_emergency_action || ""}
+              onChange={(e) =>
+                updateSafety({
+                  after_hours_emergency_action: e.target.value || null,
+                })
+              }
+              className="input"
+            >
+              <option value="">Same as business hours</option>
+              <option value="hard_redirect_000">Instruct to call 000</option>
+              <option value="transfer_emergency">
+                Transfer to emergency services
+              </option>
+              <option value="escalate_staff">Page the on-call contact</option>
+            </select>
           </div>
 
+          {usesAction("transfer_emergency") && (
+            <div>
+              <label className="label">Emergency Transfer Line</label>
+              <input
+                type="tel"
+                value={safety.emergency_transfer_line ?? "000"}
+                onChange={(e) =>
+                  updateSafety({ emergency_transfer_line: e.target.value })
+                }
+                placeholder="000"
+                className="input"
+              />
+            </div>
+          )}
+
+          {usesAction("escalate_staff") && (
+            <div>
+              <label className="label">On-Call Contact (after hours)</label>
+              <div className="grid grid-cols-2 gap-2">
+                <input
+                  type="text"
+                  value={safety.on_call_contact?.name || ""}
+                  onChange={(e) =>
+                    updateSafety({
+                      on_call_contact: {
+                        ...safety.on_call_contact,
+                        name: e.target.value,
+                      },
+                    })
+                  }
+                  placeholder="e.g. Dr. Sarah Smith"
+                  className="input"
+                />
+                <input
+                  type="tel"
+                  value={safety.on_call_contact?.phone || ""}
+                  onChange={(e) =>
+                    updateSafety({
+                      on_call_contact: {
+                        ...safety.on_call_contact,
+                        phone: e.target.value,
+                      },
+                    })
+                  }
+                  placeholder="Pager or mobile"
+                  className="input"
+                />
+              </div>
+              <p className="text-sm text-slate-500 mt-1">
+                In business hours Heidi alerts the clinical team. After hours
+                with no on-call contact, she tells the caller to call 000.
+              </p>
+            </div>
+          )}
+
           <div>
             <label className="label">Emergency Keywords</label>
             <div className="flex flex-wrap gap-2 mb-2">
@@ -1,5 +1,12 @@
 import React, { forwardRef, useImperativeHandle } from "react";
 
+const LANGUAGE_NAMES = {
+  en: "English",
+  es: "Spanish",
+  vi: "Vietnamese",
+  zh: "Mandarin Chinese",
+};
+
 const StepReview = forwardRef(({ config }, ref) => {
   useImperativeHandle(ref, () => ({ validate: () => true }));
 
@@ -13,9 +20,11 @@ const StepReview = forwardRef(({ config }, ref) => {
       .filter(([_, day]) => day.is_open)
       .map(
         ([name, day]) =>
-          `${name.charAt(0).toUpperCase() + name.slice(1)} (${day.start}-${
-            day.end
-          })`,
+          `${name.charAt(0).toUpperCase() + name.slice(1)} (${(
+            day.intervals || [day]
+          )
+            .map((session) => `${session.start}-${session.end}`)
+            .join(", ")})`,
       )
       .join(", ");
   };
@@ -26,6 +35,14 @@ const StepReview = forwardRef(({ config }, ref) => {
       .join(", ");
   };
 
+  const getLanguages = () => {
+    const own = (persona.language || "en").split(/[-_]/)[0];
+    const others = (
+      persona.supported_languages ?? Object.keys(LANGUAGE_NAMES)
+    ).filter((code) => code !== own);
+    return [own, ...others].map((code) => LANGUAGE_NAMES[code]).join(", ");
+  };
+
   const ReviewSection = ({ title, children }) => (
     <div className="bg-white rounded-xl border border-slate-200 p-4">
       <h3 className="text-sm font-semibold text-charcoal mb-3">{title}</h3>
@@ -61,6 +78,10 @@ const StepReview = forwardRef(({ config }, ref) => {
             value={config.clinic_name || "Not set"}
           />
           <ReviewItem label="Phone" value={config.clinic_phone || "Not set"} />
+          <ReviewItem
+            label="Timezone"
+            value={config.timezone || "Australia/Sydney"}
+          />
           <ReviewItem
             label="Practice Type"
             value={(config.practice_type || "GP").toUpperCase()}
@@ -79,6 +100,18 @@ const StepReview = forwardRef(({ config }, ref) => {
               "After hours logic"
             }
           />
+          <ReviewItem
+            label="Holiday Calendar"
+            value={config.operating_hours?.holiday_state || "National"}
+          />
+          <ReviewItem
+            label="Closures"
+            value={`${(config.operating_hours?.closures || []).length} configured`}
+          />
+          <ReviewItem
+            label="Special Days"
+            value={`${(config.operating_hours?.date_overrides || []).length} configured`}
+          />
         </ReviewSection>
 
         <ReviewSection title={`Staff (${staff.length} practitioners)`}>
@@ -104,6 +137,14 @@ const StepReview = forwardRef(({ config }, ref) => {
                         • Needs approval
                       </span>
                     )}
+                    {member.availability?.working_days?.length > 0 && (
+                      <span className="text-slate-500 ml-2 capitalize">
+                        •{" "}
+                        {member.availability.working_days
+                          .map((day) => day.slice(0, 3))
+                          .join(", ")}
+                      </span>
+                    )}
                   </span>
                 }
               />
@@ -120,6 +161,13 @@ const StepReview = forwardRef(({ config }, ref) => {
               </span>
             }
           />
+          <ReviewItem label="Languages" value={getLanguages()} />
+          <ReviewItem
+            label="Scripts"
+            value={`${Object.keys(config.script_library?.scripts || {}).length} rewritten${
+              config.script_library?.mode === "strict" ? ", strict mode" : ""
+            }`}
+          />
           <ReviewItem
             label="Emergency Action"
             value={
@@ -129,6 +177,15 @@ const StepReview = forwardRef(({ config }, ref) => {
               ) || "Hard redirect to 000"
             }
           />
+          <ReviewItem
+            label="After-Hours Emergency Action"
+            value={
+              persona.safety_enforcement?.after_hours_emergency_action?.replace(
+                /_/g,
+                " ",
+              ) || "Same as business hours"
+            }
+          />
           <ReviewItem
             label="Call Recording"
             value={
@@ -156,6 +213,12 @@ const StepReview = forwardRef(({ config }, ref) => {
               ) || "Take message"
             }
           />
+          <ReviewItem
+            label="Callbacks"
+            value={`${workflows.callback_windows?.window_minutes || 60}-minute windows • ${
+              workflows.callback_windows?.staff_count || 1
+            } staff`}
+          />
           <ReviewItem
             label="AI Can"
             value={getAllowedActions() || "Default actions"}
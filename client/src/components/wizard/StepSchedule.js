@@ -1,4 +1,10 @@
-import React, { forwardRef, useImperativeHandle } from "react";
+import React, {
+  forwardRef,
+  useEffect,
+  useImperativeHandle,
+  useState,
+} from "react";
+import axios from "axios";
 
 const DAYS = [
   "monday",
@@ -10,17 +16,113 @@ const DAYS = [
   "sunday",
 ];
 
+const HOLIDAY_STATES = ["NSW", "VIC", "QLD", "WA", "SA", "TAS", "ACT", "NT"];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// A session ending at or before its start runs past midnight
+const isOvernight = (session) =>
+  !!session.start && !!session.end && session.end <= session.start;
+
+/**
+ * A day's sessions - split days list intervals, others a single start/end
+ */
+const daySessions = (day) =>
+  day?.intervals?.length
+    ? day.intervals
+    : [{ start: day?.start || "08:00", end: day?.end || "18:00" }];
+
+/**
+ * Whether sessions are missing times, zero-length or overlap each other
+ */
+const sessionsInvalid = (sessions) => {
+  const ranges = sessions.map(({ start, end }) => {
+    if (!start || !end) return null;
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    return [from, to <= from ? to + 24 * 60 : to];
+  });
+  if (ranges.some((r) => !r || r[0] === r[1] % (24 * 60))) return true;
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  return sorted.some((r, i) => i > 0 && r[0] < sorted[i - 1][1]);
+};
+
+const formatHolidayDate = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString("en-AU", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
+
 const StepSchedule = forwardRef(({ config, updateConfig, showErrors }, ref) => {
   const schedule = config.operating_hours?.schedule || {};
+  const holidayState = config.operating_hours?.holiday_state || "";
+  const closures = config.operating_hours?.closures || [];
+  const overrides = config.operating_hours?.date_overrides || [];
+  const [upcomingHolidays, setUpcomingHolidays] = useState([]);
+
   const hasOpenDay = Object.values(schedule).some((day) => day?.is_open);
   const scheduleError = !hasOpenDay
     ? "At least one day must be marked as open"
+    : DAYS.some(
+          (day) =>
+            schedule[day]?.is_open &&
+            sessionsInvalid(daySessions(schedule[day])),
+        )
+      ? "Each session needs different start and end times, and sessions can't overlap"
+      : null;
+  const overridesError = overrides.some(
+    (o) => !o.date || sessionsInvalid(o.intervals || []),
+  )
+    ? "Every special day needs a date, and its sessions can't overlap"
+    : null;
+  const closuresError = closures.some(
+    (c) => !c.date || (c.end_date && c.end_date < c.date),
+  )
+    ? "Every closure needs a start date, and its end date can't be before it"
     : null;
 
   useImperativeHandle(ref, () => ({
-    validate: () => hasOpenDay,
+    validate: () => !scheduleError && !closuresError && !overridesError,
   }));
 
+  // Built-in holidays for the chosen state over the next 12 months
+  useEffect(() => {
+    const today = new Date().toISOString().slice(0, 10);
+    const year = Number(today.slice(0, 4));
+    const params = { ...(holidayState && { state: holidayState }) };
+    Promise.all(
+      [year, year + 1].map((y) =>
+        axios.get("/api/holidays", { params: { ...params, year: y } }),
+      ),
+    )
+      .then((responses) =>
+        setUpcomingHolidays(
+          responses
+            .flatMap((r) => r.data.holidays)
+            .filter((h) => h.date >= today)
+            .slice(0, 8),
+        ),
+      )
+      .catch(() => setUpcomingHolidays([]));
+  }, [holidayState]);
+
+  const updateOperatingHours = (updates) =>
+    updateConfig({
+      operating_hours: { ...config.operating_hours, ...updates },
+    });
+
+  const updateClosure = (index, field, value) =>
+    updateOperatingHours({
+      closures: closures.map((c, i) =>
+        i === index ? { ...c, [field]: value } : c,
+      ),
+    });
+
   const updateDay = (day, field, value) => {
     const updatedSchedule = {
       ...schedule,
@@ -31,6 +133,34 @@ const StepSchedule = forwardRef(({ config, updateConfig, showErrors }, ref) => {
     });
   };
 
+  // One session is stored as start/end, several as intervals with start/end
+  // spanning the whole day
+  const updateSessions = (day, sessions) => {
+    const { intervals, ...rest } = schedule[day] || {};
+    const updated = {
+      ...rest,
+      start: sessions[0].start,
+      end: sessions[sessions.length - 1].end,
+      ...(sessions.length > 1 && { intervals: sessions }),
+    };
+    updateOperatingHours({ schedule: { ...schedule, [day]: updated } });
+  };
+
+  const updateSession = (day, index, field, value) =>
+    updateSessions(
+      day,
+      daySessions(schedule[day]).map((s, i) =>
+        i === index ? { ...s, [field]: value } : s,
+      ),
+    );
+
+  const updateOverride = (index, updates) =>
+    updateOperatingHours({
+      date_overrides: overrides.map((o, i) =>
+        i === index ? { ...o, ...updates } : o,
+      ),
+    });
+
   const applyWeekdaySchedule = () => {
     const mondaySchedule = schedule.monday || {
       start: "08:00",
@@ -64,52 +194,101 @@ const StepSchedule = forwardRef(({ config, updateConfig, showErrors }, ref) => {
         }`}
       >
         {/* Header */}
-        <div className="grid grid-cols-[1fr_100px_30px_100px_60px] gap-2 pb-3 border-b border-slate-200 text-sm font-medium text-slate-500">
+        <div className="grid grid-cols-[1fr_280px_60px] gap-2 pb-3 border-b border-slate-200 text-sm font-medium text-slate-500">
           <span>Day</span>
-          <span>Opens</span>
-          <span></span>
-          <span>Closes</span>
+          <span>Hours</span>
           <span className="text-center">Open?</span>
         </div>
 
         {/* Days */}
-        {DAYS.map((day) => (
-          <div
-            key={day}
-            className="grid grid-cols-[1fr_100px_30px_100px_60px] gap-2 py-3 border-b border-slate-100 last:border-0 items-center"
-          >
-            <span className="font-medium text-charcoal capitalize">{day}</span>
-            <input
-              type="time"
-              value={schedule[day]?.start || "08:00"}
-              onChange={(e) => updateDay(day, "start", e.target.value)}
-              disabled={!schedule[day]?.is_open}
-              className="px-2 py-1.5 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-charcoal disabled:opacity-50 disabled:bg-slate-100"
-            />
-            <span className="text-center text-slate-400 text-sm">to</span>
-            <input
-              type="time"
-              value={schedule[day]?.end || "18:00"}
-              onChange={(e) => updateDay(day, "end", e.target.value)}
-              disabled={!schedule[day]?.is_open}
-              className="px-2 py-1.5 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-charcoal disabled:opacity-50 disabled:bg-slate-100"
-            />
-            <div className="flex justify-center">
-              <input
-                type="checkbox"
-                checked={schedule[day]?.is_open || false}
-                onChange={(e) => updateDay(day, "is_open", e.target.checked)}
-                className="w-5 h-5 rounded border-slate-300 text-charcoal focus:ring-charcoal"
-              />
+        {DAYS.map((day) => {
+          const isOpen = schedule[day]?.is_open || false;
+          const sessions = daySessions(schedule[day]);
+          return (
+            <div
+              key={day}
+              className="grid grid-cols-[1fr_280px_60px] gap-2 py-3 border-b border-slate-100 last:border-0 items-start"
+            >
+              <span className="font-medium text-charcoal capitalize pt-1.5">
+                {day}
+              </span>
+              <div className="space-y-1">
+                {sessions.map((session, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <input
+                      type="time"
+                      value={session.start}
+                      onChange={(e) =>
+                        updateSession(day, index, "start", e.target.value)
+                      }
+                      disabled={!isOpen}
+                      className="w-24 px-2 py-1.5 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-charcoal disabled:opacity-50 disabled:bg-slate-100"
+                    />
+                    <span className="text-slate-400 text-sm">to</span>
+                    <input
+                      type="time"
+                      value={session.end}
+                      onChange={(e) =>
+                        updateSession(day, index, "end", e.target.value)
+                      }
+                      disabled={!isOpen}
+                      className="w-24 px-2 py-1.5 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-charcoal disabled:opacity-50 disabled:bg-slate-100"
+                    />
+                    {isOpen && isOvernight(session) && (
+                      <span className="text-xs text-slate-500">next day</span>
+                    )}
+                    {isOpen && sessions.length > 1 && (
+                      <button
+                        onClick={() =>
+                          updateSessions(
+                            day,
+                            sessions.filter((_, i) => i !== index),
+                          )
+                        }
+                        className="text-slate-400 hover:text-red-500"
+                        title="Remove session"
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {isOpen && (
+                  <button
+                    onClick={() =>
+                      updateSessions(day, [
+                        ...sessions,
+                        { start: sessions[sessions.length - 1].end, end: "" },
+                      ])
+                    }
+                    className="text-xs text-slate-500 hover:text-charcoal"
+                  >
+                    + Add session
+                  </button>
+                )}
+              </div>
+              <div className="flex justify-center pt-1.5">
+                <input
+                  type="checkbox"
+                  checked={isOpen}
+                  onChange={(e) => updateDay(day, "is_open", e.target.checked)}
+                  className="w-5 h-5 rounded border-slate-300 text-charcoal focus:ring-charcoal"
+                />
+              </div>
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
 
       {showErrors && scheduleError && (
         <p className="field-error">{scheduleError}</p>
       )}
 
+      <p className="text-sm text-slate-500 -mt-3">
+        Add a second session for a lunch break or a late clinic. A session that
+        ends before it starts runs past midnight.
+      </p>
+
       <button
         className="btn btn-secondary btn-small"
         onClick={applyWeekdaySchedule}
@@ -117,6 +296,149 @@ const StepSchedule = forwardRef(({ config, updateConfig, showErrors }, ref) => {
         Apply Monday hours to all weekdays
       </button>
 
+      <div>
+        <label className="label">Special Days</label>
+        <p className="text-sm text-slate-500 mb-2">
+          Different hours on a particular date, like a staff training afternoon.
+          Remove every session to close for the day.
+        </p>
+        <div
+          className={`space-y-3 ${
+            showErrors && overridesError ? "ring-2 ring-red-300 rounded-xl" : ""
+          }`}
+        >
+          {overrides.map((override, index) => {
+            const sessions = override.intervals || [];
+            return (
+              <div
+                key={index}
+                className="grid grid-cols-[150px_1fr_30px] gap-2 items-start"
+              >
+                <input
+                  type="date"
+                  value={override.date || ""}
+                  onChange={(e) =>
+                    updateOverride(index, { date: e.target.value })
+                  }
+                  className="input"
+                />
+                <div className="space-y-1">
+                  <input
+                    type="text"
+                    value={override.reason || ""}
+                    onChange={(e) =>
+                      updateOverride(index, { reason: e.target.value })
+                    }
+                    placeholder="e.g. Staff training"
+                    className="input"
+                  />
+                  {sessions.length === 0 && (
+                    <p className="text-sm text-slate-500">Closed all day</p>
+                  )}
+                  {sessions.map((session, sessionIndex) => (
+                    <div key={sessionIndex} className="flex items-center gap-2">
+                      <input
+                        type="time"
+                        value={session.start}
+                        onChange={(e) =>
+                          updateOverride(index, {
+                            intervals: sessions.map((s, i) =>
+                              i === sessionIndex
+                                ? { ...s, start: e.target.value }
+                                : s,
+                            ),
+                          })
+                        }
+                        className="w-24 px-2 py-1.5 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-charcoal"
+                      />
+                      <span className="text-slate-400 text-sm">to</span>
+                      <input
+                        type="time"
+                        value={session.end}
+                        onChange={(e) =>
+                          updateOverride(index, {
+                            intervals: sessions.map((s, i) =>
+                              i === sessionIndex
+                                ? { ...s, end: e.target.value }
+                                : s,
+                            ),
+                          })
+                        }
+                        className="w-24 px-2 py-1.5 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-charcoal"
+                      />
+                      {isOvernight(session) && (
+                        <span className="text-xs text-slate-500">next day</span>
+                      )}
+                      <button
+                        onClick={() =>
+                          updateOverride(index, {
+                            intervals: sessions.filter(
+                              (_, i) => i !== sessionIndex,
+                            ),
+                          })
+                        }
+                        className="text-slate-400 hover:text-red-500"
+                        title="Remove session"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={() =>
+                      updateOverride(index, {
+                        intervals: [
+                          ...sessions,
+                          {
+                            start:
+                              sessions[sessions.length - 1]?.end || "08:00",
+                            end: "",
+                          },
+                        ],
+                      })
+                    }
+                    className="text-xs text-slate-500 hover:text-charcoal"
+                  >
+                    + Add session
+                  </button>
+                </div>
+                <button
+                  onClick={() =>
+                    updateOperatingHours({
+                      date_overrides: overrides.filter((_, i) => i !== index),
+                    })
+                  }
+                  className="text-slate-400 hover:text-red-500 pt-2"
+                  title="Remove special day"
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        {showErrors && overridesError && (
+          <p className="field-error">{overridesError}</p>
+        )}
+        <button
+          className="btn btn-secondary btn-small mt-2"
+          onClick={() =>
+            updateOperatingHours({
+              date_overrides: [
+                ...overrides,
+                {
+                  date: "",
+                  reason: "",
+                  intervals: [{ start: "08:00", end: "12:00" }],
+                },
+              ],
+            })
+          }
+        >
+          + Add special day
+        </button>
+      </div>
+
       <div>
         <label className="label">Public Holidays</label>
         <select
@@ -146,6 +468,104 @@ const StepSchedule = forwardRef(({ config, updateConfig, showErrors }, ref) => {
         </p>
       </div>
 
+      <div>
+        <label className="label">State or Territory</label>
+        <select
+          value={holidayState}
+          onChange={(e) =>
+            updateOperatingHours({ holiday_state: e.target.value || null })
+          }
+          className="input"
+        >
+          <option value="">National holidays only</option>
+          {HOLIDAY_STATES.map((state) => (
+            <option key={state} value={state}>
+              {state}
+            </option>
+          ))}
+        </select>
+        {upcomingHolidays.length > 0 && (
+          <div className="mt-2 flex flex-wrap gap-2">
+            {upcomingHolidays.map((holiday) => (
+              <span
+                key={`${holiday.date}-${holiday.name}`}
+                className="px-2 py-1 bg-slate-100 rounded-full text-xs text-slate-600"
+              >
+                {formatHolidayDate(holiday.date)} · {holiday.name}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className="label">Clinic Closures</label>
+        <p className="text-sm text-slate-500 mb-2">
+          Extra days the clinic is shut, like a Christmas break. Heidi treats
+          them as after hours.
+        </p>
+        <div
+          className={`space-y-2 ${
+            showErrors && closuresError ? "ring-2 ring-red-300 rounded-xl" : ""
+          }`}
+        >
+          {closures.map((closure, index) => (
+            <div
+              key={index}
+              className="grid grid-cols-[1fr_150px_150px_30px] gap-2 items-center"
+            >
+              <input
+                type="text"
+                value={closure.name || ""}
+                onChange={(e) => updateClosure(index, "name", e.target.value)}
+                placeholder="e.g. Christmas break"
+                className="input"
+              />
+              <input
+                type="date"
+                value={closure.date || ""}
+                onChange={(e) => updateClosure(index, "date", e.target.value)}
+                className="input"
+              />
+              <input
+                type="date"
+                value={closure.end_date || ""}
+                min={closure.date || undefined}
+                onChange={(e) =>
+                  updateClosure(index, "end_date", e.target.value || undefined)
+                }
+                title="Last day closed (leave empty for a single day)"
+                className="input"
+              />
+              <button
+                onClick={() =>
+                  updateOperatingHours({
+                    closures: closures.filter((_, i) => i !== index),
+                  })
+                }
+                className="text-slate-400 hover:text-red-500"
+                title="Remove closure"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+        {showErrors && closuresError && (
+          <p className="field-error">{closuresError}</p>
+        )}
+        <button
+          className="btn btn-secondary btn-small mt-2"
+          onClick={() =>
+            updateOperatingHours({
+              closures: [...closures, { name: "", date: "" }],
+            })
+          }
+        >
+          + Add closure
+        </button>
+      </div>
+
       <div className="bg-sunlight/30 border border-sunlight rounded-xl p-4">
         <p className="font-medium text-charcoal">⏰ What this means</p>
         <ul className="mt-2 space-y-1 text-sm text-slate-600">
@@ -0,0 +1,199 @@
+import React, {
+  forwardRef,
+  useEffect,
+  useImperativeHandle,
+  useState,
+} from "react";
+import axios from "axios";
+
+const GROUPS = [
+  { id: "greeting", name: "Greetings" },
+  { id: "inbound", name: "Inbound calls" },
+  { id: "handover", name: "Handovers" },
+  { id: "voicemail", name: "Voicemail" },
+  { id: "emergency", name: "Emergencies" },
+  { id: "followup", name: "Follow-up calls" },
+];
+
+// Stand-ins for the preview - on a call these come from the call itself
+const SAMPLE_VALUES = {
+  patient_first_name: "Jo",
+  followup_date: "Friday 23 October",
+  closed_reason: "currently closed",
+  holiday: "Christmas Day",
+  voicemail_prompt: "Please leave your message after the tone.",
+  request: "book an appointment",
+  handover: "Let me connect you with our team to help further.",
+  line: "000",
+  name: "Dr. Sarah Smith",
+  call_purpose: "your new medication",
+  fields: "full name and date of birth",
+  question: "Have you been taking it every day?",
+  expectation: "A member of our team will be in touch by Friday 23 October.",
+};
+
+const PLACEHOLDER_PATTERN = /(,?\s*)\{\{\s*(\w+)\s*\}\}/g;
+
+// Same as the server's fillTemplate: a placeholder without a value is left
+// out with the comma or space before it
+const fillTemplate = (template, values) =>
+  template
+    .replace(PLACEHOLDER_PATTERN, (_, before, name) =>
+      values[name] ? `${before}${values[name]}` : "",
+    )
+    .trim();
+
+const unknownPlaceholders = (text, allowed) =>
+  [...(text || "").matchAll(PLACEHOLDER_PATTERN)]
+    .map((match) => match[2])
+    .filter((name) => !allowed.includes(name));
+
+const StepScripts = forwardRef(({ config, updateConfig, showErrors }, ref) => {
+  const [catalogue, setCatalogue] = useState([]);
+  const [group, setGroup] = useState("greeting");
+  const library = config.script_library || {};
+  const scripts = library.scripts || {};
+  const persona = config.agent_persona || {};
+
+  const placeholderErrors = catalogue
+    .filter((s) => unknownPlaceholders(scripts[s.key], s.placeholders).length)
+    .map((s) => s.label);
+  const scriptsError = placeholderErrors.length
+    ? `Some scripts use placeholders they can't fill: ${placeholderErrors.join(", ")}`
+    : null;
+
+  useImperativeHandle(ref, () => ({ validate: () => !scriptsError }));
+
+  // Built-in lines in the clinic's language
+  useEffect(() => {
+    axios
+      .get("/api/scripts", { params: { language: persona.language } })
+      .then((response) => setCatalogue(response.data.scripts))
+      .catch(() => setCatalogue([]));
+  }, [persona.language]);
+
+  const updateLibrary = (updates) =>
+    updateConfig({ script_library: { ...library, ...updates } });
+
+  const updateScript = (key, text) => {
+    const { [key]: _, ...others } = scripts;
+    updateLibrary({ scripts: text ? { ...others, [key]: text } : others });
+  };
+
+  const defaultFor = (entry) =>
+    (entry.key === "handover" && persona.handover_behavior?.phrase) ||
+    entry.default;
+
+  const previewValues = {
+    ...SAMPLE_VALUES,
+    clinic_name: config.clinic_name || "Northside Medical",
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold tracking-tighter text-charcoal">
+          Scripts
+        </h2>
+        <p className="mt-2 text-slate-600">
+          The lines Heidi says word for word when the AI can't answer. Rewrite
+          any of them in your clinic's own words - leave one empty to keep the
+          built-in line.
+        </p>
+      </div>
+
+      <div>
+        <label className="label">Script Mode</label>
+        <select
+          value={library.mode || "fallback"}
+          onChange={(e) => updateLibrary({ mode: e.target.value })}
+          className="input"
+        >
+          <option value="fallback">
+            Use scripts when the AI can't answer (recommended)
+          </option>
+          <option value="strict">Always speak scripts word for word</option>
+        </select>
+        <p className="text-sm text-slate-500 mt-1">
+          In strict mode the AI only writes lines with no script, such as
+          offering appointment times.
+        </p>
+      </div>
+
+      <div>
+        <label className="label">Show</label>
+        <select
+          value={group}
+          onChange={(e) => setGroup(e.target.value)}
+          className="input"
+        >
+          {GROUPS.map((g) => (
+            <option key={g.id} value={g.id}>
+              {g.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="space-y-4">
+        {catalogue
+          .filter((entry) => entry.group === group)
+          .map((entry) => {
+            const text = scripts[entry.key] || "";
+            const unknown = unknownPlaceholders(text, entry.placeholders);
+            return (
+              <div
+                key={entry.key}
+                className="bg-slate-50 rounded-xl p-5 border border-slate-200"
+              >
+                <div className="flex justify-between items-center mb-2">
+                  <label className="label mb-0">{entry.label}</label>
+                  {text && (
+                    <button
+                      onClick={() => updateScript(entry.key, "")}
+                      className="text-sm text-red-500 hover:text-red-700 font-medium"
+                    >
+                      Reset
+                    </button>
+                  )}
+                </div>
+                <textarea
+                  value={text}
+                  onChange={(e) => updateScript(entry.key, e.target.value)}
+                  placeholder={defaultFor(entry)}
+                  rows={3}
+                  className="input"
+                />
+                <p className="text-xs text-slate-500 mt-1">
+                  Placeholders:{" "}
+                  {entry.placeholders.map((p) => `{{${p}}}`).join(", ")}
+                </p>
+                {showErrors && unknown.length > 0 && (
+                  <p className="field-error">
+                    {unknown.map((p) => `{{${p}}}`).join(", ")} can't be used
+                    here
+                  </p>
+                )}
+                <p className="text-sm text-charcoal italic mt-2">
+                  "{fillTemplate(text || defaultFor(entry), previewValues)}"
+                </p>
+              </div>
+            );
+          })}
+      </div>
+
+      {showErrors && scriptsError && (
+        <p className="field-error">{scriptsError}</p>
+      )}
+
+      <div className="bg-slate-50 rounded-xl p-4 border border-slate-200">
+        <p className="text-sm text-slate-500">
+          Scripts are spoken in your clinic's language. Callers Heidi answers in
+          another language hear her built-in lines in theirs.
+        </p>
+      </div>
+    </div>
+  );
+});
+
+export default StepScripts;
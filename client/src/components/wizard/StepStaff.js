@@ -1,7 +1,23 @@
 import React, { forwardRef, useImperativeHandle } from "react";
 
+const DAYS = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+];
+
+const SESSION_LENGTHS = [10, 15, 20, 30, 45, 60];
+
 const StepStaff = forwardRef(({ config, updateConfig, showErrors }, ref) => {
   const staff = config.staff_directory || [];
+  const schedule = config.operating_hours?.schedule || {};
+  const openDays = DAYS.filter((day) => schedule[day]?.is_open);
+  const defaultSessionMinutes =
+    config.defaults?.appointment_duration_minutes || 15;
   const noStaffError =
     staff.length === 0 ? "At least one practitioner must be added" : null;
   const staffNameErrors = staff.map((member) =>
@@ -21,6 +37,11 @@ const StepStaff = forwardRef(({ config, updateConfig, showErrors }, ref) => {
         requires_manual_approval: false,
         specializations: [],
       },
+      availability: {
+        working_days: [],
+        session_minutes: null,
+        blocked_times: [],
+      },
     };
     updateConfig({ staff_directory: [...staff, newStaff] });
   };
@@ -40,6 +61,27 @@ const StepStaff = forwardRef(({ config, updateConfig, showErrors }, ref) => {
     updateConfig({ staff_directory: updated });
   };
 
+  const updateAvailability = (index, availabilityUpdates) => {
+    const updated = [...staff];
+    updated[index] = {
+      ...updated[index],
+      availability: {
+        ...updated[index].availability,
+        ...availabilityUpdates,
+      },
+    };
+    updateConfig({ staff_directory: updated });
+  };
+
+  const toggleWorkingDay = (index, day) => {
+    const workingDays = staff[index].availability?.working_days || [];
+    updateAvailability(index, {
+      working_days: workingDays.includes(day)
+        ? workingDays.filter((d) => d !== day)
+        : DAYS.filter((d) => d === day || workingDays.includes(d)),
+    });
+  };
+
   const removeStaffMember = (index) => {
     updateConfig({ staff_directory: staff.filter((_, i) => i !== index) });
   };
@@ -164,6 +206,54 @@ const StepStaff = forwardRef(({ config, updateConfig, showErrors }, ref) => {
               </div>
             </div>
 
+            <div className="mt-4">
+              <label className="label">Availability</label>
+              <div className="flex flex-wrap gap-2">
+                {openDays.map((day) => {
+                  const isWorking =
+                    member.availability?.working_days?.includes(day);
+                  return (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => toggleWorkingDay(index, day)}
+                      className={`px-3 py-1.5 rounded-lg text-sm font-medium capitalize border transition-colors ${
+                        isWorking
+                          ? "bg-charcoal text-white border-charcoal"
+                          : "bg-white text-slate-600 border-slate-300 hover:border-slate-400"
+                      }`}
+                    >
+                      {day.slice(0, 3)}
+                    </button>
+                  );
+                })}
+              </div>
+              <p className="text-xs text-slate-500 mt-1">
+                Days this practitioner consults. Leave all unselected to use
+                every day the clinic is open.
+              </p>
+              <div className="mt-3 max-w-xs">
+                <select
+                  value={member.availability?.session_minutes || ""}
+                  onChange={(e) =>
+                    updateAvailability(index, {
+                      session_minutes: Number(e.target.value) || null,
+                    })
+                  }
+                  className="input"
+                >
+                  <option value="">
+                    Clinic default ({defaultSessionMinutes} min appointments)
+                  </option>
+                  {SESSION_LENGTHS.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      {minutes} min appointments
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
             <div className="mt-4">
               <label className="label">Specializations (optional)</label>
               <input
@@ -181,7 +271,9 @@ const StepStaff = forwardRef(({ config, updateConfig, showErrors }, ref) => {
                 className="input"
               />
               <p className="text-xs text-slate-500 mt-1">
-                Separate with semicolons
+                Separate with commas. Callers who ask for one of these, or use
+                an everyday word for it ("skin check" for Dermatology), are
+                offered this practitioner.
               </p>
             </div>
           </div>
@@ -205,7 +297,7 @@ const StepStaff = forwardRef(({ config, updateConfig, showErrors }, ref) => {
         Add Practitioner
       </button>
 
-      {/* <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-4 border-t border-slate-200">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pt-4 border-t border-slate-200">
         <div>
           <label className="label">Unknown Clinician Requests</label>
           <select
@@ -227,6 +319,10 @@ const StepStaff = forwardRef(({ config, updateConfig, showErrors }, ref) => {
             <option value="take_message">Take a message</option>
             <option value="escalate">Transfer to reception</option>
           </select>
+          <p className="text-xs text-slate-500 mt-1">
+            When a caller asks for a doctor who isn't listed above. Transfers
+            become messages after hours.
+          </p>
         </div>
 
         <div>
@@ -247,8 +343,12 @@ const StepStaff = forwardRef(({ config, updateConfig, showErrors }, ref) => {
             <option value="requires_approval">Requires approval</option>
             <option value="take_message">Take message only</option>
           </select>
+          <p className="text-xs text-slate-500 mt-1">
+            For callers who aren't in your patient records. Needs a patient list
+            imported - without one, everyone books as usual.
+          </p>
         </div>
-      </div> */}
+      </div>
     </div>
   );
 });
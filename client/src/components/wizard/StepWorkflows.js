@@ -33,12 +33,57 @@ const AVAILABLE_ACTIONS = [
   },
 ];
 
+const AMBIGUOUS_REQUEST_OPTIONS = [
+  {
+    value: "clarify_then_escalate",
+    label: "Transfer to staff (callback after hours)",
+  },
+  { value: "clarify_then_message", label: "Take a message" },
+  { value: "clarify_then_callback", label: "End the call for a callback" },
+];
+
+// States where Heidi re-asks an unclear answer
+const CLARIFYING_STATES = [
+  { id: "identify", label: "Name & date of birth" },
+  { id: "triage", label: "Reason for calling" },
+];
+
+const REPHRASE_OPTIONS = [
+  { value: "give_example", label: "Give an example" },
+  { value: "offer_options", label: "List the options" },
+  { value: "simplify", label: "Simplify" },
+  { value: "rephrase", label: "Reword" },
+];
+
+const FALLBACK_OPTIONS = [
+  { value: "transfer", label: "Transfer" },
+  { value: "message", label: "Take a message" },
+  { value: "callback", label: "Callback" },
+];
+
 const StepWorkflows = forwardRef(
   ({ config, updateConfig, showErrors }, ref) => {
     const [newKeyword, setNewKeyword] = useState("");
     const workflows = config.workflow_rules || {};
     const classification = config.call_classification || {};
     const aiScope = config.ai_scope || {};
+    const clarification = classification.clarification_policy || {};
+    const callbackWindows = {
+      window_minutes: 60,
+      start_after_minutes: 30,
+      staff_count: 1,
+      calls_per_staff_hour: 6,
+      ...workflows.callback_windows,
+    };
+    const windowCapacity = Math.max(
+      1,
+      Math.floor(
+        (callbackWindows.staff_count *
+          callbackWindows.calls_per_staff_hour *
+          callbackWindows.window_minutes) /
+          60,
+      ),
+    );
 
     const actionsError =
       !aiScope.allowed_actions || aiScope.allowed_actions.length === 0
@@ -49,11 +94,27 @@ const StepWorkflows = forwardRef(
 
     const updateWorkflows = (updates) =>
       updateConfig({ workflow_rules: { ...workflows, ...updates } });
+    const updateCallbackWindows = (updates) =>
+      updateWorkflows({
+        callback_windows: { ...callbackWindows, ...updates },
+      });
     const updateClassification = (updates) =>
       updateConfig({ call_classification: { ...classification, ...updates } });
     const updateAIScope = (updates) =>
       updateConfig({ ai_scope: { ...aiScope, ...updates } });
 
+    // Per-state overrides - an empty value drops back to the clinic-wide setting
+    const updateClarification = (state, key, value) => {
+      const { [key]: _removed, ...rest } = clarification[state] || {};
+      const policy = value === "" ? rest : { ...rest, [key]: value };
+      const { [state]: _old, ...others } = clarification;
+      updateClassification({
+        clarification_policy: Object.keys(policy).length
+          ? { ...others, [state]: policy }
+          : others,
+      });
+    };
+
     const toggleAction = (action) => {
       const current = aiScope.allowed_actions || [];
       updateAIScope({
@@ -255,6 +316,87 @@ const StepWorkflows = forwardRef(
           </div>
         </div>
 
+        <div className="pt-4 border-t border-slate-200">
+          <h3 className="text-lg font-semibold text-charcoal mb-2">
+            ☎️ Callback Windows
+          </h3>
+          <p className="text-sm text-slate-500 mb-4">
+            When Heidi promises a callback, it gives the caller the next window
+            your team has room in, skipping closed days and public holidays.
+          </p>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Window Length</label>
+              <select
+                value={callbackWindows.window_minutes}
+                onChange={(e) =>
+                  updateCallbackWindows({
+                    window_minutes: parseInt(e.target.value),
+                  })
+                }
+                className="input"
+              >
+                <option value="30">30 minutes</option>
+                <option value="60">1 hour (recommended)</option>
+                <option value="120">2 hours</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">First Callbacks</label>
+              <select
+                value={callbackWindows.start_after_minutes}
+                onChange={(e) =>
+                  updateCallbackWindows({
+                    start_after_minutes: parseInt(e.target.value),
+                  })
+                }
+                className="input"
+              >
+                <option value="0">As soon as we open</option>
+                <option value="15">15 minutes after opening</option>
+                <option value="30">30 minutes after opening</option>
+                <option value="60">1 hour after opening</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">Staff Returning Calls</label>
+              <input
+                type="number"
+                min="1"
+                value={callbackWindows.staff_count}
+                onChange={(e) =>
+                  updateCallbackWindows({
+                    staff_count: Math.max(1, parseInt(e.target.value) || 1),
+                  })
+                }
+                className="input"
+              />
+            </div>
+            <div>
+              <label className="label">Calls per Staff Member per Hour</label>
+              <input
+                type="number"
+                min="1"
+                value={callbackWindows.calls_per_staff_hour}
+                onChange={(e) =>
+                  updateCallbackWindows({
+                    calls_per_staff_hour: Math.max(
+                      1,
+                      parseInt(e.target.value) || 1,
+                    ),
+                  })
+                }
+                className="input"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-slate-500 mt-2">
+            Each window holds up to {windowCapacity} callback
+            {windowCapacity === 1 ? "" : "s"}; once it's full, callers are given
+            the next one.
+          </p>
+        </div>
+
         <div className="pt-4 border-t border-slate-200">
           <h3 className="text-lg font-semibold text-charcoal mb-2">
             🚨 Escalation Triggers
@@ -330,6 +472,133 @@ const StepWorkflows = forwardRef(
               staff.
             </p>
           </div>
+
+          <div>
+            <label className="label">When Heidi Still Can't Understand</label>
+            <select
+              value={
+                config.defaults?.ambiguous_request || "clarify_then_escalate"
+              }
+              onChange={(e) =>
+                updateConfig({
+                  defaults: {
+                    ...config.defaults,
+                    ambiguous_request: e.target.value,
+                  },
+                })
+              }
+              className="input w-72"
+            >
+              {AMBIGUOUS_REQUEST_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="label">Clarification by Question</label>
+            <div className="space-y-2">
+              {CLARIFYING_STATES.map((state) => {
+                const policy = clarification[state.id] || {};
+                const rephrase = [].concat(policy.rephrase || [])[0] || "";
+                return (
+                  <div
+                    key={state.id}
+                    className="grid grid-cols-1 md:grid-cols-4 gap-2 items-center"
+                  >
+                    <span className="text-sm text-charcoal">{state.label}</span>
+                    <select
+                      value={policy.max_attempts ?? ""}
+                      onChange={(e) =>
+                        updateClarification(
+                          state.id,
+                          "max_attempts",
+                          e.target.value === "" ? "" : parseInt(e.target.value),
+                        )
+                      }
+                      className="input"
+                    >
+                      <option value="">Default attempts</option>
+                      <option value="1">1 re-ask</option>
+                      <option value="2">2 re-asks</option>
+                      <option value="3">3 re-asks</option>
+                    </select>
+                    <select
+                      value={rephrase}
+                      onChange={(e) =>
+                        updateClarification(
+                          state.id,
+                          "rephrase",
+                          e.target.value && [e.target.value, "simplify"],
+                        )
+                      }
+                      className="input"
+                    >
+                      <option value="">Default wording</option>
+                      {REPHRASE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={policy.fallback || ""}
+                      onChange={(e) =>
+                        updateClarification(
+                          state.id,
+                          "fallback",
+                          e.target.value,
+                        )
+                      }
+                      className="input"
+                    >
+                      <option value="">Default fallback</option>
+                      {FALLBACK_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-xs text-slate-500 mt-1">
+              How Heidi re-asks each question it didn't understand - the first
+              re-ask uses the chosen wording, later ones simplify - and what it
+              does once the attempts run out.
+            </p>
+          </div>
+
+          <div>
+            <label className="label">Frustration Escalation</label>
+            <select
+              value={
+                classification.escalation_triggers?.sentiment_threshold ?? "off"
+              }
+              onChange={(e) =>
+                updateClassification({
+                  escalation_triggers: {
+                    ...classification.escalation_triggers,
+                    sentiment_threshold: e.target.value,
+                  },
+                })
+              }
+              className="input w-48"
+            >
+              <option value="mildly_negative">Mildly frustrated</option>
+              <option value="negative">Frustrated (recommended)</option>
+              <option value="very_negative">Very frustrated</option>
+              <option value="off">Never</option>
+            </select>
+            <p className="text-xs text-slate-500 mt-1">
+              Heidi tracks how the caller is feeling across the call. Once they
+              reach this level, it hands them to staff, or takes a message after
+              hours.
+            </p>
+          </div>
         </div>
       </div>
     );
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Run conversation scenarios against a clinic config and report pass/fail
+ *
+ * Usage:
+ *   npm run scenarios                          # every scenario, default config
+ *   npm run scenarios -- --clinic clinic_1234  # against a saved clinic
+ *   npm run scenarios -- --config ./my.json    # against a config file
+ *   npm run scenarios -- emergency_chest_pain  # only the named scenarios
+ *   npm run scenarios -- --verbose             # keep the simulator's logs
+ *
+ * Exits with status 1 when any scenario fails.
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const {
+  ScenarioRunner,
+  loadScenarios,
+} = require("../src/services/scenarioRunner");
+const { getStore } = require("../src/storage");
+const { ClinicRepository } = require("../src/storage/clinicRepository");
+
+function parseArgs(argv) {
+  const args = { ids: [], verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--clinic") args.clinicId = argv[++i];
+    else if (arg === "--config") args.configPath = argv[++i];
+    else if (arg === "--dir") args.dir = argv[++i];
+    else if (arg === "--verbose") args.verbose = true;
+    else args.ids.push(arg);
+  }
+  return args;
+}
+
+async function loadClinicConfig({ clinicId, configPath }) {
+  if (configPath) return JSON.parse(fs.readFileSync(configPath, "utf8"));
+  if (!clinicId) return undefined;
+
+  const config = await new ClinicRepository(getStore()).get(clinicId);
+  if (!config) throw new Error(`Clinic ${clinicId} not found`);
+  return config;
+}
+
+const describe = (value) =>
+  typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const clinicConfig = await loadClinicConfig(args);
+  const scenarios = loadScenarios(args.dir).filter(
+    (s) => args.ids.length === 0 || args.ids.includes(s.id),
+  );
+
+  // The simulator logs every step; keep the report readable
+  const log = console.log;
+  if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  const report = await new ScenarioRunner({ clinicConfig }).runAll(scenarios);
+
+  for (const result of report.results) {
+    log(`${result.passed ? "✓" : "✗"} ${result.id} - ${result.name}`);
+    result.turns.forEach((turn, i) => {
+      for (const failure of turn.failures) {
+        log(
+          `    turn ${i + 1} ("${turn.say}"): expected ${failure.field} ${describe(failure.expected)}, got ${describe(failure.actual)}`,
+        );
+      }
+    });
+    if (result.error) log(`    ${result.error}`);
+  }
+  log(`\n${report.passed}/${report.total} scenarios passed`);
+
+  process.exit(report.failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
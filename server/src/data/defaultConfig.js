@@ -6,8 +6,10 @@
 const defaultClinicConfig = {
   clinic_id: null, // Generated on creation
   clinic_name: "",
+  timezone: "Australia/Sydney", // IANA zone - business hours and timestamps follow the clinic clock
 
   operating_hours: {
+    // A day can list split sessions instead: intervals: [{ start, end }, ...]
     schedule: {
       monday: { start: "08:00", end: "18:00", is_open: true },
       tuesday: { start: "08:00", end: "18:00", is_open: true },
@@ -18,6 +20,9 @@ const defaultClinicConfig = {
       sunday: { start: "00:00", end: "00:00", is_open: false },
     },
     public_holiday_mode: "after_hours_logic",
+    holiday_state: null, // NSW, VIC, QLD, WA, SA, TAS, ACT or NT - national holidays only when null
+    closures: [], // [{ date, end_date?, name }] clinic-specific closed days
+    date_overrides: [], // [{ date, intervals: [{ start, end }], reason }] one-off hours, no intervals = closed
   },
 
   staff_directory: [],
@@ -34,7 +39,10 @@ const defaultClinicConfig = {
         "bleeding heavily",
         "unconscious",
       ],
-      emergency_action: "hard_redirect_000",
+      emergency_action: "hard_redirect_000", // or transfer_emergency, escalate_staff - 000 advice is always given
+      after_hours_emergency_action: null, // defaults to emergency_action
+      emergency_transfer_line: "000", // where transfer_emergency connects the caller
+      on_call_contact: { name: "", phone: "" }, // paged by escalate_staff after hours
     },
     handover_behavior: {
       phrase: "Let me connect you with our team to help further.",
@@ -73,6 +81,8 @@ const defaultClinicConfig = {
       sentiment_threshold: "negative",
       max_resolution_attempts: 2,
     },
+    // Per-state re-ask overrides: { identify|triage: { max_attempts, rephrase, fallback } }
+    clarification_policy: {},
     followup_identifiers: [
       "follow-up",
       "check-in",
@@ -93,6 +103,27 @@ const defaultClinicConfig = {
       emergency_only_transfer: true,
       voicemail_transcription: true,
     },
+    // Windows reception returns calls in, and how many fit in each
+    callback_windows: {
+      window_minutes: 60,
+      start_after_minutes: 30,
+      staff_count: 1,
+      calls_per_staff_hour: 6,
+    },
+  },
+
+  // Clinic-specific additions to the inbound call state machine
+  call_flow: {
+    custom_states: [],
+    transitions: {},
+  },
+
+  // LLM backend for this clinic; null/empty values use the server's LLM_* env
+  ai_provider: {
+    provider: null, // "lmstudio" | "ollama" | "openai" | "mock"
+    base_url: null,
+    api_key_env: null, // Name of the env var holding the API key
+    models: {}, // { default, dialogue, extraction, analysis }
   },
 
   followup_templates: [
@@ -101,6 +132,12 @@ const defaultClinicConfig = {
       name: "Medication Follow-up",
       trigger_type: "outbound",
       applicable_to: ["blood_pressure", "diabetes", "cholesterol"],
+      purpose:
+        "how you're going with your new {{condition}} medication, {{medication}}",
+      variables: {
+        medication: "Zestril",
+        condition: "blood pressure",
+      },
       steps: [
         {
           step: 1,
@@ -112,15 +149,20 @@ const defaultClinicConfig = {
           step: 2,
           action: "ask_question",
           question:
-            "Have you experienced any side effects since starting the medication?",
+            "Have you experienced any side effects since starting the {{medication}}?",
           response_type: "yes_no_detail",
+          topic: "side_effects",
           flag_if: "yes",
+          flag: "side_effects_reported",
         },
         {
           step: 3,
           action: "ask_question",
-          question: "Have you been taking your medication as prescribed?",
+          question: "Have you been taking your {{medication}} as prescribed?",
           response_type: "adherence_check",
+          topic: "adherence",
+          flag_if: "no",
+          flag: "adherence_issue",
           followup_if_no: "Can you tell me more about what's been happening?",
         },
         {
@@ -141,14 +183,70 @@ const defaultClinicConfig = {
         },
       ],
     },
+    {
+      id: "post_op_followup",
+      name: "Post-procedure Follow-up",
+      trigger_type: "outbound",
+      applicable_to: ["post_operative"],
+      purpose: "how your recovery is going after your {{procedure}}",
+      variables: {
+        procedure: "procedure",
+      },
+      steps: [
+        {
+          step: 1,
+          action: "verify_identity",
+          prompts: ["name", "date_of_birth"],
+          on_failure: "end_call_politely",
+        },
+        {
+          step: 2,
+          action: "ask_question",
+          question:
+            "Have you noticed any increased pain, swelling, redness or fever since your {{procedure}}?",
+          response_type: "yes_no_detail",
+          topic: "wound",
+          flag_if: "yes",
+          flag: "wound_concern_reported",
+        },
+        {
+          step: 3,
+          action: "ask_question",
+          question:
+            "Is your pain well managed with the medication you were given?",
+          response_type: "yes_no",
+          topic: "pain",
+          flag_if: "no",
+          flag: "pain_not_controlled",
+        },
+        {
+          step: 4,
+          action: "close_and_flag",
+          flag_for_review: true,
+          set_expectation: {
+            message:
+              "Thanks for letting me know how you're going. Your care team will check in again by {{followup_date}}.",
+            default_days: 7,
+          },
+        },
+      ],
+    },
   ],
 
+  // Clinic rewrites of Heidi's scripted lines, by key (see GET /api/scripts)
+  script_library: {
+    mode: "fallback", // or strict - speak the scripts word for word instead of generating
+    scripts: {},
+  },
+
   defaults: {
     new_patient_booking: "requires_approval",
     unknown_clinician_request: "offer_next_available",
     ambiguous_request: "clarify_then_escalate",
     max_hold_time_seconds: 120,
     followup_days: 3,
+    appointment_duration_minutes: 15,
+    booking_horizon_days: 14,
   },
 };
 
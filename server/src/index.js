@@ -7,6 +7,8 @@ dotenv.config();
 
 const clinicRoutes = require("./routes/clinicRoutes");
 const simulationRoutes = require("./routes/simulationRoutes");
+const holidayRoutes = require("./routes/holidayRoutes");
+const scriptRoutes = require("./routes/scriptRoutes");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -18,6 +20,8 @@ app.use(express.json());
 // Routes
 app.use("/api/clinics", clinicRoutes);
 app.use("/api/simulate", simulationRoutes);
+app.use("/api/holidays", holidayRoutes);
+app.use("/api/scripts", scriptRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -0,0 +1,66 @@
+/**
+ * Mock Provider
+ *
+ * Deterministic, offline stand-in for an LLM. Replies come from a script of
+ * rules matched against the latest user message, so calls behave the same on
+ * every run without a model server. Every request is recorded in `calls` so
+ * tests can check what was asked.
+ *
+ * Script format (LLM_MOCK_SCRIPT points at a JSON file of this shape):
+ *
+ *   {
+ *     "rules": [
+ *       { "task": "extraction", "match": "Jo Bloggs",
+ *         "reply": { "name": "Jo Bloggs", "dob": "01/02/1980" } },
+ *       { "match": "book an appointment", "reply": "Sure, who would you like to see?" }
+ *     ],
+ *     "defaults": { "dialogue": "echo" }
+ *   }
+ *
+ * `match` is a case-insensitive regular expression and `task` is optional.
+ * Object replies are sent as JSON. A reply of "echo" repeats the user message
+ * back, which for dialogue is the instruction the call engine gave.
+ */
+
+const DEFAULT_REPLIES = {
+  dialogue: "echo",
+  extraction: "{}",
+  analysis: "{}",
+};
+
+class MockProvider {
+  /**
+   * @param {object} options
+   * @param {object} [options.script] - { rules, defaults } as described above
+   */
+  constructor({ script = {} } = {}) {
+    this.name = "mock";
+    this.rules = (script.rules || []).map((rule) => ({
+      ...rule,
+      pattern: new RegExp(rule.match || "", "i"),
+    }));
+    this.defaults = { ...DEFAULT_REPLIES, ...(script.defaults || {}) };
+    this.calls = [];
+  }
+
+  /**
+   * @param {Array} messages - Array of {role, content} message objects
+   * @param {object} options - { model, task }
+   * @returns {Promise<string>} The scripted reply
+   */
+  async chat(messages, { model, task = "dialogue" }) {
+    const userMessage =
+      messages.filter((m) => m.role === "user").slice(-1)[0]?.content || "";
+    this.calls.push({ task, model, messages });
+
+    const rule = this.rules.find(
+      (r) => (!r.task || r.task === task) && r.pattern.test(userMessage),
+    );
+    const reply = rule ? rule.reply : (this.defaults[task] ?? "");
+
+    if (reply === "echo") return userMessage;
+    return typeof reply === "string" ? reply : JSON.stringify(reply);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,50 @@
+/**
+ * Ollama Provider
+ *
+ * Uses Ollama's native `/api/chat` endpoint, which takes sampling settings
+ * under `options` and returns a single message when streaming is off.
+ */
+
+const fetch = require("node-fetch");
+
+class OllamaProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - Ollama server root, e.g. http://127.0.0.1:11434
+   */
+  constructor({ baseUrl }) {
+    this.name = "ollama";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  /**
+   * @param {Array} messages - Array of {role, content} message objects
+   * @param {object} options - { model, temperature, max_tokens }
+   * @returns {Promise<string>} The assistant's response text
+   */
+  async chat(messages, { model, temperature, max_tokens }) {
+    const url = `${this.baseUrl}/api/chat`;
+    console.log(`[AI] Calling ollama at: ${url} (${model})`);
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model,
+        messages,
+        stream: false,
+        options: { temperature, num_predict: max_tokens },
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`ollama error (${response.status}): ${errorText}`);
+    }
+
+    const data = await response.json();
+    return data.message?.content || "";
+  }
+}
+
+module.exports = OllamaProvider;
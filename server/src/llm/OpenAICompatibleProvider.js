@@ -0,0 +1,52 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Talks to any server exposing the OpenAI `/chat/completions` API - LM Studio,
+ * vLLM, llama.cpp's server or OpenAI itself. The API key is optional since
+ * local servers usually don't check it.
+ */
+
+const fetch = require("node-fetch");
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Provider name reported in response metadata
+   * @param {string} options.baseUrl - API root, e.g. http://127.0.0.1:1234/v1
+   * @param {string} [options.apiKey] - Sent as a Bearer token when set
+   */
+  constructor({ name = "openai", baseUrl, apiKey = null }) {
+    this.name = name;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * @param {Array} messages - Array of {role, content} message objects
+   * @param {object} options - { model, temperature, max_tokens }
+   * @returns {Promise<string>} The assistant's response text
+   */
+  async chat(messages, { model, temperature, max_tokens }) {
+    const url = `${this.baseUrl}/chat/completions`;
+    console.log(`[AI] Calling ${this.name} at: ${url} (${model})`);
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+      },
+      body: JSON.stringify({ model, messages, temperature, max_tokens }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`${this.name} error (${response.status}): ${errorText}`);
+    }
+
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || "";
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,187 @@
+/**
+ * LLM provider selection
+ *
+ * Every provider exposes the same async chat API:
+ *   chat(messages, { model, temperature, max_tokens, task }) -> reply text
+ *
+ * Calls are tagged with a task so each can use a different model, e.g. a
+ * small fast model for extraction and a larger one for dialogue:
+ *   dialogue   - what Heidi says to the caller
+ *   extraction - pulling names, dates and intents out of a message
+ *   analysis   - classifying answers, reasons and sentiment
+ *
+ * Environment variables:
+ *   LLM_PROVIDER=lmstudio|ollama|openai|mock (default: lmstudio)
+ *   LLM_BASE_URL=http://...      (default depends on the provider)
+ *   LLM_API_KEY=...              (OpenAI-compatible providers only)
+ *   LLM_MODEL=...                (model for every task)
+ *   LLM_MODEL_DIALOGUE / LLM_MODEL_EXTRACTION / LLM_MODEL_ANALYSIS
+ *   LLM_MOCK_SCRIPT=/path/to/script.json (mock provider replies)
+ *   LLM_ALLOWED_BASE_URLS=http://a,http://b (base URLs clinics may choose)
+ *   LM_STUDIO_URL / LM_STUDIO_MODEL are still read for the lmstudio provider
+ *
+ * A clinic can pick its own backend with `ai_provider` in its config:
+ *   { provider, base_url, api_key_env, models: { default, dialogue, ... } }
+ * `api_key_env` names the environment variable holding the key so secrets
+ * never end up in stored clinic configs. Clinic configs can be posted by
+ * anyone who can reach the API, so they can only name `LLM_KEY_*` variables
+ * and only pick a `base_url` from LLM_ALLOWED_BASE_URLS - otherwise a config
+ * could send a server secret to a host of its choosing. LLM_API_KEY is only
+ * ever sent to the environment's own base URL.
+ */
+
+const fs = require("fs");
+const OpenAICompatibleProvider = require("./OpenAICompatibleProvider");
+const OllamaProvider = require("./OllamaProvider");
+const MockProvider = require("./MockProvider");
+
+const TASKS = ["dialogue", "extraction", "analysis"];
+
+// Environment variables a clinic config may name as its api_key_env
+const CLINIC_KEY_PATTERN = /^LLM_KEY_[A-Z0-9_]+$/;
+
+const PROVIDER_DEFAULTS = {
+  lmstudio: {
+    baseUrl: "http://127.0.0.1:1234/v1",
+    model: "openai/gpt-oss-20b",
+  },
+  openai: { baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini" },
+  ollama: { baseUrl: "http://127.0.0.1:11434", model: "llama3.1" },
+  mock: { baseUrl: null, model: "mock" },
+};
+
+class LLMConfigError extends Error {
+  constructor(message) {
+    super(`Invalid ai_provider: ${message}`);
+    this.status = 400;
+  }
+}
+
+const normalizeUrl = (url) => String(url).trim().replace(/\/+$/, "");
+
+/**
+ * Base URLs a clinic's ai_provider may point at, from LLM_ALLOWED_BASE_URLS
+ */
+function allowedBaseUrls() {
+  return (process.env.LLM_ALLOWED_BASE_URLS || "")
+    .split(",")
+    .map(normalizeUrl)
+    .filter(Boolean);
+}
+
+/**
+ * Resolve provider settings from the environment, with a clinic's
+ * `ai_provider` block layered on top
+ * @param {object} [overrides] - Clinic ai_provider config
+ * @returns {{provider: string, baseUrl: string, apiKey: string|null, models: object, mockScript: string|null}}
+ * @throws {LLMConfigError} If the overrides name an unknown provider or task,
+ *   a base_url that isn't allowlisted or a key variable outside LLM_KEY_*
+ */
+function resolveSettings(overrides) {
+  const env = process.env;
+  const clinic = overrides || {};
+  const clinicModels = clinic.models || {};
+  const envProvider = env.LLM_PROVIDER || "lmstudio";
+  const provider = clinic.provider || envProvider;
+
+  if (!PROVIDER_DEFAULTS[provider]) {
+    throw new LLMConfigError(`unknown provider "${provider}"`);
+  }
+  const unknownTask = Object.keys(clinicModels).find(
+    (task) => task !== "default" && !TASKS.includes(task),
+  );
+  if (unknownTask) {
+    throw new LLMConfigError(`unknown model task "${unknownTask}"`);
+  }
+  if (clinic.api_key_env && !CLINIC_KEY_PATTERN.test(clinic.api_key_env)) {
+    throw new LLMConfigError(
+      `api_key_env must name an LLM_KEY_* variable, got "${clinic.api_key_env}"`,
+    );
+  }
+  const clinicBaseUrl = clinic.base_url ? normalizeUrl(clinic.base_url) : null;
+  if (clinicBaseUrl && !allowedBaseUrls().includes(clinicBaseUrl)) {
+    throw new LLMConfigError(
+      `base_url "${clinic.base_url}" is not in LLM_ALLOWED_BASE_URLS`,
+    );
+  }
+
+  // LLM_* settings describe the environment's provider, so they don't carry
+  // over to a clinic that picks a different one
+  const fromEnv =
+    provider === envProvider
+      ? {
+          baseUrl: env.LLM_BASE_URL,
+          apiKey: env.LLM_API_KEY,
+          model: env.LLM_MODEL,
+        }
+      : {};
+  const legacy =
+    provider === "lmstudio"
+      ? { baseUrl: env.LM_STUDIO_URL, model: env.LM_STUDIO_MODEL }
+      : {};
+  const defaults = PROVIDER_DEFAULTS[provider];
+
+  const models = {};
+  for (const task of TASKS) {
+    models[task] =
+      clinicModels[task] ||
+      clinicModels.default ||
+      (provider === envProvider && env[`LLM_MODEL_${task.toUpperCase()}`]) ||
+      fromEnv.model ||
+      legacy.model ||
+      defaults.model;
+  }
+
+  // The environment's key stays with the environment's base URL
+  const clinicKey = clinic.api_key_env ? env[clinic.api_key_env] : null;
+  const apiKey = clinicKey || (clinicBaseUrl ? null : fromEnv.apiKey) || null;
+
+  return {
+    provider,
+    baseUrl:
+      clinicBaseUrl || fromEnv.baseUrl || legacy.baseUrl || defaults.baseUrl,
+    apiKey,
+    models,
+    mockScript: provider === "mock" ? env.LLM_MOCK_SCRIPT || null : null,
+  };
+}
+
+/**
+ * Create a provider from resolved settings
+ * @param {object} settings - Output of resolveSettings()
+ */
+function createProvider(settings) {
+  switch (settings.provider) {
+    case "lmstudio":
+      return new OpenAICompatibleProvider({
+        name: "lm-studio",
+        baseUrl: settings.baseUrl,
+      });
+    case "openai":
+      return new OpenAICompatibleProvider({
+        name: "openai",
+        baseUrl: settings.baseUrl,
+        apiKey: settings.apiKey,
+      });
+    case "ollama":
+      return new OllamaProvider({ baseUrl: settings.baseUrl });
+    case "mock":
+      return new MockProvider({
+        script: settings.mockScript
+          ? JSON.parse(fs.readFileSync(settings.mockScript, "utf8"))
+          : {},
+      });
+    default:
+      throw new LLMConfigError(`unknown provider "${settings.provider}"`);
+  }
+}
+
+module.exports = {
+  resolveSettings,
+  createProvider,
+  LLMConfigError,
+  TASKS,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  MockProvider,
+};
@@ -0,0 +1,277 @@
+/**
+ * English locale pack
+ *
+ * The words Heidi listens for and the scripted lines she falls back on when
+ * the model fails or says the wrong thing. Every other pack is checked
+ * against this one (see localePacks.js): its keyword lists are always
+ * listened for too, and any phrase a pack leaves out is spoken in English.
+ */
+
+module.exports = {
+  code: "en",
+  name: "English",
+
+  // Everyday words that mark a message as English
+  detection: {
+    script: null,
+    words: [
+      "i",
+      "i'm",
+      "i'd",
+      "my",
+      "the",
+      "to",
+      "an",
+      "is",
+      "it's",
+      "and",
+      "please",
+      "want",
+      "need",
+      "would",
+      "like",
+      "have",
+      "can",
+      "with",
+      "for",
+      "hi",
+      "hello",
+      "thanks",
+      "yes",
+      "name",
+      "speak",
+    ],
+  },
+
+  keywords: {
+    // Intents, checked in the order of INTENTS in localePacks.js
+    cancel: ["cancel"],
+    reschedule: [
+      "reschedule",
+      "change my appointment",
+      "move my appointment",
+      "change the time",
+      "different time",
+      "different day",
+    ],
+    appointment: [
+      "book",
+      "appointment",
+      "schedule",
+      "see doctor",
+      "available",
+      "slot",
+      "opening",
+    ],
+    clinical: [
+      "symptom",
+      "pain",
+      "sick",
+      "rash",
+      "headache",
+      "fever",
+      "cough",
+      "hurt",
+      "bleeding",
+      "dizzy",
+      "nausea",
+      "vomit",
+    ],
+    admin: [
+      "form",
+      "results",
+      "prescription",
+      "referral",
+      "letter",
+      "document",
+      "paperwork",
+      "records",
+      "test results",
+    ],
+    // Default transfer triggers, when the clinic hasn't set its own
+    transfer: [
+      "speak to someone",
+      "talk to a person",
+      "real person",
+      "human",
+      "receptionist",
+      "staff",
+      "manager",
+    ],
+    // Always a transfer, whatever the clinic's triggers
+    speak_to_doctor: [
+      "talk to a doctor",
+      "talk to doctor",
+      "speak to a doctor",
+      "speak to doctor",
+      "want to talk to a doctor",
+      "want to speak to a doctor",
+      "see a doctor",
+      "speak with a doctor",
+      "talk with a doctor",
+    ],
+    emergency: [
+      "chest pain",
+      "chest ache",
+      "ache in my chest",
+      "pain in my chest",
+      "pain in chest",
+      "hurts in my chest",
+      "can't breathe",
+      "cannot breathe",
+      "struggling to breathe",
+      "hard to breathe",
+      "difficulty breathing",
+      "trouble breathing",
+      "heart attack",
+      "having a heart",
+      "stroke",
+      "having a stroke",
+      "unconscious",
+      "passed out",
+      "severe bleeding",
+      "bleeding heavily",
+      "won't stop bleeding",
+      "overdose",
+      "took too many",
+      "suicide",
+      "kill myself",
+      "want to die",
+      "end my life",
+      "emergency",
+      "dying",
+      "think i'm dying",
+      "call ambulance",
+      "call 000",
+      "need ambulance",
+    ],
+    // Not wanting to give their name and date of birth
+    refusal: [
+      "don't want to",
+      "won't give",
+      "prefer not",
+      "rather not",
+      "skip that",
+      "not comfortable",
+      "just want to",
+      "can we skip",
+    ],
+    // Wrapping up - a message starting with any of these
+    done: [
+      "no",
+      "that's all",
+      "that's it",
+      "nothing else",
+      "i'm good",
+      "all good",
+      "nope",
+      "no thanks",
+      "that will be all",
+      "goodbye",
+      "bye",
+      "thank you",
+      "thanks",
+    ],
+    // Checks on generated greetings and identity requests
+    closed: ["closed", "after hours"],
+    asks_identity: ["name", "identity", "birth", "dob"],
+    reintroduction: [
+      "this is the",
+      "welcome to",
+      "thank you for calling",
+      "how may i",
+    ],
+  },
+
+  phrases: {
+    greeting_open:
+      "Thanks for calling {{clinic_name}}. I'm Heidi, the clinic's digital assistant. How can I help you today?",
+    greeting_closed:
+      "Thanks for calling {{clinic_name}}. I'm Heidi, the clinic's digital assistant. Our clinic is {{closed_reason}}, but I can take a message or help with urgent care options. How can I help?",
+    greeting_voicemail:
+      "Thanks for calling {{clinic_name}}. The clinic is {{closed_reason}}. {{voicemail_prompt}} If this is an emergency, hang up and call 000.",
+    closed_now: "currently closed",
+    closed_for_holiday: "closed today for {{holiday}}",
+    voicemail_prompt:
+      "Please leave your message after the tone with your name, date of birth, the best number to reach you and what you're calling about.",
+    voicemail_offer: "Of course. {{voicemail_prompt}}",
+    voicemail_recorded:
+      "Thank you, your message has been recorded and the team will get back to you. Goodbye.",
+    voicemail_recorded_urgent:
+      "Thank you, your message has been recorded and marked as urgent so the team hears it first. If things get worse, hang up and call 000. Goodbye.",
+    ask_identity:
+      "To get started, could I please have your full name and date of birth?",
+    ask_identity_for_request:
+      "Of course, I can help you {{request}}. Could I please have your full name and date of birth first?",
+    triage_question:
+      "Thank you, {{patient_first_name}}. How can I help you today?",
+    help_further: "How can I help you further?",
+    handover: "Let me connect you with our team to help further.",
+    transfer_now:
+      "Absolutely, I'll transfer you to one of our staff members right now. Please hold for just a moment.",
+    transfer_after_hours:
+      "I understand you'd like to speak with someone directly. Unfortunately, our clinic is currently closed for the day. I'll leave an urgent message for our team to call you back first thing when we reopen. Is there anything urgent I can help you with in the meantime?",
+    guardrail_handover:
+      "That's a question for our clinical team rather than me. {{handover}}",
+    guardrail_after_hours:
+      "That's a question for our clinical team rather than me. The clinic is closed right now, so I'll leave a message for someone to call you back as soon as we open.",
+    clarify_handover:
+      "I'm sorry, I'm having trouble understanding. {{handover}}",
+    frustration_handover: "I'm sorry this has been frustrating. {{handover}}",
+    frustration_after_hours:
+      "I'm sorry this has been frustrating. The clinic is closed right now, but I'll take a message and make sure the team calls you back first thing. What would you like me to pass on?",
+    confusion_exit:
+      "I'm so sorry, I'm having trouble understanding. I'll have one of our receptionists call you back at this number shortly. Thank you for your patience. Goodbye.",
+    success_exit:
+      "I've got all of that noted down. Is there anything else I can help you with? ... Take care, goodbye!",
+    system_error:
+      "I apologize, I'm having trouble. Let me connect you with our team.",
+    emergency_redirect:
+      "This sounds like an emergency. Please hang up and call 000 immediately, or go to your nearest emergency department. Your safety is the priority right now.",
+    emergency_transfer:
+      "This sounds like an emergency. I'm connecting you to emergency services on {{line}} now - please stay on the line. If the call drops, hang up and call 000 straight away, or go to your nearest emergency department.",
+    emergency_page_on_call:
+      "This sounds like an emergency. Please hang up and call 000 now, or go to your nearest emergency department. I've also alerted our on-call clinician, {{name}}, and they'll follow up with you.",
+    emergency_page_team:
+      "This sounds like an emergency. Please hang up and call 000 now, or go to your nearest emergency department. I've also alerted our clinical team and they'll follow up with you.",
+    emergency_advice:
+      "If you're in danger or it gets worse, hang up and call 000 straight away.",
+
+    // Outbound follow-up calls, which are held in English. A lead (followup_lead_*)
+    // acknowledges the patient's last answer before the next question
+    followup_opening:
+      "Hi there, this is Heidi, your digital care partner calling from {{clinic_name}}. I'm reaching out to check in on {{call_purpose}}. Is now a good time for a quick chat?",
+    followup_lead_opening: "Wonderful!",
+    followup_lead_verified: "Thanks for confirming.",
+    followup_lead_unverified: "Thank you.",
+    followup_lead_answered: "Thanks for letting me know.",
+    followup_lead_explained: "Thank you for explaining that.",
+    followup_lead_reason:
+      "Thank you for sharing that - it's really helpful to know. I'll make sure to pass this along to your care team so they can support you better.",
+    followup_verify_identity:
+      "Just to make sure I've got the right person, could you confirm your {{fields}} for me?",
+    followup_verify_retry:
+      "Sorry, I didn't quite catch that. Could you please confirm your {{fields}}?",
+    followup_identity_escalation:
+      "I'm sorry, I wasn't able to confirm your details. For your privacy, one of our team will give you a call back to finish this check-in. Thanks for your time, goodbye.",
+    followup_identity_failed:
+      "I'm sorry, I wasn't able to confirm your details, so I can't go any further today. Please give the clinic a call whenever suits you. Thanks for your time, goodbye.",
+    followup_if_no: "I understand. {{question}}",
+    followup_expectation:
+      "A member of our team will be in touch by {{followup_date}} to follow up.",
+    followup_closing:
+      "{{expectation}} Is there anything else you'd like me to let them know?",
+    followup_urgent:
+      "I'm quite concerned about what you're describing. This really needs attention from your doctor right away. I'm going to flag this as urgent and have someone from our clinical team call you back within the hour. In the meantime, if you feel worse or have any trouble breathing, please call 000 or head to your nearest emergency department. Is there anything else you'd like me to pass on to the doctor?",
+    followup_escalation_closing:
+      "I've noted all of that down and flagged it as urgent. Our clinical team will be in touch very soon. Please don't hesitate to call 000 or go to emergency if you feel worse. Take care of yourself.",
+    followup_goodbye:
+      "Thank you so much for taking the time to chat with me today. Take care of yourself, and we'll be in touch soon. Goodbye!",
+    followup_final_note:
+      "Thank you for sharing that - I'll make sure to include it in my notes for the care team. They'll follow up with you soon. Take care, and goodbye!",
+    followup_complete:
+      "Thank you for your time today. Take care, and we'll be in touch soon. Goodbye!",
+    followup_guardrail_escalation:
+      "That's a question for your care team rather than me, so I'll ask one of them to call you back about it. Thanks for your time today, goodbye.",
+  },
+};
@@ -0,0 +1,232 @@
+/**
+ * Spanish locale pack
+ */
+
+module.exports = {
+  code: "es",
+  name: "Spanish",
+
+  detection: {
+    script: null,
+    words: [
+      "hola",
+      "quiero",
+      "quisiera",
+      "necesito",
+      "cita",
+      "gracias",
+      "favor",
+      "buenos",
+      "buenas",
+      "llamo",
+      "tengo",
+      "estoy",
+      "hablar",
+      "puedo",
+      "para",
+      "una",
+      "por",
+      "con",
+      "mi",
+      "soy",
+      "sí",
+      "nací",
+      "médico",
+      "doctora",
+      "nombre",
+      "el",
+      "en",
+      "es",
+      "que",
+      "me",
+      "muy",
+      "dolor",
+      "duele",
+    ],
+  },
+
+  keywords: {
+    cancel: ["cancelar", "anular"],
+    reschedule: [
+      "cambiar mi cita",
+      "cambiar la cita",
+      "mover mi cita",
+      "otro día",
+      "otra hora",
+      "reprogramar",
+    ],
+    appointment: [
+      "cita",
+      "reservar",
+      "pedir hora",
+      "turno",
+      "ver al médico",
+      "ver a la doctora",
+      "disponible",
+    ],
+    clinical: [
+      "síntoma",
+      "dolor",
+      "enfermo",
+      "enferma",
+      "fiebre",
+      "tengo tos",
+      "mareo",
+      "náuseas",
+      "vómito",
+      "sarpullido",
+      "sangrado",
+      "me duele",
+    ],
+    admin: [
+      "formulario",
+      "resultados",
+      "receta",
+      "derivación",
+      "carta",
+      "certificado",
+      "documento",
+      "historial",
+    ],
+    transfer: [
+      "hablar con alguien",
+      "hablar con una persona",
+      "persona real",
+      "recepcionista",
+      "recepción",
+      "el personal",
+      "encargado",
+    ],
+    speak_to_doctor: [
+      "hablar con un médico",
+      "hablar con el médico",
+      "hablar con la doctora",
+      "hablar con un doctor",
+    ],
+    emergency: [
+      "dolor en el pecho",
+      "dolor de pecho",
+      "me duele el pecho",
+      "no puedo respirar",
+      "me cuesta respirar",
+      "dificultad para respirar",
+      "ataque al corazón",
+      "infarto",
+      "derrame cerebral",
+      "ictus",
+      "inconsciente",
+      "se desmayó",
+      "me desmayé",
+      "sangrado abundante",
+      "no para de sangrar",
+      "sobredosis",
+      "tomé demasiadas",
+      "suicidio",
+      "matarme",
+      "quiero morir",
+      "quitarme la vida",
+      "emergencia",
+      "me estoy muriendo",
+      "ambulancia",
+    ],
+    refusal: [
+      "no quiero dar",
+      "no quiero decir",
+      "prefiero no",
+      "no me siento cómodo",
+      "no me siento cómoda",
+      "solo quiero",
+      "podemos saltar",
+    ],
+    done: [
+      "no",
+      "eso es todo",
+      "nada más",
+      "estoy bien",
+      "todo bien",
+      "no gracias",
+      "adiós",
+      "hasta luego",
+      "gracias",
+      "muchas gracias",
+    ],
+    closed: ["cerrad", "fuera de horario"],
+    asks_identity: ["nombre", "nacimiento", "identidad"],
+    reintroduction: ["bienvenido", "bienvenida", "gracias por llamar"],
+  },
+
+  // Replies the guardrail blocks, on top of the English patterns in
+  // responseGuardrail.js
+  guardrail: {
+    medical_advice: [
+      /\bdebería (tomar|usar|probar|dejar|evitar|aumentar|reducir|aplicar|beber|descansar)\b/i,
+      /\b(le|te) (recomiendo|sugiero|aconsejo) (tomar|usar|aplicar|un poco)\b/i,
+      /\btom(e|ar) (un |una |dos |algo de )?(paracetamol|ibuprofeno|aspirina|antihistamínico|analgésico)/i,
+    ],
+    prescription_changes: [
+      /\b(aumente|reduzca|baje|suba|duplique|ajuste) (la |su )?(dosis|medicación|receta)\b/i,
+      /\b(deje|empiece|comience) (de|a) tomar\b/i,
+    ],
+    test_result_interpretation: [
+      /\bsus (resultados|análisis)( de \w+)? (son|están|salieron|muestran) (normales|bien|buenos|altos|bajos|positivos|negativos)/i,
+    ],
+    diagnose_symptoms: [
+      /\b(parece|suena) (que|como si) (tiene|usted tiene|fuera|es) (un|una|solo|probablemente)\b/i,
+      /\b(probablemente|seguramente) (tiene|sea|es) (un|una|solo)\b/i,
+    ],
+  },
+
+  phrases: {
+    greeting_open:
+      "Gracias por llamar a {{clinic_name}}. Soy Heidi, la asistente digital de la clínica. ¿En qué puedo ayudarle hoy?",
+    greeting_closed:
+      "Gracias por llamar a {{clinic_name}}. Soy Heidi, la asistente digital de la clínica. La clínica está {{closed_reason}}, pero puedo tomar un mensaje o indicarle opciones de atención urgente. ¿En qué puedo ayudarle?",
+    greeting_voicemail:
+      "Gracias por llamar a {{clinic_name}}. La clínica está {{closed_reason}}. {{voicemail_prompt}} Si es una emergencia, cuelgue y llame al 000.",
+    closed_now: "cerrada en este momento",
+    closed_for_holiday: "cerrada hoy por {{holiday}}",
+    voicemail_prompt:
+      "Por favor, deje su mensaje después de la señal con su nombre, fecha de nacimiento, el mejor número para contactarle y el motivo de su llamada.",
+    voicemail_offer: "Por supuesto. {{voicemail_prompt}}",
+    voicemail_recorded:
+      "Gracias, su mensaje ha quedado grabado y el equipo se pondrá en contacto con usted. Adiós.",
+    voicemail_recorded_urgent:
+      "Gracias, su mensaje ha quedado grabado y marcado como urgente para que el equipo lo escuche primero. Si empeora, cuelgue y llame al 000. Adiós.",
+    ask_identity:
+      "Para empezar, ¿me podría dar su nombre completo y su fecha de nacimiento?",
+    ask_identity_for_request:
+      "Por supuesto, puedo ayudarle con eso. Antes, ¿me podría dar su nombre completo y su fecha de nacimiento?",
+    triage_question:
+      "Gracias, {{patient_first_name}}. ¿En qué puedo ayudarle hoy?",
+    help_further: "¿En qué más puedo ayudarle?",
+    handover: "Le comunico con nuestro equipo para que le ayuden.",
+    transfer_now:
+      "Por supuesto, le transfiero ahora mismo con alguien de nuestro equipo. Un momento, por favor.",
+    transfer_after_hours:
+      "Entiendo que quiere hablar directamente con alguien. Lamentablemente, la clínica ya está cerrada por hoy. Dejaré un mensaje urgente para que nuestro equipo le devuelva la llamada en cuanto abramos. ¿Hay algo urgente en lo que pueda ayudarle mientras tanto?",
+    guardrail_handover:
+      "Esa es una pregunta para nuestro equipo clínico, no para mí. {{handover}}",
+    guardrail_after_hours:
+      "Esa es una pregunta para nuestro equipo clínico, no para mí. La clínica está cerrada ahora, así que dejaré un mensaje para que alguien le llame en cuanto abramos.",
+    clarify_handover: "Lo siento, me cuesta entenderle. {{handover}}",
+    frustration_handover: "Siento mucho las molestias. {{handover}}",
+    frustration_after_hours:
+      "Siento mucho las molestias. La clínica está cerrada ahora, pero tomaré un mensaje y me aseguraré de que el equipo le llame a primera hora. ¿Qué quiere que les transmita?",
+    confusion_exit:
+      "Lo siento mucho, me cuesta entenderle. Una de nuestras recepcionistas le llamará pronto a este número. Gracias por su paciencia. Adiós.",
+    success_exit:
+      "Lo he anotado todo. ¿Hay algo más en lo que pueda ayudarle? ... Cuídese, adiós.",
+    system_error:
+      "Disculpe, estoy teniendo problemas. Le comunico con nuestro equipo.",
+    emergency_redirect:
+      "Esto parece una emergencia. Por favor, cuelgue y llame al 000 inmediatamente, o vaya al servicio de urgencias más cercano. Su seguridad es lo más importante ahora.",
+    emergency_transfer:
+      "Esto parece una emergencia. Le estoy comunicando con los servicios de emergencia al {{line}}; por favor, no cuelgue. Si se corta la llamada, cuelgue y llame al 000 de inmediato, o vaya al servicio de urgencias más cercano.",
+    emergency_page_on_call:
+      "Esto parece una emergencia. Por favor, cuelgue y llame al 000 ahora, o vaya al servicio de urgencias más cercano. También he avisado a nuestro médico de guardia, {{name}}, que se pondrá en contacto con usted.",
+    emergency_page_team:
+      "Esto parece una emergencia. Por favor, cuelgue y llame al 000 ahora, o vaya al servicio de urgencias más cercano. También he avisado a nuestro equipo clínico, que se pondrá en contacto con usted.",
+    emergency_advice:
+      "Si está en peligro o empeora, cuelgue y llame al 000 de inmediato.",
+  },
+};
@@ -0,0 +1,191 @@
+/**
+ * Vietnamese locale pack
+ */
+
+module.exports = {
+  code: "vi",
+  name: "Vietnamese",
+
+  // Letters only Vietnamese uses, and everyday words for callers whose
+  // speech-to-text drops the accents
+  detection: {
+    script: /[ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/i,
+    words: [
+      "toi",
+      "muon",
+      "xin",
+      "chao",
+      "khong",
+      "vang",
+      "duoc",
+      "bac",
+      "lich",
+    ],
+  },
+
+  keywords: {
+    cancel: ["hủy", "huỷ"],
+    reschedule: [
+      "đổi lịch",
+      "dời lịch",
+      "đổi giờ",
+      "đổi ngày",
+      "chuyển lịch hẹn",
+    ],
+    appointment: [
+      "đặt lịch",
+      "lịch hẹn",
+      "đặt hẹn",
+      "khám bác sĩ",
+      "gặp bác sĩ",
+      "còn trống",
+    ],
+    clinical: [
+      "triệu chứng",
+      "đau",
+      "bị ốm",
+      "bị bệnh",
+      "sốt",
+      "bị ho",
+      "nhức đầu",
+      "chóng mặt",
+      "buồn nôn",
+      "nôn",
+      "phát ban",
+      "chảy máu",
+    ],
+    admin: [
+      "mẫu đơn",
+      "điền đơn",
+      "kết quả",
+      "toa thuốc",
+      "đơn thuốc",
+      "giấy giới thiệu",
+      "giấy tờ",
+      "hồ sơ",
+    ],
+    transfer: [
+      "nói chuyện với ai đó",
+      "nói chuyện với người",
+      "người thật",
+      "lễ tân",
+      "nhân viên",
+      "quản lý",
+    ],
+    speak_to_doctor: ["nói chuyện với bác sĩ", "nói với bác sĩ"],
+    emergency: [
+      "đau ngực",
+      "tức ngực",
+      "không thở được",
+      "khó thở",
+      "đau tim",
+      "nhồi máu cơ tim",
+      "đột quỵ",
+      "bất tỉnh",
+      "ngất xỉu",
+      "chảy máu nhiều",
+      "máu không ngừng",
+      "quá liều",
+      "uống quá nhiều thuốc",
+      "tự tử",
+      "tự sát",
+      "muốn chết",
+      "cấp cứu",
+      "sắp chết",
+      "xe cứu thương",
+    ],
+    refusal: [
+      "không muốn cho",
+      "không muốn nói",
+      "không thoải mái",
+      "bỏ qua",
+      "chỉ muốn",
+    ],
+    done: [
+      "không",
+      "vậy thôi",
+      "thế thôi",
+      "hết rồi",
+      "không cần",
+      "cảm ơn",
+      "tạm biệt",
+    ],
+    closed: ["đóng cửa", "ngoài giờ"],
+    asks_identity: ["tên", "ngày sinh", "danh tính"],
+    reintroduction: ["chào mừng", "cảm ơn đã gọi"],
+  },
+
+  // Replies the guardrail blocks, on top of the English patterns in
+  // responseGuardrail.js
+  guardrail: {
+    medical_advice: [
+      /(quý vị|bạn|anh|chị|bác) nên (uống|dùng|thử|ngưng|tránh|tăng|giảm|bôi|nghỉ)/i,
+      /uống (một |hai |vài )?(viên )?(paracetamol|panadol|ibuprofen|aspirin|thuốc giảm đau|thuốc dị ứng)/i,
+    ],
+    prescription_changes: [
+      /(tăng|giảm|gấp đôi|điều chỉnh) liều/i,
+      /(ngưng|ngừng|bắt đầu) uống thuốc/i,
+    ],
+    test_result_interpretation: [
+      /kết quả (xét nghiệm |chụp )?(của )?(quý vị |bạn )?(bình thường|tốt|cao|thấp|dương tính|âm tính)/i,
+    ],
+    diagnose_symptoms: [
+      /(có vẻ|có lẽ|chắc là|hình như) (quý vị|bạn|anh|chị|bác) (bị|mắc)/i,
+    ],
+  },
+
+  phrases: {
+    greeting_open:
+      "Cảm ơn quý vị đã gọi đến {{clinic_name}}. Tôi là Heidi, trợ lý kỹ thuật số của phòng khám. Hôm nay tôi có thể giúp gì cho quý vị?",
+    greeting_closed:
+      "Cảm ơn quý vị đã gọi đến {{clinic_name}}. Tôi là Heidi, trợ lý kỹ thuật số của phòng khám. Phòng khám {{closed_reason}}, nhưng tôi có thể nhận lời nhắn hoặc hướng dẫn các lựa chọn chăm sóc khẩn cấp. Tôi có thể giúp gì cho quý vị?",
+    greeting_voicemail:
+      "Cảm ơn quý vị đã gọi đến {{clinic_name}}. Phòng khám {{closed_reason}}. {{voicemail_prompt}} Nếu đây là trường hợp khẩn cấp, xin gác máy và gọi 000.",
+    closed_now: "hiện đang đóng cửa",
+    closed_for_holiday: "hôm nay đóng cửa nhân dịp {{holiday}}",
+    voicemail_prompt:
+      "Xin để lại lời nhắn sau tiếng bíp, kèm họ tên, ngày sinh, số điện thoại tốt nhất để liên lạc và lý do quý vị gọi.",
+    voicemail_offer: "Dạ được. {{voicemail_prompt}}",
+    voicemail_recorded:
+      "Cảm ơn quý vị, lời nhắn đã được ghi lại và nhân viên sẽ liên lạc lại với quý vị. Xin chào.",
+    voicemail_recorded_urgent:
+      "Cảm ơn quý vị, lời nhắn đã được ghi lại và đánh dấu khẩn để nhân viên nghe trước. Nếu tình trạng nặng hơn, hãy gác máy và gọi 000. Xin chào.",
+    ask_identity:
+      "Để bắt đầu, quý vị vui lòng cho tôi biết họ tên đầy đủ và ngày sinh được không?",
+    ask_identity_for_request:
+      "Dạ, tôi có thể giúp quý vị việc đó. Trước tiên, quý vị vui lòng cho tôi biết họ tên đầy đủ và ngày sinh được không?",
+    triage_question:
+      "Cảm ơn {{patient_first_name}}. Hôm nay tôi có thể giúp gì cho quý vị?",
+    help_further: "Tôi có thể giúp gì thêm cho quý vị?",
+    handover:
+      "Tôi xin chuyển quý vị đến nhân viên của chúng tôi để được hỗ trợ thêm.",
+    transfer_now:
+      "Dạ vâng, tôi sẽ chuyển quý vị đến nhân viên của chúng tôi ngay bây giờ. Xin vui lòng giữ máy trong giây lát.",
+    transfer_after_hours:
+      "Tôi hiểu quý vị muốn nói chuyện trực tiếp với nhân viên. Rất tiếc, phòng khám hôm nay đã đóng cửa. Tôi sẽ để lại lời nhắn khẩn để nhân viên gọi lại cho quý vị ngay khi phòng khám mở cửa. Trong lúc chờ, quý vị có cần giúp gì khẩn cấp không?",
+    guardrail_handover:
+      "Câu hỏi đó cần đội ngũ y tế của chúng tôi trả lời. {{handover}}",
+    guardrail_after_hours:
+      "Câu hỏi đó cần đội ngũ y tế của chúng tôi trả lời. Phòng khám hiện đang đóng cửa, nên tôi sẽ để lại lời nhắn để nhân viên gọi lại cho quý vị ngay khi mở cửa.",
+    clarify_handover: "Xin lỗi, tôi chưa hiểu rõ ý quý vị. {{handover}}",
+    frustration_handover: "Tôi rất tiếc vì sự bất tiện này. {{handover}}",
+    frustration_after_hours:
+      "Tôi rất tiếc vì sự bất tiện này. Phòng khám hiện đang đóng cửa, nhưng tôi sẽ ghi lại lời nhắn và bảo đảm nhân viên gọi lại cho quý vị sớm nhất. Quý vị muốn tôi nhắn lại điều gì?",
+    confusion_exit:
+      "Tôi thành thật xin lỗi, tôi chưa hiểu rõ ý quý vị. Một nhân viên lễ tân sẽ sớm gọi lại cho quý vị theo số này. Cảm ơn quý vị đã kiên nhẫn. Xin chào.",
+    success_exit:
+      "Tôi đã ghi lại đầy đủ. Tôi có thể giúp gì thêm cho quý vị không? ... Chúc quý vị mạnh khỏe, xin chào!",
+    system_error:
+      "Xin lỗi, tôi đang gặp trục trặc. Tôi xin chuyển quý vị đến nhân viên của chúng tôi.",
+    emergency_redirect:
+      "Đây có vẻ là trường hợp khẩn cấp. Xin hãy gác máy và gọi 000 ngay, hoặc đến khoa cấp cứu gần nhất. Sự an toàn của quý vị là quan trọng nhất lúc này.",
+    emergency_transfer:
+      "Đây có vẻ là trường hợp khẩn cấp. Tôi đang nối máy quý vị đến dịch vụ cấp cứu qua số {{line}} - xin vui lòng giữ máy. Nếu cuộc gọi bị ngắt, hãy gác máy và gọi 000 ngay, hoặc đến khoa cấp cứu gần nhất.",
+    emergency_page_on_call:
+      "Đây có vẻ là trường hợp khẩn cấp. Xin hãy gác máy và gọi 000 ngay, hoặc đến khoa cấp cứu gần nhất. Tôi cũng đã báo cho bác sĩ trực của chúng tôi, {{name}}, và họ sẽ liên lạc lại với quý vị.",
+    emergency_page_team:
+      "Đây có vẻ là trường hợp khẩn cấp. Xin hãy gác máy và gọi 000 ngay, hoặc đến khoa cấp cứu gần nhất. Tôi cũng đã báo cho đội ngũ y tế của chúng tôi và họ sẽ liên lạc lại với quý vị.",
+    emergency_advice:
+      "Nếu quý vị gặp nguy hiểm hoặc tình trạng nặng hơn, hãy gác máy và gọi 000 ngay.",
+  },
+};
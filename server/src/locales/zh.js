@@ -0,0 +1,151 @@
+/**
+ * Mandarin Chinese locale pack (simplified characters)
+ */
+
+module.exports = {
+  code: "zh",
+  name: "Mandarin Chinese",
+
+  detection: {
+    script: /[\u3400-\u9fff]/,
+    words: [],
+  },
+
+  keywords: {
+    cancel: ["取消"],
+    reschedule: ["改约", "改期", "改时间", "换个时间", "换一天", "更改预约"],
+    appointment: ["预约", "挂号", "看医生", "约医生", "有空"],
+    clinical: [
+      "症状",
+      "疼",
+      "痛",
+      "不舒服",
+      "生病",
+      "发烧",
+      "咳嗽",
+      "头晕",
+      "恶心",
+      "呕吐",
+      "皮疹",
+      "出血",
+    ],
+    admin: [
+      "表格",
+      "检查结果",
+      "化验结果",
+      "处方",
+      "药方",
+      "转诊",
+      "证明",
+      "文件",
+      "病历",
+    ],
+    transfer: [
+      "跟人说话",
+      "真人",
+      "人工",
+      "前台",
+      "接待员",
+      "工作人员",
+      "经理",
+    ],
+    speak_to_doctor: ["跟医生说话", "和医生说话", "跟医生谈", "和医生谈"],
+    emergency: [
+      "胸痛",
+      "胸口痛",
+      "胸口疼",
+      "胸闷",
+      "喘不过气",
+      "无法呼吸",
+      "不能呼吸",
+      "呼吸困难",
+      "心脏病发作",
+      "心梗",
+      "中风",
+      "昏迷",
+      "晕倒",
+      "失去知觉",
+      "大出血",
+      "血止不住",
+      "服药过量",
+      "吃了太多药",
+      "自杀",
+      "想死",
+      "不想活",
+      "紧急情况",
+      "急救",
+      "快死了",
+      "救护车",
+    ],
+    refusal: ["不想说", "不想给", "不方便说", "宁愿不", "跳过", "只想"],
+    done: ["不用", "没有了", "就这些", "没事了", "谢谢", "再见", "拜拜"],
+    closed: ["关门", "下班", "休息", "非营业"],
+    asks_identity: ["姓名", "名字", "出生", "生日", "身份"],
+    reintroduction: ["欢迎", "感谢您致电", "谢谢您的来电"],
+  },
+
+  // Replies the guardrail blocks, on top of the English patterns in
+  // responseGuardrail.js
+  guardrail: {
+    medical_advice: [
+      /(您|你)(应该|可以|最好)(吃|服用|用|试试|停|避免|多喝|休息|涂)/,
+      /(吃|服用)(点|些|一片|两片)?(扑热息痛|对乙酰氨基酚|布洛芬|阿司匹林|止痛药|抗过敏药)/,
+    ],
+    prescription_changes: [
+      /(增加|减少|加倍|减半|调整)(您的|你的)?(剂量|药量|用药)/,
+      /(停止|开始)(服用|吃)/,
+    ],
+    test_result_interpretation: [
+      /(检查|化验|验血)结果(是|很|都)?(正常|没问题|偏高|偏低|阳性|阴性)/,
+    ],
+    diagnose_symptoms: [
+      /(听起来|看起来|可能|应该)(您|你)?(是|得了|患了)(感冒|流感|病毒|感染|过敏|偏头痛)/,
+    ],
+  },
+
+  phrases: {
+    greeting_open:
+      "感谢您致电{{clinic_name}}。我是诊所的数字助理 Heidi。请问今天有什么可以帮您？",
+    greeting_closed:
+      "感谢您致电{{clinic_name}}。我是诊所的数字助理 Heidi。诊所{{closed_reason}}，但我可以为您留言，或告诉您紧急就医的选择。请问有什么可以帮您？",
+    greeting_voicemail:
+      "感谢您致电{{clinic_name}}。诊所{{closed_reason}}。{{voicemail_prompt}}如遇紧急情况，请挂断电话并拨打 000。",
+    closed_now: "目前已关门",
+    closed_for_holiday: "今天因{{holiday}}休息",
+    voicemail_prompt:
+      "请在提示音后留言，说明您的姓名、出生日期、最方便联系您的电话号码以及来电事由。",
+    voicemail_offer: "好的。{{voicemail_prompt}}",
+    voicemail_recorded: "谢谢，您的留言已录下，工作人员会给您回电。再见。",
+    voicemail_recorded_urgent:
+      "谢谢，您的留言已录下并标记为紧急，工作人员会优先处理。如果情况恶化，请挂断电话并拨打 000。再见。",
+    ask_identity: "首先，请告诉我您的全名和出生日期，好吗？",
+    ask_identity_for_request:
+      "好的，这个我可以帮您。请先告诉我您的全名和出生日期，好吗？",
+    triage_question: "谢谢{{patient_first_name}}。请问今天有什么可以帮您？",
+    help_further: "还有什么可以帮您的吗？",
+    handover: "我帮您转接给我们的工作人员，他们会进一步为您提供帮助。",
+    transfer_now: "好的，我现在就为您转接工作人员，请稍等。",
+    transfer_after_hours:
+      "我明白您想直接和工作人员通话。很抱歉，诊所今天已经下班了。我会留下紧急留言，请工作人员在诊所开门后第一时间给您回电。在此期间，有什么紧急的事情需要我帮忙吗？",
+    guardrail_handover: "这个问题需要由我们的医护团队来回答。{{handover}}",
+    guardrail_after_hours:
+      "这个问题需要由我们的医护团队来回答。诊所现在已关门，我会留言，请工作人员在开门后尽快给您回电。",
+    clarify_handover: "抱歉，我没能听明白。{{handover}}",
+    frustration_handover: "很抱歉给您带来不便。{{handover}}",
+    frustration_after_hours:
+      "很抱歉给您带来不便。诊所现在已关门，但我会为您留言，并确保工作人员第一时间给您回电。请问您想让我转达什么？",
+    confusion_exit:
+      "非常抱歉，我没能听明白。我们的前台工作人员会尽快按这个号码给您回电。感谢您的耐心，再见。",
+    success_exit: "我都已经记下了。还有什么可以帮您的吗？……请多保重，再见！",
+    system_error: "抱歉，我这边出了点问题。我帮您转接给我们的工作人员。",
+    emergency_redirect:
+      "这听起来是紧急情况。请立即挂断电话并拨打 000，或前往最近的急诊室。您的安全是现在最重要的。",
+    emergency_transfer:
+      "这听起来是紧急情况。我正在为您转接急救服务 {{line}}，请不要挂断。如果电话中断，请立即挂断并拨打 000，或前往最近的急诊室。",
+    emergency_page_on_call:
+      "这听起来是紧急情况。请立即挂断电话并拨打 000，或前往最近的急诊室。我也已经通知了我们的值班医生 {{name}}，他们会跟进联系您。",
+    emergency_page_team:
+      "这听起来是紧急情况。请立即挂断电话并拨打 000，或前往最近的急诊室。我也已经通知了我们的医护团队，他们会跟进联系您。",
+    emergency_advice: "如果您有危险或情况恶化，请立即挂断电话并拨打 000。",
+  },
+};
@@ -1,52 +1,573 @@
 const express = require("express");
 const router = express.Router();
-const { v4: uuidv4 } = require("uuid");
+const { getStore } = require("../storage");
+const {
+  ClinicRepository,
+  ClinicNotFoundError,
+} = require("../storage/clinicRepository");
+const {
+  AvailabilityService,
+  BookingNotFoundError,
+  validateStaffAvailability,
+} = require("../services/availabilityService");
+const { InboundStateMachine } = require("../services/inboundStateMachine");
+const { listHolidays } = require("../services/holidayCalendar");
+const { validateOperatingHours } = require("../services/operatingHours");
+const { clinicNow, validateTimezone } = require("../services/clinicTime");
+const { validateEmergencySettings } = require("../services/emergencyActions");
+const {
+  validateClarificationPolicy,
+} = require("../services/clarificationPolicy");
+const { frustrationThreshold } = require("../services/sentimentTracker");
+const {
+  VoicemailInbox,
+  VoicemailNotFoundError,
+} = require("../services/voicemailInbox");
+const {
+  TASK_STATUSES,
+  TaskInbox,
+  TaskNotFoundError,
+} = require("../services/taskInbox");
+const {
+  PatientRegistry,
+  PatientNotFoundError,
+} = require("../services/patientRegistry");
+const {
+  CallbackScheduler,
+  validateCallbackWindows,
+} = require("../services/callbackScheduler");
+const { validateBookingPolicy } = require("../services/bookingPolicy");
+const { PractitionerMatcher } = require("../services/practitionerMatcher");
+const { validateLanguage } = require("../services/localePacks");
+const { validateScriptLibrary } = require("../services/scriptLibrary");
+const { resolveSettings } = require("../llm");
 
-// In-memory storage (replace with database in production)
-const clinicConfigs = new Map();
+/**
+ * Reject configs the call engine can't run with (400)
+ */
+const validateClinicConfig = (config) => {
+  InboundStateMachine.forClinic(config); // call_flow
+  resolveSettings(config.ai_provider); // ai_provider
+  validateTimezone(config.timezone); // timezone
+  validateEmergencySettings(config.agent_persona?.safety_enforcement); // emergency_action
+  frustrationThreshold(config); // sentiment_threshold
+  validateClarificationPolicy(config); // ambiguous_request, clarification_policy
+  validateOperatingHours(config.operating_hours); // sessions, overrides, holidays
+  validateStaffAvailability(config); // session_minutes, working_days, blocked_times
+  validateCallbackWindows(config); // callback_windows
+  validateBookingPolicy(config); // new_patient_booking, unknown_clinician_request
+  validateLanguage(config); // language, supported_languages
+  validateScriptLibrary(config); // script_library
+};
 
-// Create new clinic configuration
-router.post("/", (req, res) => {
-  const clinicId = `clinic_${uuidv4().slice(0, 8)}`;
-  const config = {
-    clinic_id: clinicId,
-    created_at: new Date().toISOString(),
-    ...req.body,
-  };
+// Persisted clinic configurations (JSON file store by default), validated
+// in full on every save
+const clinics = new ClinicRepository(getStore(), {
+  validate: validateClinicConfig,
+});
+const availability = new AvailabilityService(getStore());
+const voicemails = new VoicemailInbox(getStore());
+const tasks = new TaskInbox(getStore());
+const callbacks = new CallbackScheduler(tasks);
+const patients = new PatientRegistry(getStore());
+const practitioners = new PractitionerMatcher(availability);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
 
-  clinicConfigs.set(clinicId, config);
-  res.status(201).json(config);
+/**
+ * Load a clinic config or throw a 404
+ */
+const loadClinic = async (clinicId) => {
+  const config = await clinics.get(clinicId);
+  if (!config) throw new ClinicNotFoundError(clinicId);
+  return config;
+};
+
+/**
+ * Send a repository error as JSON
+ * Not-found errors carry a 404 status, anything else is a server error
+ */
+const sendError = (res, error) => {
+  if (!error.status) console.error("Clinic storage error:", error);
+  res.status(error.status || 500).json({ error: error.message });
+};
+
+// Create new clinic configuration
+router.post("/", async (req, res) => {
+  try {
+    const config = await clinics.create(req.body);
+    res.status(201).json(config);
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
 // Get clinic configuration
-router.get("/:clinicId", (req, res) => {
-  const config = clinicConfigs.get(req.params.clinicId);
-  if (!config) {
-    return res.status(404).json({ error: "Clinic not found" });
+router.get("/:clinicId", async (req, res) => {
+  try {
+    const config = await clinics.get(req.params.clinicId);
+    if (!config) {
+      return res.status(404).json({ error: "Clinic not found" });
+    }
+    res.json(config);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Update clinic configuration (creates a new revision)
+router.put("/:clinicId", async (req, res) => {
+  try {
+    const updated = await clinics.update(req.params.clinicId, req.body);
+    res.json(updated);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List the revision history of a clinic configuration
+router.get("/:clinicId/revisions", async (req, res) => {
+  try {
+    res.json(await clinics.listRevisions(req.params.clinicId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get the full configuration snapshot for a revision
+router.get("/:clinicId/revisions/:revision", async (req, res) => {
+  try {
+    res.json(
+      await clinics.getRevision(req.params.clinicId, req.params.revision),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Diff a revision against another one
+ * ?against=<revision> defaults to the revision before it
+ */
+router.get("/:clinicId/revisions/:revision/diff", async (req, res) => {
+  try {
+    const diff = await clinics.diffRevisions(
+      req.params.clinicId,
+      req.params.revision,
+      req.query.against,
+    );
+    res.json(diff);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Roll back to a revision (recorded as a new revision)
+router.post("/:clinicId/revisions/:revision/rollback", async (req, res) => {
+  try {
+    const restored = await clinics.rollback(
+      req.params.clinicId,
+      req.params.revision,
+    );
+    res.json(restored);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Free appointment slots
+ * ?practitionerId= (default: anyone accepting new patients), ?date=YYYY-MM-DD,
+ * ?time=HH:MM, ?limit= (default 10), ?days= (search window)
+ */
+router.get("/:clinicId/availability", async (req, res) => {
+  const { practitionerId, date, time, limit, days } = req.query;
+  if (
+    (date && !DATE_PATTERN.test(date)) ||
+    (time && !TIME_PATTERN.test(time))
+  ) {
+    return res
+      .status(400)
+      .json({ error: "date must be YYYY-MM-DD and time HH:MM" });
+  }
+
+  try {
+    const config = await loadClinic(req.params.clinicId);
+    const slots = await availability.findSlots(config, {
+      practitionerId,
+      from: { date, time },
+      limit: Number(limit) || 10,
+      days: Number(days) || undefined,
+    });
+    res.json(slots);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Upcoming callback windows with how many callbacks each already holds
+ * ?date=YYYY-MM-DD, ?time=HH:MM (default: now), ?limit= (default 5)
+ */
+router.get("/:clinicId/callback-windows", async (req, res) => {
+  const { date, time, limit } = req.query;
+  if (
+    (date && !DATE_PATTERN.test(date)) ||
+    (time && !TIME_PATTERN.test(time))
+  ) {
+    return res
+      .status(400)
+      .json({ error: "date must be YYYY-MM-DD and time HH:MM" });
+  }
+
+  try {
+    const config = await loadClinic(req.params.clinicId);
+    res.json(
+      await callbacks.upcomingWindows(
+        config,
+        { date, time },
+        { limit: Number(limit) || 5 },
+      ),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Practitioners whose specializations suit a caller's reason, best first
+ * ?reason= (required), ?date=YYYY-MM-DD, ?time=HH:MM (default: now),
+ * ?existingPatient=true to ignore accepts_new_patients
+ */
+router.get("/:clinicId/practitioners/match", async (req, res) => {
+  const { reason, date, time, existingPatient } = req.query;
+  if (!reason?.trim()) {
+    return res.status(400).json({ error: "reason is required" });
+  }
+  if (
+    (date && !DATE_PATTERN.test(date)) ||
+    (time && !TIME_PATTERN.test(time))
+  ) {
+    return res
+      .status(400)
+      .json({ error: "date must be YYYY-MM-DD and time HH:MM" });
+  }
+
+  try {
+    const config = await loadClinic(req.params.clinicId);
+    const matches = await practitioners.match(config, reason, {
+      from: { date, time },
+      newPatient: existingPatient !== "true",
+    });
+    res.json(
+      matches.map(({ practitioner, ...match }) => ({
+        practitioner_id: practitioner.id || practitioner.name,
+        name: practitioner.name,
+        ...match,
+      })),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Public holidays and closures for the clinic (?year=, default this year)
+ */
+router.get("/:clinicId/holidays", async (req, res) => {
+  try {
+    const config = await loadClinic(req.params.clinicId);
+    const year =
+      Number(req.query.year) || Number(clinicNow(config).date.slice(0, 4));
+    res.json(listHolidays(config, year));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List bookings (?practitionerId=, ?date=)
+router.get("/:clinicId/bookings", async (req, res) => {
+  const { practitionerId, date } = req.query;
+
+  try {
+    await loadClinic(req.params.clinicId);
+    res.json(
+      await availability.listBookings(req.params.clinicId, {
+        practitionerId,
+        date,
+      }),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Book a slot
+ * Body: { practitionerId, date, start, patient: { name, dob } }
+ * Responds 409 if the slot is already taken or outside the practitioner's hours
+ */
+router.post("/:clinicId/bookings", async (req, res) => {
+  const { practitionerId, date, start, patient } = req.body;
+  if (
+    !practitionerId ||
+    !DATE_PATTERN.test(date || "") ||
+    !TIME_PATTERN.test(start || "")
+  ) {
+    return res.status(400).json({
+      error: "practitionerId, date (YYYY-MM-DD) and start (HH:MM) are required",
+    });
+  }
+
+  try {
+    const config = await loadClinic(req.params.clinicId);
+    const booking = await availability.book(
+      config,
+      { practitioner_id: practitionerId, date, start },
+      { patient },
+    );
+    res.status(201).json(booking);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Load a booking belonging to a clinic or throw a 404
+ */
+const loadBooking = async (clinicId, bookingId) => {
+  const booking = await availability.getBooking(bookingId);
+  if (booking.clinic_id !== clinicId) throw new BookingNotFoundError(bookingId);
+  return booking;
+};
+
+// Cancel a booking (body: { reason })
+router.post("/:clinicId/bookings/:bookingId/cancel", async (req, res) => {
+  try {
+    await loadClinic(req.params.clinicId);
+    await loadBooking(req.params.clinicId, req.params.bookingId);
+    res.json(
+      await availability.cancel(req.params.bookingId, {
+        reason: req.body.reason,
+      }),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Move a booking to another slot with the same practitioner
+ * Body: { date, start } - responds 409 if the new slot is taken
+ */
+router.post("/:clinicId/bookings/:bookingId/reschedule", async (req, res) => {
+  const { date, start } = req.body;
+  if (!DATE_PATTERN.test(date || "") || !TIME_PATTERN.test(start || "")) {
+    return res
+      .status(400)
+      .json({ error: "date (YYYY-MM-DD) and start (HH:MM) are required" });
+  }
+
+  try {
+    const config = await loadClinic(req.params.clinicId);
+    await loadBooking(req.params.clinicId, req.params.bookingId);
+    res.json(
+      await availability.reschedule(config, req.params.bookingId, {
+        date,
+        start,
+      }),
+    );
+  } catch (error) {
+    sendError(res, error);
   }
-  res.json(config);
 });
 
-// Update clinic configuration
-router.put("/:clinicId", (req, res) => {
-  const { clinicId } = req.params;
-  if (!clinicConfigs.has(clinicId)) {
-    return res.status(404).json({ error: "Clinic not found" });
+// List voicemails, urgent first (?urgency=urgent|routine, ?status=new|reviewed)
+router.get("/:clinicId/voicemails", async (req, res) => {
+  const { urgency, status } = req.query;
+
+  try {
+    await loadClinic(req.params.clinicId);
+    res.json(await voicemails.list(req.params.clinicId, { urgency, status }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Load a voicemail belonging to a clinic or throw a 404
+ */
+const loadVoicemail = async (clinicId, voicemailId) => {
+  const voicemail = await voicemails.get(voicemailId);
+  if (voicemail.clinic_id !== clinicId) {
+    throw new VoicemailNotFoundError(voicemailId);
+  }
+  return voicemail;
+};
+
+// Get one voicemail with its transcription
+router.get("/:clinicId/voicemails/:voicemailId", async (req, res) => {
+  try {
+    await loadClinic(req.params.clinicId);
+    res.json(await loadVoicemail(req.params.clinicId, req.params.voicemailId));
+  } catch (error) {
+    sendError(res, error);
   }
+});
+
+// Mark a voicemail as listened to (body: { reviewedBy })
+router.post("/:clinicId/voicemails/:voicemailId/review", async (req, res) => {
+  try {
+    await loadClinic(req.params.clinicId);
+    await loadVoicemail(req.params.clinicId, req.params.voicemailId);
+    res.json(
+      await voicemails.markReviewed(req.params.voicemailId, {
+        reviewedBy: req.body.reviewedBy,
+      }),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
 
-  const updated = {
-    ...clinicConfigs.get(clinicId),
-    ...req.body,
-    updated_at: new Date().toISOString(),
-  };
+/**
+ * Follow-up tasks from finished calls
+ * ?status=open|assigned|completed, ?type=, ?priority=urgent|routine, ?team=,
+ * ?assignedTo=
+ */
+router.get("/:clinicId/tasks", async (req, res) => {
+  const { status, type, priority, team, assignedTo } = req.query;
+  if (status && !TASK_STATUSES.includes(status)) {
+    return res
+      .status(400)
+      .json({ error: `status must be one of ${TASK_STATUSES.join(", ")}` });
+  }
 
-  clinicConfigs.set(clinicId, updated);
-  res.json(updated);
+  try {
+    await loadClinic(req.params.clinicId);
+    res.json(
+      await tasks.list(req.params.clinicId, {
+        status,
+        type,
+        priority,
+        team,
+        assignedTo,
+      }),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Load a task belonging to a clinic or throw a 404
+ */
+const loadTask = async (clinicId, taskId) => {
+  const task = await tasks.get(taskId);
+  if (task.clinic_id !== clinicId) throw new TaskNotFoundError(taskId);
+  return task;
+};
+
+router.get("/:clinicId/tasks/:taskId", async (req, res) => {
+  try {
+    await loadClinic(req.params.clinicId);
+    res.json(await loadTask(req.params.clinicId, req.params.taskId));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Assign a task (body: { assignee }) - 409 once it's completed
+router.post("/:clinicId/tasks/:taskId/assign", async (req, res) => {
+  const { assignee } = req.body;
+  if (typeof assignee !== "string" || !assignee.trim()) {
+    return res.status(400).json({ error: "assignee is required" });
+  }
+
+  try {
+    await loadClinic(req.params.clinicId);
+    await loadTask(req.params.clinicId, req.params.taskId);
+    res.json(await tasks.assign(req.params.taskId, assignee.trim()));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Complete a task (body: { completedBy, note }) - 409 if it already is
+router.post("/:clinicId/tasks/:taskId/complete", async (req, res) => {
+  try {
+    await loadClinic(req.params.clinicId);
+    await loadTask(req.params.clinicId, req.params.taskId);
+    res.json(
+      await tasks.complete(req.params.taskId, {
+        completedBy: req.body.completedBy,
+        note: req.body.note,
+      }),
+    );
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List the clinic's patients by name (?q= for names close to a search)
+router.get("/:clinicId/patients", async (req, res) => {
+  try {
+    await loadClinic(req.params.clinicId);
+    res.json(await patients.list(req.params.clinicId, { q: req.query.q }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Add one patient (body: { name, dob, phone, email, external_id })
+router.post("/:clinicId/patients", async (req, res) => {
+  try {
+    await loadClinic(req.params.clinicId);
+    res.status(201).json(await patients.add(req.params.clinicId, req.body));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * Import patients from CSV - sent as text/csv, or as JSON { csv }
+ * Returns how many were created and updated, and the rows skipped
+ */
+router.post(
+  "/:clinicId/patients/import",
+  express.text({ type: "text/csv", limit: "5mb" }),
+  async (req, res) => {
+    try {
+      await loadClinic(req.params.clinicId);
+      const csv = typeof req.body === "string" ? req.body : req.body?.csv;
+      res.json(await patients.importCsv(req.params.clinicId, csv));
+    } catch (error) {
+      sendError(res, error);
+    }
+  },
+);
+
+router.get("/:clinicId/patients/:patientId", async (req, res) => {
+  try {
+    await loadClinic(req.params.clinicId);
+    const patient = await patients.get(req.params.patientId);
+    if (patient.clinic_id !== req.params.clinicId) {
+      throw new PatientNotFoundError(req.params.patientId);
+    }
+    res.json(patient);
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
 // Get all clinic configurations (for demo purposes)
-router.get("/", (req, res) => {
-  res.json(Array.from(clinicConfigs.values()));
+router.get("/", async (req, res) => {
+  try {
+    res.json(await clinics.list());
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
 module.exports = router;
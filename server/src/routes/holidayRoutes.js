@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const {
+  HOLIDAY_STATES,
+  publicHolidays,
+} = require("../services/holidayCalendar");
+
+/**
+ * Built-in Australian public holidays
+ * Query: state (NSW, VIC, QLD, WA, SA, TAS, ACT, NT - national only if omitted),
+ * year (default this year)
+ * Used by the onboarding wizard before a clinic is saved
+ */
+router.get("/", (req, res) => {
+  const { state } = req.query;
+  const year = Number(req.query.year) || new Date().getFullYear();
+  if (state && !HOLIDAY_STATES.includes(state)) {
+    return res
+      .status(400)
+      .json({ error: `state must be one of ${HOLIDAY_STATES.join(", ")}` });
+  }
+
+  res.json({
+    state: state || null,
+    year,
+    holidays: publicHolidays(year, state),
+  });
+});
+
+module.exports = router;
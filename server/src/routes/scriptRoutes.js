@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const { validateLanguage } = require("../services/localePacks");
+const { PLACEHOLDERS, describeScripts } = require("../services/scriptLibrary");
+
+/**
+ * The script library's keys with their default lines
+ * Query: language (a tag like "vi-VN" - English if omitted)
+ * Used by the onboarding wizard's Scripts step
+ */
+router.get("/", (req, res) => {
+  const language = req.query.language || "en";
+  try {
+    validateLanguage({ agent_persona: { language } });
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  res.json({
+    language,
+    placeholders: PLACEHOLDERS,
+    scripts: describeScripts(language),
+  });
+});
+
+module.exports = router;
@@ -2,9 +2,53 @@ const express = require("express");
 const router = express.Router();
 const AIService = require("../services/AIService");
 const CallSimulator = require("../services/callSimulator");
+const { InboundStateMachine } = require("../services/inboundStateMachine");
+const { ScenarioRunner, loadScenarios } = require("../services/scenarioRunner");
+const { getStore } = require("../storage");
+const { ClinicRepository } = require("../storage/clinicRepository");
 
 const aiService = new AIService();
 const simulator = new CallSimulator();
+const clinics = new ClinicRepository(getStore());
+
+/**
+ * Resolve the clinic config a call should run against
+ * Prefers a persisted clinic (clinicId) over an inline clinicConfig
+ * @returns {Promise<object|null>} The config, or null if the clinic is unknown
+ */
+const resolveClinicConfig = async ({ clinicId, clinicConfig }) =>
+  clinicId ? clinics.get(clinicId) : clinicConfig || null;
+
+/**
+ * Send an error as JSON, using the error's status when it has one
+ */
+const sendError = (res, error, context) => {
+  if (!error.status) console.error(`Error ${context}:`, error);
+  res.status(error.status || 500).json({ error: error.message });
+};
+
+/**
+ * Continue a stored conversation with the patient's next message
+ */
+const handleMessage = (type) => async (req, res) => {
+  const { conversationId, patientMessage } = req.body;
+  if (!conversationId || typeof patientMessage !== "string") {
+    return res
+      .status(400)
+      .json({ error: "conversationId and patientMessage are required" });
+  }
+
+  try {
+    const updatedState = await simulator.continueConversation(
+      conversationId,
+      patientMessage,
+      type,
+    );
+    res.json(updatedState);
+  } catch (error) {
+    sendError(res, error, `processing ${type} message`);
+  }
+};
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // INBOUND CALL CONVERSATION ENDPOINTS (State Machine)
@@ -12,40 +56,57 @@ const simulator = new CallSimulator();
 
 /**
  * Initialize a new inbound conversation
- * Returns the initial state and greeting
+ * Accepts a stored clinicId or an inline clinicConfig
+ * Returns the initial state and greeting; the state is kept server-side
  */
 router.post("/inbound/start", async (req, res) => {
-  const { clinicConfig, callContext } = req.body;
+  const { callContext } = req.body;
+  if (callContext?.date && !/^\d{4}-\d{2}-\d{2}$/.test(callContext.date)) {
+    return res
+      .status(400)
+      .json({ error: "callContext.date must be YYYY-MM-DD" });
+  }
 
   try {
+    const clinicConfig = await resolveClinicConfig(req.body);
+    if (!clinicConfig) {
+      return res.status(404).json({ error: "Clinic not found" });
+    }
+
     const conversation = await simulator.initInboundConversation(
       clinicConfig,
       callContext || { currentTime: new Date().toISOString() },
     );
     res.json(conversation);
   } catch (error) {
-    console.error("Error starting inbound conversation:", error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, "starting inbound conversation");
   }
 });
 
 /**
  * Process a message in an ongoing inbound conversation
+ * Body: { conversationId, patientMessage }
  * Advances the state machine and returns the AI response
  */
-router.post("/inbound/message", async (req, res) => {
-  const { conversationState, patientMessage, clinicConfig } = req.body;
+router.post("/inbound/message", handleMessage("inbound"));
 
+/**
+ * Describe the state machine inbound calls run on
+ * Query: clinicId (optional) - includes that clinic's custom states and edges
+ * Returns the states, the transitions between them and the global interrupts
+ */
+router.get("/inbound/state-machine", async (req, res) => {
   try {
-    const updatedState = await simulator.processInboundMessage(
-      conversationState,
-      patientMessage,
-      clinicConfig,
-    );
-    res.json(updatedState);
+    const clinicConfig = req.query.clinicId
+      ? await clinics.get(req.query.clinicId)
+      : {};
+    if (!clinicConfig) {
+      return res.status(404).json({ error: "Clinic not found" });
+    }
+
+    res.json(InboundStateMachine.forClinic(clinicConfig).graph());
   } catch (error) {
-    console.error("Error processing inbound message:", error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, "describing the inbound state machine");
   }
 });
 
@@ -67,37 +128,107 @@ router.post("/outbound-followup", async (req, res) => {
 
 /**
  * Initialize a new outbound follow-up conversation
+ * Accepts a stored clinicId or an inline clinicConfig
+ * callContext selects the follow-up template and fills its variables
  * Returns the initial state and opening message
  */
 router.post("/outbound/start", async (req, res) => {
-  const { clinicConfig } = req.body;
+  const { callContext } = req.body;
 
   try {
-    const conversation = await simulator.initOutboundConversation(clinicConfig);
+    const clinicConfig = await resolveClinicConfig(req.body);
+    if (!clinicConfig) {
+      return res.status(404).json({ error: "Clinic not found" });
+    }
+
+    const conversation = await simulator.initOutboundConversation(
+      clinicConfig,
+      callContext || {},
+    );
     res.json(conversation);
   } catch (error) {
-    console.error("Error starting outbound conversation:", error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, "starting outbound conversation");
   }
 });
 
 /**
  * Process a message in an ongoing outbound conversation
- * Advances through the follow-up steps and returns the AI response
+ * Body: { conversationId, patientMessage }
+ * Advances through the template's steps and returns the AI response
  */
-router.post("/outbound/message", async (req, res) => {
-  const { conversationState, patientMessage, clinicConfig } = req.body;
+router.post("/outbound/message", handleMessage("outbound"));
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONVERSATION SESSION ENDPOINTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Get the server-side session for a conversation
+ */
+router.get("/sessions/:conversationId", (req, res) => {
   try {
-    const updatedState = await simulator.processOutboundMessage(
-      conversationState,
-      patientMessage,
-      clinicConfig,
+    const session = simulator.sessions.get(req.params.conversationId);
+    res.json(simulator.sessions.describe(session));
+  } catch (error) {
+    sendError(res, error, "loading session");
+  }
+});
+
+/**
+ * End a conversation and discard its session
+ */
+router.delete("/sessions/:conversationId", (req, res) => {
+  if (!simulator.sessions.delete(req.params.conversationId)) {
+    return res.status(404).json({ error: "Conversation not found or expired" });
+  }
+  res.status(204).end();
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCENARIO REGRESSION ENDPOINTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * List the scripted scenarios in server/scenarios
+ */
+router.get("/scenarios", (req, res) => {
+  try {
+    res.json(
+      loadScenarios().map(({ id, name, type, turns }) => ({
+        id,
+        name: name || id,
+        type: type || "inbound",
+        turns: turns.length,
+      })),
     );
-    res.json(updatedState);
   } catch (error) {
-    console.error("Error processing outbound message:", error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, "loading scenarios");
+  }
+});
+
+/**
+ * Run scenarios against a clinic config with the mock LLM
+ * Body: { clinicId | clinicConfig, scenarioIds? } - defaults to every
+ * scenario against the default config
+ * Returns pass/fail per scenario and turn; nothing is written to the store
+ */
+router.post("/scenarios/run", async (req, res) => {
+  const { clinicId, clinicConfig, scenarioIds } = req.body;
+
+  try {
+    const config = clinicId ? await clinics.get(clinicId) : clinicConfig;
+    if (clinicId && !config) {
+      return res.status(404).json({ error: "Clinic not found" });
+    }
+
+    const scenarios = loadScenarios().filter(
+      (s) => !scenarioIds?.length || scenarioIds.includes(s.id),
+    );
+    res.json(
+      await new ScenarioRunner({ clinicConfig: config }).runAll(scenarios),
+    );
+  } catch (error) {
+    sendError(res, error, "running scenarios");
   }
 });
 
@@ -1,67 +1,137 @@
 /**
- * AI Service - Direct HTTP Integration with Local LLM (LM Studio)
+ * AI Service - Conversation and analysis on top of a pluggable LLM provider
  *
- * This service uses direct HTTP calls to LM Studio's OpenAI-compatible API
- * for natural language processing and conversation handling.
+ * The backend (LM Studio, Ollama, any OpenAI-compatible API or the offline
+ * mock) comes from the environment, or from a clinic's `ai_provider` config
+ * when it sets one. See ../llm/index.js for the settings.
  *
- * LM Studio runs locally at http://localhost:1234/v1
+ * LM Studio at http://localhost:1234/v1 remains the default.
+ *
+ * Spoken replies pass through the response guardrail (./responseGuardrail.js)
+ * before they are returned; out-of-scope ones come back empty.
  */
 
-const fetch = require("node-fetch");
+const { AsyncLocalStorage } = require("async_hooks");
+const { resolveSettings, createProvider } = require("../llm");
+const { checkResponse } = require("./responseGuardrail");
+const { localePack } = require("./localePacks");
 
 class AIService {
-  constructor() {
-    this.lmStudioBaseUrl =
-      process.env.LM_STUDIO_URL || "http://127.0.0.1:1234/v1";
-    this.modelName = process.env.LM_STUDIO_MODEL || "openai/gpt-oss-20b";
+  /**
+   * @param {object} options
+   * @param {object} [options.provider] - Provider instance used for every call (e.g. a MockProvider in tests)
+   */
+  constructor({ provider = null } = {}) {
+    this.defaultSettings = resolveSettings();
+    this.providerOverride = provider;
+    this.providers = new Map(); // Connection settings → provider instance
+    this.guardrailLog = new AsyncLocalStorage(); // Violations for trackGuardrail()
     console.log(
-      `[AI] Configured for LM Studio at ${this.lmStudioBaseUrl} with model ${this.modelName}`,
+      `[AI] Configured for ${provider?.name || this.defaultSettings.provider}` +
+        ` with models ${JSON.stringify(this.defaultSettings.models)}`,
     );
   }
 
   /**
-   * Make a chat completion request to LM Studio
+   * Provider and model for a task, honouring the clinic's ai_provider config
+   * @param {object} [clinicConfig] - Clinic configuration
+   * @param {string} [task] - "dialogue" | "extraction" | "analysis"
+   * @returns {{provider: object, model: string}}
+   */
+  resolve(clinicConfig, task = "dialogue") {
+    const settings = clinicConfig?.ai_provider
+      ? resolveSettings(clinicConfig.ai_provider)
+      : this.defaultSettings;
+    const model = settings.models[task] || settings.models.dialogue;
+
+    if (this.providerOverride) {
+      return { provider: this.providerOverride, model };
+    }
+
+    const key = JSON.stringify([
+      settings.provider,
+      settings.baseUrl,
+      settings.apiKey,
+      settings.mockScript,
+    ]);
+    if (!this.providers.has(key)) {
+      this.providers.set(key, createProvider(settings));
+    }
+    return { provider: this.providers.get(key), model };
+  }
+
+  /**
+   * Make a chat completion request to the configured provider
    * @param {Array} messages - Array of {role, content} message objects
-   * @param {object} options - Optional parameters (temperature, max_tokens)
+   * @param {object} options - Optional parameters (temperature, max_tokens, task, clinicConfig)
    * @returns {Promise<string>} The assistant's response text
    */
   async _chatCompletion(messages, options = {}) {
-    const url = `${this.lmStudioBaseUrl}/chat/completions`;
-    console.log(`[AI] Calling LM Studio at: ${url}`);
+    const task = options.task || "dialogue";
+    const { provider, model } = this.resolve(options.clinicConfig, task);
 
     try {
-      const response = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: this.modelName,
-          messages,
-          temperature: options.temperature ?? 0.7,
-          max_tokens: options.max_tokens ?? 512,
-        }),
+      const text = await provider.chat(messages, {
+        model,
+        task,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.max_tokens ?? 512,
       });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`LM Studio error (${response.status}): ${errorText}`);
-      }
-
-      const data = await response.json();
-      console.log(`[AI] LM Studio responded successfully`);
-      return data.choices?.[0]?.message?.content || "";
+      console.log(`[AI] ${provider.name} responded successfully (${task})`);
+      return text;
     } catch (error) {
-      console.error(`[AI] LM Studio connection error: ${error.message}`);
+      console.error(`[AI] ${provider.name} connection error: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Run a piece of work and collect the guardrail violations of every reply
+   * generated inside it, however deep the call that generated it
+   * @param {Function} work - Async function to run
+   * @returns {Promise<{result: *, violations: Array<{categories: string[], blocked: string}>}>}
+   */
+  async trackGuardrail(work) {
+    const violations = [];
+    const result = await this.guardrailLog.run(violations, work);
+    return { result, violations };
+  }
+
+  /**
+   * Check a generated reply against the clinic's ai_scope.out_of_scope
+   * @returns {object|null} The violation, or null if the reply may be spoken
+   */
+  _checkGuardrail(text, clinicConfig) {
+    const categories = checkResponse(text, clinicConfig);
+    if (categories.length === 0) return null;
+
+    console.warn(
+      `[AI] Guardrail blocked an out-of-scope reply (${categories.join(", ")}): "${text.substring(0, 80)}"`,
+    );
+    const violation = { categories, blocked: text };
+    this.guardrailLog.getStore()?.push(violation);
+    return violation;
+  }
+
+  /**
+   * Response metadata for the provider and model that served a task
+   */
+  _metadata(clinicConfig, task) {
+    const { provider, model } = this.resolve(clinicConfig, task);
+    return {
+      model,
+      provider: provider.name,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
   /**
    * Generate a conversational response based on context
    * @param {string} prompt - The user's input (often just a trigger, real instruction in context)
    * @param {object} context - Conversation context including clinic config and instruction
-   * @returns {Promise<object>} AI response with text and metadata
+   * @returns {Promise<object>} AI response with text and metadata - text is
+   *   null when generation failed, came back empty or the guardrail blocked
+   *   the reply
    */
   async generateResponse(prompt, context) {
     const clinicConfig = context?.clinicConfig || {};
@@ -78,6 +148,12 @@ class AIService {
       const historySection = conversationHistory
         ? `\n\nCONVERSATION SO FAR:\n${conversationHistory}\n`
         : "";
+      // Instructions are written in English whatever the call's language
+      const language = localePack(clinicConfig.agent_persona?.language);
+      const languageRule =
+        language.code === "en"
+          ? ""
+          : `\n- Speak ${language.name} ONLY - the caller speaks ${language.name}, even though these instructions are in English`;
 
       const systemPrompt = `You are Heidi, a friendly AI phone assistant for ${clinicConfig.clinic_name || "the clinic"}.
 Your tone: ${tone}
@@ -93,20 +169,19 @@ CRITICAL RULES:
 - Keep responses concise (1-3 sentences max)
 - STAY CONSISTENT with anything you already said in the conversation
 - If you offered specific times/options, reference those exact same times when confirming
-- ALWAYS maintain a ${tone} tone throughout your response
+- ALWAYS maintain a ${tone} tone throughout your response${languageRule}
 
 YOUR SPECIFIC TASK RIGHT NOW:
 ${instruction}
 
 Respond naturally as Heidi with a ${tone} tone. Output ONLY what you would say - no explanations, no prefixes like "Heidi:", just the spoken words.`;
 
-      // Call LM Studio directly
       const response = await this._chatCompletion(
         [
           { role: "system", content: systemPrompt },
           { role: "user", content: instruction || prompt },
         ],
-        { temperature: 0.6, max_tokens: 256 },
+        { temperature: 0.6, max_tokens: 256, task: "dialogue", clinicConfig },
       );
 
       // Use local intent detection to avoid extra API calls
@@ -117,22 +192,22 @@ Respond naturally as Heidi with a ${tone} tone. Output ONLY what you would say -
         prompt.substring(0, 50) + "...",
       );
 
+      // Out-of-scope replies are dropped so the caller's scripted line is used
+      const text = response.trim();
+      const guardrail = this._checkGuardrail(text, clinicConfig);
+
       return {
-        text: response.trim(),
+        text: guardrail || !text ? null : text,
+        guardrail,
         confidence: 0.9,
         intent,
         entities: [],
-        metadata: {
-          model: this.modelName,
-          provider: "lm-studio",
-          timestamp: new Date().toISOString(),
-        },
+        metadata: this._metadata(clinicConfig, "dialogue"),
       };
     } catch (error) {
       console.error("[AI] Error generating response:", error.message);
-
-      // Fallback to mock response on error
-      return this._generateMockResponse(prompt, clinicConfig);
+      // Null text signals callers to use their scripted fallback
+      return { text: null, error: error.message };
     }
   }
 
@@ -140,17 +215,20 @@ Respond naturally as Heidi with a ${tone} tone. Output ONLY what you would say -
    * Generate a dynamic response for outbound follow-up calls
    * Uses conversation history and context to create natural, contextual responses
    * @param {object} context - Call context with step info, conversation history, etc.
-   * @returns {Promise<object>} AI response with text
+   * @returns {Promise<object>} AI response with text - null when generation
+   *   failed, came back empty or the guardrail blocked the reply
    */
   async generateFollowupResponse(context) {
     const {
       clinicName,
       tone,
+      callPurpose,
       step,
       instruction,
       conversationHistory,
       urgent,
       followupDate,
+      clinicConfig,
     } = context;
 
     // Default tone if not provided
@@ -159,7 +237,7 @@ Respond naturally as Heidi with a ${tone} tone. Output ONLY what you would say -
     try {
       // Build the system prompt for followup calls
       const systemPrompt = `You are Heidi, a caring and professional digital care partner for ${clinicName}.
-You are making an OUTBOUND follow-up call about blood pressure medication (Zestril).
+You are making an OUTBOUND follow-up call to check in on ${callPurpose || "the patient's recent care"}.
 
 PERSONALITY & TONE:
 - Your tone MUST be: ${effectiveTone}
@@ -208,6 +286,8 @@ Respond ONLY with what Heidi would say out loud in a ${effectiveTone} tone - no
       const response = await this._chatCompletion(messages, {
         temperature: 0.8, // Slightly higher for more natural variation
         max_tokens: 256,
+        task: "dialogue",
+        clinicConfig,
       });
 
       console.log(`[AI] Generated followup response for step: ${step}`);
@@ -218,14 +298,13 @@ Respond ONLY with what Heidi would say out loud in a ${effectiveTone} tone - no
         cleanedResponse = cleanedResponse.slice(1, -1);
       }
 
+      const guardrail = this._checkGuardrail(cleanedResponse, clinicConfig);
+
       return {
-        text: cleanedResponse,
+        text: guardrail || !cleanedResponse ? null : cleanedResponse,
+        guardrail,
         step,
-        metadata: {
-          model: this.modelName,
-          provider: "lm-studio",
-          timestamp: new Date().toISOString(),
-        },
+        metadata: this._metadata(clinicConfig, "dialogue"),
       };
     } catch (error) {
       console.error("[AI] Error generating followup response:", error.message);
@@ -270,9 +349,10 @@ Respond ONLY with what Heidi would say out loud in a ${effectiveTone} tone - no
   /**
    * Analyze sentiment of patient response using AI
    * @param {string} text - Text to analyze
+   * @param {object} [clinicConfig] - Clinic configuration, for its ai_provider
    * @returns {Promise<object>} Sentiment analysis result
    */
-  async analyzeSentiment(text) {
+  async analyzeSentiment(text, clinicConfig) {
     try {
       const prompt = `Analyze the sentiment of this message from a medical clinic caller.
 Rate the sentiment and provide a brief analysis.
@@ -282,9 +362,10 @@ Message: "${text}"
 Respond in JSON format only, no other text:
 {"sentiment": "positive" or "negative" or "neutral", "score": number from -1 to 1, "magnitude": number from 0 to 1, "reason": "brief explanation"}`;
 
-      const response = await this._chatCompletion([
-        { role: "user", content: prompt },
-      ]);
+      const response = await this._chatCompletion(
+        [{ role: "user", content: prompt }],
+        { task: "analysis", clinicConfig },
+      );
 
       // Parse the JSON response
       const jsonMatch = response.match(/\{[\s\S]*\}/);
@@ -312,11 +393,14 @@ Respond in JSON format only, no other text:
 
   /**
    * Check if the service is properly configured
-   * @returns {boolean} Whether LM Studio is expected to be available
+   * @returns {boolean} Whether the default provider has what it needs to run
    */
   isConfigured() {
-    // LM Studio doesn't need API keys, just needs to be running
-    return true;
+    // Local servers don't need API keys, they just need to be running
+    return (
+      this.defaultSettings.provider !== "openai" ||
+      !!this.defaultSettings.apiKey
+    );
   }
 }
 
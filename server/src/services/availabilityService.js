@@ -0,0 +1,604 @@
+/**
+ * Availability Service
+ *
+ * Works out real appointment slots for each practitioner and books them.
+ *
+ * A practitioner's availability is derived from:
+ * - the clinic's `operating_hours` (a practitioner never works when the clinic is closed,
+ *   including lunch breaks, public holidays and closures - see operatingHours.js)
+ * - `staff_directory[].availability`:
+ *     working_days   - days they consult (default: every open day)
+ *     session_minutes - appointment length (default: defaults.appointment_duration_minutes)
+ *     blocked_times  - [{ day | date, start, end, reason }] recurring or one-off blocks
+ * - existing bookings in the `bookings` collection
+ *
+ * validateStaffAvailability rejects session lengths, working days and blocked
+ * times that slots can't be worked out from, when a clinic is saved.
+ *
+ * Dates are plain "YYYY-MM-DD" strings and times "HH:MM", both in clinic-local time
+ * (the clinic's `timezone` - see clinicTime.js).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { dayIntervals, openingIntervals } = require("./operatingHours");
+const { clinicNow } = require("./clinicTime");
+
+const BOOKINGS = "bookings";
+
+const DAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_SESSION_MINUTES = 15;
+const DEFAULT_HORIZON_DAYS = 14;
+
+// Bookings that hold their slot
+const ACTIVE_STATUSES = ["confirmed", "pending_approval"];
+
+// Bookings are checked and written one at a time across every service
+// instance, so two callers can never take the same slot
+let bookingQueue = Promise.resolve();
+
+class SlotUnavailableError extends Error {
+  constructor(slot) {
+    super(`${formatSlot(slot)} is not available`);
+    this.slot = slot;
+    this.status = 409;
+  }
+}
+
+class BookingNotFoundError extends Error {
+  constructor(bookingId) {
+    super("Booking not found");
+    this.bookingId = bookingId;
+    this.status = 404;
+  }
+}
+
+class BookingNotActiveError extends Error {
+  constructor(booking) {
+    super(`Booking is already ${booking.status}`);
+    this.bookingId = booking.booking_id;
+    this.status = 409;
+  }
+}
+
+class StaffAvailabilityError extends Error {
+  constructor(message) {
+    super(`Invalid staff availability: ${message}`);
+    this.status = 400;
+  }
+}
+
+class PractitionerNotFoundError extends Error {
+  constructor(practitionerId) {
+    super("Practitioner not found");
+    this.practitionerId = practitionerId;
+    this.status = 404;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DATE HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+
+// Dates are handled as UTC midnights so no local timezone shifts creep in
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+
+const addDays = (date, days) => {
+  const result = parseDate(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+const dayOfWeek = (date) => DAY_NAMES[parseDate(date).getUTCDay()];
+
+/**
+ * Next date on or after `fromDate` that falls on `day`
+ * @param {string} day - Lowercase day name
+ * @param {string} fromDate - "YYYY-MM-DD" (defaults to today)
+ */
+function nextDateForDay(day, fromDate = new Date().toISOString().slice(0, 10)) {
+  const offset =
+    (DAY_NAMES.indexOf(day.toLowerCase()) -
+      parseDate(fromDate).getUTCDay() +
+      7) %
+    7;
+  return addDays(fromDate, offset);
+}
+
+const formatTime = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const suffix = hours >= 12 ? "PM" : "AM";
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, "0")} ${suffix}`;
+};
+
+const formatDate = (date) =>
+  parseDate(date).toLocaleDateString("en-AU", {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    timeZone: "UTC",
+  });
+
+/**
+ * Human readable slot, e.g. "Tuesday 21 October at 10:00 AM"
+ */
+function formatSlot(slot) {
+  return `${formatDate(slot.date)} at ${formatTime(slot.start)}`;
+}
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+const practitionerIdOf = (practitioner) => practitioner.id || practitioner.name;
+
+// Loose comparison for caller-supplied identity ("Jane  Citizen" / "01/02/1980")
+const normaliseName = (name) =>
+  (name || "").toLowerCase().replace(/\s+/g, " ").trim();
+const normaliseDob = (dob) => (dob || "").replace(/\D/g, "");
+
+// ─────────────────────────────────────────────────────────────────────────────
+// SLOT MATCHING
+// ─────────────────────────────────────────────────────────────────────────────
+
+const ORDINALS = [
+  ["first", "1st", "earlier", "earliest", "former"],
+  ["second", "2nd", "later", "latter"],
+  ["third", "3rd"],
+];
+
+/**
+ * Work out which offered slot a patient picked
+ * Understands times ("the 10am", "2:30"), days ("Thursday") and ordinals ("the first one")
+ * @returns {object|null} The chosen slot, or null if it's ambiguous
+ */
+function matchSlot(message, slots = []) {
+  if (slots.length === 0) return null;
+  const lowerMessage = message.toLowerCase();
+  let candidates = slots;
+
+  const timeMatch = lowerMessage.match(
+    /\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)\b|\b(\d{1,2})[:.](\d{2})\b/,
+  );
+  if (timeMatch) {
+    const hour = Number(timeMatch[1] ?? timeMatch[4]);
+    const minute = Number(timeMatch[2] ?? timeMatch[5] ?? 0);
+    const meridiem = timeMatch[3];
+    candidates = candidates.filter((slot) => {
+      const [slotHour, slotMinute] = slot.start.split(":").map(Number);
+      const hourMatches = meridiem
+        ? slotHour === (hour % 12) + (meridiem === "pm" ? 12 : 0)
+        : slotHour % 12 === hour % 12;
+      return hourMatches && (minute === 0 || slotMinute === minute);
+    });
+  }
+
+  const mentionedDays = DAY_NAMES.filter((day) => lowerMessage.includes(day));
+  if (mentionedDays.length > 0) {
+    candidates = candidates.filter((slot) =>
+      mentionedDays.includes(dayOfWeek(slot.date)),
+    );
+  }
+
+  if (!timeMatch && mentionedDays.length === 0) {
+    const index = ORDINALS.findIndex((words) =>
+      words.some((word) => new RegExp(`\\b${word}\\b`).test(lowerMessage)),
+    );
+    if (/\b(last|latter)\b/.test(lowerMessage)) return slots[slots.length - 1];
+    return index !== -1 && slots[index] ? slots[index] : null;
+  }
+
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+const isSessionLength = (minutes) => Number.isInteger(minutes) && minutes > 0;
+
+/**
+ * Reject session lengths, working days and blocked times slots can't be
+ * worked out from
+ * @throws {StaffAvailabilityError}
+ */
+function validateStaffAvailability(clinicConfig) {
+  const defaultMinutes = clinicConfig.defaults?.appointment_duration_minutes;
+  if (defaultMinutes !== undefined && !isSessionLength(defaultMinutes)) {
+    throw new StaffAvailabilityError(
+      "defaults.appointment_duration_minutes must be a whole number of minutes above 0",
+    );
+  }
+
+  (clinicConfig.staff_directory || []).forEach((practitioner, i) => {
+    const where = `staff_directory[${i}].availability`;
+    const availability = practitioner?.availability || {};
+    const {
+      session_minutes: minutes,
+      working_days: days = [],
+      blocked_times: blocks = [],
+    } = availability;
+
+    if (
+      minutes !== undefined &&
+      minutes !== null &&
+      !isSessionLength(minutes)
+    ) {
+      throw new StaffAvailabilityError(
+        `${where}.session_minutes must be a whole number of minutes above 0`,
+      );
+    }
+    if (!Array.isArray(days) || days.some((d) => !DAY_NAMES.includes(d))) {
+      throw new StaffAvailabilityError(
+        `${where}.working_days must be lowercase day names (${DAY_NAMES.join(", ")})`,
+      );
+    }
+    if (!Array.isArray(blocks)) {
+      throw new StaffAvailabilityError(`${where}.blocked_times must be a list`);
+    }
+    blocks.forEach((block, j) => {
+      if (
+        !TIME_PATTERN.test(block?.start || "") ||
+        !TIME_PATTERN.test(block?.end || "") ||
+        block.start >= block.end
+      ) {
+        throw new StaffAvailabilityError(
+          `${where}.blocked_times[${j}] needs an HH:MM start before its end`,
+        );
+      }
+      if (block.day && !DAY_NAMES.includes(block.day)) {
+        throw new StaffAvailabilityError(
+          `${where}.blocked_times[${j}].day "${block.day}" isn't a day name`,
+        );
+      }
+    });
+  });
+}
+
+class AvailabilityService {
+  /**
+   * @param {object} store - Storage backend (see storage/index.js)
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Find a practitioner in the staff directory by id (or name for configs without ids)
+   */
+  getPractitioner(clinicConfig, practitionerId) {
+    const practitioner = (clinicConfig.staff_directory || []).find(
+      (p) => practitionerIdOf(p) === practitionerId,
+    );
+    if (!practitioner) throw new PractitionerNotFoundError(practitionerId);
+    return practitioner;
+  }
+
+  /**
+   * A practitioner's consulting hours on a date, or null if they aren't working
+   * @returns {{intervals: Array<{start: string, end: string}>, sessionMinutes: number}|null}
+   */
+  getWorkingHours(clinicConfig, practitioner, date) {
+    const day = dayOfWeek(date);
+    const intervals = openingIntervals(clinicConfig, date);
+    if (intervals.length === 0) return null;
+
+    const availability = practitioner.availability || {};
+    if (
+      availability.working_days?.length &&
+      !availability.working_days.includes(day)
+    ) {
+      return null;
+    }
+
+    return {
+      intervals,
+      sessionMinutes:
+        availability.session_minutes ||
+        clinicConfig.defaults?.appointment_duration_minutes ||
+        DEFAULT_SESSION_MINUTES,
+    };
+  }
+
+  /**
+   * List bookings for a clinic
+   * @param {object} filters - { practitionerId, date, activeOnly }
+   */
+  async listBookings(clinicId, { practitionerId, date, activeOnly } = {}) {
+    const bookings = await this.store.list(BOOKINGS);
+    return bookings
+      .filter(
+        (b) =>
+          b.clinic_id === clinicId &&
+          (!practitionerId || b.practitioner_id === practitionerId) &&
+          (!date || b.date === date) &&
+          (!activeOnly || ACTIVE_STATUSES.includes(b.status)),
+      )
+      .sort((a, b) =>
+        `${a.date}T${a.start}`.localeCompare(`${b.date}T${b.start}`),
+      );
+  }
+
+  async getBooking(bookingId) {
+    const booking = await this.store.get(BOOKINGS, bookingId);
+    if (!booking) throw new BookingNotFoundError(bookingId);
+    return booking;
+  }
+
+  /**
+   * A patient's upcoming active bookings, matched on name and date of birth
+   * @param {object} patient - { name, dob }
+   * @param {string} fromDate - Only bookings on or after this date
+   */
+  async findPatientBookings(clinicId, patient, fromDate) {
+    const name = normaliseName(patient.name);
+    const dob = normaliseDob(patient.dob);
+    if (!name || !dob) return [];
+
+    const bookings = await this.listBookings(clinicId, { activeOnly: true });
+    return bookings.filter(
+      (b) =>
+        normaliseName(b.patient?.name) === name &&
+        normaliseDob(b.patient?.dob) === dob &&
+        (!fromDate || b.date >= fromDate),
+    );
+  }
+
+  /**
+   * Free slots for one practitioner on one date
+   * @param {object} options - { after: "HH:MM" } skips slots starting before this time,
+   *   { ignoreBookingId } treats that booking's time as free (for rescheduling)
+   */
+  async getFreeSlots(
+    clinicConfig,
+    practitioner,
+    date,
+    { after, ignoreBookingId } = {},
+  ) {
+    const hours = this.getWorkingHours(clinicConfig, practitioner, date);
+    // A session length that isn't a whole number of minutes would never
+    // step through the day
+    if (!hours || !isSessionLength(hours.sessionMinutes)) return [];
+
+    const practitionerId = practitionerIdOf(practitioner);
+    const booked = await this.listBookings(clinicConfig.clinic_id, {
+      practitionerId,
+      date,
+      activeOnly: true,
+    });
+    const blocked = (practitioner.availability?.blocked_times || []).filter(
+      (block) =>
+        block.date
+          ? block.date === date
+          : !block.day || block.day === dayOfWeek(date),
+    );
+    const busy = [
+      ...booked.filter((b) => b.booking_id !== ignoreBookingId),
+      ...blocked,
+    ].map((entry) => [toMinutes(entry.start), toMinutes(entry.end)]);
+
+    const slots = [];
+    const earliest = after ? toMinutes(after) : 0;
+    for (const interval of hours.intervals) {
+      const closing = toMinutes(interval.end);
+      for (
+        let start = toMinutes(interval.start);
+        start + hours.sessionMinutes <= closing;
+        start += hours.sessionMinutes
+      ) {
+        const end = start + hours.sessionMinutes;
+        if (start < earliest) continue;
+        if (busy.some(([from, to]) => overlaps(start, end, from, to))) continue;
+
+        slots.push({
+          practitioner_id: practitionerId,
+          practitioner_name: practitioner.name,
+          date,
+          start: fromMinutes(start),
+          end: fromMinutes(end),
+        });
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Earliest free slots from a point in time
+   * Without a practitionerId, searches every practitioner accepting new
+   * patients - or everyone, for an existing patient (newPatient: false)
+   * @param {object} options - { practitionerId, from: {date, time}, limit, days, newPatient }
+   * @returns {Promise<Array>} Slots in chronological order
+   */
+  async findSlots(
+    clinicConfig,
+    { practitionerId, from, limit = 2, days, newPatient = true } = {},
+  ) {
+    const practitioners = practitionerId
+      ? [this.getPractitioner(clinicConfig, practitionerId)]
+      : (clinicConfig.staff_directory || []).filter(
+          (p) => !newPatient || p.booking_rules?.accepts_new_patients !== false,
+        );
+    const horizon =
+      days ||
+      clinicConfig.defaults?.booking_horizon_days ||
+      DEFAULT_HORIZON_DAYS;
+    // Without a date, search from the clinic's own clock
+    const now = clinicNow(clinicConfig);
+    const startDate = from?.date || now.date;
+    const startTime = from?.time || (from?.date ? undefined : now.time);
+
+    const found = [];
+    for (let offset = 0; offset < horizon && found.length < limit; offset++) {
+      const date = addDays(startDate, offset);
+      const after = offset === 0 ? startTime : undefined;
+
+      const daySlots = [];
+      for (const practitioner of practitioners) {
+        daySlots.push(
+          ...(await this.getFreeSlots(clinicConfig, practitioner, date, {
+            after,
+          })),
+        );
+      }
+      found.push(...daySlots.sort((a, b) => a.start.localeCompare(b.start)));
+    }
+    return found.slice(0, limit);
+  }
+
+  /**
+   * Book a slot, rejecting it if it's no longer free
+   * @param {object} slot - { practitioner_id, date, start }
+   * @param {object} details - { patient: {name, dob}, status, conversationId }
+   * @throws {SlotUnavailableError} If the slot is taken, blocked or outside working hours
+   */
+  async book(
+    clinicConfig,
+    slot,
+    { patient = {}, status = "confirmed", conversationId } = {},
+  ) {
+    return this._enqueue(async () => {
+      const practitioner = this.getPractitioner(
+        clinicConfig,
+        slot.practitioner_id,
+      );
+      const free = await this.getFreeSlots(
+        clinicConfig,
+        practitioner,
+        slot.date,
+      );
+      const match = free.find((s) => s.start === slot.start);
+      if (!match) throw new SlotUnavailableError(slot);
+
+      const booking = {
+        booking_id: `booking_${uuidv4()}`,
+        clinic_id: clinicConfig.clinic_id,
+        ...match,
+        status,
+        patient: { name: patient.name || null, dob: patient.dob || null },
+        conversation_id: conversationId || null,
+        created_at: new Date().toISOString(),
+      };
+      return this.store.put(BOOKINGS, booking.booking_id, booking);
+    });
+  }
+
+  /**
+   * Cancel a booking, freeing its slot
+   * @throws {BookingNotFoundError|BookingNotActiveError}
+   */
+  async cancel(bookingId, { reason } = {}) {
+    return this._enqueue(async () => {
+      const booking = await this._getActiveBooking(bookingId);
+      return this.store.put(BOOKINGS, bookingId, {
+        ...booking,
+        status: "cancelled",
+        cancelled_at: new Date().toISOString(),
+        cancellation_reason: reason || null,
+      });
+    });
+  }
+
+  /**
+   * Move a booking to another slot with the same practitioner
+   * The previous time is kept in the booking's `history`
+   * @param {object} slot - { date, start }
+   * @throws {SlotUnavailableError} If the new slot isn't free
+   */
+  async reschedule(clinicConfig, bookingId, slot) {
+    return this._enqueue(async () => {
+      const booking = await this._getActiveBooking(bookingId);
+      const practitioner = this.getPractitioner(
+        clinicConfig,
+        booking.practitioner_id,
+      );
+      const free = await this.getFreeSlots(
+        clinicConfig,
+        practitioner,
+        slot.date,
+        { ignoreBookingId: bookingId },
+      );
+      const match = free.find((s) => s.start === slot.start);
+      if (!match) throw new SlotUnavailableError(slot);
+
+      const now = new Date().toISOString();
+      return this.store.put(BOOKINGS, bookingId, {
+        ...booking,
+        date: match.date,
+        start: match.start,
+        end: match.end,
+        rescheduled_at: now,
+        history: [
+          ...(booking.history || []),
+          {
+            date: booking.date,
+            start: booking.start,
+            end: booking.end,
+            changed_at: now,
+          },
+        ],
+      });
+    });
+  }
+
+  async _getActiveBooking(bookingId) {
+    const booking = await this.getBooking(bookingId);
+    if (!ACTIVE_STATUSES.includes(booking.status)) {
+      throw new BookingNotActiveError(booking);
+    }
+    return booking;
+  }
+
+  /**
+   * Run booking changes one at a time
+   * A failed change shouldn't block later ones
+   */
+  _enqueue(task) {
+    const run = bookingQueue.then(task);
+    bookingQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * When the clinic next opens after a point in time
+   * @returns {{date: string, time: string}|null}
+   */
+  nextOpening(clinicConfig, from, days = DEFAULT_HORIZON_DAYS) {
+    for (let offset = 0; offset <= days; offset++) {
+      const date = addDays(from.date, offset);
+      const opening = dayIntervals(clinicConfig, date)
+        .map((interval) => interval.start)
+        .sort()
+        .find((start) => offset > 0 || toMinutes(start) > toMinutes(from.time));
+      if (opening) return { date, time: opening };
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  AvailabilityService,
+  SlotUnavailableError,
+  BookingNotFoundError,
+  BookingNotActiveError,
+  PractitionerNotFoundError,
+  StaffAvailabilityError,
+  formatSlot,
+  formatDate,
+  formatTime,
+  dayOfWeek,
+  matchSlot,
+  nextDateForDay,
+  validateStaffAvailability,
+};
@@ -0,0 +1,100 @@
+/**
+ * Booking Policy
+ *
+ * How the appointment flow treats two kinds of request the clinic decides on
+ * up front:
+ *
+ *   defaults.new_patient_booking - a caller the patient registry doesn't know
+ *     (see patientRegistry.js) asking to book:
+ *       allow             - book them like anyone else
+ *       requires_approval - hold the slot as a pending booking the clinic
+ *                           approves (default)
+ *       take_message      - offer no slots; take a message so reception can
+ *                           book them
+ *
+ *   defaults.unknown_clinician_request - a caller asking for a doctor who
+ *     isn't in the staff directory:
+ *       offer_next_available - offer the next free appointments with anyone (default)
+ *       take_message         - take a message for reception
+ *       escalate             - transfer to reception; a message after hours
+ *
+ * A clinic without a patient registry can't tell new patients from existing
+ * ones, so new_patient_booking only applies once the registry says so.
+ */
+
+const NEW_PATIENT_BOOKING_POLICIES = [
+  "allow",
+  "requires_approval",
+  "take_message",
+];
+
+const UNKNOWN_CLINICIAN_POLICIES = [
+  "offer_next_available",
+  "take_message",
+  "escalate",
+];
+
+const DEFAULT_BOOKING_POLICY = {
+  new_patient_booking: "requires_approval",
+  unknown_clinician_request: "offer_next_available",
+};
+
+class BookingPolicyError extends Error {
+  constructor(message) {
+    super(`Invalid booking policy: ${message}`);
+    this.status = 400;
+  }
+}
+
+/**
+ * A clinic's booking policy, defaults filled in
+ * @returns {{new_patient_booking: string, unknown_clinician_request: string}}
+ */
+function bookingPolicy(clinicConfig) {
+  const defaults = clinicConfig?.defaults || {};
+  return {
+    new_patient_booking:
+      defaults.new_patient_booking ||
+      DEFAULT_BOOKING_POLICY.new_patient_booking,
+    unknown_clinician_request:
+      defaults.unknown_clinician_request ||
+      DEFAULT_BOOKING_POLICY.unknown_clinician_request,
+  };
+}
+
+/**
+ * What happens to an unknown doctor request, given whether anyone can take
+ * a transfer - an escalation after hours becomes a message
+ */
+function resolveUnknownClinician(clinicConfig, isBusinessHours) {
+  const policy = bookingPolicy(clinicConfig).unknown_clinician_request;
+  if (policy === "escalate" && !isBusinessHours) return "take_message";
+  return policy;
+}
+
+/**
+ * Reject booking policies the appointment flow doesn't know
+ * @throws {BookingPolicyError}
+ */
+function validateBookingPolicy(clinicConfig) {
+  const defaults = clinicConfig?.defaults || {};
+  const check = (key, allowed) => {
+    if (defaults[key] !== undefined && !allowed.includes(defaults[key])) {
+      throw new BookingPolicyError(
+        `defaults.${key} must be one of ${allowed.join(", ")}`,
+      );
+    }
+  };
+  check("new_patient_booking", NEW_PATIENT_BOOKING_POLICIES);
+  check("unknown_clinician_request", UNKNOWN_CLINICIAN_POLICIES);
+}
+
+module.exports = {
+  NEW_PATIENT_BOOKING_POLICIES,
+  UNKNOWN_CLINICIAN_POLICIES,
+  DEFAULT_BOOKING_POLICY,
+  BookingPolicyError,
+  bookingPolicy,
+  resolveUnknownClinician,
+  validateBookingPolicy,
+};
@@ -10,190 +10,165 @@
  * - Safety-first: Emergency detection before identity verification
  */
 
+const { v4: uuidv4 } = require("uuid");
 const AIService = require("./AIService");
+const { FollowupTemplateRunner } = require("./followupTemplateRunner");
+const { SessionStore, SessionError } = require("./sessionStore");
+const { CallSummarizer, annotatePatientTurn } = require("./callSummarizer");
+const {
+  AvailabilityService,
+  SlotUnavailableError,
+  formatSlot,
+  dayOfWeek,
+  matchSlot,
+  nextDateForDay,
+  validateStaffAvailability,
+} = require("./availabilityService");
+const { findHoliday } = require("./holidayCalendar");
+const {
+  clinicDateAfter,
+  clinicNow,
+  clinicTimestamp,
+  validateTimezone,
+} = require("./clinicTime");
+const {
+  dayIntervals,
+  findOverride,
+  isOpenAt,
+  validateOperatingHours,
+} = require("./operatingHours");
+const {
+  InboundStateMachine,
+  INBOUND_STATES,
+} = require("./inboundStateMachine");
+const { guardrailFlags, escalatesToStaff } = require("./responseGuardrail");
+const {
+  frustrationThreshold,
+  shouldEscalate,
+  updateSentiment,
+} = require("./sentimentTracker");
+const {
+  buildEmergencyRecord,
+  emergencyOutcome,
+  resolveEmergencyAction,
+  validateEmergencySettings,
+  withEmergencyAdvice,
+} = require("./emergencyActions");
+const {
+  clarificationPolicy,
+  rephraseInstruction,
+  rephraseStrategy,
+  resolveFallback,
+  validateClarificationPolicy,
+} = require("./clarificationPolicy");
+const {
+  VoicemailInbox,
+  isVoicemailOnly,
+  wantsVoicemail,
+} = require("./voicemailInbox");
+const { TaskInbox } = require("./taskInbox");
+const { PatientRegistry } = require("./patientRegistry");
+const {
+  PractitionerMatcher,
+  describeCareArea,
+} = require("./practitionerMatcher");
+const { resolveDoctorName } = require("./doctorNameResolver");
+const {
+  INTENTS,
+  callerLanguages,
+  detectLanguage,
+  inLanguage,
+  keywords,
+  languageOf,
+  localePack,
+  mentions,
+  validateLanguage,
+} = require("./localePacks");
+const { isStrict, script, validateScriptLibrary } = require("./scriptLibrary");
+const {
+  CallbackScheduler,
+  describeWindow,
+  validateCallbackWindows,
+} = require("./callbackScheduler");
+const {
+  bookingPolicy,
+  resolveUnknownClinician,
+  validateBookingPolicy,
+} = require("./bookingPolicy");
+const { getStore } = require("../storage");
+const { resolveSettings } = require("../llm");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // INBOUND CALL STATE MACHINE DEFINITIONS
+// States and transitions live in inboundStateMachine.js
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * State Machine States for Inbound Calls
- * Each state has specific entry conditions, actions, and exit transitions
+ * How Heidi describes each intent when acknowledging it
  */
-const INBOUND_STATES = {
-  // Phase 1: Safe-Start (Mandatory)
-  GREETING: "greeting",
-  SAFETY_SCAN: "safety_scan",
-  IDENTIFY: "identify",
-  TRIAGE: "triage",
-
-  // Phase 2: Router Paths
-  APPOINTMENT_FLOW: "appointment_flow",
-  CLINICAL_FLOW: "clinical_flow",
-  MESSAGE_FLOW: "message_flow",
-  TRANSFER_FLOW: "transfer_flow",
-
-  // Phase 3: Exit Nodes
-  EMERGENCY_EXIT: "emergency_exit",
-  SUCCESS_EXIT: "success_exit",
-  CONFUSION_EXIT: "confusion_exit",
-
-  // Sub-states for flows
-  APPOINTMENT_CHECK_ELIGIBILITY: "appointment_check_eligibility",
-  APPOINTMENT_OFFER_SLOTS: "appointment_offer_slots",
-  APPOINTMENT_CONFIRM: "appointment_confirm",
-  CLINICAL_GATHER_SYMPTOMS: "clinical_gather_symptoms",
-  CLINICAL_ASSESS_URGENCY: "clinical_assess_urgency",
-  MESSAGE_TAKE_DETAILS: "message_take_details",
-  MESSAGE_CONFIRM: "message_confirm",
+const INTENT_DESCRIPTIONS = {
+  cancel: "cancel an appointment",
+  reschedule: "reschedule an appointment",
+  appointment: "book an appointment",
+  clinical: "discuss a health concern",
+  admin: "handle an admin request",
 };
 
 /**
- * State Machine States for Outbound Follow-up Calls
+ * Handler method for each built-in state
+ * Clinic-defined states all run through _handleCustomState
  */
-const OUTBOUND_STATES = {
-  OPENING: "opening",
-  VERIFY_IDENTITY: "verify_identity",
-  CHECK_SIDE_EFFECTS: "check_side_effects",
-  CHECK_ADHERENCE: "check_adherence",
-  PROBE_REASON: "probe_reason",
-  CLOSING: "closing",
-  ESCALATED: "escalated",
-  COMPLETE: "complete",
-};
-
-/**
- * Intent Categories for routing
- */
-const INTENT_CATEGORIES = {
-  APPOINTMENT: [
-    "book",
-    "appointment",
-    "schedule",
-    "see doctor",
-    "available",
-    "slot",
-    "opening",
-  ],
-  CLINICAL: [
-    "symptom",
-    "pain",
-    "sick",
-    "rash",
-    "headache",
-    "fever",
-    "cough",
-    "hurt",
-    "bleeding",
-    "dizzy",
-    "nausea",
-    "vomit",
-  ],
-  ADMIN: [
-    "form",
-    "results",
-    "prescription",
-    "referral",
-    "letter",
-    "document",
-    "paperwork",
-    "records",
-    "test results",
-  ],
-  TRANSFER: [
-    "speak to someone",
-    "talk to a person",
-    "real person",
-    "human",
-    "receptionist",
-    "staff",
-    "manager",
-  ],
-  EMERGENCY: [
-    "chest pain",
-    "chest ache",
-    "ache in my chest",
-    "pain in my chest",
-    "pain in chest",
-    "hurts in my chest",
-    "can't breathe",
-    "cannot breathe",
-    "struggling to breathe",
-    "hard to breathe",
-    "difficulty breathing",
-    "trouble breathing",
-    "heart attack",
-    "having a heart",
-    "stroke",
-    "having a stroke",
-    "unconscious",
-    "passed out",
-    "severe bleeding",
-    "bleeding heavily",
-    "won't stop bleeding",
-    "overdose",
-    "took too many",
-    "suicide",
-    "kill myself",
-    "want to die",
-    "end my life",
-    "emergency",
-    "dying",
-    "think i'm dying",
-    "call ambulance",
-    "call 000",
-    "need ambulance",
-  ],
-};
-
-/**
- * State Transition Rules
- * Maps current state + input to next state
- */
-const STATE_TRANSITIONS = {
-  [INBOUND_STATES.GREETING]: {
-    default: INBOUND_STATES.SAFETY_SCAN,
-  },
-  [INBOUND_STATES.SAFETY_SCAN]: {
-    emergency: INBOUND_STATES.EMERGENCY_EXIT,
-    safe: INBOUND_STATES.IDENTIFY,
-  },
-  [INBOUND_STATES.IDENTIFY]: {
-    verified: INBOUND_STATES.TRIAGE,
-    refused: INBOUND_STATES.MESSAGE_FLOW, // Can still take message without ID
-    confusion: INBOUND_STATES.CONFUSION_EXIT,
-  },
-  [INBOUND_STATES.TRIAGE]: {
-    appointment: INBOUND_STATES.APPOINTMENT_FLOW,
-    clinical: INBOUND_STATES.CLINICAL_FLOW,
-    admin: INBOUND_STATES.MESSAGE_FLOW,
-    transfer: INBOUND_STATES.TRANSFER_FLOW,
-    unclear: INBOUND_STATES.TRIAGE, // Re-ask with clarification
-    confusion: INBOUND_STATES.CONFUSION_EXIT,
-  },
-  [INBOUND_STATES.APPOINTMENT_FLOW]: {
-    eligible: INBOUND_STATES.APPOINTMENT_OFFER_SLOTS,
-    not_eligible: INBOUND_STATES.APPOINTMENT_CHECK_ELIGIBILITY,
-    success: INBOUND_STATES.SUCCESS_EXIT,
-    transfer: INBOUND_STATES.TRANSFER_FLOW,
-  },
-  [INBOUND_STATES.CLINICAL_FLOW]: {
-    emergency: INBOUND_STATES.EMERGENCY_EXIT,
-    urgent: INBOUND_STATES.TRANSFER_FLOW,
-    non_urgent: INBOUND_STATES.MESSAGE_FLOW,
-  },
-  [INBOUND_STATES.MESSAGE_FLOW]: {
-    complete: INBOUND_STATES.SUCCESS_EXIT,
-  },
-  [INBOUND_STATES.TRANSFER_FLOW]: {
-    transferred: INBOUND_STATES.SUCCESS_EXIT,
-    after_hours: INBOUND_STATES.MESSAGE_FLOW,
-  },
+const STATE_HANDLERS = {
+  [INBOUND_STATES.GREETING]: "_handleGreeting",
+  [INBOUND_STATES.IDENTIFY]: "_handleIdentify",
+  [INBOUND_STATES.TRIAGE]: "_handleTriage",
+  [INBOUND_STATES.APPOINTMENT_FLOW]: "_handleAppointment",
+  [INBOUND_STATES.CANCEL_FLOW]: "_handleBookingChange",
+  [INBOUND_STATES.RESCHEDULE_FLOW]: "_handleBookingChange",
+  [INBOUND_STATES.CLINICAL_FLOW]: "_handleClinical",
+  [INBOUND_STATES.MESSAGE_FLOW]: "_handleMessage",
+  [INBOUND_STATES.TRANSFER_FLOW]: "_handleTransfer",
+  [INBOUND_STATES.VOICEMAIL]: "_handleVoicemail",
 };
 
 class CallSimulator {
-  constructor() {
-    this.aiService = new AIService();
+  /**
+   * @param {object} options
+   * @param {SessionStore} options.sessionStore - Store for server-owned conversation state
+   * @param {AvailabilityService} options.availability - Practitioner slots and bookings
+   * @param {AIService} options.aiService - LLM access (e.g. backed by a MockProvider)
+   * @param {VoicemailInbox} options.voicemails - Where recorded voicemails are kept
+   * @param {TaskInbox} options.tasks - Where follow-up tasks from finished calls go
+   * @param {CallbackScheduler} options.callbacks - Callback windows (default: one over `tasks`)
+   * @param {PatientRegistry} options.patients - Patient records callers are verified against
+   * @param {PractitionerMatcher} options.practitioners - Specialization matching (default: one over `availability`)
+   */
+  constructor({
+    sessionStore,
+    availability,
+    aiService,
+    voicemails,
+    tasks,
+    callbacks,
+    patients,
+    practitioners,
+  } = {}) {
+    this.aiService = aiService || new AIService();
+    this.sessions = sessionStore || new SessionStore();
+    this.availability = availability || new AvailabilityService(getStore());
+    this.voicemails = voicemails || new VoicemailInbox(getStore());
+    this.tasks = tasks || new TaskInbox(getStore());
+    this.callbacks = callbacks || new CallbackScheduler(this.tasks);
+    this.patients = patients || new PatientRegistry(getStore());
+    this.practitioners =
+      practitioners || new PractitionerMatcher(this.availability);
+    this.summarizer = new CallSummarizer({ availability: this.availability });
+    this.followupRunner = new FollowupTemplateRunner(this.aiService, {
+      extractIdentity: (message, clinicConfig) =>
+        this._extractIdentity(message, clinicConfig),
+      calculateFollowupDate: (days, clinicConfig) =>
+        this._calculateFollowupDate(days, clinicConfig),
+    });
   }
 
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -205,88 +180,137 @@ class CallSimulator {
    * Returns the initial state and greeting
    */
   async initInboundConversation(clinicConfig, callContext) {
-    // Use explicit day/time format
-    const { day, time } = callContext;
-    // Default to current day/time if not provided
-    const now = new Date();
-    const days = [
-      "sunday",
-      "monday",
-      "tuesday",
-      "wednesday",
-      "thursday",
-      "friday",
-      "saturday",
-    ];
-    const effectiveDay = day || days[now.getDay()];
-    const effectiveTime =
-      time ||
-      `${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`;
+    // Reject a broken call_flow, ai_provider, timezone, emergency setup,
+    // operating_hours, staff availability, callback_windows, booking policy, language or script
+    // library before the call starts
+    const machine = InboundStateMachine.forClinic(clinicConfig);
+    resolveSettings(clinicConfig.ai_provider);
+    validateTimezone(clinicConfig.timezone);
+    validateEmergencySettings(clinicConfig.agent_persona?.safety_enforcement);
+    validateClarificationPolicy(clinicConfig);
+    validateOperatingHours(clinicConfig.operating_hours);
+    validateStaffAvailability(clinicConfig);
+    validateCallbackWindows(clinicConfig);
+    validateBookingPolicy(clinicConfig);
+    validateLanguage(clinicConfig);
+    validateScriptLibrary(clinicConfig);
+
+    // Use explicit day/time format (date is optional, e.g. "2025-03-14")
+    // A date pins the call to that calendar day, holidays included
+    // Anything not given comes from the clinic's own clock (currentTime, an
+    // ISO instant, or now) in its timezone
+    const { day, time, date, currentTime } = callContext;
+    const now = clinicNow(
+      clinicConfig,
+      currentTime ? new Date(currentTime) : new Date(),
+    );
+    const effectiveDay = date ? dayOfWeek(date) : day || now.day;
+    const effectiveDate = date || nextDateForDay(effectiveDay, now.date);
+    const effectiveTime = time || now.time;
     const isBusinessHours = this._isBusinessHours(
       clinicConfig,
-      effectiveDay,
+      effectiveDate,
       effectiveTime,
     );
+    const holiday = this._closedAllDayFor(clinicConfig, effectiveDate);
+    const closedForHoliday = !!holiday;
     const clinicName = clinicConfig.clinic_name || "the clinic";
     const tone = clinicConfig.agent_persona?.tone_preference || "professional";
+    const language = languageOf(clinicConfig);
+    const closedReason = closedForHoliday
+      ? script(clinicConfig, "closed_for_holiday", { holiday: holiday.name })
+      : script(clinicConfig, "closed_now");
+    // Voicemail-only calls skip the conversation and start recording
+    const voicemailOnly = isVoicemailOnly(clinicConfig, {
+      isBusinessHours,
+      holiday,
+    });
 
     // Define fallback greetings
-    const openGreeting = `Thanks for calling ${clinicName}. I'm Heidi, the clinic's digital assistant. How can I help you today?`;
-    const closedGreeting = `Thanks for calling ${clinicName}. I'm Heidi, the clinic's digital assistant. Our clinic is currently closed, but I can take a message or help with urgent care options. How can I help?`;
+    const greetingValues = {
+      clinic_name: clinicName,
+      closed_reason: closedReason,
+    };
+    const fallbackGreeting = voicemailOnly
+      ? script(clinicConfig, "greeting_voicemail", {
+          ...greetingValues,
+          voicemail_prompt: script(clinicConfig, "voicemail_prompt"),
+        })
+      : script(
+          clinicConfig,
+          isBusinessHours ? "greeting_open" : "greeting_closed",
+          greetingValues,
+        );
+    // Voicemail-only and strict script calls are greeted word for word
+    const scripted = voicemailOnly || isStrict(clinicConfig);
 
     // Generate greeting based on business hours
-    const greetingResponse = await this.aiService.generateResponse(
-      "Generate opening greeting",
-      {
-        clinicConfig,
-        isBusinessHours,
-        instruction: isBusinessHours
-          ? `You are Heidi, the digital assistant for ${clinicName}. The clinic is OPEN right now. Greet the caller warmly. Use a ${tone} tone. Keep it brief - just introduce yourself and ask how you can help. DO NOT mention that the clinic is closed because it is NOT closed.`
-          : `You are Heidi, the digital assistant for ${clinicName}. The clinic is currently CLOSED. Greet the caller, mention the clinic is closed, and say you can still help with messages or check for urgent care options. Use a ${tone} tone.`,
-      },
-    );
+    const greetingResponse = scripted
+      ? { text: fallbackGreeting }
+      : await this.aiService.generateResponse("Generate opening greeting", {
+          clinicConfig,
+          isBusinessHours,
+          instruction: isBusinessHours
+            ? `You are Heidi, the digital assistant for ${clinicName}. The clinic is OPEN right now. Greet the caller warmly. Use a ${tone} tone. Keep it brief - just introduce yourself and ask how you can help. DO NOT mention that the clinic is closed because it is NOT closed.`
+            : `You are Heidi, the digital assistant for ${clinicName}. The clinic is ${closedReason.toUpperCase()}. Greet the caller, mention the clinic is closed${closedForHoliday ? ` for ${holiday.name}` : ""}, and say you can still help with messages or check for urgent care options. Use a ${tone} tone.`,
+        });
 
     // Use AI response, but fall back if it incorrectly mentions closed/open status
-    let greeting = greetingResponse.text;
-    if (!greeting) {
-      greeting = isBusinessHours ? openGreeting : closedGreeting;
-    } else if (
-      isBusinessHours &&
-      (greeting.toLowerCase().includes("closed") ||
-        greeting.toLowerCase().includes("after hours"))
-    ) {
+    let greeting = greetingResponse.text ?? fallbackGreeting;
+    const saysClosed = mentions(greeting, language, "closed");
+    if (!scripted && isBusinessHours && saysClosed) {
       // AI incorrectly said closed when we're open - use fallback
-      greeting = openGreeting;
-    } else if (!isBusinessHours && !greeting.toLowerCase().includes("closed")) {
+      greeting = fallbackGreeting;
+    } else if (!scripted && !isBusinessHours && !saysClosed) {
       // AI didn't mention closed when we're after hours - use fallback
-      greeting = closedGreeting;
+      greeting = fallbackGreeting;
     }
 
-    return {
-      conversationId: `conv_${Date.now()}`,
-      currentState: INBOUND_STATES.GREETING,
+    const conversation = {
+      conversationId: `conv_${uuidv4()}`,
+      currentState: voicemailOnly
+        ? INBOUND_STATES.VOICEMAIL
+        : machine.initialState,
       isBusinessHours,
+      voicemailOnly,
+      // Simulated time of the call - appointment slots are offered from here
+      callTime: {
+        day: effectiveDay,
+        date: effectiveDate,
+        time: effectiveTime,
+      },
+      holiday: closedForHoliday ? holiday : null,
       clinicName,
       tone,
+      language, // Switches to the caller's language once they speak it
       transcript: [
         {
           role: "assistant",
           content: greeting,
-          state: INBOUND_STATES.GREETING,
-          timestamp: new Date().toISOString(),
+          state: voicemailOnly
+            ? INBOUND_STATES.VOICEMAIL
+            : machine.initialState,
+          timestamp: clinicTimestamp(clinicConfig),
         },
       ],
       patientIdentified: false,
       patientName: null,
       patientDob: null,
+      patientRecord: null, // Registry check once identified - see _verifyPatient
       intent: null,
-      flags: [],
+      flags: guardrailFlags(greetingResponse.guardrail?.categories || []),
       confusionCount: 0,
+      clarifications: {}, // Unclear answers so far, per state
+      sentiment: null, // Rolling frustration score and per-turn trend
+      voicemail: null, // Inbox record once the caller leaves a voicemail
       metadata: {
-        startTime: new Date().toISOString(),
+        startTime: clinicTimestamp(clinicConfig),
         callType: "inbound",
       },
     };
+
+    this.sessions.create(conversation, clinicConfig, "inbound");
+    return conversation;
   }
 
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -296,897 +320,946 @@ class CallSimulator {
   /**
    * Initialize a new outbound follow-up conversation
    * Returns the initial state and opening message
+   * @param {object} clinicConfig - Clinic configuration with followup_templates
+   * @param {object} callContext - { templateId, variables } for the template
    */
-  async initOutboundConversation(clinicConfig) {
-    const clinicName = clinicConfig.clinic_name || "Northside Medical";
-    const tone = clinicConfig.agent_persona?.tone_preference || "empathetic";
-
-    // Calculate follow-up date
-    const followupDate = this._calculateFollowupDate(
-      clinicConfig.defaults?.followup_days || 3,
+  async initOutboundConversation(clinicConfig, callContext = {}) {
+    resolveSettings(clinicConfig.ai_provider); // Reject a broken ai_provider
+    validateTimezone(clinicConfig.timezone);
+    validateScriptLibrary(clinicConfig);
+    const conversation = await this.followupRunner.start(
+      clinicConfig,
+      callContext,
     );
-
-    // Build base context for AI
-    const baseContext = {
-      clinicName,
-      tone,
-      medication: "Zestril (blood pressure medication)",
-      callType: "outbound_followup",
-    };
-
-    // Generate opening message
-    const openingResponse = await this.aiService.generateFollowupResponse({
-      ...baseContext,
-      step: "opening",
-      instruction:
-        "Introduce yourself as Heidi, the digital care partner. State you're calling from the clinic about their blood pressure medication follow-up. Mention you'll share their responses with their clinician. Ask if it's a good time to chat for a few minutes. Be warm but professional.",
-      conversationHistory: [],
-    });
-
-    const openingMessage =
-      openingResponse.text ||
-      `Hi there, this is Heidi, your digital care partner calling from ${clinicName}. I'm reaching out to check in on how you're doing with your new blood pressure medication. Is now a good time for a quick chat?`;
-
-    return {
-      conversationId: `outbound_${Date.now()}`,
-      currentState: OUTBOUND_STATES.OPENING,
-      clinicName,
-      tone,
-      followupDate,
-      transcript: [
-        {
-          role: "assistant",
-          content: openingMessage,
-          state: OUTBOUND_STATES.OPENING,
-          timestamp: new Date().toISOString(),
-        },
-      ],
-      patientIdentified: false,
-      patientName: null,
-      flags: [],
-      isComplete: false,
-      escalatedToDoctor: false,
-      metadata: {
-        startTime: new Date().toISOString(),
-        callType: "outbound_followup",
-        medication: "Zestril",
-      },
-    };
+    this.sessions.create(conversation, clinicConfig, "outbound");
+    return conversation;
   }
 
   /**
    * Process a patient message in an outbound follow-up call
-   * Advances through the follow-up steps based on patient responses
+   * Walks the template's steps based on patient responses
    */
   async processOutboundMessage(
     conversationState,
     patientMessage,
     clinicConfig,
   ) {
-    const { currentState, clinicName, tone, transcript, flags, followupDate } =
-      conversationState;
+    return this.followupRunner.handleMessage(
+      conversationState,
+      patientMessage,
+      clinicConfig,
+    );
+  }
+
+  /**
+   * Process a patient message and advance the state machine
+   * This is the core conversation handler - the current state's handler
+   * decides which event the message produced, and the clinic's state machine
+   * decides where that event leads
+   */
+  async processInboundMessage(conversationState, patientMessage, clinicConfig) {
+    const machine = InboundStateMachine.forClinic(clinicConfig);
+    const { currentState, transcript } = conversationState;
 
     // Add patient message to transcript
     transcript.push({
       role: "user",
       content: patientMessage,
       state: currentState,
-      timestamp: new Date().toISOString(),
+      timestamp: clinicTimestamp(clinicConfig),
     });
 
-    const baseContext = {
-      clinicName,
-      tone,
-      medication: "Zestril (blood pressure medication)",
-      callType: "outbound_followup",
-    };
-
-    const conversationHistory = transcript.map((t) => ({
-      role: t.role,
-      content: t.content,
-    }));
-
-    let nextState = currentState;
-    let aiResponse = "";
-    let newFlags = [...flags];
-    let isComplete = false;
-    let escalatedToDoctor = conversationState.escalatedToDoctor || false;
-    let patientName = conversationState.patientName;
-    let patientIdentified = conversationState.patientIdentified;
-    const lowerMessage = patientMessage.toLowerCase();
-
-    switch (currentState) {
-      case OUTBOUND_STATES.OPENING: {
-        // Patient confirmed they can talk, move to identity verification
-        nextState = OUTBOUND_STATES.VERIFY_IDENTITY;
-        const response = await this.aiService.generateFollowupResponse({
-          ...baseContext,
-          step: "verify_identity",
-          instruction:
-            "Transition naturally from the opening. Ask the patient to confirm their name and date of birth so you know you're speaking to the right person. Keep it conversational.",
-          conversationHistory,
-        });
-        aiResponse =
-          response.text ||
-          "Wonderful! Just to make sure I've got the right person, could you confirm your name and date of birth for me?";
-        break;
-      }
-
-      case OUTBOUND_STATES.VERIFY_IDENTITY: {
-        // Extract identity from response
-        const identity = await this._extractIdentity(patientMessage);
-        if (identity.name) {
-          patientName = identity.name;
-          patientIdentified = true;
-        }
-
-        nextState = OUTBOUND_STATES.CHECK_SIDE_EFFECTS;
-        const response = await this.aiService.generateFollowupResponse({
-          ...baseContext,
-          step: "check_side_effects",
-          instruction:
-            "Thank them for confirming their identity. Now ask about any side effects since starting Zestril. Mention common ones like lightheadedness, dizziness, or dry cough. Show genuine concern.",
-          conversationHistory,
-        });
-        aiResponse =
-          response.text ||
-          "Thanks for confirming. Now, have you noticed any side effects since you started taking the Zestril? Some people experience things like feeling lightheaded, dizzy, or a dry cough.";
-        break;
-      }
-
-      case OUTBOUND_STATES.CHECK_SIDE_EFFECTS: {
-        // Use AI to analyze side effects from patient's response
-        const sideEffectAnalysis =
-          await this._analyzeSideEffects(patientMessage);
-        const { hasSideEffects, severeSideEffects, reportedSymptoms } =
-          sideEffectAnalysis;
-
-        if (severeSideEffects) {
-          // Escalate immediately
-          newFlags.push("URGENT: severe_side_effects");
-          escalatedToDoctor = true;
-          nextState = OUTBOUND_STATES.ESCALATED;
-          const response = await this.aiService.generateFollowupResponse({
-            ...baseContext,
-            step: "escalate",
-            instruction: `The patient reported severe side effects: "${patientMessage}". Express genuine concern. Tell them this needs immediate attention from their doctor. Say you'll flag this as urgent and have clinical staff call back within the hour. Advise them to call 000 or go to emergency if symptoms worsen. Ask if there's anything else they want to tell the doctor.`,
-            conversationHistory,
-            urgent: true,
-          });
-          aiResponse =
-            response.text ||
-            "I'm quite concerned about what you're describing. These symptoms really need attention from your doctor right away. I'm going to flag this as urgent and have someone from our clinical team call you back within the hour. In the meantime, if you feel worse or have any trouble breathing, please call 000 or head to your nearest emergency department. Is there anything else you'd like me to pass on to the doctor?";
-        } else {
-          if (hasSideEffects) {
-            newFlags.push("side_effects_reported");
-          }
-          nextState = OUTBOUND_STATES.CHECK_ADHERENCE;
-          const response = await this.aiService.generateFollowupResponse({
-            ...baseContext,
-            step: "check_adherence",
-            instruction: hasSideEffects
-              ? "Acknowledge the side effects they mentioned and reassure them these can be common. Then ask if they've been able to take the medication as prescribed - once daily. Keep it warm and non-judgmental."
-              : "Great that they haven't had side effects. Now ask if they've been able to take the medication as prescribed - once daily. Keep it warm and non-judgmental.",
-            conversationHistory,
-          });
-          aiResponse =
-            response.text ||
-            "Good to know. Now, have you been able to take the medication as your doctor prescribed - once a day?";
-        }
-        break;
-      }
-
-      case OUTBOUND_STATES.CHECK_ADHERENCE: {
-        // Use AI to analyze medication adherence from patient's response
-        const adherenceAnalysis = await this._analyzeAdherence(patientMessage);
-        const { goodAdherence, poorAdherence, adherenceDetails } =
-          adherenceAnalysis;
-
-        if (poorAdherence) {
-          newFlags.push("adherence_issue");
-          nextState = OUTBOUND_STATES.PROBE_REASON;
-          const response = await this.aiService.generateFollowupResponse({
-            ...baseContext,
-            step: "probe_reason",
-            instruction:
-              "The patient indicated they haven't been taking the medication consistently. Gently and without judgment, ask what made it difficult - was it forgetting, side effects, running out of pills, or something else? Show understanding.",
-            conversationHistory,
-          });
-          aiResponse =
-            response.text ||
-            "I understand - it can be tricky to keep up with a new routine. Can you tell me a bit more about what made it difficult? Was it forgetting, side effects bothering you, or something else?";
-        } else {
-          // Good adherence, skip to closing
-          nextState = OUTBOUND_STATES.CLOSING;
-          const response = await this.aiService.generateFollowupResponse({
-            ...baseContext,
-            step: "closing",
-            instruction: `Great news that they're taking the medication regularly. Summarize the call positively - they're doing well with the medication. Let them know you'll pass this along to their care team who will check in again. The follow-up date is ${followupDate}. Ask if there's anything else they'd like to mention or any questions.`,
-            conversationHistory,
-          });
-          aiResponse =
-            response.text ||
-            `That's wonderful to hear! It sounds like you're managing really well with the medication. I'll pass this along to your care team - they'll check in again around ${followupDate}. Is there anything else you'd like me to let them know, or any questions?`;
-        }
-        break;
-      }
-
-      case OUTBOUND_STATES.PROBE_REASON: {
-        // Use AI to analyze the reason for non-adherence
-        const reasonAnalysis =
-          await this._analyzeNonAdherenceReason(patientMessage);
-        newFlags.push(`reason: ${reasonAnalysis.reason}`);
-        if (reasonAnalysis.details) {
-          newFlags.push(`reason_details: ${reasonAnalysis.details}`);
-        }
-
-        nextState = OUTBOUND_STATES.CLOSING;
-        const response = await this.aiService.generateFollowupResponse({
-          ...baseContext,
-          step: "closing",
-          instruction: `Thank them for being honest about the adherence challenges. Based on what they said: "${patientMessage}", provide a supportive response. Let them know you'll pass this information to their care team so they can help. Mention the follow-up date is ${followupDate}. Ask if there's anything else they'd like to mention.`,
-          conversationHistory,
-        });
-        aiResponse =
-          response.text ||
-          `Thank you for sharing that - it's really helpful to know. I'll make sure to pass this along to your care team so they can support you better. They'll be in touch around ${followupDate}. Is there anything else you'd like me to let them know?`;
-        break;
-      }
-
-      case OUTBOUND_STATES.ESCALATED: {
-        // After escalation, just wrap up
-        nextState = OUTBOUND_STATES.COMPLETE;
-        isComplete = true;
-        const response = await this.aiService.generateFollowupResponse({
-          ...baseContext,
-          step: "escalation_closing",
-          instruction:
-            "Wrap up after the escalation. Confirm that you've noted everything and the clinical team will call back urgently. Remind them to seek emergency care if symptoms worsen. Say goodbye warmly but with appropriate concern.",
-          conversationHistory,
-        });
-        aiResponse =
-          response.text ||
-          "I've noted all of that down and flagged it as urgent. Our clinical team will be in touch very soon. Please don't hesitate to call 000 or go to emergency if you feel worse. Take care of yourself.";
-        break;
-      }
+    // Answer in the caller's own language once they speak one the clinic
+    // supports - calls from before languages were tracked are in the clinic's
+    const clinicLanguage = languageOf(clinicConfig);
+    const spoken = detectLanguage(
+      patientMessage,
+      callerLanguages(clinicConfig),
+    );
+    const language = spoken || conversationState.language || clinicLanguage;
+    conversationState.language = language;
 
-      case OUTBOUND_STATES.CLOSING: {
-        // Check if they're done or have more to say
-        const isDone =
-          lowerMessage.includes("no") ||
-          lowerMessage.includes("that's all") ||
-          lowerMessage.includes("nothing") ||
-          lowerMessage.includes("thank") ||
-          lowerMessage.includes("bye") ||
-          lowerMessage.includes("good");
-
-        if (isDone) {
-          nextState = OUTBOUND_STATES.COMPLETE;
-          isComplete = true;
-          const response = await this.aiService.generateFollowupResponse({
-            ...baseContext,
-            step: "goodbye",
-            instruction:
-              "The patient has nothing more to add. Thank them warmly for their time and for sharing. Wish them well and say goodbye. Keep it warm and caring.",
-            conversationHistory,
-          });
-          aiResponse =
-            response.text ||
-            "Thank you so much for taking the time to chat with me today. Take care of yourself, and we'll be in touch soon. Goodbye!";
-        } else {
-          // They have more to share, note it and then close
-          newFlags.push(`additional_note: ${patientMessage}`);
-          nextState = OUTBOUND_STATES.COMPLETE;
-          isComplete = true;
-          const response = await this.aiService.generateFollowupResponse({
-            ...baseContext,
-            step: "final_note",
-            instruction: `The patient shared additional information: "${patientMessage}". Acknowledge what they said, confirm you'll pass it along to the care team, and close the call warmly.`,
-            conversationHistory,
-          });
-          aiResponse =
-            response.text ||
-            "Thank you for sharing that - I'll make sure to include it in my notes for the care team. They'll follow up with you soon. Take care, and goodbye!";
-        }
-        break;
-      }
+    // Track how the caller is feeling before deciding what to do next
+    const sentiment = updateSentiment(
+      conversationState.sentiment,
+      await this.aiService.analyzeSentiment(patientMessage, clinicConfig),
+    );
 
-      default:
-        // Conversation is complete
-        aiResponse =
-          "Thank you for your time today. Take care, and we'll be in touch soon. Goodbye!";
-        isComplete = true;
+    // Per-turn context the state handlers read and update
+    const turn = {
+      message: patientMessage,
+      conversationState,
+      clinicConfig: inLanguage(clinicConfig, language),
+      machine,
+      isBusinessHours: conversationState.isBusinessHours,
+      tone: conversationState.tone,
+      flags: [...conversationState.flags],
+      patientName: conversationState.patientName,
+      patientDob: conversationState.patientDob,
+      intent: conversationState.intent,
+      confusionCount: conversationState.confusionCount,
+      clarifications: { ...conversationState.clarifications },
+      sentiment,
+    };
+    const languageFlag = `caller_language: ${localePack(language).name}`;
+    if (language !== clinicLanguage && !turn.flags.includes(languageFlag)) {
+      turn.flags.push(languageFlag);
     }
 
+    const { result: handled, violations } = await this.aiService.trackGuardrail(
+      () => this._runInboundHandler(currentState, turn),
+    );
+    const result = violations.length
+      ? this._applyGuardrail(turn, handled, violations)
+      : handled;
+    const nextState = machine.transition(currentState, result.event);
+    const isComplete = !!result.isComplete || machine.isTerminal(nextState);
+    annotatePatientTurn(transcript[transcript.length - 1], conversationState, {
+      patientName: turn.patientName,
+      patientDob: turn.patientDob,
+      flags: turn.flags,
+    });
+
     // Add AI response to transcript
     transcript.push({
       role: "assistant",
-      content: aiResponse,
+      content: result.response,
       state: nextState,
-      timestamp: new Date().toISOString(),
+      timestamp: clinicTimestamp(clinicConfig),
     });
 
     return {
       ...conversationState,
       currentState: nextState,
       transcript,
-      patientIdentified,
-      patientName,
-      flags: newFlags,
+      patientIdentified: !!turn.patientName,
+      patientName: turn.patientName,
+      patientDob: turn.patientDob,
+      intent: turn.intent,
+      flags: turn.flags,
+      confusionCount: turn.confusionCount,
+      clarifications: turn.clarifications,
+      sentiment: turn.sentiment,
+      pendingOffer: result.offer || null,
       isComplete,
-      escalatedToDoctor,
-      aiResponse,
-      finalOutcome: isComplete
-        ? escalatedToDoctor
-          ? "escalated_to_clinician"
-          : newFlags.length > 0
-            ? "completed_with_flags"
-            : "completed_successfully"
-        : null,
+      finalOutcome: isComplete ? result.finalOutcome || "call_ended" : null,
+      aiResponse: result.response,
     };
   }
 
   /**
-   * Process a patient message and advance the state machine
-   * This is the core conversation handler
+   * Run the handler for the current state
+   * @returns {Promise<{event: string, response: string, isComplete?: boolean, finalOutcome?: string}>}
    */
-  async processInboundMessage(conversationState, patientMessage, clinicConfig) {
-    const {
-      currentState,
-      isBusinessHours,
-      clinicName,
-      tone,
-      transcript,
-      patientIdentified,
-      confusionCount,
-    } = conversationState;
-
-    // Add patient message to transcript
-    transcript.push({
-      role: "user",
-      content: patientMessage,
-      state: currentState,
-      timestamp: new Date().toISOString(),
-    });
-
-    let nextState = currentState;
-    let aiResponse = "";
-    let flags = [...conversationState.flags];
-    let newConfusionCount = confusionCount;
-    let patientName = conversationState.patientName;
-    let patientDob = conversationState.patientDob;
-    let intent = conversationState.intent;
-    let isComplete = false;
-    let finalOutcome = null;
+  async _runInboundHandler(state, turn) {
+    const { message, clinicConfig, isBusinessHours } = turn;
 
     // ─────────────────────────────────────────────────────────────────────────
     // PHASE 1: SAFE-START PROCESSING
     // ─────────────────────────────────────────────────────────────────────────
 
     // ALWAYS check for emergency first, regardless of current state
-    if (this._detectEmergency(patientMessage, clinicConfig)) {
-      nextState = INBOUND_STATES.EMERGENCY_EXIT;
-      aiResponse = await this._generateEmergencyResponse(clinicConfig);
-      flags.push("EMERGENCY_DETECTED");
-      isComplete = true;
-      finalOutcome = "emergency_redirect";
-
-      transcript.push({
-        role: "assistant",
-        content: aiResponse,
-        state: nextState,
-        timestamp: new Date().toISOString(),
-      });
+    if (this._detectEmergency(message, clinicConfig)) {
+      turn.flags.push("EMERGENCY_DETECTED");
+      return this._handleEmergency(turn);
+    }
 
-      return {
-        ...conversationState,
-        currentState: nextState,
-        transcript,
-        flags,
-        isComplete,
-        finalOutcome,
-        aiResponse,
-      };
+    // A voicemail is recorded as said - asking for staff or sounding upset
+    // in it doesn't interrupt the recording
+    if (state === INBOUND_STATES.VOICEMAIL) {
+      return this._handleVoicemail(turn);
     }
 
     // Check for transfer/staff request - escalate immediately like emergency
     // Uses escalation_triggers from clinic config if configured
-    if (this._detectTransferRequest(patientMessage, clinicConfig)) {
-      nextState = INBOUND_STATES.TRANSFER_FLOW;
-      aiResponse = await this._generateTransferResponse(
-        clinicConfig,
-        isBusinessHours,
-      );
-      flags.push("TRANSFER_REQUESTED");
-      isComplete = true;
-      finalOutcome = isBusinessHours ? "live_transfer" : "message_for_callback";
-
-      transcript.push({
-        role: "assistant",
-        content: aiResponse,
-        state: nextState,
-        timestamp: new Date().toISOString(),
-      });
-
+    if (this._detectTransferRequest(message, clinicConfig)) {
+      turn.flags.push("TRANSFER_REQUESTED");
       return {
-        ...conversationState,
-        currentState: nextState,
-        transcript,
-        flags,
-        isComplete,
-        finalOutcome,
-        aiResponse,
+        event: "transfer_request",
+        response: await this._generateTransferResponse(
+          clinicConfig,
+          isBusinessHours,
+        ),
+        isComplete: true,
+        finalOutcome: isBusinessHours
+          ? "live_transfer"
+          : "message_for_callback",
       };
     }
 
-    // Process based on current state
-    switch (currentState) {
-      case INBOUND_STATES.GREETING:
-        // Check if patient already stated their intent in first message
-        const earlyIntent = this._classifyIntent(patientMessage);
-
-        if (earlyIntent !== "unclear") {
-          // Patient stated intent - acknowledge it and ask for identity
-          intent = earlyIntent;
-          nextState = INBOUND_STATES.IDENTIFY;
-
-          // Try AI-generated response with configured tone
-          try {
-            const aiGeneratedResponse = await this._generateResponse(
-              clinicConfig,
-              {
-                instruction: `The patient wants to ${earlyIntent === "appointment" ? "book an appointment" : earlyIntent === "clinical" ? "discuss a health concern" : earlyIntent === "admin" ? "handle an admin request" : "speak with someone"}. Respond in a ${tone} tone. Acknowledge their request warmly in one sentence, then ask for their full name and date of birth to verify their identity. Keep the response to 2 sentences maximum. Do NOT re-introduce yourself`,
-                tone,
-                isBusinessHours,
-              },
-            );
-
-            // Validate AI response - must ask for identity and not re-introduce
-            const lowerResponse = aiGeneratedResponse.toLowerCase();
-            const isValidResponse =
-              (lowerResponse.includes("name") ||
-                lowerResponse.includes("identity") ||
-                lowerResponse.includes("birth") ||
-                lowerResponse.includes("dob")) &&
-              !lowerResponse.includes("this is the") &&
-              !lowerResponse.includes("welcome to") &&
-              !lowerResponse.includes("thank you for calling") &&
-              !lowerResponse.includes("how may i") &&
-              !lowerResponse.includes("closed");
-
-            aiResponse = isValidResponse
-              ? aiGeneratedResponse
-              : fallbackResponses[earlyIntent];
-          } catch (error) {
-            aiResponse = fallbackResponses[earlyIntent];
-          }
-        } else {
-          // No clear intent - just ask for identity
-          nextState = INBOUND_STATES.IDENTIFY;
-          try {
-            const aiGeneratedResponse = await this._generateResponse(
-              clinicConfig,
-              {
-                instruction: `Ask the patient for their full name and date of birth to verify their identity. Use a ${tone} tone. Keep it to one sentence. Do NOT re-introduce yourself.`,
-                tone,
-                isBusinessHours,
-              },
-            );
-            const lowerResponse = aiGeneratedResponse.toLowerCase();
-            const isValidResponse =
-              (lowerResponse.includes("name") ||
-                lowerResponse.includes("birth") ||
-                lowerResponse.includes("dob")) &&
-              !lowerResponse.includes("this is") &&
-              !lowerResponse.includes("welcome");
-            aiResponse = isValidResponse
-              ? aiGeneratedResponse
-              : "To get started, could I please have your full name and date of birth?";
-          } catch (error) {
-            aiResponse =
-              "To get started, could I please have your full name and date of birth?";
-          }
-        }
-        break;
-
-      case INBOUND_STATES.IDENTIFY:
-        // Try to extract name and DOB from response using LLM
-        const identityInfo = await this._extractIdentity(patientMessage);
-
-        // Also check if patient is stating their intent instead of providing identity
-        const identifyPhaseIntent = this._classifyIntent(patientMessage);
-
-        if (identityInfo.name && identityInfo.dob) {
-          patientName = identityInfo.name;
-          patientDob = identityInfo.dob;
-
-          // If we already captured intent earlier, go directly to that flow
-          if (intent && intent !== "unclear") {
-            switch (intent) {
-              case "appointment":
-                nextState = INBOUND_STATES.APPOINTMENT_FLOW;
-                aiResponse = await this._handleAppointmentFlow(
-                  `I want to book an appointment`,
-                  clinicConfig,
-                  patientName,
-                  isBusinessHours,
-                );
-                break;
-              case "clinical":
-                nextState = INBOUND_STATES.CLINICAL_FLOW;
-                const clinicalResult = await this._handleClinicalFlow(
-                  conversationState.pendingClinicalMessage || "health concern",
-                  clinicConfig,
-                  isBusinessHours,
-                  patientName,
-                );
-                aiResponse = clinicalResult.response;
-                if (clinicalResult.urgent) {
-                  flags.push("clinical_concern_urgent");
-                  nextState = INBOUND_STATES.TRANSFER_FLOW;
-                } else {
-                  nextState = INBOUND_STATES.MESSAGE_FLOW;
-                  flags.push("clinical_concern_logged");
-                }
-                break;
-              case "admin":
-                nextState = INBOUND_STATES.MESSAGE_FLOW;
-                aiResponse = await this._generateResponse(clinicConfig, {
-                  instruction: `Thank ${patientName.split(" ")[0]} for verifying. They have an admin request. Acknowledge you've noted it and let them know staff will follow up within 24 hours. Ask if there's anything specific to add. Do NOT re-introduce yourself or ask what they need.`,
-                  tone,
-                  isBusinessHours,
-                });
-                flags.push("admin_request_logged");
-                break;
-              case "transfer":
-                nextState = INBOUND_STATES.TRANSFER_FLOW;
-                if (isBusinessHours) {
-                  aiResponse = await this._generateResponse(clinicConfig, {
-                    instruction: `Thank ${patientName.split(" ")[0]} for verifying. They want to speak with staff. Let them know you'll transfer them now. Keep it brief - do NOT re-introduce yourself.`,
-                    tone,
-                    isBusinessHours,
-                  });
-                  flags.push("transfer_requested");
-                  isComplete = true;
-                  finalOutcome = "live_transfer";
-                } else {
-                  aiResponse = await this._generateResponse(clinicConfig, {
-                    instruction: `Thank ${patientName.split(" ")[0]} for verifying. They want to speak with staff but it's after hours. Apologize that no one is available and offer to take a message for callback first thing tomorrow. Do NOT re-introduce yourself.`,
-                    tone,
-                    isBusinessHours,
-                  });
-                  nextState = INBOUND_STATES.MESSAGE_FLOW;
-                }
-                break;
-              default:
-                nextState = INBOUND_STATES.TRIAGE;
-                aiResponse = await this._generateTriageQuestion(
-                  clinicConfig,
-                  tone,
-                  patientName,
-                );
-            }
-          } else {
-            nextState = INBOUND_STATES.TRIAGE;
-            aiResponse = await this._generateTriageQuestion(
-              clinicConfig,
-              tone,
-              patientName,
-            );
-          }
-        } else if (identifyPhaseIntent !== "unclear" && !intent) {
-          // Patient is stating intent instead of identity - capture it and gently redirect
-          intent = identifyPhaseIntent;
-          aiResponse = await this._generateResponse(clinicConfig, {
-            instruction: `The patient wants to ${identifyPhaseIntent === "appointment" ? "book an appointment" : identifyPhaseIntent === "clinical" ? "discuss a health concern" : "get help"}. Acknowledge their request warmly and explain you just need their name and date of birth first to pull up their records and assist them properly.`,
-            tone,
-            isBusinessHours,
-          });
-        } else if (this._isRefusal(patientMessage)) {
-          // Patient refuses to identify - can still take message
-          nextState = INBOUND_STATES.MESSAGE_FLOW;
-          flags.push("identity_not_verified");
-          aiResponse = await this._generateResponse(clinicConfig, {
-            instruction:
-              "The patient doesn't want to share their details. Acknowledge this politely and offer to take a message instead.",
-            tone,
-            isBusinessHours,
-          });
-        } else {
-          // Unclear response - ask again more gently
-          newConfusionCount++;
-          if (newConfusionCount >= 3) {
-            nextState = INBOUND_STATES.CONFUSION_EXIT;
-            aiResponse = await this._generateConfusionExit(clinicConfig);
-            isComplete = true;
-            finalOutcome = "confusion_escalation";
-          } else {
-            aiResponse = await this._generateResponse(clinicConfig, {
-              instruction:
-                "The patient's response wasn't clear identity information. Gently explain you need their full name and date of birth to verify their identity - for example 'John Smith, 15th January 1980'. Be friendly and helpful.",
-              tone,
-              isBusinessHours,
-            });
-          }
-        }
-        break;
-
-      case INBOUND_STATES.TRIAGE:
-        // Classify intent from patient's response
-        const detectedIntent = this._classifyIntent(patientMessage);
-        intent = detectedIntent;
+    // A caller getting more and more frustrated is handed to a person
+    if (this._isFrustrated(state, turn)) {
+      return this._handleFrustration(turn);
+    }
 
-        switch (detectedIntent) {
-          case "appointment":
-            nextState = INBOUND_STATES.APPOINTMENT_FLOW;
-            aiResponse = await this._handleAppointmentFlow(
-              patientMessage,
-              clinicConfig,
-              patientName,
-              isBusinessHours,
-            );
-            break;
-          case "clinical":
-            nextState = INBOUND_STATES.CLINICAL_FLOW;
-            const clinicalResult = await this._handleClinicalFlow(
-              patientMessage,
-              clinicConfig,
-              isBusinessHours,
-              patientName,
-            );
-            aiResponse = clinicalResult.response;
-            if (clinicalResult.urgent) {
-              flags.push("clinical_concern_urgent");
-              nextState = INBOUND_STATES.TRANSFER_FLOW;
-            } else {
-              nextState = INBOUND_STATES.MESSAGE_FLOW;
-              flags.push("clinical_concern_logged");
-            }
-            break;
-          case "transfer":
-            nextState = INBOUND_STATES.TRANSFER_FLOW;
-            if (isBusinessHours) {
-              aiResponse = await this._generateResponse(clinicConfig, {
-                instruction:
-                  "The patient wants to speak to a staff member. Let them know you'll transfer them now.",
-                tone,
-                isBusinessHours,
-              });
-              flags.push("transfer_requested");
-              isComplete = true;
-              finalOutcome = "live_transfer";
-            } else {
-              aiResponse = await this._generateResponse(clinicConfig, {
-                instruction:
-                  "The patient wants to speak to someone but it's after hours. Apologize, explain no one is available, and offer to take a message for callback.",
-                tone,
-                isBusinessHours,
-              });
-              nextState = INBOUND_STATES.MESSAGE_FLOW;
-            }
-            break;
-          case "admin":
-            nextState = INBOUND_STATES.MESSAGE_FLOW;
-            aiResponse = await this._generateResponse(clinicConfig, {
-              instruction: `The patient has an admin request: "${patientMessage}". Acknowledge it and let them know you'll log this for staff to follow up. Ask if there's anything else.`,
-              tone,
-              isBusinessHours,
-            });
-            flags.push("admin_request_logged");
-            break;
-          default:
-            // Unclear intent - ask for clarification
-            newConfusionCount++;
-            if (newConfusionCount >= 3) {
-              nextState = INBOUND_STATES.CONFUSION_EXIT;
-              aiResponse = await this._generateConfusionExit(clinicConfig);
-              isComplete = true;
-              finalOutcome = "confusion_escalation";
-            } else {
-              aiResponse = await this._generateResponse(clinicConfig, {
-                instruction:
-                  "You didn't quite understand what the patient needs. Ask them to clarify if they want to book an appointment, discuss a health concern, or leave a message for the clinic.",
-                tone,
-                isBusinessHours,
-              });
-            }
-        }
-        break;
-
-      case INBOUND_STATES.APPOINTMENT_FLOW:
-        // Check if patient is saying goodbye/done first
-        if (this._isDone(patientMessage)) {
-          // If appointment was already noted/booked, say proper goodbye and end
-          if (
-            flags.includes("appointment_noted") ||
-            flags.includes("appointment_booked")
-          ) {
-            nextState = INBOUND_STATES.SUCCESS_EXIT;
-            aiResponse = await this._generateResponse(clinicConfig, {
-              instruction:
-                "The patient is saying goodbye after their appointment was noted/booked. Respond warmly with a proper goodbye - something like 'You're all set! Have a wonderful day, and we'll see you soon. Take care!' Keep it brief and friendly.",
-              isBusinessHours,
-            });
-            isComplete = true;
-            finalOutcome = flags.includes("appointment_booked")
-              ? "appointment_booked"
-              : "appointment_noted";
-          } else {
-            // No appointment yet, just ending call
-            nextState = INBOUND_STATES.SUCCESS_EXIT;
-            aiResponse = await this._generateSuccessExit(clinicConfig, flags);
-            isComplete = true;
-            finalOutcome = "call_ended";
-          }
-          break;
-        }
+    // Callers who ask for voicemail before they're identified get to record one
+    if (
+      (state === INBOUND_STATES.GREETING ||
+        state === INBOUND_STATES.IDENTIFY) &&
+      wantsVoicemail(message, clinicConfig)
+    ) {
+      return {
+        event: "voicemail",
+        response: this._script(clinicConfig, "voicemail_offer", {
+          voicemail_prompt: this._script(clinicConfig, "voicemail_prompt"),
+        }),
+      };
+    }
 
-        // Continue appointment booking flow
-        const appointmentResult = await this._continueAppointmentFlow(
-          patientMessage,
-          conversationState,
-          clinicConfig,
-        );
-        aiResponse = appointmentResult.response;
-        if (appointmentResult.booked) {
-          // Appointment confirmed - but don't end yet, wait for patient to say goodbye
-          flags.push("appointment_booked");
-          // Stay in APPOINTMENT_FLOW to handle "anything else?" -> "no thanks" -> goodbye
-        } else if (appointmentResult.noted) {
-          // Appointment noted (pending approval) - don't end yet
-          flags.push("appointment_noted");
-        } else if (appointmentResult.needsTransfer) {
-          nextState = INBOUND_STATES.TRANSFER_FLOW;
-          aiResponse = appointmentResult.response;
-        }
-        break;
+    // Process based on current state
+    const handler = turn.machine.getCustomState(state)
+      ? "_handleCustomState"
+      : STATE_HANDLERS[state];
 
-      case INBOUND_STATES.CLINICAL_FLOW:
-        // Should have transitioned already, but handle continuation
-        nextState = INBOUND_STATES.MESSAGE_FLOW;
-        aiResponse = await this._generateResponse(clinicConfig, {
-          instruction:
-            "Note down the patient's symptoms. Let them know you've recorded this and a clinical staff member will review and call back. Ask if there's anything else.",
-          tone,
-          isBusinessHours,
-        });
-        break;
-
-      case INBOUND_STATES.MESSAGE_FLOW:
-        // Check if patient is done or has more to add
-        if (this._isDone(patientMessage)) {
-          nextState = INBOUND_STATES.SUCCESS_EXIT;
-          aiResponse = await this._generateSuccessExit(clinicConfig, flags);
-          isComplete = true;
-          finalOutcome = "message_logged";
-        } else {
-          aiResponse = await this._generateResponse(clinicConfig, {
-            instruction: `The patient said: "${patientMessage}". Acknowledge this, add it to the message, and ask if there's anything else they'd like to add before you pass it along.`,
-            tone,
-            isBusinessHours,
-          });
-        }
-        break;
+    if (!handler) {
+      // Fallback
+      return {
+        event: "system_error",
+        response: this._script(clinicConfig, "system_error"),
+        finalOutcome: "system_error_escalation",
+      };
+    }
 
-      case INBOUND_STATES.TRANSFER_FLOW:
-        // Confirm transfer or take message if after hours
-        if (isBusinessHours) {
-          aiResponse = await this._generateResponse(clinicConfig, {
-            instruction:
-              "Confirm you're transferring them now. Say goodbye briefly.",
-            tone,
-            isBusinessHours,
-          });
-          isComplete = true;
-          finalOutcome = "live_transfer";
-        } else {
-          nextState = INBOUND_STATES.MESSAGE_FLOW;
-          aiResponse = await this._generateResponse(clinicConfig, {
-            instruction:
-              "It's after hours so no one can take the call. Take a message for callback.",
-            tone,
-            isBusinessHours,
-          });
-        }
-        break;
+    return this[handler](turn);
+  }
 
-      default:
-        // Fallback
-        aiResponse =
-          "I apologize, I'm having trouble. Let me connect you with our team.";
-        isComplete = true;
-        finalOutcome = "system_error_escalation";
+  /**
+   * Record replies the guardrail blocked during a turn, and hand the call to
+   * staff when the clinic's ai_scope.fallback_action asks for it
+   * The caller already heard the scripted fallback instead of the blocked reply
+   */
+  _applyGuardrail(turn, result, violations) {
+    const { clinicConfig, isBusinessHours } = turn;
+    const categories = [...new Set(violations.flatMap((v) => v.categories))];
+    for (const flag of guardrailFlags(categories)) {
+      if (!turn.flags.includes(flag)) turn.flags.push(flag);
     }
 
-    // Add AI response to transcript
-    transcript.push({
-      role: "assistant",
-      content: aiResponse,
-      state: nextState,
-      timestamp: new Date().toISOString(),
-    });
+    if (result.isComplete || !escalatesToStaff(clinicConfig)) return result;
 
     return {
-      ...conversationState,
-      currentState: nextState,
-      transcript,
-      patientIdentified: !!patientName,
-      patientName,
-      patientDob,
-      intent,
-      flags,
-      confusionCount: newConfusionCount,
-      isComplete,
-      finalOutcome,
-      aiResponse,
+      event: "transfer_request",
+      response: isBusinessHours
+        ? this._script(clinicConfig, "guardrail_handover", {
+            handover: this._handover(clinicConfig),
+          })
+        : this._script(clinicConfig, "guardrail_after_hours"),
+      isComplete: true,
+      finalOutcome: isBusinessHours ? "live_transfer" : "message_for_callback",
     };
   }
 
   // ─────────────────────────────────────────────────────────────────────────────
-  // STATE MACHINE HELPER METHODS
+  // INBOUND STATE HANDLERS
+  // Each returns the event its message produced - never the next state
   // ─────────────────────────────────────────────────────────────────────────────
 
-  _detectEmergency(message, clinicConfig) {
-    const lowerMessage = message.toLowerCase();
-    const emergencyKeywords = [
-      ...INTENT_CATEGORIES.EMERGENCY,
-      ...(clinicConfig.agent_persona?.safety_enforcement?.emergency_keywords ||
-        []),
-    ];
-    return emergencyKeywords.some((keyword) =>
-      lowerMessage.includes(keyword.toLowerCase()),
-    );
-  }
+  async _handleGreeting(turn) {
+    const { message, clinicConfig, tone, isBusinessHours } = turn;
 
-  _detectTransferRequest(message, clinicConfig) {
-    const lowerMessage = message.toLowerCase();
+    // Check if patient already stated their intent in first message
+    const earlyIntent = this._classifyIntent(
+      message,
+      clinicConfig,
+      turn.machine,
+    );
 
-    // Use escalation triggers from clinic config if available
-    const configuredTriggers =
-      clinicConfig?.call_classification?.escalation_triggers?.keywords || [];
+    if (earlyIntent === "unclear") {
+      // No clear intent - just ask for identity
+      const fallback = this._script(clinicConfig, "ask_identity");
+      if (isStrict(clinicConfig)) {
+        return { event: "ask_identity", response: fallback };
+      }
+      try {
+        const aiGeneratedResponse = await this._generateResponse(clinicConfig, {
+          instruction: `Ask the patient for their full name and date of birth to verify their identity. Use a ${tone} tone. Keep it to one sentence. Do NOT re-introduce yourself.`,
+          tone,
+          isBusinessHours,
+        });
+        const isValidResponse =
+          this._mentions(aiGeneratedResponse, clinicConfig, "asks_identity") &&
+          !this._mentions(aiGeneratedResponse, clinicConfig, "reintroduction");
+        return {
+          event: "ask_identity",
+          response: isValidResponse ? aiGeneratedResponse : fallback,
+        };
+      } catch (error) {
+        return { event: "ask_identity", response: fallback };
+      }
+    }
 
-    // Combine with default TRANSFER keywords as fallback
-    const allTriggers =
-      configuredTriggers.length > 0
-        ? configuredTriggers
-        : INTENT_CATEGORIES.TRANSFER;
+    // Patient stated intent - acknowledge it and ask for identity
+    turn.intent = earlyIntent;
+    const description = this._describeIntent(
+      earlyIntent,
+      turn.machine,
+      "speak with someone",
+    );
+    const fallback = this._script(clinicConfig, "ask_identity_for_request", {
+      request: description,
+    });
+    if (isStrict(clinicConfig)) {
+      return { event: "ask_identity", response: fallback };
+    }
 
-    console.log(`[Transfer] Checking message: "${message}"`);
-    console.log(`[Transfer] Configured triggers:`, configuredTriggers);
-    console.log(`[Transfer] Using triggers:`, allTriggers);
+    // Try AI-generated response with configured tone
+    try {
+      const aiGeneratedResponse = await this._generateResponse(clinicConfig, {
+        instruction: `The patient wants to ${description}. Respond in a ${tone} tone. Acknowledge their request warmly in one sentence, then ask for their full name and date of birth to verify their identity. Keep the response to 2 sentences maximum. Do NOT re-introduce yourself`,
+        tone,
+        isBusinessHours,
+      });
 
-    // Check for specific variations of "talk/speak to doctor"
-    const doctorPatterns = [
-      "talk to a doctor",
-      "talk to doctor",
-      "speak to a doctor",
-      "speak to doctor",
-      "want to talk to a doctor",
-      "want to speak to a doctor",
-      "see a doctor",
-      "speak with a doctor",
-      "talk with a doctor",
-    ];
+      // Validate AI response - must ask for identity and not re-introduce
+      const isValidResponse =
+        this._mentions(aiGeneratedResponse, clinicConfig, "asks_identity") &&
+        !this._mentions(aiGeneratedResponse, clinicConfig, "reintroduction") &&
+        !this._mentions(aiGeneratedResponse, clinicConfig, "closed");
 
-    // Check doctor patterns first
-    const doctorMatch = doctorPatterns.some((pattern) =>
-      lowerMessage.includes(pattern),
-    );
-    if (doctorMatch) {
-      console.log(`[Transfer] Doctor pattern matched in: "${message}"`);
-      return true;
+      return {
+        event: "ask_identity",
+        response: isValidResponse ? aiGeneratedResponse : fallback,
+      };
+    } catch (error) {
+      return { event: "ask_identity", response: fallback };
     }
+  }
 
-    // Check configured triggers
-    const triggered = allTriggers.some((keyword) => {
-      const matches = lowerMessage.includes(keyword.toLowerCase());
-      if (matches) {
-        console.log(`[Transfer] Keyword "${keyword}" matched in: "${message}"`);
-      }
-      return matches;
-    });
+  async _handleIdentify(turn) {
+    const { message, clinicConfig, tone, isBusinessHours } = turn;
 
-    if (triggered) {
+    // Try to extract name and DOB from response using LLM
+    const identityInfo = await this._extractIdentity(message, clinicConfig);
+
+    // Also check if patient is stating their intent instead of providing identity
+    const identifyPhaseIntent = this._classifyIntent(
+      message,
+      clinicConfig,
+      turn.machine,
+    );
+
+    if (identityInfo.name && identityInfo.dob) {
+      const mismatch = await this._verifyPatient(turn, identityInfo);
+      if (mismatch) return mismatch;
+
+      turn.patientName = identityInfo.name;
+      turn.patientDob = identityInfo.dob;
+
+      // If we already captured intent earlier, go directly to that flow
+      if (turn.intent && turn.intent !== "unclear") {
+        return this._routeIntent(turn, turn.intent, { justVerified: true });
+      }
+
+      return {
+        event: "verified",
+        response: await this._generateTriageQuestion(
+          clinicConfig,
+          tone,
+          turn.patientName,
+        ),
+      };
+    }
+
+    if (identifyPhaseIntent !== "unclear" && !turn.intent) {
+      // Patient is stating intent instead of identity - capture it and gently redirect
+      turn.intent = identifyPhaseIntent;
+      return {
+        event: "intent_captured",
+        response: await this._generateResponse(clinicConfig, {
+          instruction: `The patient wants to ${this._describeIntent(identifyPhaseIntent, turn.machine, "get help")}. Acknowledge their request warmly and explain you just need their name and date of birth first to pull up their records and assist them properly.`,
+          tone,
+          isBusinessHours,
+        }),
+      };
+    }
+
+    if (this._isRefusal(message, clinicConfig)) {
+      // Patient refuses to identify - can still take message
+      turn.flags.push("identity_not_verified");
+      return {
+        event: "refused",
+        response: await this._generateResponse(clinicConfig, {
+          instruction:
+            "The patient doesn't want to share their details. Acknowledge this politely and offer to take a message instead.",
+          tone,
+          isBusinessHours,
+        }),
+      };
+    }
+
+    // Unclear response - ask again more gently
+    return this._handleUnclear(turn, INBOUND_STATES.IDENTIFY, {
+      ask: "The patient's response wasn't clear identity information. Gently explain you need their full name and date of birth to verify their identity. Be friendly and helpful.",
+      example: "'John Smith, 15th January 1980'",
+    });
+  }
+
+  async _handleTriage(turn) {
+    // Classify intent from patient's response
+    const detectedIntent = this._classifyIntent(
+      turn.message,
+      turn.clinicConfig,
+      turn.machine,
+    );
+    turn.intent = detectedIntent;
+
+    if (detectedIntent !== "unclear") {
+      return this._routeIntent(turn, detectedIntent);
+    }
+
+    // A yes/no answering the question we just asked isn't confusion
+    const offer = turn.conversationState.pendingOffer;
+    if (offer && this._isAffirmative(turn.message)) {
+      turn.intent = offer;
+      return this._routeIntent(turn, offer, { acceptedOffer: true });
+    }
+    if (offer && this._isNegative(turn.message)) {
+      return {
+        event: "unclear",
+        response: await this._generateResponse(turn.clinicConfig, {
+          instruction:
+            "The patient doesn't want that. Say that's no problem and ask what else you can help them with today.",
+          tone: turn.tone,
+          isBusinessHours: turn.isBusinessHours,
+        }),
+      };
+    }
+
+    // Unclear intent - ask for clarification
+    return this._handleUnclear(turn, INBOUND_STATES.TRIAGE, {
+      ask: "You didn't quite understand what the patient needs. Ask them to clarify what they're calling about.",
+      options:
+        "book an appointment, discuss a health concern, or leave a message for the clinic",
+    });
+  }
+
+  async _handleAppointment(turn) {
+    const { message, clinicConfig, isBusinessHours, flags } = turn;
+
+    // Check if patient is saying goodbye/done first
+    if (this._isDone(message, clinicConfig)) {
+      // If appointment was already noted/booked, say proper goodbye and end
+      if (
+        flags.includes("appointment_noted") ||
+        flags.includes("appointment_booked")
+      ) {
+        return {
+          event: "done",
+          response: await this._generateResponse(clinicConfig, {
+            instruction:
+              "The patient is saying goodbye after their appointment was noted/booked. Respond warmly with a proper goodbye - something like 'You're all set! Have a wonderful day, and we'll see you soon. Take care!' Keep it brief and friendly.",
+            isBusinessHours,
+          }),
+          finalOutcome: flags.includes("appointment_booked")
+            ? "appointment_booked"
+            : "appointment_noted",
+        };
+      }
+
+      // No appointment yet, just ending call
+      return {
+        event: "done",
+        response: await this._generateSuccessExit(clinicConfig, flags),
+        finalOutcome: "call_ended",
+      };
+    }
+
+    // Continue appointment booking flow
+    const appointmentResult = await this._continueAppointmentFlow(
+      message,
+      turn.conversationState,
+      clinicConfig,
+    );
+    if (appointmentResult.booked) {
+      // Appointment confirmed - but don't end yet, wait for patient to say goodbye
+      // Stay in APPOINTMENT_FLOW to handle "anything else?" -> "no thanks" -> goodbye
+      flags.push("appointment_booked");
+    } else if (appointmentResult.noted) {
+      // Appointment noted (pending approval) - don't end yet
+      flags.push("appointment_noted");
+    }
+    const unknownClinician = this._routeUnknownClinician(
+      turn,
+      appointmentResult,
+    );
+    if (unknownClinician) return unknownClinician;
+    if (appointmentResult.needsTransfer) {
+      return { event: "transfer", response: appointmentResult.response };
+    }
+    return { event: "continue", response: appointmentResult.response };
+  }
+
+  async _handleBookingChange(turn) {
+    const changeResult = await this._continueBookingChange(
+      turn.message,
+      turn.conversationState,
+      turn.clinicConfig,
+    );
+    if (changeResult.flag) turn.flags.push(changeResult.flag);
+    return { event: "continue", ...changeResult };
+  }
+
+  async _handleClinical(turn) {
+    // Should have transitioned already, but handle continuation
+    return {
+      event: "concern_logged",
+      response: await this._generateResponse(turn.clinicConfig, {
+        instruction:
+          "Note down the patient's symptoms. Let them know you've recorded this and a clinical staff member will review and call back. Ask if there's anything else.",
+        tone: turn.tone,
+        isBusinessHours: turn.isBusinessHours,
+      }),
+    };
+  }
+
+  async _handleMessage(turn) {
+    const { message, clinicConfig, tone, isBusinessHours } = turn;
+
+    // Check if patient is done or has more to add
+    if (this._isDone(message, clinicConfig)) {
+      return {
+        event: "done",
+        response: await this._generateSuccessExit(clinicConfig, turn.flags),
+        finalOutcome: "message_logged",
+      };
+    }
+
+    return {
+      event: "continue",
+      response: await this._generateResponse(clinicConfig, {
+        instruction: `The patient said: "${message}". Acknowledge this, add it to the message, and ask if there's anything else they'd like to add before you pass it along.`,
+        tone,
+        isBusinessHours,
+      }),
+    };
+  }
+
+  /**
+   * Record the caller's message to the clinic's voicemail inbox and end the call
+   */
+  async _handleVoicemail(turn) {
+    const { message, clinicConfig, conversationState } = turn;
+    const caller = turn.patientName
+      ? { name: turn.patientName, dob: turn.patientDob }
+      : await this._extractIdentity(message, clinicConfig);
+    const intent = this._classifyIntent(message, clinicConfig, turn.machine);
+
+    const voicemail = await this.voicemails.record(clinicConfig, {
+      message,
+      caller,
+      intent: intent === "unclear" ? null : intent,
+      conversationId: conversationState.conversationId,
+      receivedAt: clinicTimestamp(clinicConfig),
+    });
+    conversationState.voicemail = voicemail;
+    turn.flags.push("voicemail_recorded");
+
+    if (voicemail.urgency === "urgent") {
+      turn.flags.push("voicemail_urgent");
+      return {
+        event: "recorded",
+        response: this._script(clinicConfig, "voicemail_recorded_urgent"),
+        isComplete: true,
+        finalOutcome: "voicemail_recorded",
+      };
+    }
+    return {
+      event: "recorded",
+      response: this._script(clinicConfig, "voicemail_recorded"),
+      isComplete: true,
+      finalOutcome: "voicemail_recorded",
+    };
+  }
+
+  async _handleTransfer(turn) {
+    const { clinicConfig, tone, isBusinessHours } = turn;
+
+    // Confirm transfer or take message if after hours
+    if (isBusinessHours) {
+      return {
+        event: "transferred",
+        response: await this._generateResponse(clinicConfig, {
+          instruction:
+            "Confirm you're transferring them now. Say goodbye briefly.",
+          tone,
+          isBusinessHours,
+        }),
+        finalOutcome: "live_transfer",
+      };
+    }
+
+    return {
+      event: "after_hours",
+      response: await this._generateResponse(clinicConfig, {
+        instruction:
+          "It's after hours so no one can take the call. Take a message for callback.",
+        tone,
+        isBusinessHours,
+      }),
+    };
+  }
+
+  /**
+   * Handle a message in a clinic-defined state
+   * Follows the state's instruction until the caller is done
+   */
+  async _handleCustomState(turn) {
+    const { message, clinicConfig, tone, isBusinessHours } = turn;
+    const state = turn.machine.getCustomState(
+      turn.conversationState.currentState,
+    );
+
+    if (this._isDone(message, clinicConfig)) {
+      return {
+        event: "done",
+        response: await this._generateSuccessExit(clinicConfig, turn.flags),
+        finalOutcome: state.outcome || `${state.id}_complete`,
+      };
+    }
+
+    return {
+      event: "continue",
+      response: await this._generateResponse(clinicConfig, {
+        instruction: `${state.instruction} The patient said: "${message}". Respond to it, then ask if there's anything else they need. Do NOT re-introduce yourself.`,
+        tone,
+        isBusinessHours,
+      }),
+    };
+  }
+
+  /**
+   * Start the flow for a recognised intent
+   * Shared by IDENTIFY (intent captured before verification) and TRIAGE
+   * @param {string} intent - Built-in intent or custom state id
+   * @param {object} options
+   * @param {boolean} options.justVerified - The caller has only just given their details
+   */
+  async _routeIntent(
+    turn,
+    intent,
+    { justVerified = false, acceptedOffer = false } = {},
+  ) {
+    const { message, clinicConfig, tone, isBusinessHours, conversationState } =
+      turn;
+    const { patientName } = turn;
+    const firstName = patientName?.split(" ")[0];
+    const respond = (instruction) =>
+      this._generateResponse(clinicConfig, {
+        instruction,
+        tone,
+        isBusinessHours,
+      });
+
+    const customState = turn.machine.getCustomState(intent);
+    if (customState) {
+      const thankPrefix = justVerified
+        ? `Thank ${firstName} for verifying. `
+        : "";
+      const request = justVerified ? "" : ` The patient said: "${message}".`;
+      return {
+        event: intent,
+        response: await respond(
+          `${thankPrefix}${customState.instruction}${request} Do NOT re-introduce yourself.`,
+        ),
+      };
+    }
+
+    switch (intent) {
+      case "appointment": {
+        const appointmentResult = await this._handleAppointmentFlow(
+          justVerified || acceptedOffer
+            ? "I want to book an appointment"
+            : message,
+          clinicConfig,
+          patientName,
+          isBusinessHours,
+          conversationState,
+        );
+        // After hours the request is passed on for a callback
+        if (appointmentResult.noted) turn.flags.push("appointment_noted");
+        const unknownClinician = this._routeUnknownClinician(
+          turn,
+          appointmentResult,
+        );
+        if (unknownClinician) return unknownClinician;
+        return {
+          event: appointmentResult.route || "appointment",
+          response: appointmentResult.response,
+        };
+      }
+
+      case "cancel":
+      case "reschedule":
+        return this._startBookingChange(
+          intent,
+          conversationState,
+          clinicConfig,
+          { name: patientName, dob: turn.patientDob },
+        );
+
+      case "clinical": {
+        const clinicalResult = await this._handleClinicalFlow(
+          justVerified
+            ? conversationState.pendingClinicalMessage || "health concern"
+            : message,
+          clinicConfig,
+          isBusinessHours,
+          patientName,
+        );
+        if (clinicalResult.urgent) {
+          turn.flags.push("clinical_concern_urgent");
+          return { event: "urgent_concern", response: clinicalResult.response };
+        }
+        turn.flags.push("clinical_concern_logged");
+        return { event: "concern_logged", response: clinicalResult.response };
+      }
+
+      case "admin":
+        turn.flags.push("admin_request_logged");
+        return {
+          event: "admin",
+          response: await respond(
+            justVerified
+              ? `Thank ${firstName} for verifying. They have an admin request. Acknowledge you've noted it and let them know staff will follow up within 24 hours. Ask if there's anything specific to add. Do NOT re-introduce yourself or ask what they need.`
+              : `The patient has an admin request: "${message}". Acknowledge it and let them know you'll log this for staff to follow up. Ask if there's anything else.`,
+          ),
+        };
+
+      case "transfer":
+        if (!isBusinessHours) {
+          return {
+            event: "transfer_after_hours",
+            response: await respond(
+              justVerified
+                ? `Thank ${firstName} for verifying. They want to speak with staff but it's after hours. Apologize that no one is available and offer to take a message for a callback first thing when the clinic reopens. Do NOT re-introduce yourself.`
+                : "The patient wants to speak to someone but it's after hours. Apologize, explain no one is available, and offer to take a message for callback.",
+            ),
+          };
+        }
+        turn.flags.push("transfer_requested");
+        return {
+          event: "transfer",
+          response: await respond(
+            justVerified
+              ? `Thank ${firstName} for verifying. They want to speak with staff. Let them know you'll transfer them now. Keep it brief - do NOT re-introduce yourself.`
+              : "The patient wants to speak to a staff member. Let them know you'll transfer them now.",
+          ),
+          isComplete: true,
+          finalOutcome: "live_transfer",
+        };
+
+      default:
+        return {
+          event: "verified",
+          response: await this._generateTriageQuestion(
+            clinicConfig,
+            tone,
+            patientName,
+          ),
+        };
+    }
+  }
+
+  /**
+   * Ask again after an unclear answer, following the clinic's clarification
+   * policy for the state - once the re-asks run out, hand the caller to staff,
+   * take a message, or end the call for a callback
+   * @param {object} prompt - { ask, example, options } for the state's question
+   */
+  async _handleUnclear(turn, state, prompt) {
+    const { clinicConfig, isBusinessHours, tone } = turn;
+    const policy = clarificationPolicy(clinicConfig, state);
+    const attempt = (turn.clarifications[state] || 0) + 1;
+    turn.clarifications[state] = attempt;
+    turn.confusionCount++;
+
+    if (attempt <= policy.maxAttempts) {
+      return {
+        event: "unclear",
+        response: await this._generateResponse(clinicConfig, {
+          instruction: rephraseInstruction(
+            rephraseStrategy(policy, attempt),
+            prompt,
+          ),
+          tone,
+          isBusinessHours,
+        }),
+      };
+    }
+
+    turn.flags.push(`caller_not_understood: ${state}`);
+    switch (resolveFallback(policy, isBusinessHours)) {
+      case "transfer": {
+        return {
+          event: "clarify_transfer",
+          response: await this._generateScripted(
+            clinicConfig,
+            this._script(clinicConfig, "clarify_handover", {
+              handover: this._handover(clinicConfig),
+            }),
+            "Generate clarification handover",
+            {
+              isBusinessHours,
+              instruction: `You haven't been able to understand what the caller needs. Apologise briefly and tell them you're putting them through to a member of the team who can help. Use a ${tone} tone. Keep it to two sentences.`,
+            },
+          ),
+          isComplete: true,
+          finalOutcome: "live_transfer",
+        };
+      }
+
+      case "message":
+        return {
+          event: "clarify_message",
+          response: await this._generateResponse(clinicConfig, {
+            instruction:
+              "You haven't been able to understand what the caller needs. Apologise briefly and offer to take a message instead - ask them to tell you, in their own words, what they'd like passed on to the team.",
+            tone,
+            isBusinessHours,
+          }),
+        };
+
+      default:
+        return {
+          event: "confusion",
+          response: await this._generateConfusionExit(clinicConfig),
+          finalOutcome: "confusion_escalation",
+        };
+    }
+  }
+
+  /**
+   * How Heidi describes an intent, including clinic-defined ones
+   */
+  _describeIntent(intent, machine, fallback) {
+    const customState = machine.getCustomState(intent);
+    if (customState) {
+      return `get help with ${(customState.label || intent.replace(/_/g, " ")).toLowerCase()}`;
+    }
+    return INTENT_DESCRIPTIONS[intent] || fallback;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // SESSION-BACKED CONVERSATIONS
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Process the next patient message for a stored conversation
+   * The server-side session is the only source of conversation state
+   * @param {string} conversationId - Id returned when the call was started
+   * @param {string} patientMessage - The patient's new message
+   * @param {string} type - Expected call type ("inbound" | "outbound")
+   */
+  async continueConversation(conversationId, patientMessage, type) {
+    const session = this.sessions.get(conversationId);
+
+    if (session.type !== type) {
+      throw new SessionError(
+        `Conversation ${conversationId} is not an ${type} call`,
+      );
+    }
+    if (session.conversation.isComplete) {
+      throw new SessionError("Conversation has already ended", 409);
+    }
+    if (session.busy) {
+      throw new SessionError(
+        "A message is already being processed for this call",
+        409,
+      );
+    }
+
+    session.busy = true;
+    try {
+      // Work on a copy so a failed turn leaves the stored state untouched
+      const state = structuredClone(session.conversation);
+      const updatedState =
+        type === "inbound"
+          ? await this.processInboundMessage(
+              state,
+              patientMessage,
+              session.clinicConfig,
+            )
+          : await this.processOutboundMessage(
+              state,
+              patientMessage,
+              session.clinicConfig,
+            );
+
+      // Finished calls carry a handoff note for the clinic team, and the
+      // callbacks it lists land in the clinic's task inbox
+      if (updatedState.isComplete) {
+        updatedState.summary = this.summarizer.summarize(
+          updatedState,
+          session.clinicConfig,
+        );
+        const tasks = await this.tasks.createFromCall(
+          session.clinicConfig,
+          updatedState,
+          updatedState.summary,
+        );
+        updatedState.taskIds = tasks.map((task) => task.task_id);
+      }
+
+      this.sessions.save(conversationId, updatedState);
+      return updatedState;
+    } finally {
+      session.busy = false;
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STATE MACHINE HELPER METHODS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  _detectEmergency(message, clinicConfig) {
+    const lowerMessage = message.toLowerCase();
+    const clinicKeywords =
+      clinicConfig.agent_persona?.safety_enforcement?.emergency_keywords || [];
+    // Every language the clinic answers in - one message isn't always
+    // enough to tell which the caller is speaking
+    return (
+      callerLanguages(clinicConfig).some((language) =>
+        mentions(message, language, "emergency"),
+      ) ||
+      clinicKeywords.some((keyword) =>
+        lowerMessage.includes(keyword.toLowerCase()),
+      )
+    );
+  }
+
+  _detectTransferRequest(message, clinicConfig) {
+    const lowerMessage = message.toLowerCase();
+
+    // Use escalation triggers from clinic config if available
+    const configuredTriggers =
+      clinicConfig?.call_classification?.escalation_triggers?.keywords || [];
+
+    // Combine with default TRANSFER keywords as fallback
+    const allTriggers =
+      configuredTriggers.length > 0
+        ? configuredTriggers
+        : this._keywords(clinicConfig, "transfer");
+
+    console.log(`[Transfer] Checking message: "${message}"`);
+    console.log(`[Transfer] Configured triggers:`, configuredTriggers);
+    console.log(`[Transfer] Using triggers:`, allTriggers);
+
+    // Check for specific variations of "talk/speak to doctor" first
+    if (this._mentions(message, clinicConfig, "speak_to_doctor")) {
+      console.log(`[Transfer] Doctor pattern matched in: "${message}"`);
+      return true;
+    }
+
+    // Check configured triggers
+    const triggered = allTriggers.some((keyword) => {
+      const matches = lowerMessage.includes(keyword.toLowerCase());
+      if (matches) {
+        console.log(`[Transfer] Keyword "${keyword}" matched in: "${message}"`);
+      }
+      return matches;
+    });
+
+    if (triggered) {
       console.log(
         `[Transfer] Escalation triggered by configured keywords in: "${message.substring(0, 50)}..."`,
       );
@@ -1201,105 +1274,213 @@ class CallSimulator {
     const tone = clinicConfig.agent_persona?.tone_preference || "professional";
 
     if (isBusinessHours) {
-      const response = await this.aiService.generateResponse(
+      return this._generateScripted(
+        clinicConfig,
+        this._script(clinicConfig, "transfer_now"),
         "Generate transfer response",
         {
-          clinicConfig,
           instruction: `The patient wants to speak directly to a staff member. Let them know you'll transfer them right away. Be brief and accommodating. Use a ${tone} tone.`,
         },
       );
-      return (
-        response.text ||
-        "Absolutely, I'll transfer you to one of our staff members right now. Please hold for just a moment."
-      );
     } else {
-      const response = await this.aiService.generateResponse(
+      return this._generateScripted(
+        clinicConfig,
+        this._script(clinicConfig, "transfer_after_hours"),
         "Generate after-hours transfer response",
         {
-          clinicConfig,
           instruction: `The patient wants to speak to a staff member but it's after hours. Apologize that no one is available right now. Let them know you'll leave an urgent message for someone to call them back first thing when the clinic opens. Ask if there's anything urgent they need help with in the meantime. Use a ${tone} tone.`,
         },
       );
-      return (
-        response.text ||
-        "I understand you'd like to speak with someone directly. Unfortunately, our clinic is currently closed for the day. I'll leave an urgent message for our team to call you back first thing when we reopen. Is there anything urgent I can help you with in the meantime?"
-      );
     }
   }
 
-  async _generateEmergencyResponse(clinicConfig) {
-    const response = await this.aiService.generateResponse(
-      "Generate emergency response",
-      {
+  /**
+   * Whether the caller's rolling frustration just crossed the clinic's
+   * sentiment_threshold - calls already with staff or taking a message stay put
+   */
+  _isFrustrated(state, turn) {
+    if (
+      state === INBOUND_STATES.TRANSFER_FLOW ||
+      state === INBOUND_STATES.MESSAGE_FLOW
+    ) {
+      return false;
+    }
+    return shouldEscalate(
+      turn.sentiment,
+      frustrationThreshold(turn.clinicConfig),
+    );
+  }
+
+  /**
+   * Hand a frustrated caller to staff, or take a message for a callback after hours
+   */
+  async _handleFrustration(turn) {
+    const { clinicConfig, isBusinessHours, tone } = turn;
+    turn.flags.push("caller_frustrated");
+    turn.sentiment = { ...turn.sentiment, escalated: true };
+
+    if (isBusinessHours) {
+      return {
+        event: "frustrated",
+        response: await this._generateScripted(
+          clinicConfig,
+          this._script(clinicConfig, "frustration_handover", {
+            handover: this._handover(clinicConfig),
+          }),
+          "Generate frustration handover",
+          {
+            isBusinessHours,
+            instruction: `The caller is getting frustrated. Apologise sincerely for the trouble, without being defensive, and tell them you're putting them through to a member of the team now. Use a ${tone} tone. Keep it to two sentences.`,
+          },
+        ),
+        isComplete: true,
+        finalOutcome: "live_transfer",
+      };
+    }
+
+    return {
+      event: "frustrated_after_hours",
+      response: await this._generateScripted(
         clinicConfig,
-        instruction:
-          "This is an EMERGENCY. Tell the patient to hang up immediately and call 000 (or go to nearest emergency department). Be firm but caring. Do NOT offer to book appointments or take messages. Their safety is the only priority.",
-      },
+        this._script(clinicConfig, "frustration_after_hours"),
+        "Generate frustration message offer",
+        {
+          isBusinessHours,
+          instruction: `The caller is getting frustrated. Apologise sincerely for the trouble. Explain the clinic is closed so no one can take the call right now, but you'll take a message and make sure the team calls them back first thing. Ask what they'd like you to pass on. Use a ${tone} tone.`,
+        },
+      ),
+    };
+  }
+
+  /**
+   * Act on an emergency the caller described - redirect them to 000, warm
+   * transfer them to the emergency line, or alert the clinic's staff - and
+   * keep a record of the transfer or page on the conversation
+   */
+  async _handleEmergency(turn) {
+    const { clinicConfig, isBusinessHours, conversationState, message } = turn;
+    const { action, fallback } = resolveEmergencyAction(
+      clinicConfig,
+      isBusinessHours,
     );
-    return (
-      response.text ||
-      "This sounds like an emergency. Please hang up and call 000 immediately, or go to your nearest emergency department. Your safety is the priority right now."
+    const record = {
+      ...buildEmergencyRecord(action, {
+        clinicConfig,
+        isBusinessHours,
+        patientName: turn.patientName,
+        patientDob: turn.patientDob,
+        message,
+        timestamp: clinicTimestamp(clinicConfig),
+      }),
+      ...(fallback && { fallback }),
+    };
+    conversationState.emergency = record;
+
+    return {
+      event: "emergency",
+      response: await this._generateEmergencyResponse(clinicConfig, record),
+      finalOutcome: emergencyOutcome(action),
+    };
+  }
+
+  async _generateEmergencyResponse(clinicConfig, record) {
+    const { instruction, fallback } = this._describeEmergencyAction(
+      record,
+      clinicConfig,
+    );
+    const response = await this._generateScripted(
+      clinicConfig,
+      fallback,
+      "Generate emergency response",
+      { instruction },
+    );
+    // The caller must always hear to call 000, whatever the model wrote
+    return withEmergencyAdvice(
+      response,
+      this._script(clinicConfig, "emergency_advice"),
     );
   }
 
+  /**
+   * Instruction and scripted reply for each emergency action
+   */
+  _describeEmergencyAction(record, clinicConfig) {
+    if (record.transfer) {
+      const { line } = record.transfer;
+      return {
+        instruction: `This is an EMERGENCY. Tell the patient you're connecting them to emergency services on ${line} right now and to stay on the line. Tell them that if the call drops they must hang up and call 000 (or go to the nearest emergency department). Be calm, firm and caring. Do NOT offer appointments or messages.`,
+        fallback: this._script(clinicConfig, "emergency_transfer", { line }),
+      };
+    }
+    if (record.page) {
+      const onCall = record.page.recipient.team === "on-call";
+      const who = onCall
+        ? `our on-call clinician, ${record.page.recipient.name},`
+        : "our clinical team";
+      return {
+        instruction: `This is an EMERGENCY. Tell the patient to hang up and call 000 now (or go to the nearest emergency department). Also tell them you've alerted ${who} who will follow up with them. Be firm but caring - calling 000 comes first. Do NOT offer appointments or messages.`,
+        fallback: onCall
+          ? this._script(clinicConfig, "emergency_page_on_call", {
+              name: record.page.recipient.name,
+            })
+          : this._script(clinicConfig, "emergency_page_team"),
+      };
+    }
+    return {
+      instruction:
+        "This is an EMERGENCY. Tell the patient to hang up immediately and call 000 (or go to nearest emergency department). Be firm but caring. Do NOT offer to book appointments or take messages. Their safety is the only priority.",
+      fallback: this._script(clinicConfig, "emergency_redirect"),
+    };
+  }
+
   async _generateIdentifyRequest(clinicConfig, tone) {
-    const response = await this.aiService.generateResponse(
+    return this._generateScripted(
+      clinicConfig,
+      this._script(clinicConfig, "ask_identity"),
       "Generate identity verification request",
       {
-        clinicConfig,
         instruction: `Ask the patient for their full name and date of birth to verify their identity. Use a ${tone} tone. Keep it brief and natural.`,
       },
     );
-    return (
-      response.text ||
-      "To get started, could I please have your full name and date of birth?"
-    );
   }
 
   async _generateTriageQuestion(clinicConfig, tone, patientName) {
-    const response = await this.aiService.generateResponse(
+    return this._generateScripted(
+      clinicConfig,
+      this._script(clinicConfig, "triage_question", {
+        patient_first_name: patientName?.split(" ")[0],
+      }),
       "Generate triage question",
       {
-        clinicConfig,
         instruction: `Thank ${patientName || "the patient"} for verifying their identity. Now ask how you can help them today. Use a ${tone} tone.`,
       },
     );
-    return (
-      response.text ||
-      `Thank you${patientName ? `, ${patientName.split(" ")[0]}` : ""}. How can I help you today?`
-    );
   }
 
   async _generateConfusionExit(clinicConfig) {
-    const response = await this.aiService.generateResponse(
+    return this._generateScripted(
+      clinicConfig,
+      this._script(clinicConfig, "confusion_exit"),
       "Generate confusion exit",
       {
-        clinicConfig,
         instruction:
-          "You've had trouble understanding the patient 3 times. Apologize sincerely, explain you'll have a receptionist call them back at this number. Say goodbye politely.",
+          "You've had trouble understanding the patient several times. Apologize sincerely, explain you'll have a receptionist call them back at this number. Say goodbye politely.",
       },
     );
-    return (
-      response.text ||
-      "I'm so sorry, I'm having trouble understanding. I'll have one of our receptionists call you back at this number shortly. Thank you for your patience. Goodbye."
-    );
   }
 
   async _generateSuccessExit(clinicConfig, flags) {
     const hasFlags = flags.length > 0;
-    const response = await this.aiService.generateResponse(
+    return this._generateScripted(
+      clinicConfig,
+      this._script(clinicConfig, "success_exit"),
       "Generate success exit",
       {
-        clinicConfig,
         instruction: hasFlags
           ? "The call is complete. Summarize that you've noted their concerns/requests and someone will follow up. Ask if there's anything else, then say goodbye warmly."
           : "The call is complete and resolved. Ask if there's anything else you can help with. If not, say goodbye warmly.",
       },
     );
-    return (
-      response.text ||
-      "I've got all of that noted down. Is there anything else I can help you with? ... Take care, goodbye!"
-    );
   }
 
   async _generateResponse(clinicConfig, options) {
@@ -1316,10 +1497,71 @@ class CallSimulator {
         tone, // Explicitly pass tone for AI to use
       },
     );
-    return response.text || "How can I help you further?";
+    return response.text ?? this._script(clinicConfig, "help_further");
+  }
+
+  /**
+   * Check an identified caller against the clinic's patient registry (see
+   * patientRegistry.js), recording whether they're an existing or new
+   * patient. A known name with the wrong date of birth is asked about once;
+   * after a second miss the call carries on unverified, to a message.
+   * @param {object} identity - { name, dob } the caller gave; an existing
+   *   patient's name is corrected to their record's spelling
+   * @returns {Promise<object|null>} A handler result on a mismatch, else null
+   */
+  async _verifyPatient(turn, identity) {
+    const { clinicConfig, conversationState, tone, isBusinessHours } = turn;
+    const { status, patient } = await this.patients.verify(
+      clinicConfig.clinic_id,
+      identity,
+    );
+    if (status === "no_registry") return null;
+
+    if (status === "dob_mismatch") {
+      const mismatches = (conversationState.patientRecord?.mismatches || 0) + 1;
+      conversationState.patientRecord = { status, patientId: null, mismatches };
+      const firstName = identity.name.split(" ")[0];
+
+      if (mismatches === 1) {
+        return {
+          event: "dob_mismatch",
+          response: await this._generateResponse(clinicConfig, {
+            instruction: `The date of birth ${firstName} gave doesn't match the clinic's records. Don't say what's on file. Politely ask them to repeat their full name and date of birth so you can check again.`,
+            tone,
+            isBusinessHours,
+          }),
+        };
+      }
+
+      turn.flags.push("identity_not_verified");
+      return {
+        event: "refused",
+        response: await this._generateResponse(clinicConfig, {
+          instruction: `You still can't match ${firstName}'s details to the clinic's records. Apologise, explain you can't access their records without verifying them, and offer to take a message so the team can help.`,
+          tone,
+          isBusinessHours,
+        }),
+      };
+    }
+
+    conversationState.patientRecord = {
+      status,
+      patientId: patient?.patient_id || null,
+    };
+    if (patient) identity.name = patient.name;
+    if (status === "new") turn.flags.push("new_patient");
+    return null;
+  }
+
+  /**
+   * Whether booking rules for new patients apply to the caller - true
+   * unless the registry matched them to an existing patient
+   */
+  _isNewPatient(conversationState) {
+    return conversationState.patientRecord?.status !== "existing";
   }
 
-  async _extractIdentity(message) {
+  async _extractIdentity(message, clinicConfig) {
     // Use LLM to extract name and DOB from natural language input
     const result = { name: null, dob: null };
 
@@ -1340,7 +1582,7 @@ Rules:
 
       const response = await this.aiService._chatCompletion(
         [{ role: "user", content: extractionPrompt }],
-        { temperature: 0.1, max_tokens: 100 },
+        { temperature: 0.1, max_tokens: 100, task: "extraction", clinicConfig },
       );
 
       // Parse the JSON response
@@ -1362,72 +1604,120 @@ Rules:
     return result;
   }
 
-  _isRefusal(message) {
-    const refusalPhrases = [
-      "don't want to",
-      "won't give",
-      "prefer not",
-      "rather not",
-      "skip that",
-      "not comfortable",
-      "just want to",
-      "can we skip",
-    ];
-    const lowerMessage = message.toLowerCase();
-    return refusalPhrases.some((phrase) => lowerMessage.includes(phrase));
+  _isAffirmative(message) {
+    return /\b(yes|yeah|yep|yup|correct|right|sure|please|go ahead|confirm|that one|that's the one|that's it)\b/i.test(
+      message,
+    );
+  }
+
+  _isNegative(message) {
+    return /^\s*(no|nope|nah)\b|\b(not that|wrong one|keep it|leave it|don't (cancel|change|move))\b/i.test(
+      message,
+    );
+  }
+
+  _isRefusal(message, clinicConfig) {
+    return this._mentions(message, clinicConfig, "refusal");
   }
 
-  _classifyIntent(message) {
+  /**
+   * Classify what the caller wants
+   * Clinic-defined states take priority over the built-in categories
+   * @returns {string} Intent name, custom state id, or "unclear"
+   */
+  _classifyIntent(message, clinicConfig, machine = null) {
     const lowerMessage = message.toLowerCase();
+    const matches = (keywords) =>
+      keywords.some((keyword) => lowerMessage.includes(keyword.toLowerCase()));
 
-    // Check each category
-    for (const [category, keywords] of Object.entries(INTENT_CATEGORIES)) {
-      if (category === "EMERGENCY") continue; // Already handled separately
-      if (
-        keywords.some((keyword) => lowerMessage.includes(keyword.toLowerCase()))
-      ) {
-        return category.toLowerCase();
-      }
-    }
+    const customState = machine
+      ?.getCustomIntents()
+      .find((state) => matches(state.intent_keywords));
+    if (customState) return customState.id;
 
-    return "unclear";
-  }
-
-  _isDone(message) {
-    const donePhrases = [
-      "no",
-      "that's all",
-      "that's it",
-      "nothing else",
-      "i'm good",
-      "all good",
-      "nope",
-      "no thanks",
-      "that will be all",
-      "goodbye",
-      "bye",
-      "thank you",
-      "thanks",
-    ];
-    const lowerMessage = message.toLowerCase().trim();
-    return donePhrases.some(
+    // Check each category - emergencies are handled separately
+    return (
+      INTENTS.find((intent) => this._mentions(message, clinicConfig, intent)) ||
+      "unclear"
+    );
+  }
+
+  _isDone(message, clinicConfig) {
+    const lowerMessage = message.normalize("NFC").toLowerCase().trim();
+    return this._keywords(clinicConfig, "done").some(
       (phrase) => lowerMessage === phrase || lowerMessage.startsWith(phrase),
     );
   }
 
+  // ─────────────────────────────────────────────────────────────────────────────
+  // LANGUAGE AND SCRIPTS
+  // The call's locale pack (see localePacks.js) and the clinic's script
+  // library (see scriptLibrary.js) - clinicConfig here is the turn's,
+  // speaking the caller's language
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * A scripted line in the call's language
+   */
+  _script(clinicConfig, key, values) {
+    return script(clinicConfig, key, values);
+  }
+
+  /**
+   * A generated reply, falling back to a scripted line - or just the scripted
+   * line, without asking the model, in strict script mode
+   * @param {string} fallback - The scripted line, placeholders filled in
+   */
+  async _generateScripted(clinicConfig, fallback, task, options) {
+    if (isStrict(clinicConfig)) return fallback;
+    const response = await this.aiService.generateResponse(task, {
+      clinicConfig,
+      ...options,
+    });
+    return response.text ?? fallback;
+  }
+
+  /**
+   * A keyword list in the call's language, English included
+   */
+  _keywords(clinicConfig, list) {
+    return keywords(languageOf(clinicConfig), list);
+  }
+
+  _mentions(message, clinicConfig, list) {
+    return mentions(message, languageOf(clinicConfig), list);
+  }
+
+  /**
+   * What Heidi says as she hands a call to staff
+   */
+  _handover(clinicConfig) {
+    return this._script(clinicConfig, "handover");
+  }
+
   async _handleAppointmentFlow(
     message,
     clinicConfig,
     patientName,
     isBusinessHours,
+    conversationState,
   ) {
     // Check if they mentioned a specific doctor
-    const doctorMention = this._extractDoctorName(message, clinicConfig);
+    const resolution = this._resolveDoctor(
+      message,
+      clinicConfig,
+      conversationState,
+    );
+    const doctor = resolution.practitioner;
     const firstName = patientName ? patientName.split(" ")[0] : "";
 
-    // Build list of doctors who ARE accepting new patients (for alternatives)
+    // Doctors the caller can book with (for alternatives) - only those
+    // accepting new patients, unless the registry knows the caller
+    const newPatient = this._isNewPatient(conversationState);
     const availableDoctors = (clinicConfig.staff_directory || [])
-      .filter((s) => s.booking_rules?.accepts_new_patients !== false)
+      .filter(
+        (s) => !newPatient || s.booking_rules?.accepts_new_patients !== false,
+      )
       .map((s) => {
         const rules = s.booking_rules || {};
         let info = `Dr. ${s.name} (${s.role || "GP"})`;
@@ -1436,18 +1726,34 @@ Rules:
         return info;
       });
 
-    // Hardcoded callback window for demo purposes
-    const callbackTime = "tomorrow morning between 8:30 AM and 9:30 AM";
-
     let instruction;
-    if (doctorMention) {
-      // Check if doctor takes new patients, has restrictions, etc.
-      const doctor = clinicConfig.staff_directory?.find((c) =>
-        c.name.toLowerCase().includes(doctorMention.toLowerCase()),
+    let noted = false;
+    let route = null;
+    if (
+      this._newPatientBooking(clinicConfig, conversationState) ===
+      "take_message"
+    ) {
+      // Reception books new patients themselves - take a message instead
+      noted = true;
+      route = "take_message";
+      instruction = `Thank ${firstName} for verifying their identity. They want to book an appointment${doctor ? ` with Dr. ${doctor.name}` : ""}, but as a new patient their first appointment is arranged by the reception team. Explain this kindly, and offer to take a message so reception can call them back ${await this._scheduleCallback(clinicConfig, conversationState)} to book it. Ask what they'd like to be seen for and which days or times suit them. Do NOT offer appointment times. Do NOT re-introduce yourself.`;
+    } else if (resolution.status === "ambiguous") {
+      // Two Dr Smiths - ask which before looking for times
+      instruction = `Thank ${firstName} for verifying their identity. They want to book an appointment. ${this._askWhichDoctor(resolution.candidates, conversationState)} Do NOT re-introduce yourself.`;
+    } else if (resolution.status === "unknown") {
+      // Doctor isn't on staff - the clinic's policy decides what happens
+      const unknown = await this._unknownClinicianReply(
+        resolution.spokenName,
+        clinicConfig,
+        conversationState,
       );
-      const bookingRules = doctor?.booking_rules || {};
+      ({ noted, route } = unknown);
+      instruction = `Thank ${firstName} for verifying their identity. ${unknown.instruction} Do NOT re-introduce yourself.`;
+    } else if (doctor) {
+      // Check if doctor takes new patients, has restrictions, etc.
+      const bookingRules = doctor.booking_rules || {};
 
-      if (doctor && !bookingRules.accepts_new_patients) {
+      if (newPatient && !bookingRules.accepts_new_patients) {
         // Doctor not accepting new patients - suggest alternatives
         const alternatives =
           availableDoctors.length > 0
@@ -1456,23 +1762,46 @@ Rules:
         instruction = `Thank ${firstName} for verifying their identity. They want to see Dr. ${doctor.name}, but unfortunately Dr. ${doctor.name} isn't currently accepting new patients. Apologize sincerely and suggest these alternatives who ARE accepting new patients: ${alternatives}. Ask if any of them would work, or if they'd like whoever has the earliest availability. Do NOT re-introduce yourself.`;
       } else if (!isBusinessHours) {
         // AFTER HOURS: Note the preference and let them know front desk will call back
-        instruction = `Thank ${firstName} for verifying their identity. They want to book with Dr. ${doctor?.name || doctorMention}. Since the clinic is currently closed, let them know you've noted their request for an appointment with Dr. ${doctor?.name || doctorMention} and have passed it to the front desk. The reception team will call them back ${callbackTime} to confirm a suitable time. Ask if there's anything else you can help with. Do NOT offer specific time slots - the front desk will handle that. Do NOT re-introduce yourself.`;
+        noted = true;
+        instruction = `Thank ${firstName} for verifying their identity. They want to book with Dr. ${doctor.name}. Since the clinic is currently closed, let them know you've noted their request for an appointment with Dr. ${doctor.name} and have passed it to the front desk. The reception team will call them back ${await this._scheduleCallback(clinicConfig, conversationState)} to confirm a suitable time. Ask if there's anything else you can help with. Do NOT offer specific time slots - the front desk will handle that. Do NOT re-introduce yourself.`;
       } else if (bookingRules.requires_manual_approval) {
         instruction = `Thank ${firstName} for verifying their identity. They want to see Dr. ${doctor.name}. This doctor requires approval for new bookings. Let them know you'll note the request and someone will call back to confirm. Do NOT re-introduce yourself.`;
       } else {
-        // Doctor is available - offer 2 time slot options
-        instruction = `Thank ${firstName} for verifying their identity. They want to book with Dr. ${doctor?.name || doctorMention}. Offer exactly 2 available time slots - for example "tomorrow at 10:00 AM" and "Thursday at 2:30 PM". Ask which works better for them. Do NOT auto-confirm the booking yet - wait for them to choose a time. Do NOT re-introduce yourself.`;
+        // Doctor is available - offer their next free slots
+        const slots = await this._offerSlots(
+          clinicConfig,
+          conversationState,
+          doctor,
+        );
+        instruction = `Thank ${firstName} for verifying their identity. They want to book with Dr. ${doctor.name}. ${this._slotOfferInstruction(slots, doctor)} Do NOT re-introduce yourself.`;
       }
     } else {
-      // No specific doctor mentioned - ask about preference simply
-      instruction = `Thank ${firstName} for verifying their identity. They want to book an appointment. Simply ask: "Do you have a particular doctor you'd like to see, or would any available GP be fine?" Keep it brief and natural - do NOT list out all the doctors, do NOT re-introduce yourself.`;
+      // No doctor named - a reason someone specializes in picks the doctor
+      const offer = await this._specialistOffer(
+        message,
+        clinicConfig,
+        conversationState,
+      );
+      if (offer) {
+        noted = offer.noted;
+        instruction = `Thank ${firstName} for verifying their identity. ${offer.instruction} Do NOT re-introduce yourself.`;
+      } else {
+        // No specific doctor mentioned - ask about preference simply
+        instruction = `Thank ${firstName} for verifying their identity. They want to book an appointment. Simply ask: "Do you have a particular doctor you'd like to see, or would any available GP be fine?" Keep it brief and natural - do NOT list out all the doctors, do NOT re-introduce yourself.`;
+      }
     }
 
     const response = await this._generateResponse(clinicConfig, {
       instruction,
       isBusinessHours,
     });
-    return response;
+    return {
+      response,
+      noted,
+      route,
+      unknownClinician:
+        resolution.status === "unknown" ? resolution.spokenName : null,
+    };
   }
 
   async _continueAppointmentFlow(message, conversationState, clinicConfig) {
@@ -1488,10 +1817,14 @@ Rules:
       )
       .join("\n");
 
-    // Build list of doctors accepting new patients
+    // Doctors the caller can book with - only those accepting new patients,
+    // unless the registry knows the caller
+    const newPatient = this._isNewPatient(conversationState);
     const staffDirectory = clinicConfig.staff_directory || [];
     const availableDoctors = staffDirectory
-      .filter((c) => c.booking_rules?.accepts_new_patients !== false)
+      .filter(
+        (c) => !newPatient || c.booking_rules?.accepts_new_patients !== false,
+      )
       .map((c) => {
         const rules = c.booking_rules || {};
         let info = `Dr. ${c.name} (${c.role || "GP"})`;
@@ -1505,18 +1838,54 @@ Rules:
         ? availableDoctors.join(", ")
         : "any available GP";
 
-    // Hardcoded callback window for demo purposes
-    const callbackTime = "tomorrow morning between 8:30 AM and 9:30 AM";
+    const resolution = this._resolveDoctor(
+      message,
+      clinicConfig,
+      conversationState,
+    );
+    const mentionedDoctor = resolution.practitioner;
+
+    // Patient picked one of the slots we offered - book it. Checked first
+    // because callers often repeat the offer back ("the 10:15 with Dr Chen");
+    // naming a doctor narrows the pick to that doctor's slots
+    const offeredSlots = conversationState.appointment?.offeredSlots || [];
+    const chosenSlot = matchSlot(
+      message,
+      mentionedDoctor
+        ? offeredSlots.filter(
+            (slot) =>
+              slot.practitioner_id ===
+              (mentionedDoctor.id || mentionedDoctor.name),
+          )
+        : offeredSlots,
+    );
+    if (chosenSlot) {
+      return this._bookSlot(
+        chosenSlot,
+        message,
+        conversationState,
+        clinicConfig,
+        recentHistory,
+      );
+    }
 
     // Check if patient mentioned a specific doctor
-    const doctorMention = this._extractDoctorName(message, clinicConfig);
-    if (doctorMention) {
-      const doctor = staffDirectory.find((c) =>
-        c.name.toLowerCase().includes(doctorMention.toLowerCase()),
-      );
+    if (resolution.status === "ambiguous") {
+      const response = await this._generateResponse(clinicConfig, {
+        instruction: this._askWhichDoctor(
+          resolution.candidates,
+          conversationState,
+        ),
+        isBusinessHours,
+        conversationHistory: recentHistory,
+      });
+      return { response, booked: false };
+    }
+    if (resolution.status !== "none") {
+      const doctor = mentionedDoctor;
       const bookingRules = doctor?.booking_rules || {};
 
-      if (doctor && !bookingRules.accepts_new_patients) {
+      if (doctor && newPatient && !bookingRules.accepts_new_patients) {
         // Doctor not accepting new patients
         const response = await this._generateResponse(clinicConfig, {
           instruction: `The patient asked for Dr. ${doctor.name}, but Dr. ${doctor.name} is NOT accepting new patients. Apologize sincerely and suggest these doctors who ARE accepting new patients: ${availableDoctorsList}. Ask if any of them would work instead.`,
@@ -1527,22 +1896,61 @@ Rules:
       } else if (!isBusinessHours && doctor) {
         // AFTER HOURS: Note the preference and let front desk call back
         const response = await this._generateResponse(clinicConfig, {
-          instruction: `The patient wants to book with Dr. ${doctor.name}. Since the clinic is currently closed, let them know you've noted their request for an appointment with Dr. ${doctor.name} and have passed it to the front desk. The reception team will call them back ${callbackTime} to confirm a suitable time. Ask if there's anything else you can help with. Do NOT offer specific time slots.`,
+          instruction: `The patient wants to book with Dr. ${doctor.name}. Since the clinic is currently closed, let them know you've noted their request for an appointment with Dr. ${doctor.name} and have passed it to the front desk. The reception team will call them back ${await this._scheduleCallback(clinicConfig, conversationState)} to confirm a suitable time. Ask if there's anything else you can help with. Do NOT offer specific time slots.`,
           isBusinessHours,
           conversationHistory: recentHistory,
         });
         return { response, booked: false, noted: true };
       } else if (doctor) {
-        // Doctor is available - offer 2 time slots
+        // Doctor is available - offer their next free slots
+        const slots = await this._offerSlots(
+          clinicConfig,
+          conversationState,
+          doctor,
+        );
         const response = await this._generateResponse(clinicConfig, {
-          instruction: `The patient wants to book with Dr. ${doctor.name}. First say that Dr. ${doctor.name} is available. Then, offer exactly 2 specific time slots - for example "tomorrow (Wednesday) at 10:00 AM" and "Friday at 2:30 PM". Ask which one works better for them. Do NOT confirm the booking yet - wait for them to choose.`,
+          instruction: `The patient wants to book with Dr. ${doctor.name}. ${this._slotOfferInstruction(slots, doctor)}`,
           isBusinessHours,
           conversationHistory: recentHistory,
         });
         return { response, booked: false };
+      } else {
+        // Doctor isn't on staff - the clinic's policy decides what happens
+        const unknown = await this._unknownClinicianReply(
+          resolution.spokenName,
+          clinicConfig,
+          conversationState,
+        );
+        const response = await this._generateResponse(clinicConfig, {
+          instruction: unknown.instruction,
+          isBusinessHours,
+          conversationHistory: recentHistory,
+        });
+        return {
+          response,
+          booked: false,
+          noted: unknown.noted,
+          route: unknown.route,
+          unknownClinician: resolution.spokenName,
+        };
       }
     }
 
+    // Caller gave a reason rather than a name - offer whoever covers it
+    const specialistOffer = await this._specialistOffer(
+      message,
+      clinicConfig,
+      conversationState,
+    );
+    if (specialistOffer) {
+      const response = await this._generateResponse(clinicConfig, {
+        instruction: specialistOffer.instruction,
+        isBusinessHours,
+        conversationHistory: recentHistory,
+      });
+      return { response, booked: false, noted: specialistOffer.noted };
+    }
+
     // Check if they said "any doctor" or "anyone available"
     const anyDoctorPhrases = [
       "any doctor",
@@ -1559,134 +1967,713 @@ Rules:
     );
 
     if (wantsAnyDoctor) {
-      // Pick the first available doctor
-      const firstAvailable = staffDirectory.find(
-        (c) => c.booking_rules?.accepts_new_patients !== false,
-      );
-      const doctorName = firstAvailable
-        ? `Dr. ${firstAvailable.name}`
-        : "our next available GP";
-
       if (!isBusinessHours) {
         // AFTER HOURS: Note the preference and let front desk call back
         const response = await this._generateResponse(clinicConfig, {
-          instruction: `The patient is happy with any available doctor. Since the clinic is currently closed, let them know you've noted their request for an appointment with the next available GP and have passed it to the front desk. The reception team will call them back ${callbackTime} to confirm a suitable time. Ask if there's anything else you can help with. Do NOT offer specific time slots.`,
+          instruction: `The patient is happy with any available doctor. Since the clinic is currently closed, let them know you've noted their request for an appointment with the next available GP and have passed it to the front desk. The reception team will call them back ${await this._scheduleCallback(clinicConfig, conversationState)} to confirm a suitable time. Ask if there's anything else you can help with. Do NOT offer specific time slots.`,
           isBusinessHours,
           conversationHistory: recentHistory,
         });
         return { response, booked: false, noted: true };
       }
 
-      // Business hours - offer time slots
+      // Business hours - offer the earliest slots across all practitioners
+      const slots = await this._offerSlots(
+        clinicConfig,
+        conversationState,
+        null,
+      );
+      const response = await this._generateResponse(clinicConfig, {
+        instruction: `The patient is happy with any available doctor. ${this._slotOfferInstruction(slots)}`,
+        isBusinessHours,
+        conversationHistory: recentHistory,
+      });
+      return { response, booked: false };
+    }
+
+    // Get last assistant message for context
+    const lastAssistantMsg =
+      transcript.filter((t) => t.role === "assistant").slice(-1)[0]?.content ||
+      "";
+
+    // Use LLM to determine patient intent
+    const intentAnalysis = await this._analyzeAppointmentIntent(
+      message,
+      recentHistory,
+      lastAssistantMsg,
+      clinicConfig,
+    );
+
+    // If patient is accepting an alternative doctor suggestion, offer time slots
+    if (intentAnalysis.intent === "accepting_doctor") {
+      // The doctor the LLM picked out, else the one the last reply named
+      const suggestedDoctor = this._resolveDoctor(
+        intentAnalysis.doctorName || lastAssistantMsg,
+        clinicConfig,
+      ).practitioner;
+      const slots = await this._offerSlots(
+        clinicConfig,
+        conversationState,
+        suggestedDoctor || null,
+      );
+      const response = await this._generateResponse(clinicConfig, {
+        instruction: `The patient has accepted your suggestion${suggestedDoctor ? ` to see Dr. ${suggestedDoctor.name}` : ""}. ${this._slotOfferInstruction(slots, suggestedDoctor)} Keep it brief and friendly.`,
+        isBusinessHours,
+        conversationHistory: recentHistory,
+      });
+      return { response, booked: false };
+    }
+
+    // Patient is picking a time, but not clearly one of the slots we offered
+    if (intentAnalysis.intent === "confirming_time") {
+      const response = await this._generateResponse(clinicConfig, {
+        instruction:
+          offeredSlots.length > 0
+            ? `The patient is choosing an appointment time. They said: "${message}". It isn't clear which of the offered times they mean. The ONLY available times are: ${this._listSlots(offeredSlots)}. Ask them which of these they'd like. Do NOT confirm anything yet and do NOT suggest any other times.`
+            : `The patient mentioned a time: "${message}". Ask whether they have a particular doctor in mind, or whether the next available GP is fine, so you can check real availability. Do NOT confirm any time.`,
+        isBusinessHours,
+        conversationHistory: recentHistory,
+      });
+      return { response, booked: false };
+    }
+
+    // Check if they want to transfer
+    if (
+      lowerMessage.includes("speak to someone") ||
+      lowerMessage.includes("talk to")
+    ) {
+      const response = await this._generateResponse(clinicConfig, {
+        instruction:
+          "The patient wants to speak to a person instead of booking through you. Acknowledge and prepare to transfer.",
+        isBusinessHours,
+      });
+      return { response, needsTransfer: true };
+    }
+
+    // Otherwise continue the flow
+    const response = await this._generateResponse(clinicConfig, {
+      instruction: `Continue helping the patient book an appointment. They said: "${message}"
+
+DOCTORS ACCEPTING NEW PATIENTS: ${availableDoctorsList}
+
+RECENT CONVERSATION:
+${recentHistory}
+
+If they're asking about a specific doctor, check if that doctor is in the list above. If they mention a doctor NOT in the list, that doctor is not accepting new patients - apologize and suggest alternatives. If they're choosing between options, help them decide. Only mention doctors from the list above.`,
+      isBusinessHours,
+      conversationHistory: recentHistory,
+    });
+    return { response, booked: false };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // APPOINTMENT AVAILABILITY
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Look up the next free slots and remember them as the current offer
+   * @param {object|null} practitioner - Staff member, or null for any practitioner
+   */
+  async _offerSlots(clinicConfig, conversationState, practitioner) {
+    const slots = await this.availability.findSlots(clinicConfig, {
+      practitionerId: practitioner
+        ? practitioner.id || practitioner.name
+        : undefined,
+      from: conversationState.callTime,
+      limit: 2,
+      newPatient: this._isNewPatient(conversationState),
+    });
+
+    conversationState.appointment = {
+      ...conversationState.appointment,
+      practitionerId: practitioner
+        ? practitioner.id || practitioner.name
+        : null,
+      offeredSlots: slots,
+    };
+    return slots;
+  }
+
+  /**
+   * Match the caller's reason for booking to practitioners by specialization
+   * (see practitionerMatcher.js) and offer the best two of them
+   * @returns {Promise<{instruction: string, noted: boolean}|null>} null when
+   *   the reason isn't anyone's specialization
+   */
+  async _specialistOffer(message, clinicConfig, conversationState) {
+    const matches = await this.practitioners.match(clinicConfig, message, {
+      from: conversationState.callTime,
+      newPatient: this._isNewPatient(conversationState),
+    });
+    if (matches.length === 0) return null;
+
+    const area =
+      describeCareArea(message) || matches[0].specializations[0].toLowerCase();
+    const best = matches.filter((m) => m.bookable).slice(0, 2);
+    const names = (list) =>
+      list.map((m) => `Dr. ${m.practitioner.name}`).join(" and ");
+    const who =
+      best.length > 0
+        ? `${best.map((m) => `Dr. ${m.practitioner.name} (${m.specializations.join(", ")})`).join(" and ")} ${best.length === 1 ? "looks" : "look"} after ${area}.`
+        : `${names(matches)} ${matches.length === 1 ? "looks" : "look"} after ${area}, but ${matches.length === 1 ? "isn't" : "aren't"} accepting new patients. Apologise briefly.`;
+
+    if (!conversationState.isBusinessHours) {
+      return {
+        instruction: `The patient needs help with ${area}. ${who} Since the clinic is currently closed, let them know you've noted their request for an appointment with ${best.length > 0 ? `Dr. ${best[0].practitioner.name}` : "the next available GP"} and have passed it to the front desk. The reception team will call them back ${await this._scheduleCallback(clinicConfig, conversationState)} to confirm a suitable time. Ask if there's anything else you can help with. Do NOT offer specific time slots.`,
+        noted: true,
+      };
+    }
+
+    // Two slots from the only match, otherwise the next slot of each
+    let slots;
+    if (best.length === 1) {
+      slots = await this._offerSlots(
+        clinicConfig,
+        conversationState,
+        best[0].practitioner,
+      );
+    } else if (best.length === 0) {
+      slots = await this._offerSlots(clinicConfig, conversationState, null);
+    } else {
+      slots = best.map((m) => m.nextSlot).filter(Boolean);
+      conversationState.appointment = {
+        ...conversationState.appointment,
+        practitionerId: null,
+        offeredSlots: slots,
+      };
+    }
+    return {
+      instruction: `The patient needs help with ${area}. ${who} ${this._slotOfferInstruction(slots, best.length === 1 ? best[0].practitioner : null)}`,
+      noted: false,
+    };
+  }
+
+  /**
+   * "Tuesday 21 October at 10:00 AM with Dr. Smith" or "... at 10:30 AM ..."
+   */
+  _listSlots(slots) {
+    return slots
+      .map((slot) => `"${formatSlot(slot)} with Dr. ${slot.practitioner_name}"`)
+      .join(" or ");
+  }
+
+  /**
+   * LLM instruction for offering real slots (never invented ones)
+   */
+  _slotOfferInstruction(slots, practitioner = null) {
+    const who = practitioner
+      ? `Dr. ${practitioner.name}`
+      : "any of our doctors";
+    if (slots.length === 0) {
+      return `Unfortunately there are no free appointments with ${who} in the next couple of weeks. Apologise, and offer to take a message so the reception team can find a time for them. Do NOT suggest any appointment times.`;
+    }
+
+    return `Offer ONLY these available appointment times, exactly as written: ${this._listSlots(slots)}. Ask which works better for them. Do NOT suggest any other times and do NOT confirm the booking yet - wait for them to choose.`;
+  }
+
+  /**
+   * The clinic's new_patient_booking policy for this caller - "allow" unless
+   * the registry has found them to be a new patient (see bookingPolicy.js)
+   */
+  _newPatientBooking(clinicConfig, conversationState) {
+    return conversationState.patientRecord?.status === "new"
+      ? bookingPolicy(clinicConfig).new_patient_booking
+      : "allow";
+  }
+
+  /**
+   * Flag a request for a doctor the clinic doesn't have and end the booking
+   * when its policy hands the call on - the same whether the caller names the
+   * doctor in their first request or partway through booking
+   * @param {object} appointmentResult - From the appointment flow, with
+   *   `unknownClinician` and `route` set for an unknown doctor
+   * @returns {object|null} The turn's result, or null to carry on booking
+   */
+  _routeUnknownClinician(turn, appointmentResult) {
+    const { unknownClinician, route, response } = appointmentResult;
+    if (!unknownClinician) return null;
+
+    turn.flags.push(`unknown_clinician: Dr. ${unknownClinician}`);
+    if (route === "transfer") {
+      return {
+        event: "transfer",
+        response,
+        isComplete: true,
+        finalOutcome: "live_transfer",
+      };
+    }
+    if (route === "take_message") return { event: "take_message", response };
+    return null;
+  }
+
+  /**
+   * LLM instruction for a caller asking for a doctor the clinic doesn't have,
+   * per its unknown_clinician_request policy
+   * @returns {Promise<{instruction: string, noted: boolean, route: "transfer"|"take_message"|null}>}
+   */
+  async _unknownClinicianReply(doctorName, clinicConfig, conversationState) {
+    const notHere = `They asked for Dr. ${doctorName}, but there is no Dr. ${doctorName} at this clinic. Apologise briefly.`;
+
+    switch (
+      resolveUnknownClinician(clinicConfig, conversationState.isBusinessHours)
+    ) {
+      case "escalate":
+        return {
+          instruction: `${notHere} Let them know you're putting them through to the reception team, who can help them find the right doctor. Keep it brief and do NOT offer appointment times.`,
+          noted: false,
+          route: "transfer",
+        };
+      case "take_message":
+        return {
+          instruction: `${notHere} Offer to take a message so the reception team can call them back ${await this._scheduleCallback(clinicConfig, conversationState)} and help them find the right doctor. Ask what they'd like to be seen for. Do NOT offer appointment times or suggest other doctors.`,
+          noted: true,
+          route: "take_message",
+        };
+      default: {
+        if (!conversationState.isBusinessHours) {
+          return {
+            instruction: `${notHere} Since the clinic is currently closed, let them know you've noted their request for an appointment with the next available GP and have passed it to the front desk. The reception team will call them back ${await this._scheduleCallback(clinicConfig, conversationState)} to confirm a suitable time. Ask if there's anything else you can help with. Do NOT offer specific time slots.`,
+            noted: true,
+            route: null,
+          };
+        }
+        const slots = await this._offerSlots(
+          clinicConfig,
+          conversationState,
+          null,
+        );
+        return {
+          instruction: `${notHere} ${this._slotOfferInstruction(slots)}`,
+          noted: false,
+          route: null,
+        };
+      }
+    }
+  }
+
+  /**
+   * Book the slot the patient picked
+   * Practitioners that require manual approval - and new patients, when the
+   * clinic approves their bookings - get a pending booking that still holds the slot
+   */
+  async _bookSlot(
+    slot,
+    message,
+    conversationState,
+    clinicConfig,
+    recentHistory,
+  ) {
+    const { isBusinessHours } = conversationState;
+    const practitioner = (clinicConfig.staff_directory || []).find(
+      (c) => (c.id || c.name) === slot.practitioner_id,
+    );
+    const practitionerApproval =
+      !!practitioner?.booking_rules?.requires_manual_approval;
+    const needsApproval =
+      practitionerApproval ||
+      this._newPatientBooking(clinicConfig, conversationState) ===
+        "requires_approval";
+
+    let booking;
+    try {
+      booking = await this.availability.book(clinicConfig, slot, {
+        patient: {
+          name: conversationState.patientName,
+          dob: conversationState.patientDob,
+        },
+        status: needsApproval ? "pending_approval" : "confirmed",
+        conversationId: conversationState.conversationId,
+      });
+    } catch (error) {
+      if (!(error instanceof SlotUnavailableError)) throw error;
+
+      // Someone else took the slot since we offered it - offer fresh ones
+      const slots = await this._offerSlots(
+        clinicConfig,
+        conversationState,
+        practitioner || null,
+      );
+      const response = await this._generateResponse(clinicConfig, {
+        instruction: `The patient chose ${formatSlot(slot)}, but that time has just been taken. Apologise briefly. ${this._slotOfferInstruction(slots, practitioner)}`,
+        isBusinessHours,
+        conversationHistory: recentHistory,
+      });
+      return { response, booked: false };
+    }
+
+    conversationState.appointment = {
+      ...conversationState.appointment,
+      offeredSlots: [],
+      booking,
+    };
+    const when = formatSlot(booking);
+
+    if (needsApproval) {
+      const response = await this._generateResponse(clinicConfig, {
+        instruction: `The patient is selecting a time slot. They said: "${message}"
+
+IMPORTANT: ${practitionerApproval ? `Dr. ${booking.practitioner_name} requires manual approval for new appointments.` : "The clinic approves all bookings for new patients before confirming them."} 
+
+Respond by:
+1. Acknowledging their preferred time: ${when}
+2. Explaining that ${practitionerApproval ? `Dr. ${booking.practitioner_name} reviews and approves all new appointments personally` : "as a new patient, the clinic reviews and approves their first booking"}
+3. Let them know you've held that time for them and the clinic will reach out to confirm once the doctor has approved it
+4. Ask if there's anything else you can help with
+
+Do NOT say the appointment is "confirmed" - say it's "noted" or "requested" pending approval.`,
+        isBusinessHours,
+        conversationHistory: recentHistory,
+      });
+      return { response, booked: false, noted: true };
+    }
+
+    const response = await this._generateResponse(clinicConfig, {
+      instruction: `The patient's appointment is now booked with Dr. ${booking.practitioner_name} on ${when}. Confirm exactly this doctor, date and time. Then ask if there's anything else you can help with.`,
+      isBusinessHours,
+      conversationHistory: recentHistory,
+    });
+    return { response, booked: true };
+  }
+
+  /**
+   * When reception will call back - the next callback window with room (see
+   * callbackScheduler.js), kept on the conversation so every promise in the
+   * call names the same window and its tasks are booked into it
+   */
+  async _scheduleCallback(clinicConfig, conversationState) {
+    if (!conversationState.callbackWindow && conversationState.callTime) {
+      const window = await this.callbacks.nextWindow(
+        clinicConfig,
+        conversationState.callTime,
+      );
+      conversationState.callbackWindow = window && {
+        date: window.date,
+        start: window.start,
+        end: window.end,
+      };
+    }
+    return conversationState.callbackWindow
+      ? describeWindow(conversationState.callbackWindow)
+      : "as soon as the clinic reopens";
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // BOOKING CHANGES (CANCEL / RESCHEDULE)
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Look up the caller's upcoming bookings and ask which one to change
+   * Runs once the caller's identity is verified
+   * @param {string} action - "cancel" | "reschedule"
+   * @param {object} patient - { name, dob } of the verified caller
+   * @returns {Promise<{event: string, response: string}>}
+   */
+  async _startBookingChange(action, conversationState, clinicConfig, patient) {
+    const { isBusinessHours } = conversationState;
+    const firstName = patient.name ? patient.name.split(" ")[0] : "the patient";
+    const allowedActions = clinicConfig.ai_scope?.allowed_actions || [];
+
+    if (!allowedActions.includes(`${action}_appointment`)) {
+      const response = await this._generateResponse(clinicConfig, {
+        instruction: `Thank ${firstName} for verifying their identity. They want to ${action} an appointment, but you can't ${action} appointments over the phone for this clinic. Apologise, and offer to take a message so the reception team can ${action} it for them. Do NOT re-introduce yourself.`,
+        isBusinessHours,
+      });
+      return { event: "action_not_allowed", response };
+    }
+
+    const bookings = await this.availability.findPatientBookings(
+      clinicConfig.clinic_id,
+      patient,
+      conversationState.callTime?.date,
+    );
+
+    if (bookings.length === 0) {
       const response = await this._generateResponse(clinicConfig, {
-        instruction: `The patient is happy with any available doctor. ${doctorName} has the earliest availability. Offer exactly 2 specific time slots with ${doctorName} - for example "tomorrow at 10:00 AM" and "Thursday at 3:00 PM". Ask which works better for them. Do NOT confirm the booking yet.`,
+        instruction: `Thank ${firstName} for verifying their identity. They want to ${action} an appointment, but you couldn't find any upcoming appointments under their name and date of birth. Apologise, and ask whether they'd like to book a new appointment or if there's something else you can help with. Do NOT re-introduce yourself.`,
         isBusinessHours,
-        conversationHistory: recentHistory,
       });
-      return { response, booked: false };
+      // A plain "yes" next turn accepts the new booking (see _handleTriage)
+      return { event: "no_booking", response, offer: "appointment" };
     }
 
-    // Get last assistant message for context
-    const lastAssistantMsg =
-      transcript.filter((t) => t.role === "assistant").slice(-1)[0]?.content ||
-      "";
+    conversationState.bookingChange = {
+      action,
+      stage: bookings.length === 1 ? "confirm" : "select",
+      bookings,
+      selectedBookingId: bookings.length === 1 ? bookings[0].booking_id : null,
+      offeredSlots: [],
+      outcome: null,
+    };
 
-    // Use LLM to determine patient intent
-    const intentAnalysis = await this._analyzeAppointmentIntent(
-      message,
-      recentHistory,
-      lastAssistantMsg,
-    );
+    const instruction =
+      bookings.length === 1
+        ? `Thank ${firstName} for verifying their identity. You found their appointment: ${this._describeBooking(bookings[0])}. Ask them to confirm this is the appointment they'd like to ${action}.`
+        : `Thank ${firstName} for verifying their identity. They have ${bookings.length} upcoming appointments: ${bookings.map((b) => this._describeBooking(b)).join("; ")}. Ask which one they'd like to ${action}.`;
+    const response = await this._generateResponse(clinicConfig, {
+      instruction: `${instruction} Do NOT re-introduce yourself.`,
+      isBusinessHours,
+    });
 
-    // If patient is accepting an alternative doctor suggestion, offer time slots
-    if (intentAnalysis.intent === "accepting_doctor") {
-      const suggestedDoctor = intentAnalysis.doctorName || "the doctor";
-      const response = await this._generateResponse(clinicConfig, {
-        instruction: `The patient has accepted your suggestion to see Dr. ${suggestedDoctor}. Now offer them 2 specific available time slots for Dr. ${suggestedDoctor}. 
+    return { event: action, response };
+  }
 
-Example format: "Great! I have two slots available with Dr. ${suggestedDoctor}: tomorrow at 10:00 AM, or Thursday at 2:30 PM. Which works better for you?"
+  /**
+   * Continue a cancel/reschedule sub-flow
+   * Stages: select (which booking) -> confirm -> choose_slot (reschedule only) -> done
+   * @returns {Promise<{response: string, event?: string, flag?: string, finalOutcome?: string}>}
+   */
+  async _continueBookingChange(message, conversationState, clinicConfig) {
+    const change = conversationState.bookingChange;
+    const { isBusinessHours } = conversationState;
+    const { action } = change;
+    const respond = (instruction) =>
+      this._generateResponse(clinicConfig, { instruction, isBusinessHours });
+    const selected = change.bookings.find(
+      (b) => b.booking_id === change.selectedBookingId,
+    );
 
-Be specific with dates and times. Keep it brief and friendly.`,
-        isBusinessHours,
-        conversationHistory: recentHistory,
-      });
-      return { response, booked: false };
-    }
+    switch (change.stage) {
+      case "select": {
+        const chosen = this._matchBooking(
+          message,
+          change.bookings,
+          clinicConfig,
+        );
+        if (!chosen) {
+          return {
+            response: await respond(
+              `It isn't clear which appointment the patient means. They said: "${message}". Their upcoming appointments are: ${change.bookings.map((b) => this._describeBooking(b)).join("; ")}. Ask which one they'd like to ${action}.`,
+            ),
+          };
+        }
 
-    // If patient is confirming a time slot
-    if (intentAnalysis.intent === "confirming_time") {
-      // Find the doctor being booked from conversation context
-      const doctor = this._extractDoctorFromHistory(
-        recentHistory,
-        staffDirectory,
-      );
-      const bookingRules = doctor?.booking_rules || {};
+        change.selectedBookingId = chosen.booking_id;
+        change.stage = "confirm";
+        return {
+          response: await respond(
+            `Confirm the appointment the patient picked: ${this._describeBooking(chosen)}. Ask them to confirm they'd like to ${action} it.`,
+          ),
+        };
+      }
 
-      if (bookingRules.requires_manual_approval) {
-        const doctorName = doctor?.name;
-        // Doctor requires manual approval - note the appointment, don't confirm
-        const response = await this._generateResponse(clinicConfig, {
-          instruction: `The patient is selecting a time slot. They said: "${message}"
+      case "confirm": {
+        if (this._isNegative(message)) {
+          if (change.bookings.length > 1) {
+            change.stage = "select";
+            return {
+              response: await respond(
+                `The patient says that's not the right appointment. Their upcoming appointments are: ${change.bookings.map((b) => this._describeBooking(b)).join("; ")}. Ask which one they'd like to ${action}.`,
+              ),
+            };
+          }
 
-RECENT CONVERSATION:
-${recentHistory}
+          change.stage = "done";
+          change.outcome = "call_ended";
+          return {
+            response: await respond(
+              "The patient has decided not to change their appointment. Let them know it stays as it is, and ask if there's anything else you can help with.",
+            ),
+          };
+        }
 
-IMPORTANT: Dr. ${doctorName} requires manual approval for new appointments. 
+        if (!this._isAffirmative(message)) {
+          return {
+            response: await respond(
+              `Ask the patient to confirm with a yes or no whether they'd like to ${action} their appointment: ${this._describeBooking(selected)}.`,
+            ),
+          };
+        }
 
-Respond by:
-1. Acknowledging their preferred time slot
-2. Explaining that Dr. ${doctorName} reviews and approves all new appointments personally
-3. Let them know you've noted their request and the clinic will reach out to confirm once the doctor has approved it
-4. Ask if there's anything else you can help with
+        return action === "cancel"
+          ? this._cancelSelectedBooking(change, selected, respond)
+          : this._offerRescheduleSlots(
+              change,
+              selected,
+              conversationState,
+              clinicConfig,
+              respond,
+            );
+      }
 
-Do NOT say the appointment is "confirmed" - say it's "noted" or "requested" pending approval.`,
-          isBusinessHours,
-          conversationHistory: recentHistory,
-        });
-        return { response, booked: false, noted: true };
-      } else {
-        // Regular booking - confirm the appointment
-        const response = await this._generateResponse(clinicConfig, {
-          instruction: `The patient is confirming an appointment time. They said: "${message}"
+      case "choose_slot": {
+        const slot = matchSlot(message, change.offeredSlots);
+        if (!slot) {
+          return {
+            response: await respond(
+              `The patient is choosing a new appointment time. They said: "${message}". The ONLY available times are: ${this._listSlots(change.offeredSlots)}. Ask which of these they'd like. Do NOT suggest any other times.`,
+            ),
+          };
+        }
+        return this._rescheduleSelectedBooking(
+          change,
+          selected,
+          slot,
+          conversationState,
+          clinicConfig,
+          respond,
+        );
+      }
 
-RECENT CONVERSATION:
-${recentHistory}
+      default: {
+        // Change handled - wrap up or move on to whatever else they need
+        if (this._isDone(message, clinicConfig)) {
+          return {
+            event: "done",
+            response: await respond(
+              "The patient is saying goodbye after sorting out their appointment. Respond warmly with a proper goodbye. Keep it brief and friendly.",
+            ),
+            finalOutcome: change.outcome || "call_ended",
+          };
+        }
 
-Based on the conversation above, confirm the specific time slot they selected. Include the doctor's name, date, and time in the confirmation. Then ask if there's anything else you can help with.`,
-          isBusinessHours,
-          conversationHistory: recentHistory,
-        });
-        return { response, booked: true };
+        return {
+          event: "something_else",
+          response: await respond(
+            "The patient needs help with something else. Ask what else you can help them with today.",
+          ),
+        };
       }
     }
+  }
 
-    // Check if they want to transfer
-    if (
-      lowerMessage.includes("speak to someone") ||
-      lowerMessage.includes("talk to")
-    ) {
-      const response = await this._generateResponse(clinicConfig, {
-        instruction:
-          "The patient wants to speak to a person instead of booking through you. Acknowledge and prepare to transfer.",
-        isBusinessHours,
+  async _cancelSelectedBooking(change, booking, respond) {
+    change.stage = "done";
+
+    try {
+      await this.availability.cancel(booking.booking_id, {
+        reason: "Cancelled by the patient over the phone",
       });
-      return { response, needsTransfer: true };
+    } catch (error) {
+      if (!error.status) throw error;
+      change.outcome = "call_ended";
+      return {
+        response: await respond(
+          "The appointment the patient wants to cancel has already been cancelled or changed. Let them know, and ask if there's anything else you can help with.",
+        ),
+      };
     }
 
-    // Otherwise continue the flow
-    const response = await this._generateResponse(clinicConfig, {
-      instruction: `Continue helping the patient book an appointment. They said: "${message}"
+    change.outcome = "appointment_cancelled";
+    return {
+      flag: "appointment_cancelled",
+      response: await respond(
+        `The patient's appointment (${this._describeBooking(booking)}) is now cancelled. Confirm the cancellation, then ask if they'd like to book another time or if there's anything else you can help with.`,
+      ),
+    };
+  }
 
-DOCTORS ACCEPTING NEW PATIENTS: ${availableDoctorsList}
+  async _offerRescheduleSlots(
+    change,
+    booking,
+    conversationState,
+    clinicConfig,
+    respond,
+  ) {
+    if (!conversationState.isBusinessHours) {
+      // AFTER HOURS: Note the request and let front desk call back
+      change.stage = "done";
+      change.outcome = "reschedule_requested";
+      return {
+        flag: "reschedule_requested",
+        response: await respond(
+          `The patient wants to move their appointment (${this._describeBooking(booking)}). Since the clinic is currently closed, let them know you've passed the request to the front desk and the reception team will call them back ${await this._scheduleCallback(clinicConfig, conversationState)} to find a new time. Their current appointment stays booked until then. Ask if there's anything else you can help with.`,
+        ),
+      };
+    }
 
-RECENT CONVERSATION:
-${recentHistory}
+    const practitioner = (clinicConfig.staff_directory || []).find(
+      (c) => (c.id || c.name) === booking.practitioner_id,
+    );
+    change.offeredSlots = practitioner
+      ? await this.availability.findSlots(clinicConfig, {
+          practitionerId: booking.practitioner_id,
+          from: conversationState.callTime,
+          limit: 2,
+        })
+      : [];
+
+    if (change.offeredSlots.length === 0) {
+      change.stage = "done";
+      change.outcome = "reschedule_requested";
+      return {
+        flag: "reschedule_requested",
+        response: await respond(
+          `There are no other free times with Dr. ${booking.practitioner_name} in the next couple of weeks. Apologise, let them know their current appointment (${this._describeBooking(booking)}) stays booked, and that the reception team will call them to find another time. Ask if there's anything else you can help with.`,
+        ),
+      };
+    }
 
-If they're asking about a specific doctor, check if that doctor is in the list above. If they mention a doctor NOT in the list, that doctor is not accepting new patients - apologize and suggest alternatives. If they're choosing between options, help them decide. Only mention doctors from the list above.`,
-      isBusinessHours,
-      conversationHistory: recentHistory,
-    });
-    return { response, booked: false };
+    change.stage = "choose_slot";
+    return {
+      response: await respond(
+        `The patient wants to move their appointment (${this._describeBooking(booking)}). ${this._slotOfferInstruction(change.offeredSlots, practitioner)}`,
+      ),
+    };
+  }
+
+  async _rescheduleSelectedBooking(
+    change,
+    booking,
+    slot,
+    conversationState,
+    clinicConfig,
+    respond,
+  ) {
+    let updated;
+    try {
+      updated = await this.availability.reschedule(
+        clinicConfig,
+        booking.booking_id,
+        slot,
+      );
+    } catch (error) {
+      if (!(error instanceof SlotUnavailableError)) throw error;
+
+      // Someone else took the slot since we offered it - offer fresh ones
+      const practitioner = (clinicConfig.staff_directory || []).find(
+        (c) => (c.id || c.name) === booking.practitioner_id,
+      );
+      change.offeredSlots = await this.availability.findSlots(clinicConfig, {
+        practitionerId: booking.practitioner_id,
+        from: conversationState.callTime,
+        limit: 2,
+      });
+      return {
+        response: await respond(
+          `The patient chose ${formatSlot(slot)}, but that time has just been taken. Apologise briefly. ${this._slotOfferInstruction(change.offeredSlots, practitioner)}`,
+        ),
+      };
+    }
+
+    change.stage = "done";
+    change.outcome = "appointment_rescheduled";
+    change.offeredSlots = [];
+    change.updatedBooking = updated;
+    return {
+      flag: "appointment_rescheduled",
+      response: await respond(
+        `The patient's appointment with Dr. ${updated.practitioner_name} has been moved from ${formatSlot(booking)} to ${formatSlot(updated)}. Confirm exactly this new date and time, then ask if there's anything else you can help with.`,
+      ),
+    };
+  }
+
+  /**
+   * Work out which of the caller's bookings they mean (by time, day, order or doctor)
+   */
+  _matchBooking(message, bookings, clinicConfig) {
+    const bySlot = matchSlot(message, bookings);
+    if (bySlot) return bySlot;
+
+    const doctor = this._resolveDoctor(message, clinicConfig).practitioner;
+    if (!doctor) return null;
+    const withDoctor = bookings.filter(
+      (b) => b.practitioner_id === (doctor.id || doctor.name),
+    );
+    return withDoctor.length === 1 ? withDoctor[0] : null;
+  }
+
+  _describeBooking(booking) {
+    return `Dr. ${booking.practitioner_name} on ${formatSlot(booking)}`;
   }
 
   async _handleClinicalFlow(
@@ -1721,7 +2708,7 @@ If they're asking about a specific doctor, check if that doctor is in the list a
     if (isUrgent && isBusinessHours) {
       instruction = `${thankPrefix}The patient described concerning symptoms: "${message}". This sounds like it needs clinical attention. Let them know you'll have a nurse call them back shortly, or offer to connect them with clinical staff now.${doNotReintro}`;
     } else if (isUrgent && !isBusinessHours) {
-      instruction = `${thankPrefix}The patient described concerning symptoms after hours: "${message}". Express concern, recommend they consider urgent care if symptoms worsen, and take a message for urgent callback first thing tomorrow.${doNotReintro}`;
+      instruction = `${thankPrefix}The patient described concerning symptoms after hours: "${message}". Express concern, recommend they consider urgent care if symptoms worsen, and take a message for an urgent callback first thing when the clinic reopens.${doNotReintro}`;
     } else {
       instruction = `${thankPrefix}The patient mentioned a health concern: "${message}". It doesn't sound urgent. Take note of it, ask how long they've had it, and let them know you'll pass this to the clinical team for follow-up.${doNotReintro}`;
     }
@@ -1733,26 +2720,42 @@ If they're asking about a specific doctor, check if that doctor is in the list a
     return { response, urgent: isUrgent };
   }
 
-  _extractDoctorName(message, clinicConfig) {
-    const clinicians = clinicConfig.staff_directory || [];
-    const lowerMessage = message.toLowerCase();
-
-    for (const clinician of clinicians) {
-      const nameParts = clinician.name.toLowerCase().split(" ");
-      for (const part of nameParts) {
-        if (part.length > 2 && lowerMessage.includes(part)) {
-          return clinician.name;
-        }
-      }
-    }
-
-    // Check for generic "dr." or "doctor" mentions
-    const drMatch = message.match(/(?:dr\.?|doctor)\s+([a-z]+)/i);
-    if (drMatch) {
-      return drMatch[1];
+  /**
+   * Which practitioner the caller means (see doctorNameResolver.js)
+   * A caller who was just asked to pick between namesakes has their reply
+   * matched against those first
+   * @param {object|null} conversationState - Holds the namesakes being asked
+   *   about; leave out when resolving anything but the caller's own words
+   */
+  _resolveDoctor(message, clinicConfig, conversationState = null) {
+    const staff = clinicConfig.staff_directory || [];
+    const pending = conversationState?.appointment?.doctorCandidates;
+    if (pending?.length) {
+      conversationState.appointment = {
+        ...conversationState.appointment,
+        doctorCandidates: null,
+      };
+      const choice = resolveDoctorName(message, staff, {
+        among: staff.filter((s) => pending.includes(s.id || s.name)),
+      });
+      if (choice.status !== "none") return choice;
     }
+    return resolveDoctorName(message, staff);
+  }
 
-    return null;
+  /**
+   * LLM instruction asking which of several namesakes the caller means,
+   * remembering them so the answer is matched against them
+   */
+  _askWhichDoctor(candidates, conversationState) {
+    conversationState.appointment = {
+      ...conversationState.appointment,
+      doctorCandidates: candidates.map((c) => c.id || c.name),
+    };
+    const names = candidates
+      .map((c) => `Dr. ${c.name} (${c.role || "GP"})`)
+      .join(" or ");
+    return `More than one of our doctors goes by that name: ${names}. Ask which of them they'd like to see, using their full names. Do NOT offer appointment times yet.`;
   }
 
   /**
@@ -1763,6 +2766,7 @@ If they're asking about a specific doctor, check if that doctor is in the list a
     message,
     conversationHistory,
     lastAssistantMsg,
+    clinicConfig,
   ) {
     try {
       const prompt = `Analyze this patient message in the context of booking an appointment.
@@ -1785,7 +2789,7 @@ Respond ONLY in this exact JSON format:
 
       const response = await this.aiService._chatCompletion(
         [{ role: "user", content: prompt }],
-        { temperature: 0.1, max_tokens: 100 },
+        { temperature: 0.1, max_tokens: 100, task: "extraction", clinicConfig },
       );
 
       const jsonMatch = response.match(/\{[\s\S]*\}/);
@@ -1800,239 +2804,54 @@ Respond ONLY in this exact JSON format:
     return { intent: "other", doctorName: null };
   }
 
-  /**
-   * Extract doctor from conversation history
-   * Returns the staff object from staffDirectory if found, or null
-   * IMPORTANT: Returns the MOST RECENTLY mentioned doctor, not the first found
-   */
-  _extractDoctorFromHistory(conversationHistory, staffDirectory) {
-    // Find all doctor mentions with their positions in the conversation
-    const mentions = [];
-    const lowerHistory = conversationHistory.toLowerCase();
-
-    // Check each staff member and find their last mention position
-    for (const staff of staffDirectory) {
-      const nameParts = staff.name.toLowerCase().split(" ");
-      for (const part of nameParts) {
-        if (part.length > 2) {
-          // Find all variations of the doctor name
-          const patterns = [`dr. ${part}`, `dr ${part}`, `doctor ${part}`];
-          for (const pattern of patterns) {
-            const lastIndex = lowerHistory.lastIndexOf(pattern);
-            if (lastIndex !== -1) {
-              mentions.push({ staff, position: lastIndex, pattern });
-            }
-          }
-        }
-      }
-    }
-
-    // Also check for "Dr. Name" pattern (capitalized) and match to staff
-    const drMatches = conversationHistory.matchAll(/Dr\.?\s+([A-Z][a-z]+)/g);
-    for (const match of drMatches) {
-      const extractedName = match[1].toLowerCase();
-      const matchedStaff = staffDirectory.find((s) =>
-        s.name.toLowerCase().includes(extractedName),
-      );
-      if (matchedStaff) {
-        mentions.push({
-          staff: matchedStaff,
-          position: match.index,
-          pattern: match[0],
-        });
-      }
-    }
-
-    // Return the most recently mentioned doctor (highest position)
-    if (mentions.length > 0) {
-      mentions.sort((a, b) => b.position - a.position);
-      const mostRecent = mentions[0];
-      return mostRecent.staff;
-    }
-
-    console.log(`[ExtractDoctor] No doctor found in history`);
-    return null;
-  }
-
-  // ─────────────────────────────────────────────────────────────────────────────
-  // OUTBOUND CALL AI ANALYSIS METHODS
-  // ─────────────────────────────────────────────────────────────────────────────
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // UTILITY METHODS
+  // ═══════════════════════════════════════════════════════════════════════════════
 
   /**
-   * Use AI to analyze patient's response for side effects
-   * @param {string} message - Patient's message about side effects
-   * @returns {Promise<{hasSideEffects: boolean, severeSideEffects: boolean, reportedSymptoms: string[]}>}
+   * Check if within business hours on a date
+   * Split sessions, overnight hours, date overrides, public holidays and
+   * closures all count - see operatingHours.js
+   * @param {object} config - Clinic configuration with operating_hours
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} time - Time in HH:MM format (e.g., "10:00", "14:30")
+   * @returns {boolean} True if within business hours
    */
-  async _analyzeSideEffects(message) {
-    try {
-      const prompt = `Analyze this patient's response about medication side effects.
-
-Patient said: "${message}"
-
-Determine:
-1. Has the patient reported ANY side effects? (even mild ones like slight dizziness, occasional cough, mild tiredness)
-2. Are any side effects SEVERE or concerning? (things like: fainting, falling, chest pain, difficulty breathing, severe dizziness combined with nausea, symptoms significantly impacting daily life, or the patient expressing serious concern)
-3. List the specific symptoms mentioned
-
-Respond ONLY in this exact JSON format:
-{"hasSideEffects": true/false, "severeSideEffects": true/false, "reportedSymptoms": ["symptom1", "symptom2"]}
-
-Rules:
-- "no", "none", "I'm fine", "all good" = no side effects
-- Any mention of physical symptoms = has side effects
-- Severe = symptoms that could indicate medical emergency or significantly impact daily functioning
-- If uncertain, err on the side of caution (flag as side effects)`;
-
-      const response = await this.aiService._chatCompletion(
-        [{ role: "user", content: prompt }],
-        { temperature: 0.1, max_tokens: 150 },
-      );
-
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        console.log(`[SideEffects] AI analysis:`, parsed);
-        return {
-          hasSideEffects: parsed.hasSideEffects || false,
-          severeSideEffects: parsed.severeSideEffects || false,
-          reportedSymptoms: parsed.reportedSymptoms || [],
-        };
-      }
-    } catch (error) {
-      console.error("[SideEffects] AI analysis error:", error.message);
-    }
+  _isBusinessHours(config, date, time) {
+    return isOpenAt(config, date, time);
   }
 
   /**
-   * Use AI to analyze patient's medication adherence
-   * @param {string} message - Patient's message about taking medication
-   * @returns {Promise<{goodAdherence: boolean, poorAdherence: boolean, adherenceDetails: string}>}
+   * The named reason the clinic is shut for the whole of a date - a closure,
+   * a date override with no hours, or a public holiday the clinic doesn't
+   * keep its weekday hours on
+   * @returns {{date: string, name: string, type: string}|null}
    */
-  async _analyzeAdherence(message) {
-    try {
-      const prompt = `Analyze this patient's response about their medication adherence (whether they've been taking their medication as prescribed - once daily).
-
-Patient said: "${message}"
-
-Determine:
-1. GOOD adherence: Patient confirms taking medication regularly/consistently/as prescribed
-2. POOR adherence: Patient indicates missing doses, forgetting, skipping, stopping, running out, or inconsistent use
-3. Brief summary of their adherence pattern
-
-Respond ONLY in this exact JSON format:
-{"goodAdherence": true/false, "poorAdherence": true/false, "adherenceDetails": "brief summary"}
-
-Rules:
-- "yes", "every day", "as prescribed", "regularly" = good adherence
-- "missed", "forgot", "skip", "sometimes", "ran out", "stopped" = poor adherence
-- If response is ambiguous or neutral, set both to false
-- goodAdherence and poorAdherence should not both be true`;
-
-      const response = await this.aiService._chatCompletion(
-        [{ role: "user", content: prompt }],
-        { temperature: 0.1, max_tokens: 150 },
-      );
-
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        console.log(`[Adherence] AI analysis:`, parsed);
-        return {
-          goodAdherence: parsed.goodAdherence || false,
-          poorAdherence: parsed.poorAdherence || false,
-          adherenceDetails: parsed.adherenceDetails || "",
-        };
-      }
-    } catch (error) {
-      console.error("[Adherence] AI analysis error:", error.message);
+  _closedAllDayFor(config, date) {
+    if (dayIntervals(config, date).length > 0) return null;
+
+    const holiday = findHoliday(config, date);
+    if (holiday?.type === "closure") return holiday;
+    const override = findOverride(config, date);
+    if (override) {
+      return override.reason
+        ? { date, name: override.reason, type: "date_override" }
+        : null;
     }
-
-    // Fallback to neutral on error
-    return { goodAdherence: false, poorAdherence: false, adherenceDetails: "" };
-  }
-
-  /**
-   * Use AI to analyze the reason for medication non-adherence
-   * @param {string} message - Patient's explanation for non-adherence
-   * @returns {Promise<{reason: string, details: string}>}
-   */
-  async _analyzeNonAdherenceReason(message) {
-    try {
-      const prompt = `Analyze why this patient hasn't been taking their medication consistently.
-
-Patient said: "${message}"
-
-Categorize the PRIMARY reason into one of these categories:
-- "forgetting" - memory issues, busy schedule, no routine
-- "side_effects" - medication made them feel unwell
-- "ran_out" - ran out of pills, prescription issues, couldn't get refill
-- "cost" - financial barriers, too expensive
-- "intentional" - deliberately stopped, doesn't believe it's helping, concerned about dependency
-- "other" - doesn't fit other categories
-
-Respond ONLY in this exact JSON format:
-{"reason": "category", "details": "brief specific explanation from their response"}
-
-Examples:
-- "I keep forgetting to take it in the morning" -> {"reason": "forgetting", "details": "forgets morning dose"}
-- "It makes me feel dizzy so I stopped" -> {"reason": "side_effects", "details": "stopped due to dizziness"}
-- "My prescription ran out and I couldn't get to the pharmacy" -> {"reason": "ran_out", "details": "prescription ran out, pharmacy access issue"}`;
-
-      const response = await this.aiService._chatCompletion(
-        [{ role: "user", content: prompt }],
-        { temperature: 0.1, max_tokens: 150 },
-      );
-
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        console.log(`[NonAdherenceReason] AI analysis:`, parsed);
-        return {
-          reason: parsed.reason || "other",
-          details: parsed.details || "",
-        };
-      }
-    } catch (error) {
-      console.error("[NonAdherenceReason] AI analysis error:", error.message);
+    // Open on holidays - a day with no hours is just a day off
+    if (
+      config.operating_hours?.public_holiday_mode === "business_hours_logic"
+    ) {
+      return null;
     }
-
-    // Fallback on error
-    return { reason: "other", details: "" };
+    return holiday;
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════════
-  // UTILITY METHODS
-  // ═══════════════════════════════════════════════════════════════════════════════
-
   /**
-   * Check if within business hours using explicit day and time strings
-   * @param {object} config - Clinic configuration with operating_hours
-   * @param {string} day - Lowercase day name (e.g., "monday", "tuesday")
-   * @param {string} time - Time in HH:MM format (e.g., "10:00", "14:30")
-   * @returns {boolean} True if within business hours
+   * The date a patient can expect to hear back, in the clinic's timezone
    */
-  _isBusinessHours(config, day, time) {
-    const schedule = config.operating_hours?.schedule?.[day.toLowerCase()];
-    if (!schedule?.is_open) return false;
-
-    // Parse the time string (HH:MM)
-    const [hour, min] = time.split(":").map(Number);
-    const currentMinutes = hour * 60 + min;
-
-    // Parse schedule times
-    const [startHour, startMin] = schedule.start.split(":").map(Number);
-    const [endHour, endMin] = schedule.end.split(":").map(Number);
-
-    const startMinutes = startHour * 60 + startMin;
-    const endMinutes = endHour * 60 + endMin;
-
-    return currentMinutes >= startMinutes && currentMinutes < endMinutes;
-  }
-
-  _calculateFollowupDate(daysFromNow) {
-    const date = new Date();
-    date.setDate(date.getDate() + daysFromNow);
-    return date.toLocaleDateString("en-AU", { month: "long", day: "numeric" });
+  _calculateFollowupDate(daysFromNow, clinicConfig) {
+    return clinicDateAfter(clinicConfig, daysFromNow);
   }
 }
 
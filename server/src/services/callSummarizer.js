@@ -0,0 +1,712 @@
+/**
+ * Call Summarizer
+ *
+ * Turns a finished conversation into a structured handoff note for the
+ * clinic team: who called, what they wanted, what Heidi did, which flags
+ * need attention (with severity), the callbacks owed and the patient's own
+ * words.
+ *
+ * Built from the conversation state alone - no LLM call - so a handoff is
+ * always available and never paraphrases what the patient said.
+ */
+
+const { formatSlot, formatDate, formatTime } = require("./availabilityService");
+const { clinicTimestamp } = require("./clinicTime");
+const { openingIntervals } = require("./operatingHours");
+const { describeWindow } = require("./callbackScheduler");
+
+/**
+ * The "YYYY-MM-DD" date some days after another
+ */
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// Most to least severe
+const SEVERITIES = ["critical", "high", "medium", "low", "info"];
+
+/**
+ * Severity and wording for known flags
+ * Flags may carry a detail after a colon, e.g. "reason: forgetting"
+ */
+const FLAG_DEFINITIONS = {
+  EMERGENCY_DETECTED: {
+    severity: "critical",
+    label: "Emergency - caller told to call 000",
+  },
+  URGENT: { severity: "critical", label: "Urgent clinical escalation" },
+  clinical_concern_urgent: {
+    severity: "high",
+    label: "Urgent clinical concern",
+  },
+  TRANSFER_REQUESTED: {
+    severity: "medium",
+    label: "Caller asked for a staff member",
+  },
+  transfer_requested: {
+    severity: "medium",
+    label: "Caller asked for a staff member",
+  },
+  caller_frustrated: {
+    severity: "medium",
+    label: "Caller became frustrated - handed to staff",
+  },
+  identity_not_verified: { severity: "medium", label: "Identity not verified" },
+  new_patient: {
+    severity: "info",
+    label: "New patient - not in the clinic's records",
+  },
+  unknown_clinician: {
+    severity: "low",
+    label: "Asked for a doctor who isn't at the clinic",
+  },
+  caller_language: {
+    severity: "low",
+    label: "Caller spoke another language - call back in it",
+  },
+  voicemail_urgent: { severity: "high", label: "Urgent voicemail" },
+  voicemail_recorded: { severity: "info", label: "Voicemail recorded" },
+  caller_not_understood: {
+    severity: "low",
+    label: "Heidi couldn't understand the caller",
+  },
+  guardrail_violation: {
+    severity: "medium",
+    label: "Out-of-scope AI reply blocked",
+  },
+  clinical_concern_logged: {
+    severity: "medium",
+    label: "Clinical concern logged",
+  },
+  reschedule_requested: { severity: "medium", label: "Reschedule requested" },
+  reason: { severity: "medium", label: "Reason given" },
+  reason_details: { severity: "low", label: "Reason details" },
+  additional_note: { severity: "low", label: "Additional note" },
+  admin_request_logged: { severity: "low", label: "Admin request logged" },
+  appointment_noted: {
+    severity: "low",
+    label: "Appointment awaiting approval",
+  },
+  appointment_booked: { severity: "info", label: "Appointment booked" },
+  appointment_cancelled: { severity: "info", label: "Appointment cancelled" },
+  appointment_rescheduled: {
+    severity: "info",
+    label: "Appointment rescheduled",
+  },
+};
+
+// Template-defined flags (flag_if) are worth a look unless marked otherwise
+const DEFAULT_FLAG_SEVERITY = "medium";
+
+/**
+ * How each built-in intent reads in a handoff
+ */
+const INTENT_LABELS = {
+  appointment: "Book an appointment",
+  cancel: "Cancel an appointment",
+  reschedule: "Reschedule an appointment",
+  clinical: "Health concern",
+  admin: "Admin request",
+  transfer: "Speak with a staff member",
+};
+
+/**
+ * What Heidi did, by how the call ended
+ */
+const OUTCOME_ACTIONS = {
+  emergency_redirect: "Told the caller to hang up and call 000",
+  emergency_transfer:
+    "Warm-transferred the caller to the emergency line and told them to call 000 if it dropped",
+  emergency_escalation:
+    "Told the caller to call 000 and alerted clinical staff about the emergency",
+  live_transfer: "Transferred the call to a staff member",
+  message_for_callback: "Took a message for a staff callback",
+  message_logged: "Took a message for the clinic team",
+  voicemail_recorded: "Recorded a voicemail in the clinic's inbox",
+  confusion_escalation: "Ended the call after repeated misunderstandings",
+  system_error_escalation: "Ended the call after a system error",
+  escalated_to_clinician:
+    "Escalated the patient's answers to the clinical team",
+  escalated_to_staff: "Escalated to staff after a failed identity check",
+  identity_not_verified: "Ended the call - identity could not be verified",
+  guardrail_escalation:
+    "Ended the call for a staff callback after blocking an out-of-scope reply",
+};
+
+/**
+ * What Heidi did, by flags raised during the call
+ */
+const FLAG_ACTIONS = {
+  admin_request_logged: "Logged an admin request for staff follow-up",
+  clinical_concern_logged: "Logged a clinical concern for the clinical team",
+  clinical_concern_urgent: "Arranged an urgent clinical callback",
+};
+
+// Short acknowledgements and goodbyes add nothing to a handoff
+const FILLER_PATTERN =
+  /^(hi|hello|hey|yes|yeah|yep|no|nope|ok|okay|sure|thanks|thank you|no thanks|no thank you|bye|goodbye|that's all|that's it|nothing else)[\s.!,]*$/i;
+
+const MAX_QUOTES = 10;
+
+/**
+ * Record what a patient turn did, so the handoff note can tell a turn that
+ * only gave identity details apart from one describing the problem
+ * @param {object} entry - The patient's transcript entry
+ * @param {object} before - Conversation state before the turn
+ * @param {object} after - { patientName, patientDob, flags } after the turn
+ */
+function annotatePatientTurn(entry, before, after) {
+  entry.identityProvided =
+    (!!after.patientName && after.patientName !== before.patientName) ||
+    (!!after.patientDob && after.patientDob !== before.patientDob);
+
+  const raised = after.flags.filter((flag) => !before.flags.includes(flag));
+  if (raised.length > 0) entry.flags = raised;
+}
+
+class CallSummarizer {
+  /**
+   * @param {object} options
+   * @param {AvailabilityService} options.availability - Used to work out when after-hours callbacks are due
+   */
+  constructor({ availability } = {}) {
+    this.availability = availability;
+  }
+
+  /**
+   * Build the handoff note for a completed call
+   * @param {object} conversation - Final inbound or outbound conversation state
+   * @param {object} clinicConfig - Clinic config the call ran against
+   * @returns {object} Structured handoff note
+   */
+  summarize(conversation, clinicConfig = {}) {
+    const inbound = conversation.metadata?.callType === "inbound";
+    const flags = (conversation.flags || []).map((flag) =>
+      this._describeFlag(flag, clinicConfig),
+    );
+    const callbacks = inbound
+      ? this._inboundCallbacks(conversation, clinicConfig)
+      : this._outboundCallbacks(conversation);
+    const transcript = conversation.transcript || [];
+
+    return {
+      conversationId: conversation.conversationId,
+      callType: conversation.metadata?.callType || null,
+      clinicId: clinicConfig.clinic_id || null,
+      clinicName: conversation.clinicName,
+      startedAt: conversation.metadata?.startTime || null,
+      endedAt: transcript[transcript.length - 1]?.timestamp || null,
+      outcome: conversation.finalOutcome,
+      finalState: conversation.currentState,
+      caller: {
+        name: conversation.patientName || null,
+        dob: conversation.patientDob || null,
+        // Matched to a patient record when the clinic has a registry
+        identityVerified: conversation.patientRecord
+          ? conversation.patientRecord.status === "existing"
+          : !!conversation.patientName &&
+            !(conversation.flags || []).includes("identity_not_verified"),
+        patientStatus: conversation.patientRecord?.status || null,
+        patientId: conversation.patientRecord?.patientId || null,
+      },
+      intent: inbound
+        ? this._inboundIntent(conversation, clinicConfig)
+        : {
+            category: "followup",
+            description: conversation.callPurpose,
+            templateId: conversation.templateId,
+          },
+      actions: inbound
+        ? this._inboundActions(conversation, clinicConfig)
+        : this._outboundActions(conversation),
+      flags,
+      priority: this._highestSeverity(flags),
+      requiresReview:
+        callbacks.length > 0 ||
+        flags.some((f) => SEVERITIES.indexOf(f.severity) <= 2),
+      callbacks,
+      ...(!inbound && { answers: this._outboundAnswers(conversation) }),
+      ...(conversation.emergency && { emergency: conversation.emergency }),
+      ...(conversation.voicemail && {
+        voicemail: {
+          voicemailId: conversation.voicemail.voicemail_id,
+          urgency: conversation.voicemail.urgency,
+          transcribed: conversation.voicemail.transcribed,
+        },
+      }),
+      ...(conversation.sentiment && {
+        sentiment: {
+          frustration: conversation.sentiment.frustration,
+          escalated: conversation.sentiment.escalated,
+        },
+      }),
+      quotes: this._collectQuotes(transcript),
+      generatedAt: clinicTimestamp(clinicConfig),
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // FLAGS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Split "code: detail" flags and attach severity and a readable label
+   * Template steps can set `flag_severity` for the flags they raise
+   */
+  _describeFlag(flag, clinicConfig) {
+    const separator = flag.indexOf(":");
+    const code = separator === -1 ? flag : flag.slice(0, separator).trim();
+    const detail =
+      separator === -1 ? null : flag.slice(separator + 1).trim() || null;
+
+    const definition = FLAG_DEFINITIONS[code];
+    const templateSeverity = definition
+      ? null
+      : (clinicConfig.followup_templates || [])
+          .flatMap((t) => t.steps || [])
+          .find((step) => step.flag === code)?.flag_severity;
+
+    return {
+      code,
+      label: definition?.label || code.replace(/_/g, " "),
+      severity:
+        definition?.severity ||
+        (SEVERITIES.includes(templateSeverity)
+          ? templateSeverity
+          : DEFAULT_FLAG_SEVERITY),
+      detail,
+      raw: flag,
+    };
+  }
+
+  _highestSeverity(flags) {
+    if (flags.length === 0) return "info";
+    return SEVERITIES[
+      Math.min(...flags.map((f) => SEVERITIES.indexOf(f.severity)))
+    ];
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // INBOUND CALLS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  _inboundIntent(conversation, clinicConfig) {
+    const { intent } = conversation;
+    if (!intent || intent === "unclear") {
+      return {
+        category: "unclear",
+        description: "Reason for the call wasn't established",
+      };
+    }
+
+    // Clinic-defined states are intents too
+    const customState = this._findCustomState(clinicConfig, { id: intent });
+    return {
+      category: intent,
+      description:
+        INTENT_LABELS[intent] ||
+        customState?.label ||
+        intent.replace(/_/g, " "),
+    };
+  }
+
+  _findCustomState(clinicConfig, match) {
+    return (clinicConfig.call_flow?.custom_states || []).find((state) =>
+      Object.entries(match).every(([key, value]) => state[key] === value),
+    );
+  }
+
+  /**
+   * @returns {Array<{type: string, description: string, bookingId?: string}>}
+   */
+  _inboundActions(conversation, clinicConfig) {
+    const actions = [];
+    const flags = conversation.flags || [];
+
+    const booking = conversation.appointment?.booking;
+    if (booking) {
+      const pending = booking.status === "pending_approval";
+      const approver = this._practitionerApproves(booking, clinicConfig)
+        ? "practitioner"
+        : "new patient";
+      actions.push({
+        type: pending ? "appointment_requested" : "appointment_booked",
+        description: `${pending ? "Requested" : "Booked"} Dr. ${booking.practitioner_name} on ${formatSlot(booking)}${pending ? ` (awaiting ${approver} approval)` : ""}`,
+        bookingId: booking.booking_id,
+      });
+    }
+
+    const change = conversation.bookingChange;
+    const changed = change?.bookings?.find(
+      (b) => b.booking_id === change.selectedBookingId,
+    );
+    if (changed) {
+      const description = {
+        appointment_cancelled: `Cancelled Dr. ${changed.practitioner_name} on ${formatSlot(changed)}`,
+        appointment_rescheduled: `Moved Dr. ${changed.practitioner_name} from ${formatSlot(changed)} to ${change.updatedBooking ? formatSlot(change.updatedBooking) : "a new time"}`,
+        reschedule_requested: `Passed a request to move Dr. ${changed.practitioner_name} on ${formatSlot(changed)} to reception`,
+      }[change.outcome];
+      if (description) {
+        actions.push({
+          type: change.outcome,
+          description,
+          bookingId: changed.booking_id,
+        });
+      }
+    }
+
+    Object.entries(FLAG_ACTIONS).forEach(([flag, description]) => {
+      if (flags.includes(flag)) actions.push({ type: flag, description });
+    });
+
+    const outcomeAction = OUTCOME_ACTIONS[conversation.finalOutcome];
+    const customState = this._findCustomState(clinicConfig, {
+      outcome: conversation.finalOutcome,
+    });
+    if (outcomeAction) {
+      actions.push({
+        type: conversation.finalOutcome,
+        description: outcomeAction,
+      });
+    } else if (customState) {
+      actions.push({
+        type: conversation.finalOutcome,
+        description: `Handled the caller's ${(customState.label || customState.id.replace(/_/g, " ")).toLowerCase()} request`,
+      });
+    }
+
+    return actions;
+  }
+
+  /**
+   * Whether a pending booking waits on the practitioner's own approval rather
+   * than the clinic's new patient approval (see bookingPolicy.js)
+   */
+  _practitionerApproves(booking, clinicConfig) {
+    return (clinicConfig.staff_directory || []).some(
+      (s) =>
+        (s.id || s.name) === booking.practitioner_id &&
+        s.booking_rules?.requires_manual_approval,
+    );
+  }
+
+  /**
+   * Callbacks the clinic owes the caller
+   * Each becomes a task in the clinic's inbox (see taskInbox.js)
+   * @returns {Array<{type: string, team: string, reason: string, priority: string, due: string, dueBy: string|null, window?: object}>}
+   */
+  _inboundCallbacks(conversation, clinicConfig) {
+    const callbacks = [];
+    const flags = conversation.flags || [];
+    const add = (type, team, reason, priority, when) =>
+      callbacks.push({
+        type,
+        team,
+        reason,
+        priority,
+        ...this._callbackDue(conversation, clinicConfig, when),
+      });
+
+    if (flags.includes("clinical_concern_urgent")) {
+      add(
+        "clinical_concern",
+        "clinical",
+        "Urgent clinical concern",
+        "urgent",
+        "asap",
+      );
+    } else if (flags.includes("clinical_concern_logged")) {
+      add(
+        "clinical_concern",
+        "clinical",
+        "Follow up on a clinical concern",
+        "routine",
+        "next_opening",
+      );
+    }
+
+    if (flags.includes("admin_request_logged")) {
+      add(
+        "admin_request",
+        "reception",
+        "Admin request",
+        "routine",
+        "within_24_hours",
+      );
+    }
+    if (conversation.bookingChange?.outcome === "reschedule_requested") {
+      add(
+        "reschedule_request",
+        "reception",
+        "Find a new appointment time",
+        "routine",
+        "next_opening",
+      );
+    }
+    const booking = conversation.appointment?.booking;
+    if (booking?.status === "pending_approval") {
+      const practitionerApproval = this._practitionerApproves(
+        booking,
+        clinicConfig,
+      );
+      add(
+        "appointment_approval",
+        practitionerApproval ? "practitioner" : "reception",
+        practitionerApproval
+          ? `Approve or decline the requested appointment with Dr. ${booking.practitioner_name}`
+          : `Approve or decline a new patient's appointment with Dr. ${booking.practitioner_name}`,
+        "routine",
+        "next_opening",
+      );
+    } else if (flags.includes("appointment_noted")) {
+      const unknownClinician = flags
+        .find((f) => f.startsWith("unknown_clinician:"))
+        ?.slice("unknown_clinician:".length)
+        .trim();
+      add(
+        "appointment_request",
+        "reception",
+        unknownClinician
+          ? `Call back to book an appointment - caller asked for ${unknownClinician}, who isn't at the clinic`
+          : flags.includes("new_patient")
+            ? "Call back to book a new patient's appointment"
+            : "Call back to book the requested appointment",
+        "routine",
+        "next_opening",
+      );
+    }
+
+    if (flags.includes("caller_frustrated") && !conversation.isBusinessHours) {
+      add(
+        "callback",
+        "reception",
+        "Call back a caller who became frustrated",
+        "routine",
+        "next_opening",
+      );
+    }
+
+    switch (conversation.finalOutcome) {
+      case "emergency_escalation":
+        add(
+          "emergency_followup",
+          conversation.emergency?.page?.recipient.team || "clinical",
+          "Check on the caller after an emergency alert",
+          "urgent",
+          "immediately",
+        );
+        break;
+      case "message_for_callback":
+        add(
+          "callback",
+          "reception",
+          flags.includes("TRANSFER_REQUESTED")
+            ? "Caller asked to speak with staff"
+            : "Caller asked something Heidi can't answer",
+          "routine",
+          "next_opening",
+        );
+        break;
+      case "voicemail_recorded":
+        add(
+          "voicemail",
+          "reception",
+          "Return the caller's voicemail",
+          conversation.voicemail?.urgency === "urgent" ? "urgent" : "routine",
+          "next_opening",
+        );
+        break;
+      case "confusion_escalation":
+      case "system_error_escalation":
+        add(
+          "callback",
+          "reception",
+          "Heidi couldn't help the caller",
+          "routine",
+          "asap",
+        );
+        break;
+      case "message_logged":
+        if (callbacks.length === 0) {
+          add(
+            "message",
+            "reception",
+            "Respond to the caller's message",
+            "routine",
+            "next_opening",
+          );
+        }
+        break;
+      default:
+        break;
+    }
+
+    return callbacks;
+  }
+
+  /**
+   * When a callback is due - in words for the handoff note, and as a
+   * clinic-local "YYYY-MM-DDTHH:MM" deadline for the task inbox
+   * @param {string} when - "immediately", "asap" (the next opening after
+   *   hours), "next_opening" (today in hours, or the callback window the
+   *   caller was given - see callbackScheduler.js) or "within_24_hours"
+   * @returns {{due: string, dueBy: string|null, window?: object}}
+   */
+  _callbackDue(conversation, clinicConfig, when) {
+    const { isBusinessHours, callTime } = conversation;
+    const at = (date, time) => (date && time ? `${date}T${time}` : null);
+
+    if (when === "immediately" || (when === "asap" && isBusinessHours)) {
+      return {
+        due: when === "immediately" ? "immediately" : "as soon as possible",
+        dueBy: at(callTime?.date, callTime?.time),
+      };
+    }
+    if (when === "within_24_hours") {
+      return {
+        due: "within 24 hours",
+        dueBy: callTime ? at(addDays(callTime.date, 1), callTime.time) : null,
+      };
+    }
+    const window = conversation.callbackWindow;
+    if (when === "next_opening" && window) {
+      return {
+        due: describeWindow(window).replace(/^on /, ""),
+        dueBy: at(window.date, window.end),
+        window,
+      };
+    }
+    if (isBusinessHours) {
+      const sessions = callTime
+        ? openingIntervals(clinicConfig, callTime.date)
+        : [];
+      return {
+        due: "today",
+        dueBy: at(callTime?.date, sessions[sessions.length - 1]?.end),
+      };
+    }
+
+    const opening =
+      this.availability && callTime
+        ? this.availability.nextOpening(clinicConfig, callTime)
+        : null;
+    return opening
+      ? {
+          due: `${formatDate(opening.date)}, from ${formatTime(opening.time)}`,
+          dueBy: at(opening.date, opening.time),
+        }
+      : { due: "next business day", dueBy: null };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // OUTBOUND CALLS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  _outboundActions(conversation) {
+    const actions = [
+      {
+        type: "followup_call",
+        description: `Completed the ${conversation.templateName || "follow-up"} call`,
+      },
+    ];
+    const outcomeAction = OUTCOME_ACTIONS[conversation.finalOutcome];
+    if (outcomeAction) {
+      actions.push({
+        type: conversation.finalOutcome,
+        description: outcomeAction,
+      });
+    }
+    if (conversation.flaggedForReview) {
+      actions.push({
+        type: "flagged_for_review",
+        description: "Flagged the answers for clinician review",
+      });
+    }
+    return actions;
+  }
+
+  _outboundCallbacks(conversation) {
+    const callbacks = [];
+
+    if (conversation.escalatedToDoctor) {
+      callbacks.push({
+        type: "clinical_review",
+        team: "clinical",
+        reason: "Severe answer during follow-up",
+        priority: "urgent",
+        due: "within the hour",
+        dueBy: null,
+      });
+    } else if (conversation.finalOutcome === "escalated_to_staff") {
+      callbacks.push({
+        type: "callback",
+        team: "reception",
+        reason: "Identity couldn't be verified",
+        priority: "routine",
+        due: "next business day",
+        dueBy: null,
+      });
+    } else if (conversation.finalOutcome === "guardrail_escalation") {
+      callbacks.push({
+        type: "callback",
+        team: "care team",
+        reason: "Patient asked something Heidi can't answer",
+        priority: "routine",
+        due: "next business day",
+        dueBy: null,
+      });
+    } else if (conversation.flaggedForReview) {
+      callbacks.push({
+        type: "answer_review",
+        team: "care team",
+        reason: "Review flagged follow-up answers",
+        priority: "routine",
+        due: conversation.followupDate || "next business day",
+        dueBy: null,
+      });
+    }
+
+    return callbacks;
+  }
+
+  _outboundAnswers(conversation) {
+    return (conversation.answers || []).map((answer) => ({
+      question: answer.question,
+      answer: answer.answer,
+      response: answer.response,
+      ...(answer.followupResponse && {
+        followupResponse: answer.followupResponse,
+      }),
+      ...(answer.details && { details: answer.details }),
+    }));
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // QUOTES
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * The patient's own words, minus identity details and filler
+   * A turn that raised a flag is always kept, even if it also gave identity
+   */
+  _collectQuotes(transcript) {
+    return transcript
+      .filter((entry) => {
+        if (entry.role !== "user") return false;
+        if (entry.flags?.length) return true;
+        return (
+          !entry.identityProvided && !FILLER_PATTERN.test(entry.content.trim())
+        );
+      })
+      .slice(-MAX_QUOTES)
+      .map((entry) => ({
+        state: entry.state,
+        text: entry.content,
+        timestamp: entry.timestamp,
+      }));
+  }
+}
+
+module.exports = { CallSummarizer, annotatePatientTurn };
@@ -0,0 +1,223 @@
+/**
+ * Callback Scheduler
+ *
+ * Works out when reception can actually return a call. The clinic's open
+ * sessions (after closures, date overrides and public holidays - see
+ * operatingHours.js) are cut into callback windows, and each window holds as
+ * many callbacks as the team can make in it:
+ *
+ *   workflow_rules.callback_windows: {
+ *     window_minutes: 60,          // length of the window a caller is given
+ *     start_after_minutes: 30,     // settling-in time after each session opens
+ *     staff_count: 1,              // reception staff returning calls
+ *     calls_per_staff_hour: 6      // callbacks each of them makes in an hour
+ *   }
+ *
+ * A window is full once that many calls have open or assigned tasks in the
+ * clinic's inbox (see taskInbox.js) booked into it, and callers are given the next
+ * window with room. Windows shorter than MIN_WINDOW_MINUTES at the end of a
+ * session are dropped.
+ *
+ * Dates are "YYYY-MM-DD" and times "HH:MM", both in clinic-local time.
+ */
+
+const { openingIntervals } = require("./operatingHours");
+const { clinicNow } = require("./clinicTime");
+const { formatDate, formatTime } = require("./availabilityService");
+
+const DEFAULT_CALLBACK_WINDOWS = {
+  window_minutes: 60,
+  start_after_minutes: 30,
+  staff_count: 1,
+  calls_per_staff_hour: 6,
+};
+
+const MIN_WINDOW_MINUTES = 15;
+const HORIZON_DAYS = 14;
+
+class CallbackWindowsError extends Error {
+  constructor(message) {
+    super(`Invalid callback_windows: ${message}`);
+    this.status = 400;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+const windowKey = (window) => `${window.date}T${window.start}`;
+
+/**
+ * A clinic's callback window settings, defaults filled in
+ */
+function callbackSettings(clinicConfig) {
+  return {
+    ...DEFAULT_CALLBACK_WINDOWS,
+    ...(clinicConfig?.workflow_rules?.callback_windows || {}),
+  };
+}
+
+/**
+ * How many callbacks fit in a window of a given length
+ */
+function windowCapacity(settings, minutes) {
+  return Math.max(
+    1,
+    Math.floor(
+      (settings.staff_count * settings.calls_per_staff_hour * minutes) / 60,
+    ),
+  );
+}
+
+/**
+ * A date's callback windows, in order
+ * @returns {Array<{date: string, start: string, end: string, capacity: number}>}
+ */
+function dayWindows(
+  clinicConfig,
+  date,
+  settings = callbackSettings(clinicConfig),
+) {
+  const windows = [];
+  for (const session of openingIntervals(clinicConfig, date)) {
+    const end = toMinutes(session.end);
+    let start = toMinutes(session.start) + settings.start_after_minutes;
+    while (end - start >= MIN_WINDOW_MINUTES) {
+      const windowEnd = Math.min(start + settings.window_minutes, end);
+      windows.push({
+        date,
+        start: fromMinutes(start),
+        end: fromMinutes(windowEnd),
+        capacity: windowCapacity(settings, windowEnd - start),
+      });
+      start = windowEnd;
+    }
+  }
+  return windows;
+}
+
+/**
+ * A window as said to a caller, e.g. "on Monday 20 October between 8:30 AM and 9:30 AM"
+ */
+function describeWindow(window) {
+  return `on ${formatDate(window.date)} between ${formatTime(window.start)} and ${formatTime(window.end)}`;
+}
+
+/**
+ * Reject callback window settings the scheduler can't work with
+ * @throws {CallbackWindowsError}
+ */
+function validateCallbackWindows(clinicConfig) {
+  const settings = clinicConfig?.workflow_rules?.callback_windows || {};
+  for (const key of Object.keys(DEFAULT_CALLBACK_WINDOWS)) {
+    const value = settings[key];
+    if (value === undefined) continue;
+    const minimum = key === "start_after_minutes" ? 0 : 1;
+    if (!Number.isInteger(value) || value < minimum) {
+      throw new CallbackWindowsError(
+        `${key} must be a whole number of ${minimum} or more`,
+      );
+    }
+  }
+  if (
+    settings.window_minutes !== undefined &&
+    settings.window_minutes < MIN_WINDOW_MINUTES
+  ) {
+    throw new CallbackWindowsError(
+      `window_minutes must be at least ${MIN_WINDOW_MINUTES}`,
+    );
+  }
+}
+
+class CallbackScheduler {
+  /**
+   * @param {object} tasks - TaskInbox whose open tasks use up window capacity
+   */
+  constructor(tasks) {
+    this.tasks = tasks;
+  }
+
+  /**
+   * Upcoming callback windows from a point in time, with how full each is
+   * @param {object} from - { date, time } (default: the clinic's clock)
+   * @param {object} options - { limit, days }
+   * @returns {Promise<Array<{date, start, end, capacity, booked}>>}
+   */
+  async upcomingWindows(
+    clinicConfig,
+    from,
+    { limit = 5, days = HORIZON_DAYS } = {},
+  ) {
+    const settings = callbackSettings(clinicConfig);
+    const now = clinicNow(clinicConfig);
+    const startDate = from?.date || now.date;
+    const startTime = from?.time || (from?.date ? "00:00" : now.time);
+    const booked = await this._bookedCounts(clinicConfig.clinic_id);
+
+    const found = [];
+    for (let offset = 0; offset <= days && found.length < limit; offset++) {
+      const date = addDays(startDate, offset);
+      const windows = dayWindows(clinicConfig, date, settings).filter(
+        (window) =>
+          offset > 0 || toMinutes(window.start) >= toMinutes(startTime),
+      );
+      for (const window of windows) {
+        if (found.length === limit) break;
+        found.push({ ...window, booked: booked.get(windowKey(window)) || 0 });
+      }
+    }
+    return found;
+  }
+
+  /**
+   * The first window after a point in time that still has room
+   * @returns {Promise<{date, start, end, capacity, booked}|null>} null when
+   *   the clinic has no free window in the next HORIZON_DAYS days
+   */
+  async nextWindow(clinicConfig, from) {
+    const windows = await this.upcomingWindows(clinicConfig, from, {
+      limit: Infinity,
+    });
+    return windows.find((window) => window.booked < window.capacity) || null;
+  }
+
+  /**
+   * Callbacks still to make per window, keyed "YYYY-MM-DDTHH:MM" by window
+   * start - a call's tasks share one callback
+   */
+  async _bookedCounts(clinicId) {
+    const calls = new Map(); // window key -> conversation ids
+    for (const task of await this.tasks.list(clinicId)) {
+      if (task.status === "completed" || !task.callback_window) continue;
+      const key = windowKey(task.callback_window);
+      if (!calls.has(key)) calls.set(key, new Set());
+      calls.get(key).add(task.conversation_id || task.task_id);
+    }
+    return new Map([...calls].map(([key, ids]) => [key, ids.size]));
+  }
+}
+
+module.exports = {
+  DEFAULT_CALLBACK_WINDOWS,
+  CallbackScheduler,
+  CallbackWindowsError,
+  callbackSettings,
+  dayWindows,
+  describeWindow,
+  validateCallbackWindows,
+};
@@ -0,0 +1,186 @@
+/**
+ * Clarification Policy
+ *
+ * What Heidi does when it can't make sense of a caller's answer, per state:
+ *
+ *   call_classification.escalation_triggers.max_resolution_attempts
+ *     - how many times Heidi re-asks before giving up (default 2)
+ *   defaults.ambiguous_request - what happens once it gives up:
+ *     clarify_then_escalate - transfer to staff in hours, a callback after hours (default)
+ *     clarify_then_message  - take a message for the team
+ *     clarify_then_callback - end the call and have reception call back
+ *   call_classification.clarification_policy.<state>
+ *     - { max_attempts, rephrase, fallback } overriding the above for one state
+ *
+ * `rephrase` is one strategy or a list used one per re-ask (the last repeats):
+ *   rephrase      - ask again in different words
+ *   simplify      - ask again in short, plain words
+ *   give_example  - show the kind of answer needed
+ *   offer_options - list the choices the caller can pick from
+ *
+ * `fallback` is transfer, message or callback. A transfer after hours, when
+ * no one can pick up, becomes a callback.
+ */
+
+// States whose handlers re-ask after an unclear answer
+const CLARIFYING_STATES = ["identify", "triage"];
+
+const REPHRASE_STRATEGIES = [
+  "rephrase",
+  "simplify",
+  "give_example",
+  "offer_options",
+];
+
+const FALLBACKS = ["transfer", "message", "callback"];
+
+const AMBIGUOUS_REQUEST_FALLBACKS = {
+  clarify_then_escalate: "transfer",
+  clarify_then_message: "message",
+  clarify_then_callback: "callback",
+};
+
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+// Strategies each state uses unless the clinic picks its own
+const DEFAULT_REPHRASE = {
+  identify: ["give_example", "simplify"],
+  triage: ["offer_options", "simplify"],
+};
+
+class ClarificationPolicyError extends Error {
+  constructor(message) {
+    super(`Invalid clarification policy: ${message}`);
+    this.status = 400;
+  }
+}
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * The policy that applies to unclear answers in a state
+ * @returns {{maxAttempts: number, rephrase: string[], fallback: string}}
+ */
+function clarificationPolicy(clinicConfig, state) {
+  const classification = clinicConfig?.call_classification || {};
+  const override = classification.clarification_policy?.[state] || {};
+  const ambiguousRequest =
+    clinicConfig?.defaults?.ambiguous_request || "clarify_then_escalate";
+
+  return {
+    maxAttempts:
+      override.max_attempts ??
+      classification.escalation_triggers?.max_resolution_attempts ??
+      DEFAULT_MAX_ATTEMPTS,
+    rephrase: override.rephrase
+      ? asList(override.rephrase)
+      : DEFAULT_REPHRASE[state] || ["rephrase"],
+    fallback:
+      override.fallback ||
+      AMBIGUOUS_REQUEST_FALLBACKS[ambiguousRequest] ||
+      "transfer",
+  };
+}
+
+/**
+ * The rephrasing strategy for a re-ask (1 for the first)
+ */
+function rephraseStrategy(policy, attempt) {
+  return policy.rephrase[Math.min(attempt, policy.rephrase.length) - 1];
+}
+
+/**
+ * An instruction for re-asking with a strategy
+ * @param {string} strategy
+ * @param {object} prompt - { ask, example, options } for the state's question
+ */
+function rephraseInstruction(strategy, prompt) {
+  switch (strategy) {
+    case "simplify":
+      return `${prompt.ask} Keep it to one short sentence in plain, simple words and ask for one thing at a time.`;
+    case "give_example":
+      return prompt.example
+        ? `${prompt.ask} Give an example of the answer you need, such as ${prompt.example}.`
+        : `${prompt.ask} Give a short example of the answer you need.`;
+    case "offer_options":
+      return prompt.options
+        ? `${prompt.ask} List the choices so they can pick one: ${prompt.options}.`
+        : `${prompt.ask} Suggest a few things they might need so they can pick one.`;
+    default:
+      return `${prompt.ask} Ask again using different words than before.`;
+  }
+}
+
+/**
+ * What Heidi does after the last re-ask, given whether anyone can take a transfer
+ */
+function resolveFallback(policy, isBusinessHours) {
+  if (policy.fallback === "transfer" && !isBusinessHours) return "callback";
+  return policy.fallback;
+}
+
+/**
+ * Reject a clarification setup a call can't run with
+ * @throws {ClarificationPolicyError}
+ */
+function validateClarificationPolicy(clinicConfig) {
+  const ambiguousRequest = clinicConfig?.defaults?.ambiguous_request;
+  if (
+    ambiguousRequest !== undefined &&
+    !AMBIGUOUS_REQUEST_FALLBACKS[ambiguousRequest]
+  ) {
+    throw new ClarificationPolicyError(
+      `defaults.ambiguous_request must be one of ${Object.keys(AMBIGUOUS_REQUEST_FALLBACKS).join(", ")}`,
+    );
+  }
+
+  const checkAttempts = (value, path) => {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      throw new ClarificationPolicyError(
+        `${path} must be a whole number of 0 or more`,
+      );
+    }
+  };
+  const classification = clinicConfig?.call_classification || {};
+  checkAttempts(
+    classification.escalation_triggers?.max_resolution_attempts,
+    "max_resolution_attempts",
+  );
+
+  for (const [state, settings] of Object.entries(
+    classification.clarification_policy || {},
+  )) {
+    const policy = settings || {};
+    if (!CLARIFYING_STATES.includes(state)) {
+      throw new ClarificationPolicyError(
+        `"${state}" doesn't re-ask callers - use ${CLARIFYING_STATES.join(" or ")}`,
+      );
+    }
+    checkAttempts(policy.max_attempts, `${state}.max_attempts`);
+    if (policy.rephrase !== undefined) {
+      const strategies = asList(policy.rephrase);
+      const unknown = strategies.find((s) => !REPHRASE_STRATEGIES.includes(s));
+      if (strategies.length === 0 || unknown !== undefined) {
+        throw new ClarificationPolicyError(
+          `${state}.rephrase must use ${REPHRASE_STRATEGIES.join(", ")}`,
+        );
+      }
+    }
+    if (policy.fallback !== undefined && !FALLBACKS.includes(policy.fallback)) {
+      throw new ClarificationPolicyError(
+        `${state}.fallback must be one of ${FALLBACKS.join(", ")}`,
+      );
+    }
+  }
+}
+
+module.exports = {
+  CLARIFYING_STATES,
+  REPHRASE_STRATEGIES,
+  ClarificationPolicyError,
+  clarificationPolicy,
+  rephraseStrategy,
+  rephraseInstruction,
+  resolveFallback,
+  validateClarificationPolicy,
+};
@@ -0,0 +1,149 @@
+/**
+ * Clinic Time
+ *
+ * Converts real instants to the clinic's wall clock. Business hours, holiday
+ * dates, follow-up dates and transcript timestamps all follow the clinic's
+ * `timezone` (an IANA zone such as "Australia/Perth"), not the server's, so a
+ * server running in UTC still opens a Sydney clinic at 08:00 Sydney time.
+ * Daylight saving comes from the zone rules in Intl.
+ */
+
+const DEFAULT_TIMEZONE = "Australia/Sydney";
+
+const DAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+class TimezoneError extends Error {
+  constructor(timezone) {
+    super(
+      `Unknown timezone "${timezone}" - use an IANA zone like "${DEFAULT_TIMEZONE}"`,
+    );
+    this.status = 400;
+  }
+}
+
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-AU", {
+        timeZone: timezone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23",
+      }),
+    );
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * The clinic's IANA timezone
+ */
+const clinicTimezone = (clinicConfig) =>
+  clinicConfig?.timezone || DEFAULT_TIMEZONE;
+
+/**
+ * Reject a timezone Intl doesn't know
+ * @throws {TimezoneError}
+ */
+function validateTimezone(timezone) {
+  if (timezone === undefined || timezone === null) return;
+  try {
+    formatterFor(timezone);
+  } catch {
+    throw new TimezoneError(timezone);
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function wallClock(timezone, instant) {
+  const parts = Object.fromEntries(
+    formatterFor(timezone)
+      .formatToParts(instant)
+      .map((part) => [part.type, part.value]),
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: parts.second,
+  };
+}
+
+/**
+ * The clinic's local date, time and weekday at an instant
+ * @param {object} clinicConfig
+ * @param {Date} [instant] - Defaults to now
+ * @returns {{date: string, time: string, day: string}}
+ */
+function clinicNow(clinicConfig, instant = new Date()) {
+  const { date, time } = wallClock(clinicTimezone(clinicConfig), instant);
+  return {
+    date,
+    time,
+    day: DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()],
+  };
+}
+
+/**
+ * An ISO 8601 timestamp in the clinic's zone, with its UTC offset
+ * e.g. "2026-10-19T10:00:00.000+11:00"
+ * @param {object} clinicConfig
+ * @param {Date} [instant] - Defaults to now
+ */
+function clinicTimestamp(clinicConfig, instant = new Date()) {
+  const { date, time, seconds } = wallClock(
+    clinicTimezone(clinicConfig),
+    instant,
+  );
+  const millis = String(instant.getUTCMilliseconds()).padStart(3, "0");
+  const local = `${date}T${time}:${seconds}.${millis}`;
+
+  const offsetMinutes = Math.round(
+    (Date.parse(`${local}Z`) - instant.getTime()) / 60000,
+  );
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(abs % 60).padStart(2, "0")}`;
+  return `${local}${offset}`;
+}
+
+/**
+ * A date some days after the clinic's today, for telling a patient when to
+ * expect contact - e.g. "22 October"
+ * Counts calendar days, so a daylight saving change in between doesn't shift it
+ */
+function clinicDateAfter(clinicConfig, days, instant = new Date()) {
+  const date = new Date(`${clinicNow(clinicConfig, instant).date}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toLocaleDateString("en-AU", {
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TimezoneError,
+  clinicTimezone,
+  validateTimezone,
+  clinicNow,
+  clinicTimestamp,
+  clinicDateAfter,
+};
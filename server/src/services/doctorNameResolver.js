@@ -0,0 +1,483 @@
+/**
+ * Doctor Name Resolver
+ *
+ * Works out which practitioner in the staff directory a caller means. Callers
+ * rarely say a name the way it's written in the directory:
+ *
+ *   titles       - "Dr Smith", "Doctor Sarah", "Professor Ng"
+ *   nicknames    - "Dr Kate" for Katherine, "Bob" for Robert
+ *   misspellings - "Dr Smtih", "Dr Chenn" (transcription slips)
+ *   sound-alikes - "Dr Smyth" for Smith, "Dr Philips" for Phillips
+ *
+ * Names are compared word for word, never as substrings, so "planning"
+ * doesn't name Dr Ann. Everyday words that are also names ("will", "may",
+ * "grace") only count after a title or with a capital letter.
+ *
+ * A resolution is one of:
+ *
+ *   matched   - one practitioner fits clearly better than the rest
+ *   ambiguous - several fit about as well (two Dr Smiths); `candidates` lists
+ *               them, best first, so the caller can be asked which they mean
+ *   unknown   - a name follows a title but nobody on staff has it
+ *   none      - no doctor was named
+ *
+ * While the caller is choosing between candidates, pass them as `among` - the
+ * reply is matched against those only, with "the first one" / "the second"
+ * and bare names accepted.
+ */
+
+// Word similarity (0-1) needed to count as the same name
+const MATCH_THRESHOLD = 0.75;
+
+// How far ahead the best match must be to be picked over the next
+const CLEAR_MARGIN = 0.15;
+
+// Scores for the ways a spoken word can match a name
+const SCORES = {
+  exact: 1,
+  nickname: 0.95,
+  phonetic: 0.85,
+};
+
+// Words shorter than this only match exactly (or as a nickname) unless a
+// title comes first - "then" isn't a misheard "Chen"
+const FUZZY_MIN_LENGTH = 5;
+
+const TITLES = ["dr", "doctor", "doc", "prof", "professor"];
+
+// Words after a title that aren't a doctor's name
+const NOT_DOCTOR_NAMES = new Set([
+  "about",
+  "for",
+  "at",
+  "on",
+  "in",
+  "to",
+  "the",
+  "please",
+  "today",
+  "tomorrow",
+  "asap",
+  "appointment",
+  "who",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+]);
+
+// Everyday words that never name anyone on their own
+const STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "any",
+  "are",
+  "as",
+  "be",
+  "but",
+  "can",
+  "could",
+  "do",
+  "for",
+  "from",
+  "get",
+  "have",
+  "he",
+  "her",
+  "him",
+  "his",
+  "i",
+  "i'd",
+  "i'm",
+  "if",
+  "in",
+  "is",
+  "it",
+  "it's",
+  "like",
+  "me",
+  "my",
+  "no",
+  "not",
+  "of",
+  "ok",
+  "okay",
+  "on",
+  "one",
+  "or",
+  "please",
+  "see",
+  "she",
+  "so",
+  "that",
+  "the",
+  "them",
+  "then",
+  "there",
+  "they",
+  "thanks",
+  "this",
+  "to",
+  "want",
+  "was",
+  "we",
+  "when",
+  "with",
+  "would",
+  "yes",
+  "you",
+]);
+
+// Words that are also names - they only count after a title or capitalised
+const NAME_LIKE_WORDS = new Set([
+  "will",
+  "may",
+  "mark",
+  "grace",
+  "hope",
+  "rose",
+  "bill",
+  "frank",
+  "june",
+  "april",
+  "august",
+  "art",
+  "ray",
+  "dean",
+  "joy",
+  "faith",
+  "sunny",
+  "young",
+  "brown",
+  "white",
+  "green",
+  "black",
+  "long",
+  "king",
+  "day",
+  "page",
+  "hunter",
+  "bell",
+  "hill",
+  "wood",
+  "park",
+  "lee",
+  "ng",
+  "ho",
+]);
+
+// Nickname -> the full first names it's short for
+const NICKNAMES = {
+  abby: ["abigail"],
+  al: ["alan", "albert", "alexander", "alfred"],
+  alex: ["alexander", "alexandra", "alexis"],
+  andy: ["andrew"],
+  annie: ["ann", "anne", "anna"],
+  ben: ["benjamin"],
+  beth: ["elizabeth", "bethany"],
+  bill: ["william"],
+  billy: ["william"],
+  bob: ["robert"],
+  bobby: ["robert"],
+  cathy: ["catherine", "cathryn"],
+  charlie: ["charles", "charlotte"],
+  chris: ["christopher", "christine", "christina"],
+  dan: ["daniel"],
+  danny: ["daniel"],
+  dave: ["david"],
+  deb: ["deborah", "debra"],
+  debbie: ["deborah", "debra"],
+  ed: ["edward", "edwin"],
+  fran: ["frances", "francesca"],
+  fred: ["frederick"],
+  greg: ["gregory"],
+  jack: ["john"],
+  jen: ["jennifer"],
+  jenny: ["jennifer"],
+  jess: ["jessica"],
+  jim: ["james"],
+  jimmy: ["james"],
+  jo: ["joanne", "joanna", "josephine"],
+  joe: ["joseph"],
+  jon: ["jonathan", "john"],
+  josh: ["joshua"],
+  kate: ["katherine", "catherine", "kathryn"],
+  katie: ["katherine", "catherine", "kathryn"],
+  kath: ["katherine", "kathryn"],
+  ken: ["kenneth"],
+  liz: ["elizabeth"],
+  lizzie: ["elizabeth"],
+  maggie: ["margaret"],
+  matt: ["matthew"],
+  meg: ["margaret", "megan"],
+  mick: ["michael"],
+  mike: ["michael"],
+  nat: ["natalie", "natasha", "nathan"],
+  nick: ["nicholas"],
+  pat: ["patricia", "patrick"],
+  pete: ["peter"],
+  rich: ["richard"],
+  rick: ["richard"],
+  rob: ["robert"],
+  sam: ["samuel", "samantha"],
+  sandy: ["sandra", "alexandra"],
+  steve: ["stephen", "steven"],
+  sue: ["susan", "suzanne"],
+  ted: ["edward", "theodore"],
+  tim: ["timothy"],
+  tom: ["thomas"],
+  tony: ["anthony"],
+  vicky: ["victoria"],
+  will: ["william"],
+};
+
+const ORDINALS = [
+  ["first", "1st", "former"],
+  ["second", "2nd", "latter"],
+  ["third", "3rd"],
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WORD MATCHING
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Edit distance counting a swapped pair of letters as one edit ("Smtih")
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost,
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * A rough key for how a name sounds - consonants after spelling variants
+ * are folded together ("Smith" / "Smyth", "Catherine" / "Katherine")
+ */
+function phoneticKey(word) {
+  const folded = word
+    .replace(/^kn/, "n")
+    .replace(/^wr/, "r")
+    .replace(/^ps/, "s")
+    .replace(/ph/g, "f")
+    .replace(/ck/g, "k")
+    .replace(/gh/g, "")
+    .replace(/sch/g, "sk")
+    .replace(/[cs]h/g, "x")
+    .replace(/th/g, "t")
+    .replace(/c(?=[eiy])/g, "s")
+    .replace(/[cq]/g, "k")
+    .replace(/z/g, "s");
+  const consonants = folded.slice(1).replace(/[aeiouyhw]/g, "");
+  return (folded[0] + consonants).replace(/(.)\1+/g, "$1");
+}
+
+/**
+ * How well a spoken word matches one word of a practitioner's name (0-1)
+ * @param {object} options - { fuzzy, firstName }
+ */
+function wordScore(spoken, nameWord, { fuzzy, firstName }) {
+  if (spoken === nameWord) return SCORES.exact;
+  if (firstName && NICKNAMES[spoken]?.includes(nameWord)) {
+    return SCORES.nickname;
+  }
+  if (!fuzzy) return 0;
+
+  const similarity =
+    1 -
+    editDistance(spoken, nameWord) / Math.max(spoken.length, nameWord.length);
+  const phonetic =
+    phoneticKey(spoken) === phoneticKey(nameWord) ? SCORES.phonetic : 0;
+  const score = Math.max(similarity, phonetic);
+  return score >= MATCH_THRESHOLD ? score : 0;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TEXT
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * A message's words, with whether each is capitalised and follows a title
+ * @returns {Array<{word: string, capitalised: boolean, titled: boolean}>}
+ */
+function spokenWords(text) {
+  const raw = (text || "")
+    .replace(/[‘’]/g, "'")
+    .split(/[^A-Za-z'-]+/)
+    .filter(Boolean);
+
+  return raw.map((token, i) => {
+    const word = token
+      .toLowerCase()
+      .replace(/'s$/, "")
+      .replace(/^['-]+|['-]+$/g, "");
+    const previous = raw[i - 1]?.toLowerCase().replace(/\.$/, "");
+    return {
+      word,
+      capitalised: /^[A-Z]/.test(token),
+      titled: TITLES.includes(previous),
+    };
+  });
+}
+
+/**
+ * A practitioner's name as words, without any title
+ * Hyphenated surnames also match as one word ("Smith-Jones" / "smithjones")
+ */
+function nameWords(practitioner) {
+  const words = (practitioner.name || "")
+    .toLowerCase()
+    .split(/[^a-z'-]+/)
+    .filter((w) => w && !TITLES.includes(w.replace(/\.$/, "")));
+  const last = words[words.length - 1] || "";
+  return {
+    first: words.slice(0, -1),
+    last: last.includes("-")
+      ? [last, ...last.split("-"), last.replace(/-/g, "")]
+      : [last],
+  };
+}
+
+/**
+ * Which spoken words could be part of a name
+ * @param {boolean} relaxed - The caller was asked to pick a doctor, so bare
+ *   everyday name-words count too
+ */
+function nameCandidates(words, relaxed) {
+  return words.filter(
+    ({ word, capitalised, titled }) =>
+      word &&
+      !STOPWORDS.has(word) &&
+      !TITLES.includes(word) &&
+      (titled || relaxed || capitalised || !NAME_LIKE_WORDS.has(word)),
+  );
+}
+
+/**
+ * How well the caller's words fit a practitioner's name
+ * A first and last name together beat either alone
+ */
+function practitionerScore(candidates, practitioner, relaxed) {
+  const { first, last } = nameWords(practitioner);
+  let lastScore = 0;
+  let firstScore = 0;
+  for (const { word, titled } of candidates) {
+    const fuzzy =
+      titled || (relaxed ? word.length >= 4 : word.length >= FUZZY_MIN_LENGTH);
+    for (const nameWord of last) {
+      lastScore = Math.max(
+        lastScore,
+        wordScore(word, nameWord, { fuzzy, firstName: false }),
+      );
+    }
+    for (const nameWord of first) {
+      firstScore = Math.max(
+        firstScore,
+        wordScore(word, nameWord, { fuzzy, firstName: true }),
+      );
+    }
+  }
+
+  if (lastScore && firstScore) return (lastScore + firstScore) / 2 + 0.2;
+  return Math.max(lastScore, firstScore * 0.9);
+}
+
+/**
+ * The name after a title when it isn't anyone on staff ("Dr Jones")
+ * After "doctor" it must be capitalised - "a doctor about my knee" names nobody
+ */
+function spokenDoctorName(text) {
+  const match =
+    text.match(/\bdr\.?\s+([a-z][a-z'-]+)/i) ||
+    text.match(/\b[Dd]octor\s+([A-Z][a-z'-]+)/);
+  if (!match || NOT_DOCTOR_NAMES.has(match[1].toLowerCase())) return null;
+  return match[1].charAt(0).toUpperCase() + match[1].slice(1);
+}
+
+/**
+ * "the first one", "the second" - a pick from a list just read out
+ * @returns {number|null} 0-based position
+ */
+function ordinalPick(words) {
+  const spoken = new Set(words.map((w) => w.word));
+  const index = ORDINALS.findIndex((forms) =>
+    forms.some((form) => spoken.has(form)),
+  );
+  return index === -1 ? null : index;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RESOLUTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Which practitioner a caller means
+ * @param {string} text - What the caller said
+ * @param {Array<object>} staffDirectory - The clinic's practitioners
+ * @param {object} options
+ * @param {Array<object>} options.among - Practitioners the caller was just
+ *   asked to choose between
+ * @returns {{status: "matched"|"ambiguous"|"unknown"|"none", practitioner: object|null, candidates: Array<object>, spokenName: string|null}}
+ */
+function resolveDoctorName(text, staffDirectory, { among } = {}) {
+  const words = spokenWords(text);
+  const choosing = Array.isArray(among) && among.length > 0;
+  const pool = choosing ? among : staffDirectory || [];
+  const result = (status, practitioner = null, candidates = []) => ({
+    status,
+    practitioner,
+    candidates,
+    spokenName: status === "unknown" ? spokenDoctorName(text) : null,
+  });
+
+  const candidates = nameCandidates(words, choosing);
+  const scored = pool
+    .map((practitioner) => ({
+      practitioner,
+      score: practitionerScore(candidates, practitioner, choosing),
+    }))
+    .filter((s) => s.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) {
+    if (choosing) {
+      const pick = ordinalPick(words);
+      if (pick !== null && among[pick]) return result("matched", among[pick]);
+    }
+    return result(spokenDoctorName(text) ? "unknown" : "none");
+  }
+
+  const [best, next] = scored;
+  if (!next || best.score - next.score >= CLEAR_MARGIN) {
+    return result("matched", best.practitioner);
+  }
+  return result(
+    "ambiguous",
+    null,
+    scored
+      .filter((s) => best.score - s.score < CLEAR_MARGIN)
+      .map((s) => s.practitioner),
+  );
+}
+
+module.exports = {
+  resolveDoctorName,
+  phoneticKey,
+};
@@ -0,0 +1,174 @@
+/**
+ * Emergency Actions
+ *
+ * What Heidi does once a caller describes an emergency, from
+ * `agent_persona.safety_enforcement`:
+ *
+ *   emergency_action               - hard_redirect_000 (default), transfer_emergency or escalate_staff
+ *   after_hours_emergency_action   - the same choices outside business hours (defaults to emergency_action)
+ *   emergency_transfer_line        - where transfer_emergency connects the caller (default "000")
+ *   on_call_contact                - { name, phone } paged by escalate_staff after hours
+ *
+ *   hard_redirect_000  - tell the caller to hang up and call 000
+ *   transfer_emergency - warm-transfer the caller to the emergency line with a spoken handover
+ *   escalate_staff     - alert the clinical team in hours, or page the on-call contact after hours
+ *
+ * Every action gives the caller 000 advice. Transfers and pages are simulated
+ * and kept on the conversation as a record for the handoff note. After hours
+ * with nobody on call, escalate_staff falls back to hard_redirect_000.
+ */
+
+const EMERGENCY_ACTIONS = [
+  "hard_redirect_000",
+  "transfer_emergency",
+  "escalate_staff",
+];
+
+const DEFAULT_ACTION = "hard_redirect_000";
+const DEFAULT_TRANSFER_LINE = "000";
+
+const OUTCOMES = {
+  hard_redirect_000: "emergency_redirect",
+  transfer_emergency: "emergency_transfer",
+  escalate_staff: "emergency_escalation",
+};
+
+// Spoken whenever a generated reply leaves the 000 advice out
+const EMERGENCY_ADVICE =
+  "If you're in danger or it gets worse, hang up and call 000 straight away.";
+
+class EmergencySettingsError extends Error {
+  constructor(message) {
+    super(`Invalid safety_enforcement: ${message}`);
+    this.status = 400;
+  }
+}
+
+const safetySettings = (clinicConfig) =>
+  clinicConfig?.agent_persona?.safety_enforcement || {};
+
+const hasOnCallContact = (safety) =>
+  !!(safety.on_call_contact?.name || safety.on_call_contact?.phone);
+
+/**
+ * The action that applies to a call, after the after-hours choice and the
+ * no-one-on-call fallback
+ * @returns {{action: string, fallback: string|null}} fallback explains a downgrade
+ */
+function resolveEmergencyAction(clinicConfig, isBusinessHours) {
+  const safety = safetySettings(clinicConfig);
+  const configured =
+    (!isBusinessHours && safety.after_hours_emergency_action) ||
+    safety.emergency_action ||
+    DEFAULT_ACTION;
+  const action = EMERGENCY_ACTIONS.includes(configured)
+    ? configured
+    : DEFAULT_ACTION;
+
+  if (
+    action === "escalate_staff" &&
+    !isBusinessHours &&
+    !hasOnCallContact(safety)
+  ) {
+    return {
+      action: DEFAULT_ACTION,
+      fallback: "No on-call contact is set up for after hours",
+    };
+  }
+  return { action, fallback: null };
+}
+
+/**
+ * Outcome a call ends with for an action
+ */
+const emergencyOutcome = (action) =>
+  OUTCOMES[action] || OUTCOMES[DEFAULT_ACTION];
+
+/**
+ * The simulated transfer or page for an emergency
+ * @param {string} action - Resolved action
+ * @param {object} details - { clinicConfig, isBusinessHours, patientName, patientDob, message, timestamp }
+ * @returns {object} Record kept on the conversation as `emergency`
+ */
+function buildEmergencyRecord(action, details) {
+  const {
+    clinicConfig,
+    isBusinessHours,
+    patientName,
+    patientDob,
+    message,
+    timestamp,
+  } = details;
+  const safety = safetySettings(clinicConfig);
+  const caller = patientName
+    ? `${patientName}${patientDob ? ` (DOB ${patientDob})` : ""}`
+    : "An unidentified caller";
+  const handover = `${caller} calling ${clinicConfig.clinic_name || "the clinic"} said: "${message}"`;
+  const record = { action, detectedAt: timestamp, adviceGiven: true };
+
+  if (action === "transfer_emergency") {
+    return {
+      ...record,
+      transfer: {
+        line: safety.emergency_transfer_line || DEFAULT_TRANSFER_LINE,
+        type: "warm",
+        status: "connected",
+        handover,
+      },
+    };
+  }
+
+  if (action === "escalate_staff") {
+    const recipient = isBusinessHours
+      ? { team: "clinical", name: "Clinic clinical team" }
+      : {
+          team: "on-call",
+          name: safety.on_call_contact.name || "On-call clinician",
+          phone: safety.on_call_contact.phone || null,
+        };
+    return {
+      ...record,
+      page: {
+        recipient,
+        status: "sent",
+        message: `EMERGENCY - ${handover}. The caller has been told to call 000.`,
+        sentAt: timestamp,
+      },
+    };
+  }
+
+  return record;
+}
+
+/**
+ * Make sure a reply carries 000 advice
+ * @param {string} [advice] - The advice in the caller's language
+ */
+function withEmergencyAdvice(text, advice = EMERGENCY_ADVICE) {
+  return /\b000\b/.test(text) ? text : `${text} ${advice}`;
+}
+
+/**
+ * Reject an emergency setup a call can't run with
+ * @throws {EmergencySettingsError}
+ */
+function validateEmergencySettings(safety = {}) {
+  for (const key of ["emergency_action", "after_hours_emergency_action"]) {
+    if (safety[key] && !EMERGENCY_ACTIONS.includes(safety[key])) {
+      throw new EmergencySettingsError(
+        `${key} must be one of ${EMERGENCY_ACTIONS.join(", ")}`,
+      );
+    }
+  }
+}
+
+module.exports = {
+  EMERGENCY_ACTIONS,
+  EMERGENCY_ADVICE,
+  EmergencySettingsError,
+  resolveEmergencyAction,
+  emergencyOutcome,
+  buildEmergencyRecord,
+  withEmergencyAdvice,
+  validateEmergencySettings,
+};
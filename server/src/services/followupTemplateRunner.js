@@ -0,0 +1,966 @@
+/**
+ * Follow-up Template Runner
+ *
+ * Interprets `followup_templates[].steps` from the clinic configuration and
+ * drives outbound follow-up calls one patient turn at a time.
+ *
+ * Supported step actions:
+ * - verify_identity: asks for the configured `prompts`, honours `on_failure`
+ * - ask_question:    asks `question`, analyses by `response_type`, honours
+ *                    `flag_if` and `followup_if_no`
+ * - probe_reason:    only runs when one of its `triggers` was mentioned
+ * - close_and_flag:  reads out `set_expectation.message` and wraps up
+ *
+ * What Heidi says when the model fails, or in strict script mode, comes from
+ * the clinic's script library (scriptLibrary.js, the followup_* scripts).
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const { annotatePatientTurn } = require("./callSummarizer");
+const { guardrailFlags, escalatesToStaff } = require("./responseGuardrail");
+const { clinicTimestamp } = require("./clinicTime");
+const { isStrict, script } = require("./scriptLibrary");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OUTBOUND CALL STATE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * State Machine States for Outbound Follow-up Calls
+ * Step states mirror the template step actions
+ */
+const OUTBOUND_STATES = {
+  OPENING: "opening",
+  VERIFY_IDENTITY: "verify_identity",
+  ASK_QUESTION: "ask_question",
+  PROBE_REASON: "probe_reason",
+  CLOSING: "closing",
+  ESCALATED: "escalated",
+  COMPLETE: "complete",
+};
+
+/**
+ * Maps template step actions to the state the call is in while that step
+ * is waiting for the patient's answer
+ */
+const STEP_STATES = {
+  verify_identity: OUTBOUND_STATES.VERIFY_IDENTITY,
+  ask_question: OUTBOUND_STATES.ASK_QUESTION,
+  probe_reason: OUTBOUND_STATES.PROBE_REASON,
+  close_and_flag: OUTBOUND_STATES.CLOSING,
+};
+
+/**
+ * Spoken labels for the identity fields a verify_identity step can ask for
+ */
+const IDENTITY_PROMPTS = {
+  name: "full name",
+  date_of_birth: "date of birth",
+};
+
+/**
+ * Default categories used by probe_reason when a step doesn't define its own
+ */
+const DEFAULT_REASON_CATEGORIES = {
+  forgetting: "memory issues, busy schedule, no routine",
+  side_effects: "medication made them feel unwell",
+  ran_out: "ran out of pills, prescription issues, couldn't get refill",
+  cost: "financial barriers, too expensive",
+  intentional:
+    "deliberately stopped, doesn't believe it's helping, concerned about dependency",
+  other: "doesn't fit other categories",
+};
+
+const DONE_PHRASES = ["no", "that's all", "nothing", "thank", "bye", "good"];
+
+/**
+ * Replace {{placeholders}} in a template string
+ * Unknown placeholders are left untouched so they are easy to spot
+ * @param {string} text - Text containing {{key}} placeholders
+ * @param {object} variables - Values keyed by placeholder name
+ * @returns {string} Rendered text
+ */
+function renderTemplate(text, variables = {}) {
+  if (!text) return "";
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    variables[key] !== undefined && variables[key] !== null
+      ? String(variables[key])
+      : match,
+  );
+}
+
+class FollowupTemplateRunner {
+  /**
+   * @param {AIService} aiService - Shared AI service instance
+   * @param {object} helpers - Shared simulator helpers
+   * @param {Function} helpers.extractIdentity - (message, clinicConfig) => {name, dob}
+   * @param {Function} helpers.calculateFollowupDate - (days, clinicConfig) => display date
+   */
+  constructor(aiService, helpers) {
+    this.aiService = aiService;
+    this.extractIdentity = helpers.extractIdentity;
+    this.calculateFollowupDate = helpers.calculateFollowupDate;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // TEMPLATE LOOKUP
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Find an outbound template in the clinic config
+   * Falls back to the first outbound template when no id is given
+   */
+  findTemplate(clinicConfig, templateId) {
+    const templates = (clinicConfig.followup_templates || []).filter(
+      (t) => !t.trigger_type || t.trigger_type === "outbound",
+    );
+    const template = templateId
+      ? templates.find((t) => t.id === templateId)
+      : templates[0];
+
+    if (!template) {
+      throw new Error(
+        templateId
+          ? `Follow-up template "${templateId}" not found`
+          : "No outbound follow-up templates configured",
+      );
+    }
+
+    const unknownStep = (template.steps || []).find(
+      (s) => !STEP_STATES[s.action],
+    );
+    if (unknownStep) {
+      throw new Error(
+        `Unsupported action "${unknownStep.action}" in step ${unknownStep.step} of template "${template.id}"`,
+      );
+    }
+
+    return template;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // CALL LIFECYCLE
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Initialize a new outbound follow-up conversation for a template
+   * @param {object} clinicConfig - Clinic configuration
+   * @param {object} callContext - { templateId, variables }
+   */
+  async start(clinicConfig, callContext = {}) {
+    const template = this.findTemplate(clinicConfig, callContext.templateId);
+    const clinicName = clinicConfig.clinic_name || "Northside Medical";
+    const tone = clinicConfig.agent_persona?.tone_preference || "empathetic";
+    const variables = {
+      ...(template.variables || {}),
+      ...(callContext.variables || {}),
+    };
+
+    // The closing step's expectation overrides the clinic-wide default
+    const closeStep = (template.steps || []).find(
+      (s) => s.action === "close_and_flag",
+    );
+    const followupDate = this.calculateFollowupDate(
+      closeStep?.set_expectation?.default_days ||
+        clinicConfig.defaults?.followup_days ||
+        3,
+      clinicConfig,
+    );
+
+    const callPurpose = this._describePurpose(template, variables);
+
+    const fallbackOpening = script(clinicConfig, "followup_opening", {
+      clinic_name: clinicName,
+      call_purpose: callPurpose,
+      followup_date: followupDate,
+    });
+    const openingResponse = isStrict(clinicConfig)
+      ? { text: fallbackOpening }
+      : await this.aiService.generateFollowupResponse({
+          clinicName,
+          tone,
+          callPurpose,
+          step: "opening",
+          clinicConfig,
+          instruction: `Introduce yourself as Heidi, the digital care partner. State you're calling from the clinic to check in on ${callPurpose}. Mention you'll share their responses with their clinician. Ask if it's a good time to chat for a few minutes. Be warm but professional.`,
+          conversationHistory: [],
+        });
+
+    const openingMessage = openingResponse.text ?? fallbackOpening;
+
+    return {
+      conversationId: `outbound_${uuidv4()}`,
+      currentState: OUTBOUND_STATES.OPENING,
+      clinicName,
+      tone,
+      followupDate,
+      templateId: template.id,
+      templateName: template.name,
+      variables,
+      callPurpose,
+      stepIndex: null,
+      stepAttempts: 0,
+      awaitingFollowup: false,
+      answers: [],
+      transcript: [
+        {
+          role: "assistant",
+          content: openingMessage,
+          state: OUTBOUND_STATES.OPENING,
+          timestamp: clinicTimestamp(clinicConfig),
+        },
+      ],
+      patientIdentified: false,
+      patientName: null,
+      patientDob: null,
+      flags: guardrailFlags(openingResponse.guardrail?.categories || []),
+      isComplete: false,
+      escalatedToDoctor: false,
+      flaggedForReview: false,
+      metadata: {
+        startTime: clinicTimestamp(clinicConfig),
+        callType: "outbound_followup",
+        templateId: template.id,
+      },
+    };
+  }
+
+  /**
+   * Process a patient message in an outbound follow-up call
+   * Answers the pending step, then moves on to the next applicable step
+   */
+  async handleMessage(conversationState, patientMessage, clinicConfig) {
+    const template = this.findTemplate(
+      clinicConfig,
+      conversationState.templateId,
+    );
+    const steps = template.steps || [];
+    const { currentState, transcript } = conversationState;
+
+    transcript.push({
+      role: "user",
+      content: patientMessage,
+      state: currentState,
+      timestamp: clinicTimestamp(clinicConfig),
+    });
+
+    // Working copy of everything a turn may change
+    const call = {
+      ...conversationState,
+      flags: [...conversationState.flags],
+      answers: [...(conversationState.answers || [])],
+      conversationHistory: transcript.map((t) => ({
+        role: t.role,
+        content: t.content,
+      })),
+      isComplete: false,
+      finalOutcome: null,
+    };
+    const ctx = {
+      call,
+      steps,
+      template,
+      clinicConfig,
+      patientMessage,
+      guardrailCategories: [], // Out-of-scope replies blocked this turn
+    };
+
+    let aiResponse;
+    const currentStep =
+      call.stepIndex !== null ? steps[call.stepIndex] : undefined;
+
+    switch (currentState) {
+      case OUTBOUND_STATES.OPENING:
+        // Patient confirmed they can talk, start the template
+        aiResponse = await this._enterStep(ctx, 0, {
+          instruction: "Transition naturally from the opening.",
+          script: "followup_lead_opening",
+        });
+        break;
+
+      case OUTBOUND_STATES.VERIFY_IDENTITY:
+        aiResponse = await this._answerVerifyIdentity(ctx, currentStep);
+        break;
+
+      case OUTBOUND_STATES.ASK_QUESTION:
+        aiResponse = await this._answerQuestion(ctx, currentStep);
+        break;
+
+      case OUTBOUND_STATES.PROBE_REASON:
+        aiResponse = await this._answerProbe(ctx, currentStep);
+        break;
+
+      case OUTBOUND_STATES.CLOSING:
+        aiResponse = await this._answerClosing(ctx);
+        break;
+
+      case OUTBOUND_STATES.ESCALATED: {
+        // After escalation, just wrap up
+        call.currentState = OUTBOUND_STATES.COMPLETE;
+        call.isComplete = true;
+        aiResponse = await this._generate(ctx, {
+          step: "escalation_closing",
+          instruction:
+            "Wrap up after the escalation. Confirm that you've noted everything and the clinical team will call back urgently. Remind them to seek emergency care if symptoms worsen. Say goodbye warmly but with appropriate concern.",
+          fallback: this._script(ctx, "followup_escalation_closing"),
+        });
+        break;
+      }
+
+      default:
+        // Conversation is complete
+        aiResponse = this._script(ctx, "followup_complete");
+        call.isComplete = true;
+    }
+
+    if (ctx.guardrailCategories.length > 0) {
+      aiResponse = this._applyGuardrail(ctx, aiResponse);
+    }
+
+    annotatePatientTurn(transcript[transcript.length - 1], conversationState, {
+      patientName: call.patientName,
+      patientDob: call.patientDob,
+      flags: call.flags,
+    });
+    transcript.push({
+      role: "assistant",
+      content: aiResponse,
+      state: call.currentState,
+      timestamp: clinicTimestamp(clinicConfig),
+    });
+
+    const { conversationHistory, ...nextState } = call;
+    return {
+      ...nextState,
+      transcript,
+      patientIdentified: !!call.patientName,
+      aiResponse,
+      finalOutcome: call.isComplete
+        ? call.finalOutcome ||
+          (call.escalatedToDoctor
+            ? "escalated_to_clinician"
+            : call.flags.length > 0
+              ? "completed_with_flags"
+              : "completed_successfully")
+        : null,
+    };
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STEP ENTRY
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Move to the first applicable step at or after `index` and ask it
+   * probe_reason steps whose triggers haven't been mentioned are skipped.
+   * Running out of steps closes the call with the default expectation.
+   * @param {object} lead - { instruction, script } acknowledging the last
+   *   answer - script is the key of its scripted line
+   */
+  async _enterStep(ctx, index, lead) {
+    const { call, steps } = ctx;
+
+    let nextIndex = index;
+    while (
+      nextIndex < steps.length &&
+      steps[nextIndex].action === "probe_reason" &&
+      !this._isProbeTriggered(steps, nextIndex, call)
+    ) {
+      nextIndex++;
+    }
+
+    const step = steps[nextIndex];
+    call.stepIndex = step ? nextIndex : steps.length;
+    call.stepAttempts = 0;
+    call.awaitingFollowup = false;
+
+    if (!step) {
+      return this._enterClosing(ctx, {}, lead);
+    }
+
+    call.currentState = STEP_STATES[step.action];
+
+    switch (step.action) {
+      case "verify_identity": {
+        const fields = this._describeIdentityPrompts(step);
+        return this._generate(ctx, {
+          step: "verify_identity",
+          instruction: `${lead.instruction} Ask the patient to confirm their ${fields} so you know you're speaking to the right person. Keep it conversational.`,
+          fallback: this._withLead(
+            ctx,
+            lead,
+            this._script(ctx, "followup_verify_identity", { fields }),
+          ),
+        });
+      }
+
+      case "ask_question":
+      case "probe_reason": {
+        const question = renderTemplate(step.question, call.variables);
+        return this._generate(ctx, {
+          step: `step_${step.step}`,
+          instruction: `${lead.instruction} Now ask the patient this question in your own words, keeping its meaning exactly: "${question}". ${
+            step.action === "probe_reason"
+              ? "Ask gently and without judgment, showing understanding."
+              : "Show genuine interest in their answer."
+          }`,
+          fallback: this._withLead(ctx, lead, question),
+        });
+      }
+
+      case "close_and_flag":
+        return this._enterClosing(ctx, step, lead);
+
+      default:
+        throw new Error(`Unsupported follow-up step action "${step.action}"`);
+    }
+  }
+
+  /**
+   * Read out the step's expectation message and ask if there's anything else
+   */
+  async _enterClosing(ctx, step, lead) {
+    const { call } = ctx;
+    call.currentState = OUTBOUND_STATES.CLOSING;
+
+    if (step.flag_for_review && call.flags.length > 0) {
+      call.flaggedForReview = true;
+    }
+
+    const expectation = step.set_expectation?.message
+      ? renderTemplate(step.set_expectation.message, {
+          ...call.variables,
+          followup_date: call.followupDate,
+        })
+      : this._script(ctx, "followup_expectation");
+
+    return this._generate(ctx, {
+      step: "closing",
+      instruction: `${lead.instruction} Summarize the call supportively. Then tell them, keeping the meaning exactly: "${expectation}". Ask if there's anything else they'd like to mention or any questions.`,
+      fallback: this._withLead(
+        ctx,
+        lead,
+        this._script(ctx, "followup_closing", { expectation }),
+      ),
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // STEP ANSWERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  async _answerVerifyIdentity(ctx, step) {
+    const { call, patientMessage } = ctx;
+    const identity = await this.extractIdentity(
+      patientMessage,
+      ctx.clinicConfig,
+    );
+    if (identity.name) call.patientName = identity.name;
+    if (identity.dob) call.patientDob = identity.dob;
+
+    const prompts = step.prompts || ["name", "date_of_birth"];
+    const verified = prompts.every((prompt) =>
+      prompt === "name"
+        ? !!call.patientName
+        : prompt === "date_of_birth"
+          ? !!call.patientDob
+          : true,
+    );
+
+    if (verified) {
+      return this._enterStep(ctx, call.stepIndex + 1, {
+        instruction: "Thank them for confirming their identity.",
+        script: "followup_lead_verified",
+      });
+    }
+
+    // Give the patient another go before applying on_failure
+    call.stepAttempts++;
+    if (call.stepAttempts < (step.max_attempts || 2)) {
+      const fields = this._describeIdentityPrompts(step);
+      return this._generate(ctx, {
+        step: "verify_identity_retry",
+        instruction: `You couldn't confirm who you're speaking with. Politely ask them again for their ${fields}, for example 'John Smith, 15th January 1980'.`,
+        fallback: this._script(ctx, "followup_verify_retry", { fields }),
+      });
+    }
+
+    switch (step.on_failure || "end_call_politely") {
+      case "continue":
+        call.flags.push("identity_not_verified");
+        return this._enterStep(ctx, call.stepIndex + 1, {
+          instruction: "Thank them.",
+          script: "followup_lead_unverified",
+        });
+
+      case "escalate_to_staff": {
+        call.flags.push("identity_not_verified");
+        call.currentState = OUTBOUND_STATES.COMPLETE;
+        call.isComplete = true;
+        call.finalOutcome = "escalated_to_staff";
+        return this._generate(ctx, {
+          step: "identity_escalation",
+          instruction:
+            "You couldn't verify the patient's identity. Explain that for their privacy a member of the clinic team will call them back to finish the check-in. Say goodbye politely.",
+          fallback: this._script(ctx, "followup_identity_escalation"),
+        });
+      }
+
+      case "end_call_politely":
+      default: {
+        call.flags.push("identity_not_verified");
+        call.currentState = OUTBOUND_STATES.COMPLETE;
+        call.isComplete = true;
+        call.finalOutcome = "identity_not_verified";
+        return this._generate(ctx, {
+          step: "identity_failed",
+          instruction:
+            "You couldn't verify the patient's identity, so you can't continue. Apologize, explain you can only discuss this with the patient themselves, and invite them to call the clinic. Say goodbye politely.",
+          fallback: this._script(ctx, "followup_identity_failed"),
+        });
+      }
+    }
+  }
+
+  async _answerQuestion(ctx, step) {
+    const { call, patientMessage } = ctx;
+
+    // The patient is answering the step's followup_if_no prompt
+    if (call.awaitingFollowup) {
+      const lastAnswer = call.answers[call.answers.length - 1];
+      if (lastAnswer) {
+        call.answers[call.answers.length - 1] = {
+          ...lastAnswer,
+          followupResponse: patientMessage,
+        };
+      }
+      return this._enterStep(ctx, call.stepIndex + 1, {
+        instruction: `The patient explained: "${patientMessage}". Thank them for sharing and show understanding.`,
+        script: "followup_lead_explained",
+      });
+    }
+
+    const question = renderTemplate(step.question, call.variables);
+    const analysis = await this._analyzeAnswer(
+      question,
+      patientMessage,
+      step.response_type,
+      ctx.clinicConfig,
+    );
+
+    call.answers.push({
+      step: step.step,
+      question,
+      response: patientMessage,
+      answer: analysis.answer,
+      details: analysis.details,
+      responseType: step.response_type || "free_text",
+    });
+
+    if (analysis.severe) {
+      // Severe answers always escalate, whatever the template says
+      call.flags.push(`URGENT: severe_${step.topic || "response"}`);
+      call.escalatedToDoctor = true;
+      call.currentState = OUTBOUND_STATES.ESCALATED;
+      return this._generate(ctx, {
+        step: "escalate",
+        instruction: `The patient gave a concerning answer: "${patientMessage}". Express genuine concern. Tell them this needs immediate attention from their doctor. Say you'll flag this as urgent and have clinical staff call back within the hour. Advise them to call 000 or go to emergency if symptoms worsen. Ask if there's anything else they want to tell the doctor.`,
+        urgent: true,
+        fallback: this._script(ctx, "followup_urgent"),
+      });
+    }
+
+    if (
+      step.flag_if &&
+      (step.flag_if === "any" || step.flag_if === analysis.answer)
+    ) {
+      call.flags.push(
+        step.flag || `${step.topic || `step_${step.step}`}_flagged`,
+      );
+    }
+
+    if (analysis.answer === "no" && step.followup_if_no) {
+      call.awaitingFollowup = true;
+      const followup = renderTemplate(step.followup_if_no, call.variables);
+      return this._generate(ctx, {
+        step: `step_${step.step}_followup`,
+        instruction: `Acknowledge the patient's answer without judgment. Then ask, keeping the meaning exactly: "${followup}"`,
+        fallback: this._script(ctx, "followup_if_no", { question: followup }),
+      });
+    }
+
+    return this._enterStep(ctx, call.stepIndex + 1, {
+      instruction: `The patient answered "${patientMessage}" to "${question}". Briefly acknowledge their answer.`,
+      script: "followup_lead_answered",
+    });
+  }
+
+  async _answerProbe(ctx, step) {
+    const { call, patientMessage } = ctx;
+    const question = renderTemplate(step.question, call.variables);
+    const reasonAnalysis = await this._analyzeReason(
+      question,
+      patientMessage,
+      step.reason_categories || DEFAULT_REASON_CATEGORIES,
+      ctx.clinicConfig,
+    );
+
+    call.flags.push(`reason: ${reasonAnalysis.reason}`);
+    if (reasonAnalysis.details) {
+      call.flags.push(`reason_details: ${reasonAnalysis.details}`);
+    }
+    call.answers.push({
+      step: step.step,
+      question,
+      response: patientMessage,
+      answer: reasonAnalysis.reason,
+      details: reasonAnalysis.details,
+      responseType: "reason",
+    });
+
+    return this._enterStep(ctx, call.stepIndex + 1, {
+      instruction: `Thank them for being honest. Based on what they said: "${patientMessage}", provide a supportive response and let them know you'll pass this information to their care team so they can help.`,
+      script: "followup_lead_reason",
+    });
+  }
+
+  async _answerClosing(ctx) {
+    const { call, patientMessage } = ctx;
+    const lowerMessage = patientMessage.toLowerCase();
+    const isDone = DONE_PHRASES.some((phrase) => lowerMessage.includes(phrase));
+
+    call.currentState = OUTBOUND_STATES.COMPLETE;
+    call.isComplete = true;
+
+    if (isDone) {
+      return this._generate(ctx, {
+        step: "goodbye",
+        instruction:
+          "The patient has nothing more to add. Thank them warmly for their time and for sharing. Wish them well and say goodbye. Keep it warm and caring.",
+        fallback: this._script(ctx, "followup_goodbye"),
+      });
+    }
+
+    // They have more to share, note it and then close
+    call.flags.push(`additional_note: ${patientMessage}`);
+    return this._generate(ctx, {
+      step: "final_note",
+      instruction: `The patient shared additional information: "${patientMessage}". Acknowledge what they said, confirm you'll pass it along to the care team, and close the call warmly.`,
+      fallback: this._script(ctx, "followup_final_note"),
+    });
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  // HELPERS
+  // ─────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * A generated reply, falling back to a scripted line - or just the scripted
+   * line, without asking the model, in strict script mode
+   */
+  async _generate(ctx, { step, instruction, urgent = false, fallback }) {
+    const { call } = ctx;
+    if (isStrict(ctx.clinicConfig)) return fallback;
+    const response = await this.aiService.generateFollowupResponse({
+      clinicName: call.clinicName,
+      tone: call.tone,
+      callPurpose: call.callPurpose,
+      step,
+      instruction,
+      conversationHistory: call.conversationHistory,
+      urgent,
+      followupDate: call.followupDate,
+      clinicConfig: ctx.clinicConfig,
+    });
+    if (response.guardrail) {
+      ctx.guardrailCategories.push(...response.guardrail.categories);
+    }
+    return response.text ?? fallback;
+  }
+
+  /**
+   * A line from the clinic's script library, with the call's clinic, patient
+   * and follow-up date filled in
+   */
+  _script(ctx, key, values = {}) {
+    const { call, clinicConfig } = ctx;
+    return script(clinicConfig, key, {
+      clinic_name: call.clinicName,
+      patient_first_name: call.patientName?.split(" ")[0],
+      followup_date: call.followupDate,
+      ...values,
+    });
+  }
+
+  /**
+   * A scripted line after the lead acknowledging the last answer
+   */
+  _withLead(ctx, lead, text) {
+    return [lead.script && this._script(ctx, lead.script), text]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  /**
+   * Record replies the guardrail blocked this turn, and end the call with a
+   * staff callback when the clinic's ai_scope.fallback_action asks for it
+   * @returns {string} What Heidi says to close the turn
+   */
+  _applyGuardrail(ctx, aiResponse) {
+    const { call, clinicConfig } = ctx;
+    for (const flag of guardrailFlags([...new Set(ctx.guardrailCategories)])) {
+      if (!call.flags.includes(flag)) call.flags.push(flag);
+    }
+
+    if (call.isComplete || !escalatesToStaff(clinicConfig)) return aiResponse;
+
+    call.currentState = OUTBOUND_STATES.COMPLETE;
+    call.isComplete = true;
+    call.finalOutcome = "guardrail_escalation";
+    return this._script(ctx, "followup_guardrail_escalation");
+  }
+
+  _describePurpose(template, variables) {
+    return renderTemplate(
+      template.purpose ||
+        `their ${(template.name || "follow-up").toLowerCase()}`,
+      variables,
+    );
+  }
+
+  _describeIdentityPrompts(step) {
+    return (step.prompts || ["name", "date_of_birth"])
+      .map((p) => IDENTITY_PROMPTS[p] || p.replace(/_/g, " "))
+      .join(" and ");
+  }
+
+  /**
+   * A probe runs when the patient used one of its trigger words answering the
+   * question just before it, or when that question was an adherence check
+   * that came back negative (answers like "only some days" rarely contain the
+   * trigger words themselves). Earlier answers don't count - "the dizziness
+   * stopped" about side effects says nothing about missed doses.
+   */
+  _isProbeTriggered(steps, index, call) {
+    const step = steps[index];
+    if (!step.triggers?.length) return true;
+
+    // Nearest question before the probe (other probes may sit in between)
+    const question = steps
+      .slice(0, index)
+      .reverse()
+      .find((s) => s.action !== "probe_reason");
+    const answer =
+      question &&
+      [...call.answers].reverse().find((a) => a.step === question.step);
+    if (!answer) return false;
+
+    const answeredText =
+      `${answer.response} ${answer.followupResponse || ""} ${answer.details || ""}`.toLowerCase();
+    if (
+      step.triggers.some((trigger) =>
+        answeredText.includes(trigger.toLowerCase()),
+      )
+    ) {
+      return true;
+    }
+
+    return answer.responseType === "adherence_check" && answer.answer === "no";
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // AI ANALYSIS METHODS
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Analyze a patient's answer according to the step's response_type
+   * @returns {Promise<{answer: "yes"|"no"|"unclear", severe: boolean, details: string}>}
+   */
+  async _analyzeAnswer(
+    question,
+    message,
+    responseType = "free_text",
+    clinicConfig,
+  ) {
+    if (responseType === "adherence_check") {
+      const adherence = await this._analyzeAdherence(
+        question,
+        message,
+        clinicConfig,
+      );
+      return {
+        answer: adherence.poorAdherence
+          ? "no"
+          : adherence.goodAdherence
+            ? "yes"
+            : "unclear",
+        severe: false,
+        details: adherence.adherenceDetails,
+      };
+    }
+
+    const analysis = await this._analyzeYesNo(question, message, clinicConfig);
+    if (responseType === "free_text") {
+      return { ...analysis, answer: "unclear", details: message };
+    }
+    return analysis;
+  }
+
+  /**
+   * Use AI to classify a yes/no answer and spot anything severe
+   * @returns {Promise<{answer: string, severe: boolean, details: string}>}
+   */
+  async _analyzeYesNo(question, message, clinicConfig) {
+    try {
+      const prompt = `Analyze this patient's answer to a follow-up call question.
+
+Question asked: "${question}"
+Patient said: "${message}"
+
+Determine:
+1. Did the patient answer "yes", "no", or is it "unclear"?
+2. Does the answer describe something SEVERE or concerning? (things like: fainting, falling, chest pain, difficulty breathing, severe bleeding, high fever, severe dizziness combined with nausea, symptoms significantly impacting daily life, or the patient expressing serious concern)
+3. A brief summary of any details they gave
+
+Respond ONLY in this exact JSON format:
+{"answer": "yes" | "no" | "unclear", "severe": true/false, "details": "brief summary"}
+
+Rules:
+- "no", "none", "I'm fine", "all good" answer a "have you had any..." question with "no"
+- Any mention of symptoms or problems answers a "have you had any..." question with "yes"
+- Severe = could indicate a medical emergency or significantly impacts daily functioning
+- If uncertain about severity, err on the side of caution`;
+
+      const response = await this.aiService._chatCompletion(
+        [{ role: "user", content: prompt }],
+        { temperature: 0.1, max_tokens: 150, task: "analysis", clinicConfig },
+      );
+
+      const jsonMatch = response.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        const parsed = JSON.parse(jsonMatch[0]);
+        console.log(`[FollowupAnswer] AI analysis:`, parsed);
+        return {
+          answer: ["yes", "no"].includes(parsed.answer)
+            ? parsed.answer
+            : "unclear",
+          severe: parsed.severe || false,
+          details: parsed.details || "",
+        };
+      }
+    } catch (error) {
+      console.error("[FollowupAnswer] AI analysis error:", error.message);
+    }
+
+    // Keyword fallback so the call can continue without the LLM
+    const lower = message.toLowerCase();
+    const answer = /\b(no|nope|none|nothing|not really)\b/.test(lower)
+      ? "no"
+      : /\b(yes|yeah|yep|a bit|some)\b/.test(lower)
+        ? "yes"
+        : "unclear";
+    return { answer, severe: false, details: "" };
+  }
+
+  /**
+   * Use AI to analyze patient's medication adherence
+   * @returns {Promise<{goodAdherence: boolean, poorAdherence: boolean, adherenceDetails: string}>}
+   */
+  async _analyzeAdherence(question, message, clinicConfig) {
+    try {
+      const prompt = `Analyze this patient's response about their adherence (whether they've been following the plan as prescribed).
+
+Question asked: "${question}"
+Patient said: "${message}"
+
+Determine:
+1. GOOD adherence: Patient confirms following it regularly/consistently/as prescribed
+2. POOR adherence: Patient indicates missing doses, forgetting, skipping, stopping, running out, or inconsistent use
+3. Brief summary of their adherence pattern
+
+Respond ONLY in this exact JSON format:
+{"goodAdherence": true/false, "poorAdherence": true/false, "adherenceDetails": "brief summary"}
+
+Rules:
+- "yes", "every day", "as prescribed", "regularly" = good adherence
+- "missed", "forgot", "skip", "sometimes", "ran out", "stopped" = poor adherence
+- If response is ambiguous or neutral, set both to false
+- goodAdherence and poorAdherence should not both be true`;
+
+      const response = await this.aiService._chatCompletion(
+        [{ role: "user", content: prompt }],
+        { temperature: 0.1, max_tokens: 150, task: "analysis", clinicConfig },
+      );
+
+      const jsonMatch = response.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        const parsed = JSON.parse(jsonMatch[0]);
+        console.log(`[Adherence] AI analysis:`, parsed);
+        return {
+          goodAdherence: parsed.goodAdherence || false,
+          poorAdherence: parsed.poorAdherence || false,
+          adherenceDetails: parsed.adherenceDetails || "",
+        };
+      }
+    } catch (error) {
+      console.error("[Adherence] AI analysis error:", error.message);
+    }
+
+    // Keyword fallback, neutral when nothing matches
+    const poorAdherence =
+      /missed|forgot|forget|skip|stopped|ran out|sometimes/.test(
+        message.toLowerCase(),
+      );
+    return { goodAdherence: false, poorAdherence, adherenceDetails: "" };
+  }
+
+  /**
+   * Use AI to categorise the reason behind a probed answer
+   * @param {object} categories - Category name → description
+   * @returns {Promise<{reason: string, details: string}>}
+   */
+  async _analyzeReason(question, message, categories, clinicConfig) {
+    try {
+      const categoryList = Object.entries(categories)
+        .map(([name, description]) => `- "${name}" - ${description}`)
+        .join("\n");
+
+      const prompt = `Analyze the reason this patient gave in a follow-up call.
+
+Question asked: "${question}"
+Patient said: "${message}"
+
+Categorize the PRIMARY reason into one of these categories:
+${categoryList}
+
+Respond ONLY in this exact JSON format:
+{"reason": "category", "details": "brief specific explanation from their response"}
+
+Examples:
+- "I keep forgetting to take it in the morning" -> {"reason": "forgetting", "details": "forgets morning dose"}
+- "It makes me feel dizzy so I stopped" -> {"reason": "side_effects", "details": "stopped due to dizziness"}`;
+
+      const response = await this.aiService._chatCompletion(
+        [{ role: "user", content: prompt }],
+        { temperature: 0.1, max_tokens: 150, task: "analysis", clinicConfig },
+      );
+
+      const jsonMatch = response.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        const parsed = JSON.parse(jsonMatch[0]);
+        console.log(`[ProbeReason] AI analysis:`, parsed);
+        return {
+          reason: categories[parsed.reason] ? parsed.reason : "other",
+          details: parsed.details || "",
+        };
+      }
+    } catch (error) {
+      console.error("[ProbeReason] AI analysis error:", error.message);
+    }
+
+    // Fallback on error
+    return { reason: "other", details: "" };
+  }
+}
+
+module.exports = { FollowupTemplateRunner, OUTBOUND_STATES, renderTemplate };
@@ -0,0 +1,250 @@
+/**
+ * Holiday Calendar
+ *
+ * Works out which dates a clinic doesn't run its normal weekday hours:
+ * - Australian public holidays, national plus those of
+ *   `operating_hours.holiday_state` (NSW, VIC, QLD, WA, SA, TAS, ACT, NT)
+ * - the clinic's own closures in `operating_hours.closures`:
+ *     [{ date: "2026-12-24", end_date?: "2027-01-02", name: "Christmas break" }]
+ *
+ * `operating_hours.public_holiday_mode` decides what a public holiday means:
+ *   after_hours_logic    - closed, calls run the after-hours flow (default)
+ *   closed               - closed, calls go straight to voicemail
+ *   business_hours_logic - the normal weekday hours apply
+ * Closures always mean closed. operatingHours.js applies all of this to the
+ * clinic's schedule, where both closed modes look the same - the voicemail
+ * routing for "closed" is voicemailInbox.js's isVoicemailOnly.
+ *
+ * Holidays follow the state rules for substitute days when they fall on a
+ * weekend. Regional and part-day holidays (show days, the AFL Grand Final
+ * Friday, Christmas Eve evenings) aren't built in - add them as closures.
+ *
+ * Dates are plain "YYYY-MM-DD" strings, like the rest of the booking code.
+ */
+
+const HOLIDAY_STATES = ["NSW", "VIC", "QLD", "WA", "SA", "TAS", "ACT", "NT"];
+
+const HOLIDAY_MODES = ["after_hours_logic", "closed", "business_hours_logic"];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DATE HELPERS
+// Dates are handled as UTC midnights so no local timezone shifts creep in
+// ─────────────────────────────────────────────────────────────────────────────
+
+const toDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const toIso = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+/**
+ * The nth (1-based) weekday of a month, or the last one when n is -1
+ * @param {number} weekday - 0 (Sunday) to 6 (Saturday)
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const last = toDate(year, month + 1, 0);
+    return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = toDate(year, month, 1);
+  return addDays(first, ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7);
+}
+
+/**
+ * First Monday on or after a date
+ */
+const mondayOnOrAfter = (date) => addDays(date, (1 - date.getUTCDay() + 7) % 7);
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return toDate(year, month, day);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PUBLIC HOLIDAYS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const MONDAY = 1;
+const TUESDAY = 2;
+
+const cache = new Map(); // "year:state" -> holidays
+
+/**
+ * Australian public holidays for a year, national plus the state's own
+ * @param {number} year
+ * @param {string} [state] - NSW, VIC, QLD, WA, SA, TAS, ACT or NT (national only if omitted)
+ * @returns {Array<{date: string, name: string}>} Sorted by date
+ */
+function publicHolidays(year, state) {
+  const key = `${year}:${state || ""}`;
+  if (!cache.has(key)) cache.set(key, buildHolidays(year, state || null));
+  return cache.get(key);
+}
+
+function buildHolidays(year, state) {
+  const holidays = [];
+  const add = (date, name) => holidays.push({ date: toIso(date), name });
+  const inState = (...states) => states.includes(state);
+
+  // A weekend holiday moves to the Monday after
+  const addObserved = (date, name) => {
+    add(date, name);
+    if (date.getUTCDay() === 0 || date.getUTCDay() === 6) {
+      add(mondayOnOrAfter(date), `${name} (observed)`);
+    }
+  };
+
+  addObserved(toDate(year, 1, 1), "New Year's Day");
+  addObserved(toDate(year, 1, 26), "Australia Day");
+
+  const easter = easterSunday(year);
+  add(addDays(easter, -2), "Good Friday");
+  if (inState("NSW", "VIC", "QLD", "SA", "ACT", "NT")) {
+    add(addDays(easter, -1), "Easter Saturday");
+  }
+  if (inState("NSW", "VIC", "QLD", "ACT", "WA")) {
+    add(easter, "Easter Sunday");
+  }
+  add(addDays(easter, 1), "Easter Monday");
+
+  const anzac = toDate(year, 4, 25);
+  if (inState("WA", "ACT")) addObserved(anzac, "Anzac Day");
+  else add(anzac, "Anzac Day");
+
+  // Christmas and Boxing Day substitutes never land on the same day
+  const christmas = toDate(year, 12, 25);
+  add(christmas, "Christmas Day");
+  add(addDays(christmas, 1), inState("SA") ? "Proclamation Day" : "Boxing Day");
+  switch (christmas.getUTCDay()) {
+    case 5: // Boxing Day on Saturday
+      add(toDate(year, 12, 28), "Boxing Day (observed)");
+      break;
+    case 6: // Christmas Saturday, Boxing Day Sunday
+      add(toDate(year, 12, 27), "Christmas Day (observed)");
+      add(toDate(year, 12, 28), "Boxing Day (observed)");
+      break;
+    case 0: // Christmas on Sunday
+      add(toDate(year, 12, 27), "Christmas Day (observed)");
+      break;
+  }
+
+  // King's Birthday - not a national holiday, every state picks its own date
+  if (inState("QLD")) {
+    add(nthWeekday(year, 10, MONDAY, 1), "King's Birthday");
+  } else if (inState("WA")) {
+    add(nthWeekday(year, 9, MONDAY, -1), "King's Birthday");
+  } else if (state) {
+    add(nthWeekday(year, 6, MONDAY, 2), "King's Birthday");
+  }
+
+  // Labour Day
+  if (inState("NSW", "ACT", "SA")) {
+    add(nthWeekday(year, 10, MONDAY, 1), "Labour Day");
+  }
+  if (inState("VIC")) add(nthWeekday(year, 3, MONDAY, 2), "Labour Day");
+  if (inState("WA")) add(nthWeekday(year, 3, MONDAY, 1), "Labour Day");
+  if (inState("QLD")) add(nthWeekday(year, 5, MONDAY, 1), "Labour Day");
+  if (inState("NT")) add(nthWeekday(year, 5, MONDAY, 1), "May Day");
+  if (inState("TAS")) add(nthWeekday(year, 3, MONDAY, 2), "Eight Hours Day");
+
+  // State days
+  if (inState("ACT")) {
+    add(nthWeekday(year, 3, MONDAY, 2), "Canberra Day");
+    add(mondayOnOrAfter(toDate(year, 5, 27)), "Reconciliation Day");
+  }
+  if (inState("SA")) add(nthWeekday(year, 3, MONDAY, 2), "Adelaide Cup Day");
+  if (inState("VIC")) {
+    add(nthWeekday(year, 11, TUESDAY, 1), "Melbourne Cup Day");
+  }
+  if (inState("WA")) {
+    add(nthWeekday(year, 6, MONDAY, 1), "Western Australia Day");
+  }
+  if (inState("NT")) add(nthWeekday(year, 8, MONDAY, 1), "Picnic Day");
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CLINIC CALENDAR
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Why a clinic isn't running its normal hours on a date
+ * Clinic closures win over public holidays
+ * @returns {{date: string, name: string, type: "closure"|"public_holiday"}|null}
+ */
+function findHoliday(clinicConfig, date) {
+  const hours = clinicConfig.operating_hours || {};
+
+  const closure = (hours.closures || []).find(
+    (c) => c.date <= date && date <= (c.end_date || c.date),
+  );
+  if (closure) {
+    return { date, name: closure.name || "Clinic closed", type: "closure" };
+  }
+
+  const holiday = publicHolidays(
+    Number(date.slice(0, 4)),
+    hours.holiday_state,
+  ).find((h) => h.date === date);
+  return holiday ? { ...holiday, type: "public_holiday" } : null;
+}
+
+/**
+ * Every holiday and closure day the clinic has in a year
+ * @returns {Array<{date: string, name: string, type: string}>} Sorted by date
+ */
+function listHolidays(clinicConfig, year) {
+  const hours = clinicConfig.operating_hours || {};
+  const closures = [];
+  for (const closure of hours.closures || []) {
+    let date = new Date(`${closure.date}T00:00:00Z`);
+    const end = closure.end_date || closure.date;
+    while (toIso(date) <= end) {
+      if (date.getUTCFullYear() === year) {
+        closures.push({
+          date: toIso(date),
+          name: closure.name || "Clinic closed",
+          type: "closure",
+        });
+      }
+      date = addDays(date, 1);
+    }
+  }
+
+  const closed = new Set(closures.map((c) => c.date));
+  const holidays = publicHolidays(year, hours.holiday_state)
+    .filter((h) => !closed.has(h.date))
+    .map((h) => ({ ...h, type: "public_holiday" }));
+
+  return [...closures, ...holidays].sort((a, b) =>
+    a.date.localeCompare(b.date),
+  );
+}
+
+module.exports = {
+  HOLIDAY_STATES,
+  HOLIDAY_MODES,
+  publicHolidays,
+  findHoliday,
+  listHolidays,
+};
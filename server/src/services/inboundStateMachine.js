@@ -0,0 +1,346 @@
+/**
+ * Inbound Call State Machine
+ *
+ * The transition table every inbound call runs on. State handlers in
+ * CallSimulator only decide which event a patient message produced - the
+ * next state always comes from this table, so an event a state doesn't
+ * declare is rejected instead of silently jumping somewhere new.
+ *
+ * Clinics can extend the graph through `call_flow` in their config:
+ *
+ *   call_flow: {
+ *     custom_states: [{
+ *       id: "billing_flow",            // snake_case, must not clash with a built-in state
+ *       label: "Billing",
+ *       intent_keywords: ["invoice", "bill"], // routes here from identify/triage
+ *       instruction: "Help with the billing question...",
+ *       outcome: "billing_query_logged",      // finalOutcome when the call ends here
+ *       transitions: { done: "message_flow" } // optional - overrides the default edges
+ *     }],
+ *     transitions: {                   // extra/overridden edges for any state
+ *       triage: { admin: "billing_flow" }
+ *     }
+ *   }
+ */
+
+const INBOUND_STATES = {
+  // Phase 1: Safe-Start (Mandatory)
+  GREETING: "greeting",
+  IDENTIFY: "identify",
+  TRIAGE: "triage",
+
+  // Phase 2: Router Paths
+  APPOINTMENT_FLOW: "appointment_flow",
+  CANCEL_FLOW: "cancel_flow",
+  RESCHEDULE_FLOW: "reschedule_flow",
+  CLINICAL_FLOW: "clinical_flow",
+  MESSAGE_FLOW: "message_flow",
+  TRANSFER_FLOW: "transfer_flow",
+  VOICEMAIL: "voicemail", // Records a free-form message for the clinic's inbox
+
+  // Phase 3: Exit Nodes
+  EMERGENCY_EXIT: "emergency_exit",
+  SUCCESS_EXIT: "success_exit",
+  CONFUSION_EXIT: "confusion_exit",
+};
+
+const INITIAL_STATE = INBOUND_STATES.GREETING;
+
+const TERMINAL_STATES = [
+  INBOUND_STATES.EMERGENCY_EXIT,
+  INBOUND_STATES.SUCCESS_EXIT,
+  INBOUND_STATES.CONFUSION_EXIT,
+];
+
+/**
+ * Interrupts that apply in every non-terminal state
+ * Checked before the state's own handler runs
+ */
+const GLOBAL_TRANSITIONS = {
+  emergency: INBOUND_STATES.EMERGENCY_EXIT,
+  transfer_request: INBOUND_STATES.TRANSFER_FLOW,
+  frustrated: INBOUND_STATES.TRANSFER_FLOW, // Sentiment crossed the clinic's threshold
+  frustrated_after_hours: INBOUND_STATES.MESSAGE_FLOW,
+  system_error: INBOUND_STATES.CONFUSION_EXIT,
+};
+
+/**
+ * Where a recognised intent routes the call
+ * Shared by IDENTIFY (intent captured before verification) and TRIAGE
+ */
+const INTENT_TRANSITIONS = {
+  appointment: INBOUND_STATES.APPOINTMENT_FLOW,
+  cancel: INBOUND_STATES.CANCEL_FLOW,
+  reschedule: INBOUND_STATES.RESCHEDULE_FLOW,
+  no_booking: INBOUND_STATES.TRIAGE, // Nothing to cancel/reschedule - "yes" books a new one
+  action_not_allowed: INBOUND_STATES.MESSAGE_FLOW,
+  urgent_concern: INBOUND_STATES.TRANSFER_FLOW,
+  concern_logged: INBOUND_STATES.MESSAGE_FLOW,
+  admin: INBOUND_STATES.MESSAGE_FLOW,
+  transfer: INBOUND_STATES.TRANSFER_FLOW,
+  transfer_after_hours: INBOUND_STATES.MESSAGE_FLOW,
+  take_message: INBOUND_STATES.MESSAGE_FLOW, // Booking policy hands the request to reception
+};
+
+/**
+ * Where a caller goes once Heidi gives up re-asking, per the clinic's
+ * clarification policy
+ */
+const CLARIFICATION_TRANSITIONS = {
+  clarify_transfer: INBOUND_STATES.TRANSFER_FLOW,
+  clarify_message: INBOUND_STATES.MESSAGE_FLOW,
+  confusion: INBOUND_STATES.CONFUSION_EXIT, // Callback
+};
+
+/**
+ * State Transition Rules
+ * Maps current state + event to next state
+ */
+const STATE_TRANSITIONS = {
+  [INBOUND_STATES.GREETING]: {
+    ask_identity: INBOUND_STATES.IDENTIFY,
+    voicemail: INBOUND_STATES.VOICEMAIL, // Caller used a voicemail trigger
+  },
+  [INBOUND_STATES.IDENTIFY]: {
+    ...INTENT_TRANSITIONS,
+    verified: INBOUND_STATES.TRIAGE,
+    intent_captured: INBOUND_STATES.IDENTIFY, // Still need name and DOB
+    dob_mismatch: INBOUND_STATES.IDENTIFY, // Ask again before giving up
+    refused: INBOUND_STATES.MESSAGE_FLOW, // Can still take message without ID
+    voicemail: INBOUND_STATES.VOICEMAIL,
+    unclear: INBOUND_STATES.IDENTIFY,
+    ...CLARIFICATION_TRANSITIONS,
+  },
+  [INBOUND_STATES.TRIAGE]: {
+    ...INTENT_TRANSITIONS,
+    unclear: INBOUND_STATES.TRIAGE, // Re-ask with clarification
+    ...CLARIFICATION_TRANSITIONS,
+  },
+  [INBOUND_STATES.APPOINTMENT_FLOW]: {
+    continue: INBOUND_STATES.APPOINTMENT_FLOW,
+    done: INBOUND_STATES.SUCCESS_EXIT,
+    transfer: INBOUND_STATES.TRANSFER_FLOW,
+    take_message: INBOUND_STATES.MESSAGE_FLOW, // See bookingPolicy.js
+  },
+  [INBOUND_STATES.CANCEL_FLOW]: {
+    continue: INBOUND_STATES.CANCEL_FLOW,
+    done: INBOUND_STATES.SUCCESS_EXIT,
+    something_else: INBOUND_STATES.TRIAGE,
+  },
+  [INBOUND_STATES.RESCHEDULE_FLOW]: {
+    continue: INBOUND_STATES.RESCHEDULE_FLOW,
+    done: INBOUND_STATES.SUCCESS_EXIT,
+    something_else: INBOUND_STATES.TRIAGE,
+  },
+  [INBOUND_STATES.CLINICAL_FLOW]: {
+    concern_logged: INBOUND_STATES.MESSAGE_FLOW,
+  },
+  [INBOUND_STATES.MESSAGE_FLOW]: {
+    continue: INBOUND_STATES.MESSAGE_FLOW,
+    done: INBOUND_STATES.SUCCESS_EXIT,
+  },
+  [INBOUND_STATES.TRANSFER_FLOW]: {
+    transferred: INBOUND_STATES.SUCCESS_EXIT,
+    after_hours: INBOUND_STATES.MESSAGE_FLOW,
+  },
+  [INBOUND_STATES.VOICEMAIL]: {
+    recorded: INBOUND_STATES.SUCCESS_EXIT,
+  },
+};
+
+const STATE_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+class IllegalTransitionError extends Error {
+  constructor(from, event) {
+    super(`Illegal transition from "${from}" on "${event}"`);
+    this.from = from;
+    this.event = event;
+    this.status = 500;
+  }
+}
+
+class StateMachineConfigError extends Error {
+  constructor(message) {
+    super(`Invalid call_flow: ${message}`);
+    this.status = 400;
+  }
+}
+
+class InboundStateMachine {
+  /**
+   * @param {object} options
+   * @param {Array<object>} options.customStates - Clinic-defined states (call_flow.custom_states)
+   * @param {object} options.transitions - Extra edges keyed by state then event
+   */
+  constructor({ customStates = [], transitions = {} } = {}) {
+    this.customStates = new Map();
+    this.transitions = structuredClone(STATE_TRANSITIONS);
+
+    customStates.forEach((state) => this._addCustomState(state));
+    Object.entries(transitions).forEach(([from, edges]) =>
+      this._addTransitions(from, edges),
+    );
+    this._validateTargets();
+  }
+
+  /**
+   * Build the state machine for a clinic's call_flow config
+   * @throws {StateMachineConfigError} If the config doesn't describe a valid graph
+   */
+  static forClinic(clinicConfig = {}) {
+    const callFlow = clinicConfig.call_flow || {};
+    return new InboundStateMachine({
+      customStates: callFlow.custom_states || [],
+      transitions: callFlow.transitions || {},
+    });
+  }
+
+  get initialState() {
+    return INITIAL_STATE;
+  }
+
+  hasState(state) {
+    return state in this.transitions || TERMINAL_STATES.includes(state);
+  }
+
+  isTerminal(state) {
+    return TERMINAL_STATES.includes(state);
+  }
+
+  /**
+   * Custom state definition, or null for built-in states
+   */
+  getCustomState(state) {
+    return this.customStates.get(state) || null;
+  }
+
+  /**
+   * Custom states that can be reached by intent keywords
+   */
+  getCustomIntents() {
+    return [...this.customStates.values()].filter(
+      (state) => state.intent_keywords?.length,
+    );
+  }
+
+  /**
+   * Resolve the next state for an event
+   * @throws {IllegalTransitionError} If the current state doesn't allow the event
+   */
+  transition(from, event) {
+    const next =
+      this.transitions[from]?.[event] ??
+      (this.isTerminal(from) ? undefined : GLOBAL_TRANSITIONS[event]);
+
+    if (!next) throw new IllegalTransitionError(from, event);
+    return next;
+  }
+
+  /**
+   * Describe the graph for clients and tooling
+   * @returns {{initialState: string, states: Array<object>, transitions: Array<object>, globalTransitions: Array<object>}}
+   */
+  graph() {
+    const states = [...Object.keys(this.transitions), ...TERMINAL_STATES].map(
+      (id) => {
+        const custom = this.getCustomState(id);
+        return {
+          id,
+          terminal: this.isTerminal(id),
+          custom: !!custom,
+          ...(custom && { label: custom.label || id }),
+        };
+      },
+    );
+
+    const transitions = Object.entries(this.transitions).flatMap(
+      ([from, edges]) =>
+        Object.entries(edges).map(([event, to]) => ({ from, event, to })),
+    );
+
+    return {
+      initialState: INITIAL_STATE,
+      states,
+      transitions,
+      globalTransitions: Object.entries(GLOBAL_TRANSITIONS).map(
+        ([event, to]) => ({ event, to }),
+      ),
+    };
+  }
+
+  _addCustomState(state) {
+    if (!state || typeof state.id !== "string") {
+      throw new StateMachineConfigError("every custom state needs an id");
+    }
+    if (!STATE_ID_PATTERN.test(state.id)) {
+      throw new StateMachineConfigError(
+        `state id "${state.id}" must be lowercase snake_case`,
+      );
+    }
+    if (this.hasState(state.id)) {
+      throw new StateMachineConfigError(`state "${state.id}" already exists`);
+    }
+    if (!state.instruction) {
+      throw new StateMachineConfigError(
+        `state "${state.id}" needs an instruction`,
+      );
+    }
+
+    this.customStates.set(state.id, state);
+    // Custom states loop until the caller is done, unless they say otherwise
+    this.transitions[state.id] = {
+      continue: state.id,
+      done: INBOUND_STATES.SUCCESS_EXIT,
+    };
+    this._addTransitions(state.id, state.transitions);
+
+    // Callers asking for it by keyword are routed in like a built-in intent
+    if (state.intent_keywords?.length) {
+      this.transitions[INBOUND_STATES.IDENTIFY][state.id] = state.id;
+      this.transitions[INBOUND_STATES.TRIAGE][state.id] = state.id;
+    }
+  }
+
+  _addTransitions(from, edges) {
+    if (!this.hasState(from)) {
+      throw new StateMachineConfigError(`unknown state "${from}"`);
+    }
+    if (this.isTerminal(from)) {
+      throw new StateMachineConfigError(
+        `"${from}" ends the call and can't have transitions`,
+      );
+    }
+
+    for (const [event, to] of Object.entries(edges || {})) {
+      // Safety interrupts can't be rerouted
+      if (event in GLOBAL_TRANSITIONS) {
+        throw new StateMachineConfigError(
+          `"${event}" is a global transition and can't be overridden`,
+        );
+      }
+      this.transitions[from][event] = to;
+    }
+  }
+
+  _validateTargets() {
+    for (const [from, edges] of Object.entries(this.transitions)) {
+      for (const [event, to] of Object.entries(edges)) {
+        if (!this.hasState(to)) {
+          throw new StateMachineConfigError(
+            `"${from}" on "${event}" goes to unknown state "${to}"`,
+          );
+        }
+      }
+    }
+  }
+}
+
+module.exports = {
+  InboundStateMachine,
+  IllegalTransitionError,
+  StateMachineConfigError,
+  INBOUND_STATES,
+  STATE_TRANSITIONS,
+  GLOBAL_TRANSITIONS,
+  TERMINAL_STATES,
+};
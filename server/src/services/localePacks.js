@@ -0,0 +1,253 @@
+/**
+ * Locale Packs
+ *
+ * The language Heidi speaks on a call. `agent_persona.language` is the
+ * clinic's own language, as a tag like "en-AU" or "vi-VN" - the part before
+ * the dash picks the pack. `agent_persona.supported_languages` lists the
+ * languages Heidi switches to when a caller speaks one of them (default:
+ * every pack; [] keeps every call in the clinic's language).
+ *
+ * Each pack (see locales/) holds:
+ *
+ *   keywords - what Heidi listens for: intents, transfer requests,
+ *              emergencies, refusals to give ID, wrapping up
+ *   guardrail - extra reply patterns responseGuardrail blocks (not English)
+ *   phrases  - the scripted lines she falls back on, with {{placeholders}}
+ *
+ * English keywords are always listened for as well, since callers mix
+ * languages. A phrase a pack leaves out is spoken in English. Instructions
+ * to the model stay in English; AIService tells it which language to reply in.
+ *
+ * The caller's language is worked out from each message: the letters it's
+ * written in (Chinese characters, Vietnamese tone marks) or, failing that, how
+ * many of a language's everyday words it uses. Short replies ("yes", a name,
+ * a date) say nothing about it, so the call stays in the language it's in.
+ */
+
+const PACKS = {
+  en: require("../locales/en"),
+  es: require("../locales/es"),
+  vi: require("../locales/vi"),
+  zh: require("../locales/zh"),
+};
+
+const DEFAULT_LANGUAGE = "en";
+
+// Built-in intents, in the order a message is checked for them - cancel and
+// reschedule come before the generic appointment intent
+const INTENTS = [
+  "cancel",
+  "reschedule",
+  "appointment",
+  "clinical",
+  "admin",
+  "transfer",
+];
+
+// Everyday words a message needs before it counts as a language
+const DETECTION_MIN_WORDS = 2;
+
+class LanguageError extends Error {
+  constructor(message) {
+    super(`Invalid language: ${message}`);
+    this.status = 400;
+  }
+}
+
+// "vi-VN" -> "vi"
+const packCode = (language) =>
+  String(language || "")
+    .toLowerCase()
+    .split(/[-_]/)[0];
+
+// Composed accents, so "đau" typed or transcribed either way matches
+const normalize = (text) =>
+  (text || "").normalize("NFC").toLowerCase().replace(/[‘’]/g, "'");
+
+/**
+ * The pack for a language tag or code, English for anything else
+ */
+function localePack(language) {
+  return PACKS[packCode(language)] || PACKS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * The pack code a clinic config speaks ("en", "vi", ...)
+ */
+function languageOf(clinicConfig) {
+  return localePack(clinicConfig?.agent_persona?.language).code;
+}
+
+/**
+ * A clinic config speaking another language - how a call answers a caller in
+ * their own language without touching the clinic's settings
+ * `agent_persona.clinic_language` keeps the language the clinic wrote its own
+ * lines in (see inClinicLanguage)
+ */
+function inLanguage(clinicConfig, language) {
+  if (languageOf(clinicConfig) === language) return clinicConfig;
+  const persona = clinicConfig.agent_persona || {};
+  return {
+    ...clinicConfig,
+    agent_persona: {
+      ...persona,
+      language,
+      clinic_language: persona.clinic_language || languageOf(clinicConfig),
+    },
+  };
+}
+
+/**
+ * Whether a config speaks the clinic's own language, so lines the clinic
+ * wrote (a handover phrase) can be used as they are
+ */
+function inClinicLanguage(clinicConfig) {
+  const clinicLanguage = clinicConfig?.agent_persona?.clinic_language;
+  return !clinicLanguage || clinicLanguage === languageOf(clinicConfig);
+}
+
+/**
+ * The languages a clinic's calls can be held in, its own first
+ */
+function callerLanguages(clinicConfig) {
+  const configured = clinicConfig?.agent_persona?.supported_languages;
+  const others = Array.isArray(configured)
+    ? configured.map(packCode)
+    : Object.keys(PACKS);
+  return [...new Set([languageOf(clinicConfig), ...others])].filter(
+    (code) => PACKS[code],
+  );
+}
+
+/**
+ * A keyword list in a language, with the English one added
+ * @param {string} list - e.g. "emergency", "done", or an intent from INTENTS
+ */
+function keywords(language, list) {
+  const own = localePack(language).keywords[list] || [];
+  return [...new Set([...own, ...(PACKS.en.keywords[list] || [])])];
+}
+
+/**
+ * Whether a message contains any keyword from a list
+ */
+function mentions(message, language, list) {
+  const text = normalize(message);
+  return keywords(language, list).some((keyword) =>
+    text.includes(normalize(keyword)),
+  );
+}
+
+/**
+ * Fill a template's {{placeholders}} - one without a value is left out, with
+ * the comma or space before it ("Thank you, {{patient_first_name}}." ->
+ * "Thank you.")
+ */
+function fillTemplate(template, values = {}) {
+  return template
+    .replace(/(,?\s*)\{\{\s*(\w+)\s*\}\}/g, (_, before, name) => {
+      const value = values[name];
+      return value === undefined || value === null || value === ""
+        ? ""
+        : `${before}${value}`;
+    })
+    .trim();
+}
+
+/**
+ * A scripted line in a language, before its placeholders are filled in
+ */
+function phraseTemplate(language, key) {
+  return localePack(language).phrases[key] ?? PACKS.en.phrases[key] ?? "";
+}
+
+/**
+ * A scripted line in a language, placeholders filled in
+ * @param {string} key - e.g. "greeting_open", "handover"
+ */
+function phrase(language, key, values) {
+  return fillTemplate(phraseTemplate(language, key), values);
+}
+
+/**
+ * How strongly a message reads as a language
+ * A message mostly written in the language's own letters outranks any
+ * count of everyday words
+ */
+function languageScore(detection, words) {
+  if (detection.script) {
+    const scripted = words.filter((word) => detection.script.test(word));
+    if (scripted.length > 0 && scripted.length * 2 >= words.length) {
+      return words.length + DETECTION_MIN_WORDS;
+    }
+  }
+  return new Set(words.filter((word) => detection.words.includes(word))).size;
+}
+
+/**
+ * The language a caller is speaking, from one message
+ * @param {string[]} candidates - Pack codes to choose from
+ * @returns {string|null} A pack code, or null when the message doesn't say
+ */
+function detectLanguage(message, candidates = Object.keys(PACKS)) {
+  const words = normalize(message)
+    .split(/[^\p{L}\p{M}']+/u)
+    .filter(Boolean);
+  if (words.length === 0) return null;
+
+  const [best, runnerUp] = candidates
+    .filter((code) => PACKS[code])
+    .map((code) => ({
+      code,
+      score: languageScore(PACKS[code].detection, words),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  if (!best || best.score < DETECTION_MIN_WORDS) return null;
+  if (runnerUp && runnerUp.score === best.score) return null;
+  return best.code;
+}
+
+/**
+ * Reject languages there's no pack for
+ * @throws {LanguageError}
+ */
+function validateLanguage(clinicConfig) {
+  const persona = clinicConfig?.agent_persona || {};
+  const known = Object.keys(PACKS).join(", ");
+  const check = (key, language) => {
+    if (!PACKS[packCode(language)]) {
+      throw new LanguageError(
+        `agent_persona.${key} "${language}" isn't supported (use one of ${known})`,
+      );
+    }
+  };
+
+  if (persona.language) check("language", persona.language);
+  if (persona.supported_languages === undefined) return;
+  if (!Array.isArray(persona.supported_languages)) {
+    throw new LanguageError(
+      "agent_persona.supported_languages must be a list of languages",
+    );
+  }
+  for (const language of persona.supported_languages) {
+    check("supported_languages", language);
+  }
+}
+
+module.exports = {
+  INTENTS,
+  LanguageError,
+  callerLanguages,
+  detectLanguage,
+  fillTemplate,
+  inClinicLanguage,
+  inLanguage,
+  keywords,
+  languageOf,
+  localePack,
+  mentions,
+  phrase,
+  phraseTemplate,
+  validateLanguage,
+};
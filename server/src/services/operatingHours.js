@@ -0,0 +1,246 @@
+/**
+ * Operating Hours
+ *
+ * Works out when a clinic is open on a given date. Each weekday in
+ * `operating_hours.schedule` may list several intervals - split shifts, a
+ * lunch break, a late session:
+ *
+ *   thursday: {
+ *     is_open: true,
+ *     intervals: [{ start: "08:00", end: "12:30" }, { start: "13:30", end: "20:00" }]
+ *   }
+ *
+ * Days without `intervals` use their single `start` / `end`. An interval
+ * whose end is at or before its start runs overnight into the next day
+ * (`{ start: "18:00", end: "02:00" }`).
+ *
+ * `operating_hours.date_overrides` replaces a specific date's hours:
+ *
+ *   [{ date: "2026-10-22", intervals: [{ start: "08:00", end: "12:00" }], reason: "Staff training" }]
+ *
+ * An override with no intervals closes the clinic that day. For any date the
+ * first of these decides the hours:
+ *   1. a closure (see holidayCalendar.js) - closed
+ *   2. a date override
+ *   3. a public holiday - closed unless public_holiday_mode is business_hours_logic
+ *      ("closed" only changes how calls are handled, see holidayCalendar.js)
+ *   4. the weekday schedule
+ *
+ * Dates are "YYYY-MM-DD" and times "HH:MM", both in clinic-local time.
+ */
+
+const {
+  HOLIDAY_MODES,
+  HOLIDAY_STATES,
+  findHoliday,
+} = require("./holidayCalendar");
+
+const DAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+class OperatingHoursError extends Error {
+  constructor(message) {
+    super(`Invalid operating_hours: ${message}`);
+    this.status = 400;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+
+const dayOfWeek = (date) =>
+  DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+const previousDate = (date) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() - 1);
+  return result.toISOString().slice(0, 10);
+};
+
+const isOvernight = (interval) =>
+  toMinutes(interval.end) <= toMinutes(interval.start);
+
+/**
+ * A weekday's intervals, whichever way the day is written
+ */
+function scheduleIntervals(day) {
+  if (!day?.is_open) return [];
+  if (day.intervals?.length) return day.intervals;
+  return day.start && day.end ? [{ start: day.start, end: day.end }] : [];
+}
+
+/**
+ * The date override for a date, if the clinic has one
+ * @returns {{date: string, intervals: Array, reason?: string}|null}
+ */
+function findOverride(clinicConfig, date) {
+  return (
+    (clinicConfig.operating_hours?.date_overrides || []).find(
+      (o) => o.date === date,
+    ) || null
+  );
+}
+
+/**
+ * Intervals that start on a date, after closures, overrides and holidays
+ * Overnight intervals keep their next-day end time
+ * @returns {Array<{start: string, end: string}>} Empty when closed all day
+ */
+function dayIntervals(clinicConfig, date) {
+  const hours = clinicConfig.operating_hours || {};
+  const holiday = findHoliday(clinicConfig, date);
+  if (holiday?.type === "closure") return [];
+
+  const override = findOverride(clinicConfig, date);
+  if (override) return override.intervals || [];
+
+  if (holiday && hours.public_holiday_mode !== "business_hours_logic") {
+    return [];
+  }
+  return scheduleIntervals(hours.schedule?.[dayOfWeek(date)]);
+}
+
+/**
+ * Every stretch of a date the clinic is open, in minutes-of-day order
+ * Includes the early hours of an overnight interval from the day before;
+ * intervals running past midnight end at "24:00"
+ * @returns {Array<{start: string, end: string}>}
+ */
+function openingIntervals(clinicConfig, date) {
+  const carried = dayIntervals(clinicConfig, previousDate(date))
+    .filter((i) => isOvernight(i) && toMinutes(i.end) > 0)
+    .map((i) => ({ start: "00:00", end: i.end }));
+  const own = dayIntervals(clinicConfig, date).map((i) =>
+    isOvernight(i) ? { start: i.start, end: "24:00" } : i,
+  );
+  return [...carried, ...own].sort(
+    (a, b) => toMinutes(a.start) - toMinutes(b.start),
+  );
+}
+
+/**
+ * Whether the clinic is open at a time on a date
+ */
+function isOpenAt(clinicConfig, date, time) {
+  const minutes = toMinutes(time);
+  return openingIntervals(clinicConfig, date).some(
+    (i) => minutes >= toMinutes(i.start) && minutes < toMinutes(i.end),
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// VALIDATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Check a list of intervals: valid times, no zero-length or overlapping ones
+ */
+function validateIntervals(intervals, where) {
+  if (!Array.isArray(intervals)) {
+    throw new OperatingHoursError(`${where}.intervals must be a list`);
+  }
+  const ranges = intervals.map((interval, i) => {
+    if (
+      !TIME_PATTERN.test(interval?.start || "") ||
+      !TIME_PATTERN.test(interval?.end || "")
+    ) {
+      throw new OperatingHoursError(
+        `${where}.intervals[${i}] needs a start and end as HH:MM`,
+      );
+    }
+    const start = toMinutes(interval.start);
+    const end = toMinutes(interval.end);
+    if (start === end) {
+      throw new OperatingHoursError(
+        `${where}.intervals[${i}] starts and ends at the same time`,
+      );
+    }
+    return [start, end <= start ? end + MINUTES_PER_DAY : end];
+  });
+
+  ranges
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start], i) => {
+      if (i > 0 && start < ranges[i - 1][1]) {
+        throw new OperatingHoursError(`${where} has overlapping intervals`);
+      }
+    });
+}
+
+/**
+ * Check an operating_hours block before a clinic is saved or a call starts
+ * @throws {OperatingHoursError}
+ */
+function validateOperatingHours(operatingHours = {}) {
+  const {
+    holiday_state: state,
+    public_holiday_mode: mode,
+    schedule = {},
+  } = operatingHours;
+
+  for (const [day, hours] of Object.entries(schedule)) {
+    if (hours?.intervals) validateIntervals(hours.intervals, day);
+  }
+
+  (operatingHours.date_overrides || []).forEach((override, i) => {
+    if (!DATE_PATTERN.test(override?.date || "")) {
+      throw new OperatingHoursError(
+        `date_overrides[${i}].date must be YYYY-MM-DD`,
+      );
+    }
+    validateIntervals(override.intervals || [], `date_overrides[${i}]`);
+  });
+
+  if (state && !HOLIDAY_STATES.includes(state)) {
+    throw new OperatingHoursError(
+      `holiday_state must be one of ${HOLIDAY_STATES.join(", ")}`,
+    );
+  }
+  if (mode && !HOLIDAY_MODES.includes(mode)) {
+    throw new OperatingHoursError(
+      `public_holiday_mode must be one of ${HOLIDAY_MODES.join(", ")}`,
+    );
+  }
+  (operatingHours.closures || []).forEach((closure, i) => {
+    if (!DATE_PATTERN.test(closure?.date || "")) {
+      throw new OperatingHoursError(`closures[${i}].date must be YYYY-MM-DD`);
+    }
+    if (
+      closure.end_date &&
+      (!DATE_PATTERN.test(closure.end_date) || closure.end_date < closure.date)
+    ) {
+      throw new OperatingHoursError(
+        `closures[${i}].end_date must be a YYYY-MM-DD date on or after its date`,
+      );
+    }
+  });
+}
+
+module.exports = {
+  OperatingHoursError,
+  dayIntervals,
+  openingIntervals,
+  isOpenAt,
+  findOverride,
+  validateOperatingHours,
+};
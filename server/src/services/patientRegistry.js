@@ -0,0 +1,378 @@
+/**
+ * Patient Registry
+ *
+ * The clinic's patients, kept per clinic in the `patients` collection, so a
+ * caller's name and date of birth can be checked against real records:
+ *
+ *   existing     - the date of birth matches a patient whose name is close
+ *                  enough (misspellings, a missing middle name, "Jon" for
+ *                  "John", "Zoe" for "Zoë")
+ *   dob_mismatch - the name matches a patient but the date of birth doesn't
+ *   new          - no patient has that name
+ *
+ * A clinic with no patients on file doesn't use the registry, and callers
+ * are taken at their word as before.
+ *
+ * Patients are imported from CSV with a header row. Columns are matched by
+ * name (case and spacing don't matter): `name` or `first_name` + `last_name`,
+ * `dob` (DD/MM/YYYY or YYYY-MM-DD), and optionally `phone`, `email` and
+ * `patient_id` (the clinic's own record number). Re-importing a patient -
+ * same patient_id, or same name and date of birth - updates their record,
+ * keeping anything the new row leaves blank. Skipped rows are reported by
+ * their row in the file, blank lines included.
+ *
+ * Dates of birth are stored as "YYYY-MM-DD".
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+const PATIENTS = "patients";
+
+// Name similarity (0-1) needed for a match, and for a near-miss on the
+// date of birth to count as the same person
+const NAME_MATCH_THRESHOLD = 0.8;
+const DOB_MISMATCH_THRESHOLD = 0.9;
+
+const TITLES = /^(mr|mrs|ms|miss|mx|dr|prof)\.?$/;
+
+const COLUMN_ALIASES = {
+  name: ["name", "full_name", "patient_name"],
+  first_name: ["first_name", "given_name", "firstname", "first"],
+  last_name: ["last_name", "surname", "family_name", "lastname", "last"],
+  dob: ["dob", "date_of_birth", "birth_date", "birthdate"],
+  phone: ["phone", "mobile", "phone_number", "contact_number"],
+  email: ["email", "email_address"],
+  external_id: ["patient_id", "mrn", "record_number", "external_id", "id"],
+};
+
+class PatientNotFoundError extends Error {
+  constructor(patientId) {
+    super("Patient not found");
+    this.patientId = patientId;
+    this.status = 404;
+  }
+}
+
+class PatientDataError extends Error {
+  constructor(message) {
+    super(`Invalid patient data: ${message}`);
+    this.status = 400;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// NAMES AND DATES
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * A name's words, lowercased, without titles, punctuation or accents
+ * ("Zoë Nguyễn" and "Zoe Nguyen" are the same name)
+ */
+function nameTokens(name) {
+  return (name || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\s'’-]/gu, " ")
+    .replace(/['’-]/g, "")
+    .split(/\s+/)
+    .filter((token) => token && !TITLES.test(token));
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const wordSimilarity = (a, b) =>
+  1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+
+/**
+ * How alike two names are, 0-1
+ * First and last names are compared separately, so a middle name or
+ * initial the caller leaves out doesn't count against them
+ */
+function nameSimilarity(spoken, recorded) {
+  const said = nameTokens(spoken);
+  const onFile = nameTokens(recorded);
+  if (said.length === 0 || onFile.length === 0) return 0;
+
+  const last = wordSimilarity(said[said.length - 1], onFile[onFile.length - 1]);
+  if (said.length === 1 || onFile.length === 1) return last;
+  const first = wordSimilarity(said[0], onFile[0]);
+  return (first + last) / 2;
+}
+
+/**
+ * A date of birth as "YYYY-MM-DD", from DD/MM/YYYY (the form calls use),
+ * YYYY-MM-DD or DD-MM-YYYY / DD.MM.YYYY
+ * @returns {string|null} null when it isn't a real date
+ */
+function normalizeDob(dob) {
+  const text = String(dob || "").trim();
+  let day, month, year;
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match;
+  } else {
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (!match) return null;
+    [, day, month, year] = match;
+    if (year.length === 2) year = `${Number(year) > 30 ? 19 : 20}${year}`;
+  }
+
+  const iso = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(iso)
+    ? iso
+    : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CSV
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Rows of a CSV document, honouring quoted fields
+ * Blank lines are kept as rows, so row numbers match the file's
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+
+  return rows;
+}
+
+/**
+ * Which column holds each patient field
+ * @returns {object} field -> column index
+ */
+function mapColumns(header) {
+  const names = header.map((h) =>
+    h
+      .trim()
+      .toLowerCase()
+      .replace(/[\s-]+/g, "_"),
+  );
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = names.findIndex((name) => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  }
+
+  if (
+    columns.name === undefined &&
+    (columns.first_name === undefined || columns.last_name === undefined)
+  ) {
+    throw new PatientDataError(
+      "needs a name column, or first_name and last_name columns",
+    );
+  }
+  if (columns.dob === undefined) {
+    throw new PatientDataError("needs a dob column");
+  }
+  return columns;
+}
+
+class PatientRegistry {
+  /**
+   * @param {object} store - Storage backend (see storage/index.js)
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Add or update patients from a CSV export
+   * Rows without a name or a valid date of birth are skipped
+   * @returns {Promise<{created: number, updated: number, skipped: Array<{row: number, reason: string}>}>}
+   * @throws {PatientDataError}
+   */
+  async importCsv(clinicId, csv) {
+    if (typeof csv !== "string" || !csv.trim()) {
+      throw new PatientDataError("the CSV is empty");
+    }
+    // Spreadsheets often save CSVs with a byte order mark
+    const [header, ...rows] = parseCsv(csv.replace(/^\uFEFF/, ""))
+      .map((values, i) => ({ values, number: i + 1 })) // 1-based
+      .filter(({ values }) => values.some((value) => value.trim()));
+    if (!header) throw new PatientDataError("the CSV is empty");
+    const columns = mapColumns(header.values);
+    const value = (row, field) =>
+      columns[field] === undefined ? "" : (row[columns[field]] || "").trim();
+
+    const patients = await this.list(clinicId);
+    const report = { created: 0, updated: 0, skipped: [] };
+
+    for (const { values: row, number: rowNumber } of rows) {
+      const name =
+        value(row, "name") ||
+        [value(row, "first_name"), value(row, "last_name")]
+          .filter(Boolean)
+          .join(" ");
+      const dob = normalizeDob(value(row, "dob"));
+      if (!name) {
+        report.skipped.push({ row: rowNumber, reason: "No name" });
+        continue;
+      }
+      if (!dob) {
+        report.skipped.push({
+          row: rowNumber,
+          reason: `"${value(row, "dob")}" isn't a date of birth`,
+        });
+        continue;
+      }
+
+      const details = {
+        name,
+        dob,
+        phone: value(row, "phone") || null,
+        email: value(row, "email") || null,
+        external_id: value(row, "external_id") || null,
+      };
+      const existing = patients.find((p) =>
+        details.external_id
+          ? p.external_id === details.external_id
+          : p.dob === dob &&
+            nameTokens(p.name).join(" ") === nameTokens(name).join(" "),
+      );
+
+      if (existing) {
+        // Blank columns keep what's already on file
+        for (const [field, fieldValue] of Object.entries(details)) {
+          if (fieldValue) existing[field] = fieldValue;
+        }
+        existing.updated_at = new Date().toISOString();
+        await this.store.put(PATIENTS, existing.patient_id, existing);
+        report.updated++;
+      } else {
+        patients.push(await this.add(clinicId, details));
+        report.created++;
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Add one patient
+   * @param {object} details - { name, dob, phone, email, external_id }
+   * @throws {PatientDataError}
+   */
+  async add(clinicId, { name, dob, phone, email, external_id: externalId }) {
+    const normalizedDob = normalizeDob(dob);
+    if (!name?.trim() || !normalizedDob) {
+      throw new PatientDataError("a patient needs a name and a date of birth");
+    }
+    const patient = {
+      patient_id: `pt_${uuidv4()}`,
+      clinic_id: clinicId,
+      name: name.trim(),
+      dob: normalizedDob,
+      phone: phone || null,
+      email: email || null,
+      external_id: externalId || null,
+      created_at: new Date().toISOString(),
+    };
+    return this.store.put(PATIENTS, patient.patient_id, patient);
+  }
+
+  /**
+   * A clinic's patients, by name (?q= narrows to close names)
+   */
+  async list(clinicId, { q } = {}) {
+    const patients = (await this.store.list(PATIENTS)).filter(
+      (p) => p.clinic_id === clinicId,
+    );
+    return patients
+      .filter((p) => !q || nameSimilarity(q, p.name) >= NAME_MATCH_THRESHOLD)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @throws {PatientNotFoundError}
+   */
+  async get(patientId) {
+    const patient = await this.store.get(PATIENTS, patientId);
+    if (!patient) throw new PatientNotFoundError(patientId);
+    return patient;
+  }
+
+  /**
+   * Check a caller's name and date of birth against the clinic's patients
+   * @param {object} caller - { name, dob } as the caller gave them
+   * @returns {Promise<{status: "existing"|"dob_mismatch"|"new"|"no_registry", patient: object|null}>}
+   */
+  async verify(clinicId, { name, dob }) {
+    const patients = await this.list(clinicId);
+    if (patients.length === 0) return { status: "no_registry", patient: null };
+
+    const callerDob = normalizeDob(dob);
+    const scored = patients
+      .map((patient) => ({
+        patient,
+        score: nameSimilarity(name, patient.name),
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const match = scored.find(
+      (s) => s.patient.dob === callerDob && s.score >= NAME_MATCH_THRESHOLD,
+    );
+    if (match) return { status: "existing", patient: match.patient };
+
+    const namesake = scored[0];
+    if (namesake.score >= DOB_MISMATCH_THRESHOLD) {
+      return { status: "dob_mismatch", patient: namesake.patient };
+    }
+    return { status: "new", patient: null };
+  }
+}
+
+module.exports = {
+  PatientRegistry,
+  PatientNotFoundError,
+  PatientDataError,
+  nameSimilarity,
+  normalizeDob,
+};
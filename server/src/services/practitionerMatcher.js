@@ -0,0 +1,240 @@
+/**
+ * Practitioner Matcher
+ *
+ * Finds the practitioners who suit the reason a caller gives for booking -
+ * "a skin check", "women's health", "my son's asthma" - from the
+ * `booking_rules.specializations` in the clinic's staff directory.
+ *
+ * Both sides go through the same table of care areas. A practitioner listed
+ * with "Skin Cancer Medicine" and a caller asking for "a mole looked at" both
+ * land in `skin`, so they match without either using the other's words. A
+ * specialization the table doesn't know still matches when the caller says it
+ * outright ("acupuncture").
+ *
+ * Matches are ranked so the caller is offered someone they can actually see
+ * soonest: practitioners open to the caller (accepting new patients, for a new
+ * patient) first, then by their next free appointment, then by name.
+ */
+
+// Care areas: the words clinics list specializations under and the
+// words callers use for them
+const CARE_AREAS = {
+  skin: {
+    label: "skin checks and skin conditions",
+    terms: [
+      "skin",
+      "dermatology",
+      "mole",
+      "rash",
+      "eczema",
+      "acne",
+      "psoriasis",
+      "melanoma",
+      "sun spot",
+      "skin cancer",
+    ],
+  },
+  womens_health: {
+    label: "women's health",
+    terms: [
+      "women's health",
+      "womens health",
+      "women",
+      "gynaecology",
+      "gynecology",
+      "obstetrics",
+      "pap smear",
+      "cervical screening",
+      "contraception",
+      "the pill",
+      "iud",
+      "implanon",
+      "pregnancy",
+      "pregnant",
+      "antenatal",
+      "menopause",
+      "period",
+      "fertility",
+    ],
+  },
+  mens_health: {
+    label: "men's health",
+    terms: ["men's health", "mens health", "prostate", "vasectomy"],
+  },
+  children: {
+    label: "children's health",
+    terms: [
+      "paediatrics",
+      "pediatrics",
+      "child",
+      "children",
+      "kids",
+      "baby",
+      "toddler",
+      "infant",
+      "my son",
+      "my daughter",
+    ],
+  },
+  mental_health: {
+    label: "mental health",
+    terms: [
+      "mental health",
+      "psychology",
+      "psychiatry",
+      "anxiety",
+      "depression",
+      "stress",
+      "counselling",
+      "counseling",
+      "mental health plan",
+    ],
+  },
+  sports: {
+    label: "sports injuries",
+    terms: [
+      "sports medicine",
+      "sports injury",
+      "sport",
+      "musculoskeletal",
+      "sprain",
+      "strain",
+      "injury",
+      "joint pain",
+    ],
+  },
+  chronic_disease: {
+    label: "chronic conditions",
+    terms: [
+      "chronic disease",
+      "chronic condition",
+      "diabetes",
+      "blood sugar",
+      "blood pressure",
+      "hypertension",
+      "asthma",
+      "copd",
+      "heart disease",
+    ],
+  },
+  older_people: {
+    label: "older people's health",
+    terms: [
+      "aged care",
+      "geriatrics",
+      "elderly",
+      "older person",
+      "dementia",
+      "memory",
+    ],
+  },
+  travel: {
+    label: "travel health",
+    terms: ["travel medicine", "travel", "travel vaccination", "overseas"],
+  },
+};
+
+/**
+ * Lowercase, straight apostrophes, single spaces
+ */
+const normalize = (text) =>
+  ` ${(text || "")
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^a-z0-9'\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()} `;
+
+// Whole words or phrases only - "strain" isn't in "restraint"
+const mentions = (normalizedText, term) => normalizedText.includes(` ${term} `);
+
+/**
+ * The care areas a piece of text is about
+ * @returns {string[]} Area keys, e.g. ["skin"]
+ */
+function careAreasIn(text) {
+  const normalized = normalize(text);
+  return Object.entries(CARE_AREAS)
+    .filter(([, area]) => area.terms.some((term) => mentions(normalized, term)))
+    .map(([key]) => key);
+}
+
+/**
+ * Which of a practitioner's specializations cover the caller's reason
+ * @returns {string[]} The practitioner's own specialization names
+ */
+function matchingSpecializations(practitioner, reason) {
+  const wanted = careAreasIn(reason);
+  const normalizedReason = normalize(reason);
+
+  return (practitioner.booking_rules?.specializations || []).filter(
+    (specialization) =>
+      careAreasIn(specialization).some((area) => wanted.includes(area)) ||
+      mentions(normalizedReason, normalize(specialization).trim()),
+  );
+}
+
+/**
+ * What a caller's reason is about, in words ("skin checks and skin
+ * conditions"), or null when it doesn't point to a care area
+ */
+function describeCareArea(reason) {
+  const [area] = careAreasIn(reason);
+  return area ? CARE_AREAS[area].label : null;
+}
+
+class PractitionerMatcher {
+  /**
+   * @param {object} availability - AvailabilityService for each match's next free slot
+   */
+  constructor(availability) {
+    this.availability = availability;
+  }
+
+  /**
+   * Practitioners whose specializations cover a caller's reason, best first
+   * @param {string} reason - The caller's own words
+   * @param {object} options - { from: {date, time}, newPatient }
+   * @returns {Promise<Array<{practitioner: object, specializations: string[], acceptsNewPatients: boolean, bookable: boolean, nextSlot: object|null}>>}
+   *   Empty when the reason doesn't point to any specialization
+   */
+  async match(clinicConfig, reason, { from, newPatient = true } = {}) {
+    const matches = [];
+    for (const practitioner of clinicConfig.staff_directory || []) {
+      const specializations = matchingSpecializations(practitioner, reason);
+      if (specializations.length === 0) continue;
+
+      const acceptsNewPatients =
+        practitioner.booking_rules?.accepts_new_patients !== false;
+      const [nextSlot] = await this.availability.findSlots(clinicConfig, {
+        practitionerId: practitioner.id || practitioner.name,
+        from,
+        limit: 1,
+      });
+      matches.push({
+        practitioner,
+        specializations,
+        acceptsNewPatients,
+        bookable: !newPatient || acceptsNewPatients,
+        nextSlot: nextSlot || null,
+      });
+    }
+
+    const slotKey = (m) =>
+      m.nextSlot ? `${m.nextSlot.date}T${m.nextSlot.start}` : "~";
+    return matches.sort(
+      (a, b) =>
+        b.bookable - a.bookable ||
+        slotKey(a).localeCompare(slotKey(b)) ||
+        a.practitioner.name.localeCompare(b.practitioner.name),
+    );
+  }
+}
+
+module.exports = {
+  CARE_AREAS,
+  PractitionerMatcher,
+  careAreasIn,
+  describeCareArea,
+  matchingSpecializations,
+};
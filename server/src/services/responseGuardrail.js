@@ -0,0 +1,89 @@
+/**
+ * Response Guardrail
+ *
+ * Checks what the LLM wants Heidi to say against the clinic's
+ * `ai_scope.out_of_scope` list before it reaches the caller. The system
+ * prompt already tells the model not to advise, diagnose or touch
+ * prescriptions - this catches the replies where it does anyway.
+ *
+ * A blocked reply is never spoken: AIService returns null text so the caller
+ * falls back to its scripted line, and the call records a
+ * "guardrail_violation: <category>" flag. With `ai_scope.fallback_action:
+ * "escalate_to_staff"` the call is also handed to the clinic team.
+ *
+ * A call in another language is also checked against its locale pack's
+ * `guardrail` patterns, so a reply in Spanish can't advise where one in
+ * English couldn't.
+ */
+
+const { localePack } = require("./localePacks");
+
+/**
+ * Phrasings that put a reply in each out-of-scope category
+ * Categories without patterns here (custom ones) are left to the prompt
+ */
+const OUT_OF_SCOPE_PATTERNS = {
+  medical_advice: [
+    /\byou should (take|try|use|stop|avoid|increase|reduce|apply|drink|rest)\b/i,
+    /\b(i('d| would)? recommend|i suggest|i'd suggest|try) (taking|using|applying|some|a dose)\b/i,
+    /\btake (some |a couple of |two |one )?(paracetamol|panadol|ibuprofen|nurofen|aspirin|antihistamines?|painkillers?)\b/i,
+    /\b\d+\s?(mg|milligrams?|ml|tablets?|capsules?)\b.*\b(every|a day|daily|twice|hours)\b/i,
+  ],
+  prescription_changes: [
+    /\b(increase|decrease|reduce|lower|raise|double|halve|adjust) (your |the )?(dose|dosage|medication|prescription)\b/i,
+    /\b(stop|start|switch|quit) taking (your |the )?\w+/i,
+    /\bi('ll| will| can)( go ahead and)? (renew|refill|prescribe|change|update) (your |the |a )?(prescription|script|medication|dose)\b/i,
+  ],
+  test_result_interpretation: [
+    /\byour ((test|blood|lab|scan|x-ray|pathology) ){0,2}results? (are|is|look|looks|show|shows|came back) (normal|fine|good|clear|abnormal|high|low|elevated|positive|negative|concerning|nothing to worry)/i,
+    /\b(cholesterol|blood sugar|glucose|iron|blood pressure|levels?) (is|are|look|looks) (normal|fine|high|low|elevated|within range)\b/i,
+  ],
+  diagnose_symptoms: [
+    /\b(sounds|seems|looks) like (you have|you've got|it's|it is) (a|an|just|probably)\b/i,
+    /\byou (probably|likely|most likely|may|might) (have|be suffering from|be coming down with)\b/i,
+    /\b(it's|it is|that's|that is) (probably|likely|most likely) (just )?(a |an )?(virus|viral|infection|cold|flu|migraine|allergy|allergic reaction|sprain|strain|side effect)\b/i,
+    /\b(this|that|it) (could|might|may) be (a sign of|a symptom of|caused by|due to)\b/i,
+  ],
+};
+
+/**
+ * Find the out-of-scope categories a reply falls into
+ * @param {string} text - Generated reply
+ * @param {object} [clinicConfig] - Clinic configuration, for its ai_scope
+ * @returns {string[]} Violated categories, empty when the reply is fine
+ */
+function checkResponse(text, clinicConfig) {
+  if (!text) return [];
+  const outOfScope =
+    clinicConfig?.ai_scope?.out_of_scope || Object.keys(OUT_OF_SCOPE_PATTERNS);
+
+  const localPatterns = localePack(
+    clinicConfig?.agent_persona?.language,
+  ).guardrail;
+
+  return outOfScope.filter((category) =>
+    [
+      ...(OUT_OF_SCOPE_PATTERNS[category] || []),
+      ...(localPatterns?.[category] || []),
+    ].some((pattern) => pattern.test(text)),
+  );
+}
+
+/**
+ * Flags to record for a set of violated categories
+ */
+const guardrailFlags = (categories) =>
+  categories.map((category) => `guardrail_violation: ${category}`);
+
+/**
+ * Whether the clinic hands a call to staff after a blocked reply
+ */
+const escalatesToStaff = (clinicConfig) =>
+  clinicConfig?.ai_scope?.fallback_action === "escalate_to_staff";
+
+module.exports = {
+  OUT_OF_SCOPE_PATTERNS,
+  checkResponse,
+  guardrailFlags,
+  escalatesToStaff,
+};
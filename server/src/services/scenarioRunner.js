@@ -0,0 +1,296 @@
+/**
+ * Scenario Runner
+ *
+ * Replays scripted conversations through CallSimulator against the mock LLM
+ * provider and checks the states, flags and outcomes each turn produces, so a
+ * clinic config change can be regression-tested before it goes live.
+ *
+ * Scenario files (server/scenarios/*.json):
+ *
+ *   {
+ *     "id": "emergency_chest_pain",
+ *     "name": "Emergency detection",
+ *     "type": "inbound",                      // or "outbound"
+ *     "callContext": { "day": "monday", "time": "10:00", "date": "2026-10-19" },
+ *                                             // or { "currentTime": "2026-10-19T23:30:00Z" } in the clinic's timezone
+ *     "patient": { "name": "Jo Bloggs", "dob": "01/01/1980" }, // mock identity extraction
+ *     "clinic": { ... },                      // merged over the clinic config under test
+ *     "setup": { "bookings": [{ "practitioner_id", "date", "start" }],
+ *                "patients": [{ "name", "dob" }] }, // patient registry records
+ *     "llm": { "rules": [...], "defaults": {...} }, // extra MockProvider script
+ *     "turns": [
+ *       { "say": "hi", "expect": { "state": "identify" } },
+ *       { "say": "I have chest pain", "expect": { "state": "emergency_exit",
+ *         "flags": ["EMERGENCY_DETECTED"], "complete": true, "outcome": "emergency_redirect" } }
+ *     ]
+ *   }
+ *
+ * Turn expectations: state, flags (all present), notFlags (none present),
+ * complete, outcome, responseIncludes (string or list, case-insensitive) and
+ * priority (the handoff note's priority once the call ends).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const AIService = require("./AIService");
+const CallSimulator = require("./callSimulator");
+const { AvailabilityService } = require("./availabilityService");
+const { SessionStore } = require("./sessionStore");
+const { VoicemailInbox } = require("./voicemailInbox");
+const { TaskInbox } = require("./taskInbox");
+const { PatientRegistry } = require("./patientRegistry");
+const { MockProvider } = require("../llm");
+const MemoryStore = require("../storage/MemoryStore");
+const { defaultClinicConfig } = require("../data/defaultConfig");
+
+const DEFAULT_SCENARIO_DIR = path.join(__dirname, "..", "..", "scenarios");
+
+const SCENARIO_CLINIC_ID = "scenario_clinic";
+
+class ScenarioError extends Error {
+  constructor(message) {
+    super(`Invalid scenario: ${message}`);
+    this.status = 400;
+  }
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Merge scenario overrides into a clinic config
+ * Objects merge key by key, arrays and values replace
+ */
+function mergeConfig(base, overrides) {
+  if (!isObject(base) || !isObject(overrides)) return overrides;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = key in base ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Check a scenario has what the runner needs
+ * @throws {ScenarioError}
+ */
+function validateScenario(scenario) {
+  if (!scenario || typeof scenario.id !== "string") {
+    throw new ScenarioError("every scenario needs an id");
+  }
+  if (!["inbound", "outbound"].includes(scenario.type || "inbound")) {
+    throw new ScenarioError(
+      `"${scenario.id}" has unknown type "${scenario.type}"`,
+    );
+  }
+  if (!Array.isArray(scenario.turns) || scenario.turns.length === 0) {
+    throw new ScenarioError(`"${scenario.id}" has no turns`);
+  }
+  const badTurn = scenario.turns.findIndex((t) => typeof t.say !== "string");
+  if (badTurn !== -1) {
+    throw new ScenarioError(
+      `turn ${badTurn + 1} of "${scenario.id}" needs a "say" message`,
+    );
+  }
+  return scenario;
+}
+
+/**
+ * Load every *.json scenario in a directory, sorted by file name
+ */
+function loadScenarios(dir = DEFAULT_SCENARIO_DIR) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => {
+      const scenario = JSON.parse(
+        fs.readFileSync(path.join(dir, file), "utf8"),
+      );
+      return validateScenario({ ...scenario, file });
+    });
+}
+
+/**
+ * Compare a turn's resulting state against its expectations
+ * @returns {Array<{field: string, expected: *, actual: *}>} Mismatches
+ */
+function checkExpectations(expect = {}, state) {
+  const failures = [];
+  const fail = (field, expected, actual) =>
+    failures.push({ field, expected, actual });
+  const flags = state.flags || [];
+
+  if (expect.state !== undefined && state.currentState !== expect.state) {
+    fail("state", expect.state, state.currentState);
+  }
+  for (const flag of expect.flags || []) {
+    if (!flags.includes(flag)) fail("flags", flag, flags);
+  }
+  for (const flag of expect.notFlags || []) {
+    if (flags.includes(flag)) fail("notFlags", flag, flags);
+  }
+  if (expect.complete !== undefined && !!state.isComplete !== expect.complete) {
+    fail("complete", expect.complete, !!state.isComplete);
+  }
+  if (expect.outcome !== undefined && state.finalOutcome !== expect.outcome) {
+    fail("outcome", expect.outcome, state.finalOutcome);
+  }
+  const includes = [].concat(expect.responseIncludes || []);
+  for (const text of includes) {
+    if (!(state.aiResponse || "").toLowerCase().includes(text.toLowerCase())) {
+      fail("responseIncludes", text, state.aiResponse);
+    }
+  }
+  if (
+    expect.priority !== undefined &&
+    state.summary?.priority !== expect.priority
+  ) {
+    fail("priority", expect.priority, state.summary?.priority ?? null);
+  }
+  return failures;
+}
+
+class ScenarioRunner {
+  /**
+   * @param {object} options
+   * @param {object} options.clinicConfig - Config under test (defaults to defaultClinicConfig)
+   */
+  constructor({ clinicConfig } = {}) {
+    this.clinicConfig = clinicConfig || defaultClinicConfig;
+  }
+
+  /**
+   * Run scenarios one after another
+   * @returns {Promise<{total: number, passed: number, failed: number, results: Array<object>}>}
+   */
+  async runAll(scenarios) {
+    const results = [];
+    for (const scenario of scenarios) {
+      results.push(await this.run(scenario));
+    }
+    const passed = results.filter((r) => r.passed).length;
+    return {
+      total: results.length,
+      passed,
+      failed: results.length - passed,
+      results,
+    };
+  }
+
+  /**
+   * Run one scenario in isolation - its own mock LLM, sessions and an
+   * in-memory booking store, so nothing touches real clinic data
+   * @returns {Promise<{id: string, name: string, passed: boolean, error: string|null, turns: Array<object>}>}
+   */
+  async run(scenario) {
+    validateScenario(scenario);
+    const type = scenario.type || "inbound";
+    const clinicConfig = {
+      ...mergeConfig(this.clinicConfig, scenario.clinic || {}),
+      clinic_id: this.clinicConfig.clinic_id || SCENARIO_CLINIC_ID,
+    };
+
+    const sessionStore = new SessionStore();
+    const store = new MemoryStore();
+    const availability = new AvailabilityService(store);
+    const patients = new PatientRegistry(store);
+    const simulator = new CallSimulator({
+      sessionStore,
+      availability,
+      voicemails: new VoicemailInbox(store),
+      tasks: new TaskInbox(store),
+      patients,
+      aiService: new AIService({
+        provider: new MockProvider({ script: this._script(scenario) }),
+      }),
+    });
+
+    const result = {
+      id: scenario.id,
+      name: scenario.name || scenario.id,
+      passed: false,
+      error: null,
+      turns: [],
+    };
+
+    try {
+      for (const booking of scenario.setup?.bookings || []) {
+        await availability.book(clinicConfig, booking, {
+          patient: booking.patient || scenario.patient,
+        });
+      }
+      for (const patient of scenario.setup?.patients || []) {
+        await patients.add(clinicConfig.clinic_id, patient);
+      }
+
+      const conversation =
+        type === "inbound"
+          ? await simulator.initInboundConversation(
+              clinicConfig,
+              scenario.callContext || {},
+            )
+          : await simulator.initOutboundConversation(
+              clinicConfig,
+              scenario.callContext || {},
+            );
+
+      for (const turn of scenario.turns) {
+        const state = await simulator.continueConversation(
+          conversation.conversationId,
+          turn.say,
+          type,
+        );
+        const failures = checkExpectations(turn.expect, state);
+        result.turns.push({
+          say: turn.say,
+          response: state.aiResponse,
+          state: state.currentState,
+          flags: state.flags,
+          passed: failures.length === 0,
+          failures,
+        });
+        if (state.isComplete) break;
+      }
+
+      if (result.turns.length < scenario.turns.length) {
+        result.error = `Call ended after turn ${result.turns.length} of ${scenario.turns.length}`;
+      }
+    } catch (error) {
+      result.error = error.message;
+    } finally {
+      sessionStore.close();
+    }
+
+    result.passed = !result.error && result.turns.every((t) => t.passed);
+    return result;
+  }
+
+  /**
+   * Mock LLM script for a scenario: its own rules, plus identity extraction
+   * for the scripted patient
+   */
+  _script(scenario) {
+    const rules = [...(scenario.llm?.rules || [])];
+    const { patient } = scenario;
+    if (patient?.name) {
+      rules.push({
+        task: "extraction",
+        match: `full name and date of birth[\\s\\S]*${escapeRegExp(patient.name)}`,
+        reply: { name: patient.name, dob: patient.dob || null },
+      });
+    }
+    return { rules, defaults: scenario.llm?.defaults };
+  }
+}
+
+module.exports = {
+  ScenarioRunner,
+  ScenarioError,
+  loadScenarios,
+  validateScenario,
+  checkExpectations,
+  DEFAULT_SCENARIO_DIR,
+};
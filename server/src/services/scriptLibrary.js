@@ -0,0 +1,299 @@
+/**
+ * Script Library
+ *
+ * The lines Heidi speaks word for word: the fallback whenever the model fails
+ * or its reply is blocked, and every scripted step when the clinic runs in
+ * strict script mode. Each line has a key (see SCRIPTS) and may use
+ * {{placeholders}} - {{clinic_name}}, {{patient_first_name}} and
+ * {{followup_date}} anywhere, plus the ones its entry lists. A placeholder
+ * without a value on a call is left out.
+ *
+ * The defaults come from the call's locale pack (localePacks.js). A clinic
+ * rewrites any of them in `script_library.scripts`; those are written in the
+ * clinic's language, so a call held in another language keeps the pack's.
+ * The persona's `handover_behavior.phrase` is the clinic's handover line.
+ *
+ * `script_library.mode: "strict"` stops the model writing any line that has a
+ * script. Lines built from live details - appointment slots, bookings, the
+ * caller's own request - are still generated.
+ */
+
+const {
+  fillTemplate,
+  inClinicLanguage,
+  languageOf,
+  phrase,
+  phraseTemplate,
+} = require("./localePacks");
+
+// Filled in on every call where Heidi knows them
+const PLACEHOLDERS = ["clinic_name", "patient_first_name", "followup_date"];
+
+const MODES = ["fallback", "strict"];
+
+/**
+ * Every script a clinic can rewrite, in the order the wizard lists them
+ * `placeholders` are the ones a script has on top of PLACEHOLDERS
+ */
+const SCRIPTS = {
+  // Inbound calls
+  greeting_open: { group: "greeting", label: "Greeting, clinic open" },
+  greeting_closed: {
+    group: "greeting",
+    label: "Greeting, clinic closed",
+    placeholders: ["closed_reason"],
+  },
+  greeting_voicemail: {
+    group: "greeting",
+    label: "Greeting, voicemail only",
+    placeholders: ["closed_reason", "voicemail_prompt"],
+  },
+  closed_now: { group: "greeting", label: "Closed reason" },
+  closed_for_holiday: {
+    group: "greeting",
+    label: "Closed reason, public holiday",
+    placeholders: ["holiday"],
+  },
+  ask_identity: { group: "inbound", label: "Ask for name and date of birth" },
+  ask_identity_for_request: {
+    group: "inbound",
+    label: "Ask for name and date of birth after a request",
+    placeholders: ["request"],
+  },
+  triage_question: { group: "inbound", label: "Ask how to help" },
+  help_further: { group: "inbound", label: "Ask what else" },
+  success_exit: { group: "inbound", label: "Goodbye" },
+  confusion_exit: {
+    group: "inbound",
+    label: "Goodbye after repeated confusion",
+  },
+  system_error: { group: "inbound", label: "Something went wrong" },
+  handover: { group: "handover", label: "Handover to staff" },
+  transfer_now: { group: "handover", label: "Transfer request" },
+  transfer_after_hours: {
+    group: "handover",
+    label: "Transfer request, after hours",
+  },
+  clarify_handover: {
+    group: "handover",
+    label: "Handover after unclear answers",
+    placeholders: ["handover"],
+  },
+  frustration_handover: {
+    group: "handover",
+    label: "Handover for a frustrated caller",
+    placeholders: ["handover"],
+  },
+  frustration_after_hours: {
+    group: "handover",
+    label: "Frustrated caller, after hours",
+  },
+  guardrail_handover: {
+    group: "handover",
+    label: "Blocked reply, handover",
+    placeholders: ["handover"],
+  },
+  guardrail_after_hours: {
+    group: "handover",
+    label: "Blocked reply, after hours",
+  },
+  voicemail_prompt: { group: "voicemail", label: "Voicemail prompt" },
+  voicemail_offer: {
+    group: "voicemail",
+    label: "Voicemail on request",
+    placeholders: ["voicemail_prompt"],
+  },
+  voicemail_recorded: { group: "voicemail", label: "Voicemail recorded" },
+  voicemail_recorded_urgent: {
+    group: "voicemail",
+    label: "Voicemail recorded, urgent",
+  },
+  emergency_redirect: { group: "emergency", label: "Emergency, call 000" },
+  emergency_transfer: {
+    group: "emergency",
+    label: "Emergency, transferring",
+    placeholders: ["line"],
+  },
+  emergency_page_on_call: {
+    group: "emergency",
+    label: "Emergency, on-call paged",
+    placeholders: ["name"],
+  },
+  emergency_page_team: {
+    group: "emergency",
+    label: "Emergency, clinical team alerted",
+  },
+  emergency_advice: { group: "emergency", label: "000 advice" },
+
+  // Outbound follow-up calls
+  followup_opening: {
+    group: "followup",
+    label: "Opening",
+    placeholders: ["call_purpose"],
+  },
+  followup_verify_identity: {
+    group: "followup",
+    label: "Confirm identity",
+    placeholders: ["fields"],
+  },
+  followup_verify_retry: {
+    group: "followup",
+    label: "Confirm identity again",
+    placeholders: ["fields"],
+  },
+  followup_identity_escalation: {
+    group: "followup",
+    label: "Identity not confirmed, staff will call",
+  },
+  followup_identity_failed: {
+    group: "followup",
+    label: "Identity not confirmed, goodbye",
+  },
+  followup_lead_opening: {
+    group: "followup",
+    label: "Before the first question",
+  },
+  followup_lead_verified: {
+    group: "followup",
+    label: "After confirming identity",
+  },
+  followup_lead_unverified: {
+    group: "followup",
+    label: "After an unconfirmed identity",
+  },
+  followup_lead_answered: { group: "followup", label: "After an answer" },
+  followup_lead_explained: {
+    group: "followup",
+    label: "After a follow-up answer",
+  },
+  followup_lead_reason: { group: "followup", label: "After a reason" },
+  followup_if_no: {
+    group: "followup",
+    label: "Follow-up question",
+    placeholders: ["question"],
+  },
+  followup_expectation: {
+    group: "followup",
+    label: "What happens next (template has none)",
+  },
+  followup_closing: {
+    group: "followup",
+    label: "Closing",
+    placeholders: ["expectation"],
+  },
+  followup_urgent: { group: "followup", label: "Concerning answer" },
+  followup_escalation_closing: {
+    group: "followup",
+    label: "Goodbye after a concerning answer",
+  },
+  followup_guardrail_escalation: {
+    group: "followup",
+    label: "Blocked reply, care team will call",
+  },
+  followup_goodbye: { group: "followup", label: "Goodbye" },
+  followup_final_note: {
+    group: "followup",
+    label: "Goodbye after a last note",
+  },
+  followup_complete: { group: "followup", label: "Call already over" },
+};
+
+class ScriptLibraryError extends Error {
+  constructor(message) {
+    super(`Invalid script library: ${message}`);
+    this.status = 400;
+  }
+}
+
+/**
+ * The clinic's own scripts, by key
+ */
+function clinicScripts(clinicConfig) {
+  const handover = clinicConfig?.agent_persona?.handover_behavior?.phrase;
+  return {
+    ...(handover && { handover }),
+    ...(clinicConfig?.script_library?.scripts || {}),
+  };
+}
+
+/**
+ * A script for a call, placeholders filled in - the clinic's own version when
+ * the call is in the clinic's language, else the locale pack's
+ * @param {string} key - A key of SCRIPTS
+ * @param {object} [values] - Placeholder values; clinic_name is filled in
+ */
+function script(clinicConfig, key, values = {}) {
+  const filled = { clinic_name: clinicConfig?.clinic_name, ...values };
+  const own = inClinicLanguage(clinicConfig)
+    ? clinicScripts(clinicConfig)[key]
+    : null;
+  return own?.trim()
+    ? fillTemplate(own, filled)
+    : phrase(languageOf(clinicConfig), key, filled);
+}
+
+/**
+ * Whether the clinic runs in strict script mode
+ */
+const isStrict = (clinicConfig) =>
+  clinicConfig?.script_library?.mode === "strict";
+
+/**
+ * Every script with its default in a language, for the wizard
+ */
+function describeScripts(language) {
+  return Object.entries(SCRIPTS).map(([key, entry]) => ({
+    key,
+    group: entry.group,
+    label: entry.label,
+    placeholders: [...PLACEHOLDERS, ...(entry.placeholders || [])],
+    default: phraseTemplate(language, key),
+  }));
+}
+
+/**
+ * Reject unknown modes and keys, and placeholders a script can't fill
+ * @throws {ScriptLibraryError}
+ */
+function validateScriptLibrary(clinicConfig) {
+  const library = clinicConfig?.script_library;
+  if (library === undefined || library === null) return;
+
+  if (library.mode !== undefined && !MODES.includes(library.mode)) {
+    throw new ScriptLibraryError(
+      `mode "${library.mode}" must be one of ${MODES.join(", ")}`,
+    );
+  }
+
+  const scripts = library.scripts || {};
+  if (typeof scripts !== "object" || Array.isArray(scripts)) {
+    throw new ScriptLibraryError("scripts must map script keys to text");
+  }
+  for (const [key, text] of Object.entries(scripts)) {
+    const entry = SCRIPTS[key];
+    if (!entry) throw new ScriptLibraryError(`unknown script "${key}"`);
+    if (typeof text !== "string") {
+      throw new ScriptLibraryError(`script "${key}" must be text`);
+    }
+    const allowed = [...PLACEHOLDERS, ...(entry.placeholders || [])];
+    for (const [, name] of text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+      if (!allowed.includes(name)) {
+        throw new ScriptLibraryError(
+          `script "${key}" can't use {{${name}}} (use ${allowed
+            .map((p) => `{{${p}}}`)
+            .join(", ")})`,
+        );
+      }
+    }
+  }
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  SCRIPTS,
+  ScriptLibraryError,
+  describeScripts,
+  isStrict,
+  script,
+  validateScriptLibrary,
+};
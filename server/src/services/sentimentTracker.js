@@ -0,0 +1,98 @@
+/**
+ * Sentiment Tracker
+ *
+ * Keeps a rolling frustration score for an inbound call from the per-turn
+ * sentiment AIService.analyzeSentiment returns. A turn's frustration is how
+ * negative it was (0 for neutral or positive, up to 1), smoothed so a single
+ * sharp remark doesn't escalate a call but a run of them does.
+ *
+ * `call_classification.escalation_triggers.sentiment_threshold` sets when the
+ * call is handed to staff:
+ *   "mildly_negative" | "negative" | "very_negative" - named levels
+ *   a number from 0 to 1                               - a frustration score
+ *   null or "off"                                      - never (still tracked)
+ */
+
+const SENTIMENT_THRESHOLDS = {
+  mildly_negative: 0.3,
+  negative: 0.5,
+  very_negative: 0.7,
+};
+
+// Weight of the latest turn in the rolling score
+const SMOOTHING = 0.4;
+
+class SentimentThresholdError extends Error {
+  constructor(value) {
+    super(
+      `Invalid sentiment_threshold "${value}" - use ${Object.keys(SENTIMENT_THRESHOLDS).join(", ")}, off, or a number from 0 to 1`,
+    );
+    this.status = 400;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The frustration score that escalates a call, or null when it never does
+ * @throws {SentimentThresholdError}
+ */
+function frustrationThreshold(clinicConfig) {
+  const value =
+    clinicConfig?.call_classification?.escalation_triggers?.sentiment_threshold;
+  if (value === undefined || value === null || value === "off") return null;
+  if (typeof value === "number" && value >= 0 && value <= 1) return value;
+  if (SENTIMENT_THRESHOLDS[value] !== undefined) {
+    return SENTIMENT_THRESHOLDS[value];
+  }
+  throw new SentimentThresholdError(value);
+}
+
+/**
+ * Fold one turn's sentiment into the call's running state
+ * @param {object|null} previous - The conversation's `sentiment`, if any
+ * @param {object} analysis - { sentiment, score, magnitude } for the turn
+ * @returns {{frustration: number, trend: Array<object>, escalated: boolean}}
+ */
+function updateSentiment(previous, analysis) {
+  const trend = previous?.trend || [];
+  const turnFrustration = Math.min(1, Math.max(0, -(analysis.score || 0)));
+  const frustration =
+    trend.length === 0
+      ? turnFrustration * SMOOTHING
+      : SMOOTHING * turnFrustration + (1 - SMOOTHING) * previous.frustration;
+
+  return {
+    frustration: round(frustration),
+    trend: [
+      ...trend,
+      {
+        turn: trend.length + 1,
+        sentiment: analysis.sentiment || "neutral",
+        score: round(analysis.score || 0),
+        frustration: round(frustration),
+      },
+    ],
+    escalated: !!previous?.escalated,
+  };
+}
+
+/**
+ * Whether a call has just become frustrated enough to hand to staff
+ */
+function shouldEscalate(sentiment, threshold) {
+  return (
+    threshold !== null &&
+    !!sentiment &&
+    !sentiment.escalated &&
+    sentiment.frustration >= threshold
+  );
+}
+
+module.exports = {
+  SENTIMENT_THRESHOLDS,
+  SentimentThresholdError,
+  frustrationThreshold,
+  updateSentiment,
+  shouldEscalate,
+};
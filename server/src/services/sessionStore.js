@@ -0,0 +1,133 @@
+/**
+ * Conversation Session Store
+ *
+ * Holds the server-owned state of every simulated call, keyed by
+ * conversationId. Clients only ever send the conversationId and the new
+ * patient message, so they can't tamper with flags, identity or state.
+ *
+ * Sessions expire after a period of inactivity (SESSION_TTL_MINUTES,
+ * default 30) and are swept periodically.
+ */
+
+const DEFAULT_TTL_MINUTES = 30;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Error for a request the session can't serve, with the HTTP status to use
+ */
+class SessionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class SessionNotFoundError extends SessionError {
+  constructor(conversationId) {
+    super("Conversation not found or expired", 404);
+    this.conversationId = conversationId;
+  }
+}
+
+class SessionStore {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlMs - Inactivity timeout in milliseconds
+   */
+  constructor({ ttlMs } = {}) {
+    this.ttlMs =
+      ttlMs ||
+      Number(process.env.SESSION_TTL_MINUTES || DEFAULT_TTL_MINUTES) *
+        60 *
+        1000;
+    this.sessions = new Map();
+
+    // Don't keep the process alive just for the sweeper
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Start a session for a new conversation
+   * @param {object} conversation - Conversation state (must have conversationId)
+   * @param {object} clinicConfig - Clinic config the call runs against
+   * @param {string} type - "inbound" | "outbound"
+   */
+  create(conversation, clinicConfig, type) {
+    const now = Date.now();
+    const session = {
+      conversationId: conversation.conversationId,
+      type,
+      clinicConfig,
+      conversation,
+      busy: false,
+      createdAt: now,
+      lastActivity: now,
+    };
+    this.sessions.set(conversation.conversationId, session);
+    return session;
+  }
+
+  /**
+   * Get a live session, or throw if it's missing or expired
+   */
+  get(conversationId) {
+    const session = this.sessions.get(conversationId);
+    if (!session || this._isExpired(session)) {
+      this.sessions.delete(conversationId);
+      throw new SessionNotFoundError(conversationId);
+    }
+    return session;
+  }
+
+  /**
+   * Store the latest conversation state and refresh the TTL
+   */
+  save(conversationId, conversation) {
+    const session = this.get(conversationId);
+    session.conversation = conversation;
+    session.lastActivity = Date.now();
+    return session;
+  }
+
+  delete(conversationId) {
+    return this.sessions.delete(conversationId);
+  }
+
+  /**
+   * Public view of a session (without the clinic config)
+   */
+  describe(session) {
+    return {
+      conversationId: session.conversationId,
+      type: session.type,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastActivity: new Date(session.lastActivity).toISOString(),
+      expiresAt: new Date(session.lastActivity + this.ttlMs).toISOString(),
+      conversation: session.conversation,
+    };
+  }
+
+  /**
+   * Stop the sweeper, for stores that outlive a single run (e.g. scenarios)
+   */
+  close() {
+    clearInterval(this.sweeper);
+    this.sessions.clear();
+  }
+
+  /**
+   * Drop every expired session
+   */
+  sweep() {
+    for (const [id, session] of this.sessions) {
+      if (this._isExpired(session)) this.sessions.delete(id);
+    }
+  }
+
+  _isExpired(session) {
+    return Date.now() - session.lastActivity > this.ttlMs;
+  }
+}
+
+module.exports = { SessionStore, SessionError, SessionNotFoundError };
@@ -0,0 +1,171 @@
+/**
+ * Task Inbox
+ *
+ * Follow-up work a call leaves for the clinic team, kept per clinic in the
+ * `tasks` collection. Every callback in a finished call's handoff note (see
+ * callSummarizer.js) becomes a task:
+ *
+ *   type      - message, callback, appointment_request, appointment_approval,
+ *               clinical_concern, admin_request, reschedule_request, voicemail,
+ *               emergency_followup, clinical_review, answer_review
+ *   patient   - { name, dob, patient_id } of the caller (null when they weren't
+ *               identified; patient_id only for registry matches)
+ *   reason    - what needs doing
+ *   team      - who it's for (reception, clinical, practitioner, ...)
+ *   priority  - urgent | routine
+ *   due / due_by - when, in words and as a clinic-local "YYYY-MM-DDTHH:MM"
+ *   callback_window - { date, start, end } the caller was promised, if any
+ *               (see callbackScheduler.js)
+ *   message   - the caller's own words, from the handoff note's quotes
+ *
+ * Tasks start "open", become "assigned" once someone picks them up, and end
+ * "completed".
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+const TASKS = "tasks";
+
+const TASK_STATUSES = ["open", "assigned", "completed"];
+
+class TaskNotFoundError extends Error {
+  constructor(taskId) {
+    super("Task not found");
+    this.taskId = taskId;
+    this.status = 404;
+  }
+}
+
+class TaskCompletedError extends Error {
+  constructor(taskId) {
+    super("Task is already completed");
+    this.taskId = taskId;
+    this.status = 409;
+  }
+}
+
+class TaskInbox {
+  /**
+   * @param {object} store - Storage backend (see storage/index.js)
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create a task for every callback a finished call owes
+   * @param {object} clinicConfig
+   * @param {object} conversation - Final conversation state
+   * @param {object} summary - Its handoff note
+   * @returns {Promise<Array<object>>} The created tasks
+   */
+  async createFromCall(clinicConfig, conversation, summary) {
+    const quotes = (summary.quotes || []).map((quote) => quote.text);
+    const patient = summary.caller?.name
+      ? {
+          name: summary.caller.name,
+          dob: summary.caller.dob || null,
+          patient_id: summary.caller.patientId || null,
+        }
+      : null;
+
+    const tasks = [];
+    for (const callback of summary.callbacks || []) {
+      const task = {
+        task_id: `task_${uuidv4()}`,
+        clinic_id: clinicConfig.clinic_id || null,
+        conversation_id: conversation.conversationId,
+        type: callback.type,
+        patient,
+        reason: callback.reason,
+        team: callback.team,
+        priority: callback.priority,
+        due: callback.due,
+        due_by: callback.dueBy || null,
+        callback_window: callback.window || null,
+        message: quotes.length > 0 ? quotes.join(" ") : null,
+        status: "open",
+        assigned_to: null,
+        created_at: new Date().toISOString(),
+      };
+      tasks.push(await this.store.put(TASKS, task.task_id, task));
+    }
+    return tasks;
+  }
+
+  /**
+   * A clinic's tasks - unfinished first, then urgent, then soonest due
+   * @param {object} filters - { status, type, priority, team, assignedTo }
+   */
+  async list(clinicId, { status, type, priority, team, assignedTo } = {}) {
+    const tasks = await this.store.list(TASKS);
+    return tasks
+      .filter(
+        (t) =>
+          t.clinic_id === clinicId &&
+          (!status || t.status === status) &&
+          (!type || t.type === type) &&
+          (!priority || t.priority === priority) &&
+          (!team || t.team === team) &&
+          (!assignedTo || t.assigned_to === assignedTo),
+      )
+      .sort(
+        (a, b) =>
+          (a.status === "completed") - (b.status === "completed") ||
+          (b.priority === "urgent") - (a.priority === "urgent") ||
+          (a.due_by || "~").localeCompare(b.due_by || "~") ||
+          a.created_at.localeCompare(b.created_at),
+      );
+  }
+
+  /**
+   * @throws {TaskNotFoundError}
+   */
+  async get(taskId) {
+    const task = await this.store.get(TASKS, taskId);
+    if (!task) throw new TaskNotFoundError(taskId);
+    return task;
+  }
+
+  /**
+   * Give a task to a staff member
+   * @throws {TaskNotFoundError|TaskCompletedError}
+   */
+  async assign(taskId, assignee) {
+    const task = await this._getOpenTask(taskId);
+    return this.store.put(TASKS, taskId, {
+      ...task,
+      status: "assigned",
+      assigned_to: assignee,
+      assigned_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Close a task, with an optional note on what was done
+   * @throws {TaskNotFoundError|TaskCompletedError}
+   */
+  async complete(taskId, { completedBy, note } = {}) {
+    const task = await this._getOpenTask(taskId);
+    return this.store.put(TASKS, taskId, {
+      ...task,
+      status: "completed",
+      completed_at: new Date().toISOString(),
+      completed_by: completedBy || task.assigned_to || null,
+      resolution_note: note || null,
+    });
+  }
+
+  async _getOpenTask(taskId) {
+    const task = await this.get(taskId);
+    if (task.status === "completed") throw new TaskCompletedError(taskId);
+    return task;
+  }
+}
+
+module.exports = {
+  TASK_STATUSES,
+  TaskInbox,
+  TaskNotFoundError,
+  TaskCompletedError,
+};
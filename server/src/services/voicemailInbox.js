@@ -0,0 +1,195 @@
+/**
+ * Voicemail Inbox
+ *
+ * Voicemails callers leave with Heidi, kept per clinic in the `voicemails`
+ * collection. Each one is a transcription record: who called (as far as the
+ * message says), what they said and how urgent it sounds.
+ *
+ * Heidi records a voicemail instead of running the normal call flow:
+ *   - after hours, when workflow_rules.after_hours_logic.inbound_call_action
+ *     is "voicemail_only"
+ *   - on a public holiday, when operating_hours.public_holiday_mode is "closed"
+ *   - when a caller asks for it with one of call_classification.voicemail_triggers
+ *     before they've been identified
+ *
+ * With after_hours_logic.voicemail_transcription off, only the call details
+ * are kept - the message isn't transcribed, so it has no caller details or
+ * urgency either.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+const VOICEMAILS = "voicemails";
+
+// Words that make a message worth hearing first, on top of the clinic's
+// escalation keywords
+const URGENT_TERMS = [
+  "urgent",
+  "asap",
+  "as soon as possible",
+  "today",
+  "worse",
+  "straight away",
+  "right away",
+];
+
+// Australian landline and mobile numbers, with or without +61
+const PHONE_PATTERN = /(?:\+61|0)[2-478](?:[ -]?\d){8}/;
+
+class VoicemailNotFoundError extends Error {
+  constructor(voicemailId) {
+    super("Voicemail not found");
+    this.voicemailId = voicemailId;
+    this.status = 404;
+  }
+}
+
+/**
+ * Whether a call goes straight to voicemail
+ * @param {object} call - { isBusinessHours, holiday } for the call
+ */
+function isVoicemailOnly(clinicConfig, { isBusinessHours, holiday }) {
+  if (isBusinessHours) return false;
+  const afterHours = clinicConfig.workflow_rules?.after_hours_logic || {};
+  return (
+    afterHours.inbound_call_action === "voicemail_only" ||
+    (holiday?.type === "public_holiday" &&
+      clinicConfig.operating_hours?.public_holiday_mode === "closed")
+  );
+}
+
+/**
+ * Whether the caller asked to leave a voicemail
+ */
+function wantsVoicemail(message, clinicConfig) {
+  const lower = message.toLowerCase();
+  return (clinicConfig.call_classification?.voicemail_triggers || []).some(
+    (trigger) => trigger.trim() && lower.includes(trigger.toLowerCase()),
+  );
+}
+
+/**
+ * How urgent a voicemail sounds
+ * @returns {{urgency: "urgent"|"routine", reason: string|null}}
+ */
+function classifyUrgency(message, clinicConfig) {
+  const lower = message.toLowerCase();
+  const keywords = [
+    ...URGENT_TERMS,
+    ...(clinicConfig.call_classification?.escalation_triggers?.keywords || []),
+  ];
+  const matched = keywords.find((keyword) =>
+    lower.includes(keyword.toLowerCase()),
+  );
+  return matched
+    ? { urgency: "urgent", reason: `Mentions "${matched}"` }
+    : { urgency: "routine", reason: null };
+}
+
+/**
+ * A phone number the caller left in their message
+ */
+function extractPhone(message) {
+  const match = message.match(PHONE_PATTERN);
+  return match ? match[0].replace(/[ -]/g, "") : null;
+}
+
+/**
+ * Whether a clinic transcribes voicemails
+ */
+const transcribes = (clinicConfig) =>
+  clinicConfig.workflow_rules?.after_hours_logic?.voicemail_transcription !==
+  false;
+
+class VoicemailInbox {
+  /**
+   * @param {object} store - Storage backend (see storage/index.js)
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Save a voicemail to the clinic's inbox
+   * @param {object} clinicConfig
+   * @param {object} details - { message, caller: { name, dob }, intent, conversationId, receivedAt }
+   */
+  async record(clinicConfig, details) {
+    const { message, caller, intent, conversationId, receivedAt } = details;
+    const transcribed = transcribes(clinicConfig);
+    const { urgency, reason } = transcribed
+      ? classifyUrgency(message, clinicConfig)
+      : { urgency: null, reason: null };
+
+    const voicemail = {
+      voicemail_id: `vm_${uuidv4()}`,
+      clinic_id: clinicConfig.clinic_id || null,
+      conversation_id: conversationId || null,
+      received_at: receivedAt,
+      status: "new",
+      transcribed,
+      transcription: transcribed ? message : null,
+      caller: transcribed
+        ? {
+            name: caller?.name || null,
+            dob: caller?.dob || null,
+            phone: extractPhone(message),
+          }
+        : null,
+      intent: transcribed ? intent || null : null,
+      urgency,
+      urgency_reason: reason,
+    };
+    return this.store.put(VOICEMAILS, voicemail.voicemail_id, voicemail);
+  }
+
+  /**
+   * A clinic's voicemails, urgent first and then newest first
+   * @param {object} filters - { urgency, status }
+   */
+  async list(clinicId, { urgency, status } = {}) {
+    const voicemails = await this.store.list(VOICEMAILS);
+    return voicemails
+      .filter(
+        (v) =>
+          v.clinic_id === clinicId &&
+          (!urgency || v.urgency === urgency) &&
+          (!status || v.status === status),
+      )
+      .sort(
+        (a, b) =>
+          (b.urgency === "urgent") - (a.urgency === "urgent") ||
+          b.received_at.localeCompare(a.received_at),
+      );
+  }
+
+  /**
+   * @throws {VoicemailNotFoundError}
+   */
+  async get(voicemailId) {
+    const voicemail = await this.store.get(VOICEMAILS, voicemailId);
+    if (!voicemail) throw new VoicemailNotFoundError(voicemailId);
+    return voicemail;
+  }
+
+  /**
+   * Mark a voicemail as listened to by staff
+   * @throws {VoicemailNotFoundError}
+   */
+  async markReviewed(voicemailId, { reviewedBy } = {}) {
+    const voicemail = await this.get(voicemailId);
+    return this.store.put(VOICEMAILS, voicemailId, {
+      ...voicemail,
+      status: "reviewed",
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: reviewedBy || null,
+    });
+  }
+}
+
+module.exports = {
+  VoicemailInbox,
+  VoicemailNotFoundError,
+  isVoicemailOnly,
+  wantsVoicemail,
+};
@@ -0,0 +1,114 @@
+/**
+ * JSON File Store
+ *
+ * Default storage backend. Each collection is persisted as a single JSON
+ * file (`<dataDir>/<collection>.json`) holding an object keyed by document id.
+ *
+ * Collections are cached in memory after the first read. Documents are copied
+ * in and out of the cache, so a caller changing one it holds never changes
+ * what's stored (or what the next write puts on disk). Writes for a
+ * collection are serialised and written atomically (temp file + rename) so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class JsonFileStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dataDir - Directory holding the collection files
+   */
+  constructor({ dataDir }) {
+    this.dataDir = dataDir;
+    this.collections = new Map(); // collection -> Promise<object>
+    this.writeQueues = new Map(); // collection -> Promise (last queued write)
+    console.log(`[Storage] Using JSON file store in ${dataDir}`);
+  }
+
+  /**
+   * List all documents in a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<Array>} Documents in insertion order
+   */
+  async list(collection) {
+    const docs = await this._load(collection);
+    return Object.values(docs).map((doc) => structuredClone(doc));
+  }
+
+  /**
+   * Get a single document
+   * @returns {Promise<object|null>} The document, or null if missing
+   */
+  async get(collection, id) {
+    const docs = await this._load(collection);
+    return Object.hasOwn(docs, id) ? structuredClone(docs[id]) : null;
+  }
+
+  /**
+   * Insert or replace a document
+   * @returns {Promise<object>} The stored document
+   */
+  async put(collection, id, doc) {
+    const docs = await this._load(collection);
+    docs[id] = structuredClone(doc);
+    await this._persist(collection);
+    return doc;
+  }
+
+  /**
+   * Remove a document
+   * @returns {Promise<boolean>} Whether a document was removed
+   */
+  async remove(collection, id) {
+    const docs = await this._load(collection);
+    if (!(id in docs)) return false;
+    delete docs[id];
+    await this._persist(collection);
+    return true;
+  }
+
+  _filePath(collection) {
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  _load(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, this._readFile(collection));
+    }
+    return this.collections.get(collection);
+  }
+
+  async _readFile(collection) {
+    try {
+      const raw = await fs.promises.readFile(
+        this._filePath(collection),
+        "utf8",
+      );
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw new Error(
+        `Failed to read ${this._filePath(collection)}: ${error.message}`,
+      );
+    }
+  }
+
+  _persist(collection) {
+    const previous = this.writeQueues.get(collection) || Promise.resolve();
+    const next = previous
+      .catch(() => {}) // A failed write shouldn't block later ones
+      .then(async () => {
+        const docs = await this._load(collection);
+        const filePath = this._filePath(collection);
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(docs, null, 2));
+        await fs.promises.rename(tmpPath, filePath);
+      });
+    this.writeQueues.set(collection, next);
+    return next;
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,42 @@
+/**
+ * Memory Store
+ *
+ * Non-persistent storage backend. Documents live in process memory and are
+ * gone when the store is dropped, which keeps scenario runs and other
+ * throwaway simulations from touching the clinic's real bookings.
+ */
+
+class MemoryStore {
+  constructor() {
+    this.collections = new Map(); // collection -> Map(id -> doc)
+  }
+
+  async list(collection) {
+    return [...this._collection(collection).values()].map((doc) =>
+      structuredClone(doc),
+    );
+  }
+
+  async get(collection, id) {
+    const doc = this._collection(collection).get(id);
+    return doc ? structuredClone(doc) : null;
+  }
+
+  async put(collection, id, doc) {
+    this._collection(collection).set(id, structuredClone(doc));
+    return doc;
+  }
+
+  async remove(collection, id) {
+    return this._collection(collection).delete(id);
+  }
+
+  _collection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+}
+
+module.exports = MemoryStore;
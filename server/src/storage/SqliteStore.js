@@ -0,0 +1,80 @@
+/**
+ * SQLite Store
+ *
+ * Optional storage backend backed by a single SQLite database file.
+ * Documents are stored as JSON text in one `documents` table keyed by
+ * (collection, id), so it is a drop-in replacement for JsonFileStore.
+ *
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class SqliteStore {
+  /**
+   * @param {object} options
+   * @param {string} options.filename - Path to the SQLite database file
+   */
+  constructor({ filename }) {
+    let Database;
+    try {
+      Database = require("better-sqlite3");
+    } catch (error) {
+      throw new Error(
+        "SQLite storage requires the optional 'better-sqlite3' package (npm install better-sqlite3)",
+      );
+    }
+
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+
+    this.statements = {
+      list: this.db.prepare(
+        "SELECT data FROM documents WHERE collection = ? ORDER BY rowid",
+      ),
+      get: this.db.prepare(
+        "SELECT data FROM documents WHERE collection = ? AND id = ?",
+      ),
+      put: this.db.prepare(
+        `INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+         ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data`,
+      ),
+      remove: this.db.prepare(
+        "DELETE FROM documents WHERE collection = ? AND id = ?",
+      ),
+    };
+    console.log(`[Storage] Using SQLite store at ${filename}`);
+  }
+
+  async list(collection) {
+    return this.statements.list
+      .all(collection)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  async get(collection, id) {
+    const row = this.statements.get.get(collection, id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async put(collection, id, doc) {
+    this.statements.put.run(collection, id, JSON.stringify(doc));
+    return doc;
+  }
+
+  async remove(collection, id) {
+    return this.statements.remove.run(collection, id).changes > 0;
+  }
+}
+
+module.exports = SqliteStore;
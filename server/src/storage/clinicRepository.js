@@ -0,0 +1,273 @@
+/**
+ * Clinic Repository
+ *
+ * Persists clinic configurations with full revision history.
+ *
+ * - `clinicConfigs` holds the current config for each clinic
+ * - `clinicRevisions` holds one immutable snapshot per create/update/rollback,
+ *   keyed by `<clinic_id>@<revision>`
+ */
+
+const { v4: uuidv4 } = require("uuid");
+
+const CLINICS = "clinicConfigs";
+const REVISIONS = "clinicRevisions";
+
+// Fields owned by the server - never taken from a request body
+const MANAGED_FIELDS = ["clinic_id", "created_at", "updated_at", "revision"];
+
+// Bookkeeping fields left out of revision snapshots and diffs
+const SNAPSHOT_EXCLUDED_FIELDS = ["updated_at", "revision"];
+
+// Commits run one at a time per clinic across every repository instance, so
+// two concurrent updates can't both read revision N and both write N+1
+const commitQueues = new Map();
+
+class ClinicNotFoundError extends Error {
+  constructor(clinicId) {
+    super("Clinic not found");
+    this.clinicId = clinicId;
+    this.status = 404;
+  }
+}
+
+class RevisionNotFoundError extends Error {
+  constructor(clinicId, revision) {
+    super(`Revision ${revision} not found`);
+    this.clinicId = clinicId;
+    this.revision = revision;
+    this.status = 404;
+  }
+}
+
+/**
+ * Remove server-managed fields from an incoming config
+ */
+function stripManagedFields(body = {}) {
+  const config = { ...body };
+  MANAGED_FIELDS.forEach((field) => delete config[field]);
+  return config;
+}
+
+function toSnapshot(config) {
+  const snapshot = { ...config };
+  SNAPSHOT_EXCLUDED_FIELDS.forEach((field) => delete snapshot[field]);
+  return snapshot;
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Compute a path-level diff between two configs
+ * Objects and arrays are compared element by element
+ * @returns {Array<{path: string, op: "added"|"removed"|"changed", before?: *, after?: *}>}
+ */
+function diffConfigs(before, after, basePath = "") {
+  const changes = [];
+
+  if (
+    (isObject(before) && isObject(after)) ||
+    (Array.isArray(before) && Array.isArray(after))
+  ) {
+    const keys = Array.isArray(before)
+      ? [...Array(Math.max(before.length, after.length)).keys()]
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    for (const key of keys) {
+      const childPath = Array.isArray(before)
+        ? `${basePath}[${key}]`
+        : basePath
+          ? `${basePath}.${key}`
+          : String(key);
+
+      if (!(key in before)) {
+        changes.push({ path: childPath, op: "added", after: after[key] });
+      } else if (!(key in after)) {
+        changes.push({ path: childPath, op: "removed", before: before[key] });
+      } else {
+        changes.push(...diffConfigs(before[key], after[key], childPath));
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: basePath, op: "changed", before, after });
+  }
+  return changes;
+}
+
+class ClinicRepository {
+  /**
+   * @param {object} store - Storage backend (see storage/index.js)
+   * @param {object} [options]
+   * @param {Function} [options.validate] - Throws for a config that can't be
+   *   saved; run on the full config every create, update and rollback commits
+   */
+  constructor(store, { validate = () => {} } = {}) {
+    this.store = store;
+    this.validate = validate;
+  }
+
+  async list() {
+    return this.store.list(CLINICS);
+  }
+
+  async get(clinicId) {
+    return this.store.get(CLINICS, clinicId);
+  }
+
+  /**
+   * Create a new clinic configuration (revision 1)
+   */
+  async create(body) {
+    const now = new Date().toISOString();
+    const config = {
+      ...stripManagedFields(body),
+      clinic_id: `clinic_${uuidv4().slice(0, 8)}`,
+      created_at: now,
+      updated_at: now,
+      revision: 1,
+    };
+
+    this.validate(config);
+    await this._saveRevision(config, "create");
+    return this.store.put(CLINICS, config.clinic_id, config);
+  }
+
+  /**
+   * Merge changes into a clinic configuration and record a new revision
+   * The merged config is validated, not just the changes
+   */
+  async update(clinicId, body) {
+    return this._enqueue(clinicId, async () => {
+      const current = await this.get(clinicId);
+      if (!current) throw new ClinicNotFoundError(clinicId);
+
+      return this._commit(
+        { ...current, ...stripManagedFields(body) },
+        current,
+        "update",
+      );
+    });
+  }
+
+  /**
+   * Restore the config from an earlier revision as a new revision
+   * The revision is validated again, since the rules may have changed since
+   */
+  async rollback(clinicId, revision) {
+    return this._enqueue(clinicId, async () => {
+      const current = await this.get(clinicId);
+      if (!current) throw new ClinicNotFoundError(clinicId);
+      const target = await this.getRevision(clinicId, revision);
+
+      return this._commit(
+        {
+          ...target.config,
+          clinic_id: clinicId,
+          created_at: current.created_at,
+        },
+        current,
+        "rollback",
+        { rolled_back_to: target.revision },
+      );
+    });
+  }
+
+  /**
+   * List revision summaries for a clinic, oldest first
+   */
+  async listRevisions(clinicId) {
+    if (!(await this.get(clinicId))) throw new ClinicNotFoundError(clinicId);
+
+    const revisions = await this.store.list(REVISIONS);
+    return revisions
+      .filter((r) => r.clinic_id === clinicId)
+      .sort((a, b) => a.revision - b.revision)
+      .map(({ config, ...summary }) => summary);
+  }
+
+  async getRevision(clinicId, revision) {
+    const number = Number(revision);
+    const found = Number.isInteger(number)
+      ? await this.store.get(REVISIONS, `${clinicId}@${number}`)
+      : null;
+    if (!found) {
+      if (!(await this.get(clinicId))) throw new ClinicNotFoundError(clinicId);
+      throw new RevisionNotFoundError(clinicId, revision);
+    }
+    return found;
+  }
+
+  /**
+   * Diff two revisions of a clinic config
+   * @param {number} revision - The newer revision
+   * @param {number} against - The older revision (defaults to revision - 1)
+   */
+  async diffRevisions(clinicId, revision, against) {
+    const to = await this.getRevision(clinicId, revision);
+    const from = await this.getRevision(
+      clinicId,
+      against ?? Number(revision) - 1,
+    );
+
+    return {
+      clinic_id: clinicId,
+      from: from.revision,
+      to: to.revision,
+      changes: diffConfigs(from.config, to.config),
+    };
+  }
+
+  /**
+   * Run a read-modify-write on a clinic after any earlier ones finish
+   * A failed commit shouldn't block later ones
+   */
+  _enqueue(clinicId, task) {
+    const run = (commitQueues.get(clinicId) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    commitQueues.set(clinicId, tail);
+    tail.then(() => {
+      if (commitQueues.get(clinicId) === tail) commitQueues.delete(clinicId);
+    });
+    return run;
+  }
+
+  async _commit(merged, current, action, extra = {}) {
+    this.validate(merged);
+    const updated = {
+      ...merged,
+      updated_at: new Date().toISOString(),
+      revision: current.revision + 1,
+    };
+
+    await this._saveRevision(updated, action, extra);
+    return this.store.put(CLINICS, updated.clinic_id, updated);
+  }
+
+  async _saveRevision(config, action, extra = {}) {
+    const id = `${config.clinic_id}@${config.revision}`;
+    if (await this.store.get(REVISIONS, id)) {
+      // Revisions are immutable - never overwrite history
+      throw new Error(`Revision ${config.revision} already exists`);
+    }
+
+    return this.store.put(REVISIONS, id, {
+      clinic_id: config.clinic_id,
+      revision: config.revision,
+      action,
+      created_at: config.updated_at,
+      ...extra,
+      config: toSnapshot(config),
+    });
+  }
+}
+
+module.exports = {
+  ClinicRepository,
+  ClinicNotFoundError,
+  RevisionNotFoundError,
+  diffConfigs,
+};
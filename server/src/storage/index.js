@@ -0,0 +1,59 @@
+/**
+ * Storage backend selection
+ *
+ * Every backend exposes the same async document API:
+ *   list(collection), get(collection, id), put(collection, id, doc),
+ *   remove(collection, id)
+ *
+ * Environment variables:
+ *   STORAGE_BACKEND=json|sqlite|memory (default: json; memory isn't persisted)
+ *   DATA_DIR=/path/to/data        (JSON store directory, default: server/data)
+ *   SQLITE_PATH=/path/to/heidi.db (default: <DATA_DIR>/heidi.db)
+ */
+
+const path = require("path");
+const JsonFileStore = require("./JsonFileStore");
+const SqliteStore = require("./SqliteStore");
+const MemoryStore = require("./MemoryStore");
+
+// Kept outside src/ so writes don't restart `npm run dev` (nodemon) mid-call
+const DEFAULT_DATA_DIR = path.join(__dirname, "..", "..", "data");
+
+let sharedStore = null;
+
+/**
+ * Create a storage backend
+ * @param {object} options - { backend, dataDir, sqlitePath }, defaults from env
+ */
+function createStore(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || "json";
+  const dataDir = options.dataDir || process.env.DATA_DIR || DEFAULT_DATA_DIR;
+
+  switch (backend) {
+    case "json":
+      return new JsonFileStore({ dataDir });
+    case "sqlite":
+      return new SqliteStore({
+        filename:
+          options.sqlitePath ||
+          process.env.SQLITE_PATH ||
+          path.join(dataDir, "heidi.db"),
+      });
+    case "memory":
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+  }
+}
+
+/**
+ * Get the process-wide store, created on first use
+ */
+function getStore() {
+  if (!sharedStore) {
+    sharedStore = createStore();
+  }
+  return sharedStore;
+}
+
+module.exports = { createStore, getStore };